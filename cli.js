@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+// cli.js - Generate shaders from the command line, without a browser
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createServices } = require('./lib/services');
+const { GLSL_VERSIONS } = require('./lib/shaderPipeline');
+
+const USAGE = `Usage: node cli.js [options] ["shader description"]
+
+Generates a shader for each description, then asks the compile-fix models to fix it until it
+passes validation. Writes <name>.glsl and a <name>.json report per description, and
+<name>.bufferA.glsl and so on for shaders with buffer passes.
+
+Options:
+  -f, --file <path>            Descriptions to generate, one per line. Lines that start with "{" are
+                               JSON: {"prompt": "...", "name": "...", "promptVersion": "...",
+                               "glslVersion": "..."}
+  -o, --out <dir>              Output directory (default: generated)
+  -n, --fix-attempts <count>   Fix requests per shader at most (default: 10)
+  -p, --prompt-version <ver>   Generation prompt template version (default: the active one)
+  -g, --glsl-version <ver>     GLSL version to write: ${Object.keys(GLSL_VERSIONS).map(version => `"${version}"`).join(' or ')} (default: "100")
+  -h, --help                   Show this help
+
+The LLM provider, models and budgets are configured by the same environment variables as the server.`;
+
+/**
+ * Read descriptions from a prompts file
+ * @param {string} file - Path; blank lines and lines starting with # are skipped
+ * @returns {Array<{prompt: string, name: string|null, promptVersion: string|null, glslVersion: string|null}>}
+ */
+function readPromptsFile(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line && !line.startsWith('#'))
+    .map(({ line, number }) => {
+      if (!line.startsWith('{')) {
+        return { prompt: line, name: null, promptVersion: null, glslVersion: null };
+      }
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file}:${number}: ${error.message}`);
+      }
+      if (typeof entry.prompt !== 'string' || !entry.prompt.trim()) {
+        throw new Error(`${file}:${number}: missing "prompt"`);
+      }
+      if (entry.glslVersion && !GLSL_VERSIONS[entry.glslVersion]) {
+        throw new Error(`${file}:${number}: unknown glslVersion "${entry.glslVersion}"`);
+      }
+      return { prompt: entry.prompt.trim(), name: entry.name || null, promptVersion: entry.promptVersion || null, glslVersion: entry.glslVersion || null };
+    });
+}
+
+/**
+ * Turn a description into a camelCase file name like the ones in examples/
+ * @param {string} text - Description or requested name
+ * @returns {string} - e.g. 'waterRippleWithRefraction'
+ */
+function toFileName(text) {
+  const words = text.replace(/\.glsl$/i, '').split(/[^A-Za-z0-9]+/).filter(Boolean).slice(0, 6);
+  const name = words
+    .map((word, index) => index === 0 ? word.charAt(0).toLowerCase() + word.slice(1) : word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+  return name || 'shader';
+}
+
+/**
+ * Pick a file name that is not taken yet in the output directory, adding 2, 3, ... as needed
+ * @param {string} outDir - Output directory
+ * @param {string} base - File name without extension
+ * @param {Set<string>} taken - Names already used in this run
+ * @returns {string}
+ */
+function uniqueName(outDir, base, taken) {
+  let name = base;
+  for (let suffix = 2; taken.has(name) || fs.existsSync(path.join(outDir, `${name}.glsl`)) || fs.existsSync(path.join(outDir, `${name}.json`)); suffix++) {
+    name = `${base}${suffix}`;
+  }
+  taken.add(name);
+  return name;
+}
+
+/**
+ * Run the command-line tool
+ * @param {Array<string>} [argv] - Command-line arguments, without node and the script
+ * @param {Object} [options]
+ * @param {string} [options.rootDir] - Project directory for logs, data, config and prompts
+ * @param {Object} [options.env] - Environment variables
+ * @returns {Promise<number>} - Exit code: 0 when every shader passed validation, 1 otherwise, 2 for invalid arguments
+ */
+async function main(argv = process.argv.slice(2), { rootDir = __dirname, env = process.env } = {}) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        file: { type: 'string', short: 'f' },
+        out: { type: 'string', short: 'o', default: 'generated' },
+        'fix-attempts': { type: 'string', short: 'n', default: '10' },
+        'prompt-version': { type: 'string', short: 'p' },
+        'glsl-version': { type: 'string', short: 'g' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const fixAttempts = parseInt(values['fix-attempts'], 10);
+  if (!Number.isInteger(fixAttempts) || fixAttempts < 0) {
+    console.error('--fix-attempts must be a whole number of 0 or more');
+    return 2;
+  }
+
+  const defaultGlslVersion = values['glsl-version'] || null;
+  if (defaultGlslVersion && !GLSL_VERSIONS[defaultGlslVersion]) {
+    console.error(`--glsl-version must be one of: ${Object.keys(GLSL_VERSIONS).join(', ')}`);
+    return 2;
+  }
+
+  const defaultVersion = values['prompt-version'] || null;
+  let jobs = positionals.length > 0 ? [{ prompt: positionals.join(' '), name: null, promptVersion: null, glslVersion: null }] : [];
+  if (values.file) {
+    try {
+      jobs = jobs.concat(readPromptsFile(values.file));
+    } catch (error) {
+      console.error('ERROR:', error.message);
+      return 2;
+    }
+  }
+  if (jobs.length === 0) {
+    console.error(`Give a shader description or --file\n\n${USAGE}`);
+    return 2;
+  }
+
+  let services;
+  try {
+    services = createServices({ rootDir, env });
+  } catch (error) {
+    console.error('ERROR:', error.message);
+    return 1;
+  }
+
+  const outDir = path.resolve(values.out);
+  fs.mkdirSync(outDir, { recursive: true });
+
+  // Ctrl+C cancels the request in progress and ends the batch; a second one exits at once
+  const controller = new AbortController();
+  const onInterrupt = () => {
+    console.error('\nStopping after the current request is cancelled (Ctrl+C again to quit)');
+    controller.abort();
+    process.once('SIGINT', () => process.exit(130));
+  };
+  process.once('SIGINT', onInterrupt);
+
+  const taken = new Set();
+  const results = [];
+  for (const [index, job] of jobs.entries()) {
+    if (controller.signal.aborted) break;
+
+    const name = uniqueName(outDir, toFileName(job.name || job.prompt), taken);
+    console.log(`\n[${index + 1}/${jobs.length}] ${name}: ${job.prompt}`);
+    const startedAt = new Date();
+
+    let result;
+    try {
+      result = await services.pipeline.generate(job.prompt, {
+        fixAttempts,
+        promptVersion: job.promptVersion || defaultVersion,
+        glslVersion: job.glslVersion || defaultGlslVersion,
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (error.code === 'REQUEST_CANCELLED') {
+        console.error('Cancelled');
+        break;
+      }
+      // An unknown prompt version fails this description; a used-up budget fails the rest as well
+      console.error('ERROR:', error.message);
+      results.push({ name, valid: false });
+      if (error.status === 402) break;
+      continue;
+    }
+
+    const valid = !!(result.validation && result.validation.valid);
+    const bufferFiles = {};
+    if (result.fragmentShader) {
+      fs.writeFileSync(path.join(outDir, `${name}.glsl`), `${result.fragmentShader.trim()}\n`);
+      Object.entries(result.buffers).forEach(([buffer, source]) => {
+        bufferFiles[buffer] = `${name}.buffer${buffer}.glsl`;
+        fs.writeFileSync(path.join(outDir, bufferFiles[buffer]), `${source.trim()}\n`);
+      });
+    }
+    const report = {
+      name,
+      prompt: job.prompt,
+      valid,
+      model: result.model,
+      provider: services.llmProvider.name,
+      promptVersion: result.promptVersion,
+      promptHash: result.promptHash,
+      shaderFile: result.fragmentShader ? `${name}.glsl` : null,
+      bufferFiles,
+      reflection: result.reflection || '',
+      errors: result.validation ? result.validation.errors : [],
+      warnings: result.validation ? result.validation.warnings : [],
+      error: result.error,
+      attempts: result.attempts,
+      startedAt: startedAt.toISOString(),
+      durationMs: Date.now() - startedAt.getTime()
+    };
+    fs.writeFileSync(path.join(outDir, `${name}.json`), `${JSON.stringify(report, null, 2)}\n`);
+
+    const fixes = result.attempts.filter(attempt => attempt.type === 'iterate').length;
+    console.log(`${valid ? 'OK' : 'FAILED'} ${name} (${result.model || 'no model'}, ${fixes} fix attempt(s))`);
+    results.push({ name, valid });
+  }
+
+  process.removeListener('SIGINT', onInterrupt);
+
+  const validCount = results.filter(result => result.valid).length;
+  console.log(`\n${validCount}/${jobs.length} shader(s) passed validation. Output in ${path.relative(process.cwd(), outDir) || '.'}`);
+  return validCount === jobs.length ? 0 : 1;
+}
+
+if (require.main === module) {
+  main().then(code => {
+    process.exitCode = code;
+  }).catch(error => {
+    console.error('ERROR:', error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { main, readPromptsFile, toFileName };
@@ -0,0 +1,232 @@
+// benchmarkReport.js - Compare the configurations of a benchmark run, as JSON and as an HTML page
+
+// Metrics of the comparison table: how to show them and whether more is better
+const METRICS = [
+  { key: 'firstTryCompileRate', label: 'First-try compile rate', format: 'percent', better: 'higher' },
+  { key: 'successRate', label: 'Compiles after auto-fix', format: 'percent', better: 'higher' },
+  { key: 'meanFixIterations', label: 'Auto-fix iterations to success', format: 'number', better: 'lower' },
+  { key: 'blankFrameRate', label: 'Blank-frame rate', format: 'percent', better: 'lower' },
+  { key: 'medianFrameTimeMs', label: 'Median frame time (ms)', format: 'number', better: 'lower' },
+  { key: 'meanJudgeScore', label: 'Mean judge score (1-10)', format: 'number', better: 'higher' }
+];
+
+/**
+ * @param {Array<number>} values
+ * @returns {number|null}
+ */
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * @param {Array<number>} values
+ * @returns {number|null}
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * @param {number} count
+ * @param {number} total
+ * @returns {number|null}
+ */
+function rate(count, total) {
+  return total > 0 ? count / total : null;
+}
+
+/**
+ * Whether a case ended with a shader that passed validation and compiled in the browser
+ * @param {Object} item - Benchmark case
+ * @returns {boolean}
+ */
+function isSuccess(item) {
+  return !!(item.generation && item.generation.valid && item.render && item.render.compiled);
+}
+
+/**
+ * Compute the metrics of every configuration over its finished cases. The first-try compile rate
+ * counts shaders that passed the server-side validator before any repair; blank frames and frame
+ * times come from the browser's render of the final shader.
+ * @param {Object} run - Benchmark run
+ * @returns {Array<Object>} - One entry per configuration: { index, label, model, promptVersion,
+ *   cases, completed, judged, firstTryCompileRate, successRate, meanFixIterations, blankFrameRate,
+ *   medianFrameTimeMs, meanJudgeScore }
+ */
+function summarizeRun(run) {
+  return run.configurations.map(configuration => {
+    const cases = run.cases.filter(item => item.configIndex === configuration.index);
+    const done = cases.filter(item => item.status === 'done');
+    const generated = done.filter(item => item.generation && !item.generation.error);
+    const successes = done.filter(isSuccess);
+    const compiled = done.filter(item => item.render && item.render.compiled);
+    const scores = done.map(item => item.judge && item.judge.score).filter(score => typeof score === 'number');
+    const frameTimes = compiled.map(item => item.render.frameTimeMs).filter(time => typeof time === 'number');
+
+    return {
+      index: configuration.index,
+      label: configuration.label,
+      model: configuration.model,
+      promptVersion: configuration.promptVersion,
+      cases: cases.length,
+      completed: done.length,
+      judged: scores.length,
+      firstTryCompileRate: rate(generated.filter(item => item.generation.firstTryValid).length, done.length),
+      successRate: rate(successes.length, done.length),
+      meanFixIterations: mean(successes.map(item => item.generation.fixIterations)),
+      blankFrameRate: rate(compiled.filter(item => item.render.blank).length, compiled.length),
+      medianFrameTimeMs: median(frameTimes),
+      meanJudgeScore: mean(scores)
+    };
+  });
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {number|null} value
+ * @param {string} format - 'percent' or 'number'
+ * @returns {string}
+ */
+function formatMetric(value, format) {
+  if (value === null || value === undefined) return '—';
+  return format === 'percent' ? `${Math.round(value * 100)}%` : value.toFixed(value < 10 ? 2 : 1);
+}
+
+/**
+ * The comparison table, with the best value of each metric in bold
+ * @param {Array<Object>} summary - From summarizeRun
+ * @returns {string}
+ */
+function renderMetricsTable(summary) {
+  const header = summary.map(entry => `<th>${escapeHtml(entry.label)}</th>`).join('');
+  const rows = METRICS.map(metric => {
+    const values = summary.map(entry => entry[metric.key]).filter(value => value !== null);
+    const best = values.length > 1 ? (metric.better === 'higher' ? Math.max(...values) : Math.min(...values)) : null;
+    const cells = summary.map(entry => {
+      const value = entry[metric.key];
+      const text = formatMetric(value, metric.format);
+      return `<td>${value !== null && value === best ? `<strong>${text}</strong>` : text}</td>`;
+    }).join('');
+    return `<tr><th>${escapeHtml(metric.label)}</th>${cells}</tr>`;
+  }).join('\n');
+  const progress = summary.map(entry => `<td>${entry.completed}/${entry.cases}</td>`).join('');
+
+  return `<table>
+<thead><tr><th></th>${header}</tr></thead>
+<tbody>
+<tr><th>Finished cases</th>${progress}</tr>
+${rows}
+</tbody>
+</table>`;
+}
+
+/**
+ * One cell of the per-prompt grid
+ * @param {Object|undefined} item - Benchmark case
+ * @returns {string}
+ */
+function renderCase(item) {
+  if (!item || item.status !== 'done') {
+    return `<td class="pending">${item ? escapeHtml(item.status) : ''}</td>`;
+  }
+
+  const { generation, render, judge } = item;
+  const notes = [];
+  if (generation.error) {
+    notes.push(`<span class="bad">Failed: ${escapeHtml(generation.error)}</span>`);
+  } else {
+    notes.push(generation.firstTryValid ? '<span class="good">First try</span>' : `${generation.fixIterations} fix(es)`);
+    if (!isSuccess(item)) notes.push('<span class="bad">Does not compile</span>');
+  }
+  if (render && render.compiled) {
+    if (render.blank) notes.push('<span class="bad">Blank</span>');
+    if (typeof render.frameTimeMs === 'number') notes.push(`${render.frameTimeMs.toFixed(1)} ms`);
+  }
+  if (judge && typeof judge.score === 'number') {
+    notes.push(`<span title="${escapeHtml(judge.reason)}">Judge ${judge.score}</span>`);
+  } else if (judge && judge.error) {
+    notes.push(`<span class="bad" title="${escapeHtml(judge.error)}">Judge failed</span>`);
+  }
+
+  const image = render && render.thumbnail
+    ? `<img src="${escapeHtml(render.thumbnail)}" alt="${escapeHtml(item.promptId)}">`
+    : '<div class="no-image"></div>';
+  return `<td>${image}<div class="notes">${notes.join(' · ')}</div></td>`;
+}
+
+/**
+ * Render a run as a self-contained HTML page: the comparison table, then every prompt's result
+ * for every configuration
+ * @param {Object} run - Benchmark run
+ * @returns {string}
+ */
+function renderHtmlReport(run) {
+  const summary = summarizeRun(run);
+  const promptIds = [...new Set(run.cases.map(item => item.promptId))];
+  const header = summary.map(entry => `<th>${escapeHtml(entry.label)}</th>`).join('');
+  const configurationRows = run.configurations.map(configuration =>
+    `<li><strong>${escapeHtml(configuration.label)}</strong>: model ${escapeHtml(configuration.model || 'from the routing policy')}, ` +
+    `prompt ${escapeHtml(configuration.promptVersion || 'active version')}</li>`
+  ).join('\n');
+  const promptRows = promptIds.map(promptId => {
+    const cases = run.cases.filter(item => item.promptId === promptId);
+    const cells = run.configurations.map(configuration => renderCase(cases.find(item => item.configIndex === configuration.index))).join('');
+    return `<tr><th class="prompt">${escapeHtml(cases[0].prompt)}</th>${cells}</tr>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Shader benchmark ${escapeHtml(run.suite.name)} · ${escapeHtml(run.createdAt)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin-bottom: 2rem; }
+th, td { border: 1px solid #ccc; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+thead th { background: #f2f2f2; }
+th.prompt { max-width: 16rem; font-weight: normal; }
+img, .no-image { width: 160px; height: 160px; display: block; background: #eee; }
+.notes { font-size: 0.8rem; margin-top: 0.3rem; max-width: 160px; }
+.good { color: #1a7f37; }
+.bad { color: #c62828; }
+.pending { color: #888; }
+</style>
+</head>
+<body>
+<h1>Shader benchmark: ${escapeHtml(run.suite.name)}</h1>
+<p>${escapeHtml(run.suite.description)}</p>
+<p>Run ${escapeHtml(run.id)}, started ${escapeHtml(run.createdAt)} with provider ${escapeHtml(run.provider)}.
+Up to ${run.fixAttempts} auto-fix iteration(s) per shader; judged by ${escapeHtml(run.judgeModels.join(', ') || 'no judge')}.</p>
+<ul>
+${configurationRows}
+</ul>
+<h2>Comparison</h2>
+${renderMetricsTable(summary)}
+<h2>Shaders</h2>
+<table>
+<thead><tr><th>Prompt</th>${header}</tr></thead>
+<tbody>
+${promptRows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+module.exports = { summarizeRun, renderHtmlReport, METRICS };
@@ -0,0 +1,222 @@
+// benchmarkStore.js - Benchmark prompt suites and the runs that compare model and prompt configurations
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Run ids are UUIDs; suite names and prompt versions are plain file names
+const RUN_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const NAME_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+const MAX_CONFIGURATIONS = 8;
+const MAX_FIX_ATTEMPTS = 20;
+
+/**
+ * Error for an invalid benchmark request
+ * @param {string} message - What is wrong
+ * @returns {Error} - With status 400
+ */
+function invalid(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Suites are `<suitesDir>/<name>.json` files: { description, prompts: [{ id, prompt }] }.
+ * Runs are stored as JSON files with one case per configuration and prompt:
+ * { id, suite, configurations, fixAttempts, judgeModels, createdAt, updatedAt, cases: [...] }.
+ * Each case records its generation (from ShaderPipeline.generate), the browser's render checks
+ * and the judge's score as they arrive, so an interrupted run can be resumed.
+ */
+class BenchmarkStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.suitesDir - Directory holding the prompt suites
+   * @param {string} options.runsDir - Directory the run files are written to
+   */
+  constructor({ suitesDir, runsDir }) {
+    this.suitesDir = suitesDir;
+    this.runsDir = runsDir;
+    if (!fs.existsSync(runsDir)) {
+      fs.mkdirSync(runsDir, { recursive: true });
+      console.log('Created benchmark runs directory:', runsDir);
+    }
+  }
+
+  /**
+   * Load a prompt suite
+   * @param {string} name - Suite name, the file name without .json
+   * @returns {Object|null} - { name, description, prompts }, or null if it does not exist
+   */
+  getSuite(name) {
+    const file = path.join(this.suitesDir, `${name}.json`);
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name) || !fs.existsSync(file)) {
+      return null;
+    }
+    const suite = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { name, description: suite.description || '', prompts: suite.prompts || [] };
+  }
+
+  /**
+   * List the prompt suites
+   * @returns {Array<Object>} - [{ name, description, promptCount }]
+   */
+  listSuites() {
+    if (!fs.existsSync(this.suitesDir)) {
+      return [];
+    }
+    return fs.readdirSync(this.suitesDir)
+      .filter(filename => filename.endsWith('.json'))
+      .map(filename => this.getSuite(path.basename(filename, '.json')))
+      .filter(Boolean)
+      .map(suite => ({ name: suite.name, description: suite.description, promptCount: suite.prompts.length }));
+  }
+
+  /**
+   * @private
+   * @param {string} id - Run id
+   * @returns {string} - Path of the run file
+   */
+  _pathFor(id) {
+    return path.join(this.runsDir, `${id}.json`);
+  }
+
+  /**
+   * @private
+   * @param {Object} run - Run to write
+   */
+  _write(run) {
+    fs.writeFileSync(this._pathFor(run.id), JSON.stringify(run, null, 2));
+  }
+
+  /**
+   * Create a run of every configuration against every prompt of a suite
+   * @param {Object} options
+   * @param {string} options.suite - Suite name
+   * @param {Array<Object>} options.configurations - [{ label, model, promptVersion }]; an empty model
+   *   uses the routing policy, an empty prompt version the active template
+   * @param {number} options.fixAttempts - Fix requests per shader at most
+   * @param {Array<string>} options.judgeModels - Judge models, tried in order; empty to skip judging
+   * @param {string} options.provider - LLM provider name, for the report
+   * @returns {Object} - The new run
+   * @throws {Error} - With status 400 when the suite or a configuration is invalid
+   */
+  createRun({ suite: suiteName, configurations, fixAttempts = 10, judgeModels = [], provider }) {
+    const suite = this.getSuite(suiteName);
+    if (!suite || suite.prompts.length === 0) {
+      throw invalid(`Unknown or empty benchmark suite "${suiteName}"`);
+    }
+    if (!Array.isArray(configurations) || configurations.length === 0 || configurations.length > MAX_CONFIGURATIONS) {
+      throw invalid(`configurations must list between 1 and ${MAX_CONFIGURATIONS} configurations`);
+    }
+    if (!Number.isInteger(fixAttempts) || fixAttempts < 0 || fixAttempts > MAX_FIX_ATTEMPTS) {
+      throw invalid(`fixAttempts must be a whole number from 0 to ${MAX_FIX_ATTEMPTS}`);
+    }
+
+    const normalized = configurations.map((configuration, index) => {
+      const model = typeof configuration.model === 'string' ? configuration.model.trim() : '';
+      const promptVersion = typeof configuration.promptVersion === 'string' ? configuration.promptVersion.trim() : '';
+      if (promptVersion && !NAME_PATTERN.test(promptVersion)) {
+        throw invalid(`Invalid prompt version "${promptVersion}"`);
+      }
+      const label = typeof configuration.label === 'string' && configuration.label.trim()
+        ? configuration.label.trim()
+        : `${model || 'routing policy'} · ${promptVersion || 'active prompt'}`;
+      return { index, label, model: model || null, promptVersion: promptVersion || null };
+    });
+
+    const now = new Date().toISOString();
+    const run = {
+      id: crypto.randomUUID(),
+      suite: { name: suite.name, description: suite.description },
+      provider,
+      configurations: normalized,
+      fixAttempts,
+      judgeModels,
+      createdAt: now,
+      updatedAt: now,
+      cases: normalized.flatMap(configuration => suite.prompts.map(item => ({
+        id: `${configuration.index}-${item.id}`,
+        configIndex: configuration.index,
+        promptId: item.id,
+        prompt: item.prompt,
+        status: 'pending',
+        generation: null,
+        render: null,
+        judge: null
+      })))
+    };
+    this._write(run);
+    return run;
+  }
+
+  /**
+   * Load a run
+   * @param {string} id - Run id
+   * @returns {Object|null} - The run, or null if it does not exist
+   */
+  get(id) {
+    if (typeof id !== 'string' || !RUN_ID_PATTERN.test(id) || !fs.existsSync(this._pathFor(id))) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(this._pathFor(id), 'utf8'));
+    } catch (error) {
+      console.error(`Error reading benchmark run ${id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * List all runs, most recent first
+   * @returns {Array<Object>} - [{ id, suite, configurations, createdAt, updatedAt, caseCount, doneCount }]
+   */
+  list() {
+    return fs.readdirSync(this.runsDir)
+      .filter(filename => filename.endsWith('.json'))
+      .map(filename => this.get(path.basename(filename, '.json')))
+      .filter(Boolean)
+      .map(run => ({
+        id: run.id,
+        suite: run.suite.name,
+        configurations: run.configurations.map(configuration => configuration.label),
+        createdAt: run.createdAt,
+        updatedAt: run.updatedAt,
+        caseCount: run.cases.length,
+        doneCount: run.cases.filter(item => item.status === 'done').length
+      }))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Merge results into a case
+   * @param {string} id - Run id
+   * @param {string} caseId - Case id
+   * @param {Object} changes - { status, generation, render, judge }
+   * @returns {Object|null} - The updated case, or null if the run or case does not exist
+   */
+  updateCase(id, caseId, changes) {
+    const run = this.get(id);
+    const item = run && run.cases.find(entry => entry.id === caseId);
+    if (!item) return null;
+
+    Object.assign(item, changes);
+    run.updatedAt = new Date().toISOString();
+    this._write(run);
+    return item;
+  }
+
+  /**
+   * Delete a run
+   * @param {string} id - Run id
+   * @returns {boolean} - True if a run was deleted
+   */
+  delete(id) {
+    if (!this.get(id)) return false;
+    fs.unlinkSync(this._pathFor(id));
+    return true;
+  }
+}
+
+module.exports = { BenchmarkStore };
@@ -0,0 +1,252 @@
+// conversationManager.js - Assemble iteration conversations from the session history within a token budget
+
+const { formatDiagnostics } = require('./glslValidator');
+
+// Token counts are estimated from text length; providers tokenise differently, so the budget is approximate
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// A single downscaled screenshot, as attached to iteration requests
+const IMAGE_TOKENS = 800;
+
+// How much of each field survives when a turn is included or summarized
+const COMPILE_LOG_LIMIT = 1200;
+const SUMMARY_TEXT_LIMIT = 200;
+
+/**
+ * Estimate the tokens of a message's content
+ * @param {string|Array<Object>} content - Text, or an array of text and image parts
+ * @returns {number}
+ */
+function estimateContentTokens(content) {
+  if (Array.isArray(content)) {
+    return content.reduce((total, part) => {
+      return total + (part.type === 'text' ? estimateContentTokens(part.text) : IMAGE_TOKENS);
+    }, 0);
+  }
+  return Math.ceil(String(content || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the tokens of a list of messages
+ * @param {Array<Object>} messages - { role, content } messages
+ * @returns {number}
+ */
+function estimateTokens(messages) {
+  return messages.reduce((total, message) => total + MESSAGE_OVERHEAD_TOKENS + estimateContentTokens(message.content), 0);
+}
+
+/**
+ * Shorten text to a limit, collapsing whitespace when asked
+ * @param {string} text - Text to shorten
+ * @param {number} limit - Maximum length
+ * @param {boolean} collapse - Whether to collapse whitespace to single spaces
+ * @returns {string}
+ */
+function truncate(text, limit, collapse = false) {
+  const value = collapse ? String(text || '').replace(/\s+/g, ' ').trim() : String(text || '').trim();
+  return value.length > limit ? `${value.slice(0, limit - 3)}...` : value;
+}
+
+/**
+ * Compile errors recorded for a stored iteration: the browser's WebGL log, or else the server's validation errors
+ * @param {Object} item - Stored iteration
+ * @returns {string}
+ */
+function compileLogFor(item) {
+  if (item.compileLog) {
+    return item.compileLog;
+  }
+  if (item.validation && item.validation.valid === false && Array.isArray(item.validation.errors)) {
+    return formatDiagnostics({ errors: item.validation.errors, warnings: [] });
+  }
+  return '';
+}
+
+/**
+ * A shader as the model sees it: its source, preceded by its buffer passes when it has any
+ * @param {string} fragmentShader - Image pass source
+ * @param {Object} buffers - Buffer pass sources by name
+ * @returns {string}
+ */
+function formatShaderPasses(fragmentShader, buffers = {}) {
+  const names = Object.keys(buffers || {}).sort();
+  if (names.length === 0) {
+    return fragmentShader;
+  }
+  return [...names.map(name => `Buffer ${name}:\n${buffers[name]}`), `Image pass ("shader"):\n${fragmentShader}`].join('\n\n');
+}
+
+/**
+ * Reduce stored iterations to the distinct shaders the session went through.
+ * The client logs a shader once when the model returns it and again when feedback is sent
+ * on it, so consecutive entries with the same source are merged.
+ * @param {Array<Object>} iterations - Session iterations, oldest first
+ * @returns {Array<Object>} - { iteration, fragmentShader, reflection, feedback, compileLog }, where fragmentShader
+ *   includes any buffer passes
+ */
+function collectShaderStates(iterations) {
+  const states = [];
+
+  iterations.forEach(item => {
+    // Candidates are alternatives the user chose between; only the chosen one is part of the history
+    if (!item || !item.fragmentShader || item.isCandidate) return;
+
+    const last = states[states.length - 1];
+    const fragmentShader = formatShaderPasses(item.fragmentShader, item.buffers);
+
+    // A cancelled request was never answered, so the feedback sent with it is dropped
+    if (item.cancelled && last && last.fragmentShader === fragmentShader) {
+      last.feedback = '';
+      return;
+    }
+
+    // Entries logged before a request carry the feedback sent on that shader; the final entry of
+    // an auto-iteration run carries the feedback that produced it, which is already recorded
+    const feedback = item.isLastAutoIteration || item.isManualIteration ? '' : (item.userFeedback || '');
+
+    if (last && last.fragmentShader === fragmentShader) {
+      last.reflection = last.reflection || item.reflection || '';
+      last.feedback = feedback || last.feedback;
+      last.compileLog = last.compileLog || compileLogFor(item);
+      return;
+    }
+
+    states.push({
+      iteration: item.iteration || 0,
+      fragmentShader,
+      reflection: item.reflection || '',
+      feedback,
+      compileLog: compileLogFor(item)
+    });
+  });
+
+  return states;
+}
+
+/**
+ * Builds the messages for an iteration request: the original description, every earlier shader's
+ * reflection, feedback and compile log, then the current shader and the new feedback. When the
+ * history does not fit the token budget, older turns are summarized and then dropped.
+ */
+class ConversationManager {
+  /**
+   * @param {Object} options
+   * @param {number} options.tokenBudget - Approximate token budget for the whole request
+   */
+  constructor(options = {}) {
+    this.tokenBudget = options.tokenBudget || 12000;
+  }
+
+  /**
+   * Render an earlier shader as an assistant/user turn. Only the current shader is sent in full,
+   * so earlier ones are represented by what the model said about them.
+   * @param {Object} state - Entry from collectShaderStates
+   * @returns {Array<Object>} - Two messages
+   */
+  renderTurn(state) {
+    const label = state.iteration > 0 ? `iteration ${state.iteration}` : 'the initial generation';
+    const assistantContent = `${state.reflection || 'Here is the shader.'}\n\n(The shader code from ${label} is not repeated here.)`;
+
+    const userParts = [];
+    if (state.compileLog) {
+      userParts.push(`That shader failed to compile:\n${truncate(state.compileLog, COMPILE_LOG_LIMIT)}`);
+    }
+    userParts.push(state.feedback ? `Feedback: ${state.feedback}` : 'No feedback was given on this version.');
+
+    return [
+      { role: 'assistant', content: assistantContent },
+      { role: 'user', content: userParts.join('\n\n') }
+    ];
+  }
+
+  /**
+   * One-line summary of an earlier shader for turns that no longer fit the budget
+   * @param {Object} state - Entry from collectShaderStates
+   * @returns {string}
+   */
+  summarizeTurn(state) {
+    const parts = [state.iteration > 0 ? `Iteration ${state.iteration}` : 'Initial generation'];
+    if (state.reflection) parts.push(`you said "${truncate(state.reflection, SUMMARY_TEXT_LIMIT, true)}"`);
+    if (state.compileLog) parts.push('it failed to compile');
+    if (state.feedback) parts.push(`feedback: "${truncate(state.feedback, SUMMARY_TEXT_LIMIT, true)}"`);
+    return `- ${parts.join('; ')}`;
+  }
+
+  /**
+   * Assemble the messages for an iteration request
+   * @param {Object} options
+   * @param {string} options.systemContent - System prompt
+   * @param {string} options.prompt - The session's original description
+   * @param {Array<Object>} options.iterations - Stored session iterations, oldest first
+   * @param {string} options.fragmentShader - The shader being iterated on
+   * @param {Object} options.buffers - Its buffer passes by name
+   * @param {string|Array<Object>} options.feedbackContent - Final user message content (text, or text and images)
+   * @returns {{messages: Array<Object>, stats: Object}}
+   */
+  buildMessages({ systemContent, prompt, iterations = [], fragmentShader, buffers = {}, feedbackContent }) {
+    const states = collectShaderStates(iterations);
+    const currentShader = formatShaderPasses(fragmentShader, buffers);
+
+    // The current shader is sent in full below, so its stored entry is not part of the history
+    if (states.length > 0 && states[states.length - 1].fragmentShader === currentShader) {
+      states.pop();
+    }
+
+    const promptContent = `Create a shader that produces: ${prompt || '(no description given)'}`;
+    const system = { role: 'system', content: systemContent };
+    const current = [
+      { role: 'assistant', content: currentShader },
+      { role: 'user', content: feedbackContent }
+    ];
+
+    let remaining = this.tokenBudget - estimateTokens([system, { role: 'user', content: promptContent }, ...current]);
+    const turns = states.map(state => this.renderTurn(state));
+    const summaries = states.map(state => this.summarizeTurn(state));
+    const summaryTokens = lines => estimateContentTokens(lines.join('\n')) + 20;
+
+    // Keep the newest turns in full while every older turn can still be summarized
+    let firstFullTurn = turns.length;
+    while (firstFullTurn > 0) {
+      const turnTokens = estimateTokens(turns[firstFullTurn - 1]);
+      const olderSummaries = summaries.slice(0, firstFullTurn - 1);
+      const needed = turnTokens + (olderSummaries.length > 0 ? summaryTokens(olderSummaries) : 0);
+      if (needed > remaining) break;
+      remaining -= turnTokens;
+      firstFullTurn--;
+    }
+
+    // Summarize the rest, dropping the oldest summaries if even those do not fit
+    let summarized = summaries.slice(0, firstFullTurn);
+    let droppedCount = 0;
+    while (summarized.length > 0 && summaryTokens(summarized) > remaining) {
+      summarized = summarized.slice(1);
+      droppedCount++;
+    }
+
+    let firstUserContent = promptContent;
+    if (summarized.length > 0 || droppedCount > 0) {
+      const lines = droppedCount > 0 ? [`- (${droppedCount} earlier version(s) not shown)`, ...summarized] : summarized;
+      firstUserContent += `\n\nSummary of earlier iterations:\n${lines.join('\n')}`;
+    }
+
+    const messages = [
+      system,
+      { role: 'user', content: firstUserContent },
+      ...turns.slice(firstFullTurn).flat(),
+      ...current
+    ];
+
+    return {
+      messages,
+      stats: {
+        fullTurns: turns.length - firstFullTurn,
+        summarizedTurns: summarized.length,
+        droppedTurns: droppedCount,
+        estimatedTokens: estimateTokens(messages),
+        tokenBudget: this.tokenBudget
+      }
+    };
+  }
+}
+
+module.exports = { ConversationManager, estimateTokens, IMAGE_TOKENS };
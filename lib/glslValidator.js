@@ -0,0 +1,2872 @@
+// glslValidator.js - GLSL ES 1.0 and 3.00 parser and semantic checker for lab fragment shaders
+
+/**
+ * Validates fragment shaders the way a WebGL compiler would, so broken LLM output can be
+ * caught (and often repaired) on the server before it reaches the browser. Shaders starting
+ * with '#version 300 es' are checked as GLSL ES 3.00 (WebGL 2), all others as GLSL ES 1.0.
+ *
+ * The checker is a single-pass recursive-descent parser that type-checks while it parses,
+ * which works because GLSL requires every name to be declared before it is used. Anything it
+ * cannot type with confidence becomes 'unknown', which never produces an error on its own.
+ */
+
+const { parseUniformAnnotations } = require('./uniformAnnotations');
+
+// Uniforms the renderer sets every frame, with the types it sets them as
+const LAB_UNIFORMS = {
+  uTime: 'float',
+  uResolution: 'vec2',
+  uMouse: 'vec2',
+  uMouseClick: 'vec2',
+  uIsMouseDown: 'int',
+  uFrame: 'int',
+  uAspect: 'float'
+};
+
+// Texture channels: a sampler and its size in pixels per channel. Unassigned channels read as black.
+const TEXTURE_CHANNEL_COUNT = 4;
+const TEXTURE_CHANNEL_UNIFORMS = {};
+for (let channel = 0; channel < TEXTURE_CHANNEL_COUNT; channel++) {
+  TEXTURE_CHANNEL_UNIFORMS[`uTexture${channel}`] = 'sampler2D';
+  TEXTURE_CHANNEL_UNIFORMS[`uTexture${channel}Resolution`] = 'vec2';
+}
+
+// Buffer passes, rendered before the image pass into textures the size of the canvas, and the
+// samplers every pass reads them through. Buffers that do not exist read as black.
+const BUFFER_PASS_NAMES = ['A', 'B', 'C', 'D'];
+const BUFFER_UNIFORMS = {};
+BUFFER_PASS_NAMES.forEach(name => {
+  BUFFER_UNIFORMS[`uBuffer${name}`] = 'sampler2D';
+});
+
+// Audio input: a 512x2 texture with the spectrum in its bottom row and the waveform in its top row,
+// and smoothed levels from 0 to 1. Without audio input the texture is black and the levels are 0.
+const AUDIO_TEXTURE_SIZE = 512;
+const AUDIO_UNIFORMS = {
+  uAudio: 'sampler2D',
+  uBass: 'float',
+  uMid: 'float',
+  uTreble: 'float',
+  uVolume: 'float'
+};
+
+// The only varying written by the fixed vertex shader
+const LAB_VARYINGS = {
+  vUv: 'vec2'
+};
+
+// Inputs the renderer declares and sets for Shadertoy shaders that define mainImage() instead of main()
+const SHADERTOY_UNIFORMS = {
+  iResolution: 'vec3',
+  iTime: 'float',
+  iTimeDelta: 'float',
+  iFrame: 'int',
+  iMouse: 'vec4',
+  iDate: 'vec4',
+  iChannel0: 'sampler2D',
+  iChannel1: 'sampler2D',
+  iChannel2: 'sampler2D',
+  iChannel3: 'sampler2D'
+};
+
+const KEYWORDS = new Set([
+  'attribute', 'const', 'uniform', 'varying', 'break', 'continue', 'do', 'for', 'while', 'if', 'else',
+  'in', 'out', 'inout', 'float', 'int', 'void', 'bool', 'true', 'false', 'lowp', 'mediump', 'highp',
+  'precision', 'invariant', 'discard', 'return', 'mat2', 'mat3', 'mat4', 'vec2', 'vec3', 'vec4',
+  'ivec2', 'ivec3', 'ivec4', 'bvec2', 'bvec3', 'bvec4', 'sampler2D', 'samplerCube', 'struct'
+]);
+
+const RESERVED_WORDS = new Set([
+  'asm', 'class', 'union', 'enum', 'typedef', 'template', 'this', 'packed', 'goto', 'switch', 'default',
+  'inline', 'noinline', 'volatile', 'public', 'static', 'extern', 'external', 'interface', 'flat', 'long',
+  'short', 'double', 'half', 'fixed', 'unsigned', 'superp', 'input', 'output', 'hvec2', 'hvec3', 'hvec4',
+  'dvec2', 'dvec3', 'dvec4', 'fvec2', 'fvec3', 'fvec4', 'sampler1D', 'sampler3D', 'sampler1DShadow',
+  'sampler2DShadow', 'sampler2DRect', 'sampler3DRect', 'sampler2DRectShadow', 'sizeof', 'cast',
+  'namespace', 'using', 'case', 'uint', 'uvec2', 'uvec3', 'uvec4', 'layout', 'centroid', 'smooth'
+]);
+
+const BASIC_TYPES = new Set([
+  'void', 'bool', 'int', 'float', 'vec2', 'vec3', 'vec4', 'ivec2', 'ivec3', 'ivec4',
+  'bvec2', 'bvec3', 'bvec4', 'mat2', 'mat3', 'mat4', 'sampler2D', 'samplerCube'
+]);
+
+// Types added by GLSL ES 3.00; in GLSL ES 1.0 they are reserved words
+const ES3_TYPES = new Set(['uint', 'uvec2', 'uvec3', 'uvec4', 'sampler3D', 'sampler2DArray']);
+
+// Keywords of GLSL ES 3.00 that are not keywords of GLSL ES 1.0
+const ES3_KEYWORDS = new Set([...ES3_TYPES, 'switch', 'case', 'default', 'layout', 'centroid', 'flat', 'smooth']);
+
+const VECTOR_TYPES = {
+  vec2: ['float', 2], vec3: ['float', 3], vec4: ['float', 4],
+  ivec2: ['int', 2], ivec3: ['int', 3], ivec4: ['int', 4],
+  uvec2: ['uint', 2], uvec3: ['uint', 3], uvec4: ['uint', 4],
+  bvec2: ['bool', 2], bvec3: ['bool', 3], bvec4: ['bool', 4]
+};
+
+const MATRIX_TYPES = { mat2: 2, mat3: 3, mat4: 4 };
+
+const PRECISION_QUALIFIERS = new Set(['lowp', 'mediump', 'highp']);
+const STORAGE_QUALIFIERS = new Set(['const', 'uniform', 'varying', 'attribute']);
+const INTERPOLATION_QUALIFIERS = new Set(['flat', 'smooth', 'centroid']);
+
+const OPERATORS = [
+  '<<=', '>>=', '++', '--', '<<', '>>', '<=', '>=', '==', '!=', '&&', '||', '^^', '+=', '-=', '*=',
+  '/=', '%=', '&=', '|=', '^=', '+', '-', '*', '/', '%', '<', '>', '=', '!', '~', '&', '|', '^', '?',
+  ':', ';', ',', '.', '(', ')', '[', ']', '{', '}'
+];
+
+const ASSIGNMENT_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '<<=', '>>=', '&=', '|=', '^=']);
+
+// Built-in function signatures. genType expands to float/vec2/vec3/vec4, and genIType, genUType
+// and genBType to their int, uint and bool counterparts; vec, ivec, uvec, bvec and mat expand to
+// their 2-4 component forms, all with the same size within one signature.
+const BUILTIN_SIGNATURES = [
+  'genType radians(genType)', 'genType degrees(genType)', 'genType sin(genType)', 'genType cos(genType)',
+  'genType tan(genType)', 'genType asin(genType)', 'genType acos(genType)', 'genType atan(genType, genType)',
+  'genType atan(genType)', 'genType pow(genType, genType)', 'genType exp(genType)', 'genType log(genType)',
+  'genType exp2(genType)', 'genType log2(genType)', 'genType sqrt(genType)', 'genType inversesqrt(genType)',
+  'genType abs(genType)', 'genType sign(genType)', 'genType floor(genType)', 'genType ceil(genType)',
+  'genType fract(genType)', 'genType mod(genType, float)', 'genType mod(genType, genType)',
+  'genType min(genType, genType)', 'genType min(genType, float)', 'genType max(genType, genType)',
+  'genType max(genType, float)', 'genType clamp(genType, genType, genType)',
+  'genType clamp(genType, float, float)', 'genType mix(genType, genType, genType)',
+  'genType mix(genType, genType, float)', 'genType step(genType, genType)', 'genType step(float, genType)',
+  'genType smoothstep(genType, genType, genType)', 'genType smoothstep(float, float, genType)',
+  'float length(genType)', 'float distance(genType, genType)', 'float dot(genType, genType)',
+  'vec3 cross(vec3, vec3)', 'genType normalize(genType)', 'genType faceforward(genType, genType, genType)',
+  'genType reflect(genType, genType)', 'genType refract(genType, genType, float)',
+  'mat matrixCompMult(mat, mat)',
+  'bvec lessThan(vec, vec)', 'bvec lessThan(ivec, ivec)', 'bvec lessThanEqual(vec, vec)',
+  'bvec lessThanEqual(ivec, ivec)', 'bvec greaterThan(vec, vec)', 'bvec greaterThan(ivec, ivec)',
+  'bvec greaterThanEqual(vec, vec)', 'bvec greaterThanEqual(ivec, ivec)', 'bvec equal(vec, vec)',
+  'bvec equal(ivec, ivec)', 'bvec equal(bvec, bvec)', 'bvec notEqual(vec, vec)', 'bvec notEqual(ivec, ivec)',
+  'bvec notEqual(bvec, bvec)', 'bool any(bvec)', 'bool all(bvec)', 'bvec not(bvec)',
+  'vec4 texture2D(sampler2D, vec2)', 'vec4 texture2D(sampler2D, vec2, float)',
+  'vec4 texture2DProj(sampler2D, vec3)', 'vec4 texture2DProj(sampler2D, vec3, float)',
+  'vec4 texture2DProj(sampler2D, vec4)', 'vec4 texture2DProj(sampler2D, vec4, float)',
+  'vec4 textureCube(samplerCube, vec3)', 'vec4 textureCube(samplerCube, vec3, float)'
+];
+
+// GLSL ES 1.0 texture lookups, which GLSL ES 3.00 replaces with texture() and friends
+const ES1_TEXTURE_FUNCTIONS = ['texture2D', 'texture2DProj', 'textureCube'];
+
+// Built-ins added by GLSL ES 3.00
+const ES3_SIGNATURES = [
+  'genType sinh(genType)', 'genType cosh(genType)', 'genType tanh(genType)', 'genType asinh(genType)',
+  'genType acosh(genType)', 'genType atanh(genType)', 'genType trunc(genType)', 'genType round(genType)',
+  'genType roundEven(genType)', 'genType modf(genType, genType)', 'genBType isnan(genType)', 'genBType isinf(genType)',
+  'genIType abs(genIType)', 'genIType sign(genIType)',
+  'genIType min(genIType, genIType)', 'genIType min(genIType, int)', 'genUType min(genUType, genUType)',
+  'genUType min(genUType, uint)', 'genIType max(genIType, genIType)', 'genIType max(genIType, int)',
+  'genUType max(genUType, genUType)', 'genUType max(genUType, uint)', 'genIType clamp(genIType, genIType, genIType)',
+  'genIType clamp(genIType, int, int)', 'genUType clamp(genUType, genUType, genUType)',
+  'genUType clamp(genUType, uint, uint)', 'genType mix(genType, genType, genBType)',
+  'genIType floatBitsToInt(genType)', 'genUType floatBitsToUint(genType)', 'genType intBitsToFloat(genIType)',
+  'genType uintBitsToFloat(genUType)',
+  'genType dFdx(genType)', 'genType dFdy(genType)', 'genType fwidth(genType)',
+  'mat transpose(mat)', 'float determinant(mat)', 'mat inverse(mat)', 'mat outerProduct(vec, vec)',
+  'bvec lessThan(uvec, uvec)', 'bvec lessThanEqual(uvec, uvec)', 'bvec greaterThan(uvec, uvec)',
+  'bvec greaterThanEqual(uvec, uvec)', 'bvec equal(uvec, uvec)', 'bvec notEqual(uvec, uvec)',
+  'vec4 texture(sampler2D, vec2)', 'vec4 texture(sampler2D, vec2, float)', 'vec4 texture(samplerCube, vec3)',
+  'vec4 texture(samplerCube, vec3, float)', 'vec4 texture(sampler3D, vec3)', 'vec4 texture(sampler3D, vec3, float)',
+  'vec4 texture(sampler2DArray, vec3)', 'vec4 texture(sampler2DArray, vec3, float)',
+  'vec4 textureLod(sampler2D, vec2, float)', 'vec4 textureLod(samplerCube, vec3, float)',
+  'vec4 textureLod(sampler3D, vec3, float)', 'vec4 textureLod(sampler2DArray, vec3, float)',
+  'vec4 textureProj(sampler2D, vec3)', 'vec4 textureProj(sampler2D, vec4)',
+  'vec4 textureGrad(sampler2D, vec2, vec2, vec2)', 'vec4 textureGrad(samplerCube, vec3, vec3, vec3)',
+  'vec4 texelFetch(sampler2D, ivec2, int)', 'vec4 texelFetch(sampler3D, ivec3, int)',
+  'vec4 texelFetch(sampler2DArray, ivec3, int)', 'ivec2 textureSize(sampler2D, int)',
+  'ivec2 textureSize(samplerCube, int)', 'ivec3 textureSize(sampler3D, int)', 'ivec3 textureSize(sampler2DArray, int)'
+];
+
+// Built-ins that are only available when an extension is enabled
+const EXTENSION_SIGNATURES = {
+  GL_OES_standard_derivatives: [
+    'genType dFdx(genType)', 'genType dFdy(genType)', 'genType fwidth(genType)'
+  ],
+  GL_EXT_shader_texture_lod: [
+    'vec4 texture2DLodEXT(sampler2D, vec2, float)', 'vec4 texture2DProjLodEXT(sampler2D, vec3, float)',
+    'vec4 texture2DProjLodEXT(sampler2D, vec4, float)', 'vec4 textureCubeLodEXT(samplerCube, vec3, float)',
+    'vec4 texture2DGradEXT(sampler2D, vec2, vec2, vec2)', 'vec4 textureCubeGradEXT(samplerCube, vec3, vec3, vec3)'
+  ]
+};
+
+// Built-ins whose result is never a constant expression
+const NON_CONSTANT_BUILTINS = new Set([
+  'texture2D', 'texture2DProj', 'textureCube', 'dFdx', 'dFdy', 'fwidth', 'texture2DLodEXT',
+  'texture2DProjLodEXT', 'textureCubeLodEXT', 'texture2DGradEXT', 'textureCubeGradEXT',
+  'texture', 'textureLod', 'textureProj', 'textureGrad', 'texelFetch', 'textureSize'
+]);
+
+// Names GLSL ES 3.00 uses where GLSL ES 1.0 has a different spelling
+const ES3_ONLY_HINTS = {
+  texture: "use texture2D() in GLSL ES 1.0",
+  textureLod: "use texture2D() (or texture2DLodEXT with GL_EXT_shader_texture_lod) in GLSL ES 1.0",
+  texelFetch: "texelFetch is not available in GLSL ES 1.0; use texture2D() with normalized coordinates",
+  round: "use floor(x + 0.5) in GLSL ES 1.0",
+  trunc: "trunc is not available in GLSL ES 1.0",
+  tanh: "tanh is not available in GLSL ES 1.0; use (exp(2.0 * x) - 1.0) / (exp(2.0 * x) + 1.0)",
+  sinh: "sinh is not available in GLSL ES 1.0",
+  cosh: "cosh is not available in GLSL ES 1.0",
+  inverse: "inverse() is not available in GLSL ES 1.0",
+  transpose: "transpose() is not available in GLSL ES 1.0",
+  determinant: "determinant() is not available in GLSL ES 1.0",
+  fragColor: "write to gl_FragColor in GLSL ES 1.0"
+};
+
+// Names GLSL ES 1.0 uses that GLSL ES 3.00 spells differently or dropped
+const ES1_ONLY_HINTS = {
+  texture2D: "use texture() in GLSL ES 3.00",
+  texture2DProj: "use textureProj() in GLSL ES 3.00",
+  textureCube: "use texture() in GLSL ES 3.00",
+  texture2DLodEXT: "use textureLod() in GLSL ES 3.00",
+  textureCubeLodEXT: "use textureLod() in GLSL ES 3.00",
+  texture2DGradEXT: "use textureGrad() in GLSL ES 3.00",
+  gl_FragColor: "declare 'out vec4 fragColor;' and write to it in GLSL ES 3.00",
+  gl_FragData: "declare 'out vec4 fragColor;' and write to it in GLSL ES 3.00"
+};
+
+// Generic types of the signatures: [scalar type, vector type prefix]
+const GENERIC_TYPES = {
+  genType: ['float', 'vec'],
+  genIType: ['int', 'ivec'],
+  genUType: ['uint', 'uvec'],
+  genBType: ['bool', 'bvec']
+};
+
+/**
+ * Expand the signature list into a lookup table
+ * @param {Array<string>} signatures - Signature strings such as 'genType sin(genType)'
+ * @param {Object} table - name -> [{ params, returnType }]
+ * @returns {Object} - The same table
+ */
+function addSignatures(signatures, table = {}) {
+  signatures.forEach(signature => {
+    const match = signature.match(/^(\w+)\s+(\w+)\((.*)\)$/);
+    const [, returnType, name, paramList] = match;
+    const words = [returnType, ...paramList.split(',').map(param => param.trim())];
+
+    let sizes = [null];
+    if (words.some(word => GENERIC_TYPES[word])) {
+      sizes = [1, 2, 3, 4];
+    } else if (words.some(word => ['vec', 'ivec', 'uvec', 'bvec', 'mat'].includes(word))) {
+      sizes = [2, 3, 4];
+    }
+
+    sizes.forEach(size => {
+      const expanded = words.map(word => {
+        if (GENERIC_TYPES[word]) return size === 1 ? GENERIC_TYPES[word][0] : `${GENERIC_TYPES[word][1]}${size}`;
+        if (['vec', 'ivec', 'uvec', 'bvec', 'mat'].includes(word)) return `${word}${size}`;
+        return word;
+      });
+      table[name] = table[name] || [];
+      table[name].push({ returnType: expanded[0], params: expanded.slice(1) });
+    });
+  });
+  return table;
+}
+
+const BUILTIN_FUNCTIONS = addSignatures(BUILTIN_SIGNATURES);
+const ES3_BUILTIN_FUNCTIONS = addSignatures(ES3_SIGNATURES, Object.fromEntries(
+  Object.entries(BUILTIN_FUNCTIONS).filter(([name]) => !ES1_TEXTURE_FUNCTIONS.includes(name))
+));
+const EXTENSION_FUNCTIONS = {};
+Object.entries(EXTENSION_SIGNATURES).forEach(([extension, signatures]) => {
+  EXTENSION_FUNCTIONS[extension] = addSignatures(signatures);
+});
+
+// ---------------------------------------------------------------------------------------------
+// Type helpers
+// ---------------------------------------------------------------------------------------------
+
+function isArrayType(type) {
+  return typeof type === 'string' && type.endsWith(']');
+}
+
+function elementTypeOf(type) {
+  return type.slice(0, type.indexOf('['));
+}
+
+function baseTypeOf(type) {
+  if (isScalar(type)) return type;
+  if (VECTOR_TYPES[type]) return VECTOR_TYPES[type][0];
+  if (MATRIX_TYPES[type]) return 'float';
+  return null;
+}
+
+function componentCount(type) {
+  if (isScalar(type)) return 1;
+  if (VECTOR_TYPES[type]) return VECTOR_TYPES[type][1];
+  if (MATRIX_TYPES[type]) return MATRIX_TYPES[type] * MATRIX_TYPES[type];
+  return 0;
+}
+
+function isScalar(type) {
+  return type === 'float' || type === 'int' || type === 'uint' || type === 'bool';
+}
+
+function isVector(type) {
+  return !!VECTOR_TYPES[type];
+}
+
+function isMatrix(type) {
+  return !!MATRIX_TYPES[type];
+}
+
+function vectorTypeOf(base, size) {
+  if (size === 1) return base;
+  return { float: 'vec', int: 'ivec', uint: 'uvec', bool: 'bvec' }[base] + size;
+}
+
+function isSampler(type) {
+  return type === 'sampler2D' || type === 'samplerCube' || type === 'sampler3D' || type === 'sampler2DArray';
+}
+
+function isIntegerBased(type) {
+  return baseTypeOf(type) === 'int' || baseTypeOf(type) === 'uint';
+}
+
+function isFloatBased(type) {
+  return baseTypeOf(type) === 'float' || (isArrayType(type) && baseTypeOf(elementTypeOf(type)) === 'float');
+}
+
+// ---------------------------------------------------------------------------------------------
+// Errors
+// ---------------------------------------------------------------------------------------------
+
+/**
+ * Thrown for syntax errors; parsing stops at the first one, like a real compiler
+ */
+class GlslSyntaxError extends Error {
+  constructor(message, token) {
+    super(message);
+    this.name = 'GlslSyntaxError';
+    this.line = token ? token.line : 0;
+    this.column = token ? token.column : 0;
+  }
+}
+
+// ---------------------------------------------------------------------------------------------
+// Preprocessor and lexer
+// ---------------------------------------------------------------------------------------------
+
+/**
+ * Replace comments with spaces, keeping every offset and newline where it was
+ * @param {string} source - Shader source
+ * @returns {string}
+ */
+function blankComments(source) {
+  let result = '';
+  let i = 0;
+  while (i < source.length) {
+    if (source[i] === '/' && source[i + 1] === '/') {
+      while (i < source.length && source[i] !== '\n') {
+        result += ' ';
+        i++;
+      }
+    } else if (source[i] === '/' && source[i + 1] === '*') {
+      result += '  ';
+      i += 2;
+      while (i < source.length && !(source[i] === '*' && source[i + 1] === '/')) {
+        result += source[i] === '\n' ? '\n' : ' ';
+        i++;
+      }
+      if (i < source.length) {
+        result += '  ';
+        i += 2;
+      }
+    } else {
+      result += source[i];
+      i++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Split one line of source into tokens
+ * @param {string} text - Line text (comments already blanked)
+ * @param {number} lineNumber - 1-based line number
+ * @param {number} lineOffset - Offset of the line start in the source
+ * @param {Function} report - report(message, line, column) for lexical errors
+ * @param {boolean} es3 - Whether the shader is GLSL ES 3.00, which has unsigned literals
+ * @returns {Array<Object>} - Tokens: { type, value, line, column, offset, end }
+ */
+function tokenizeLine(text, lineNumber, lineOffset, report, es3 = false) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    const makeToken = (type, value) => ({
+      type,
+      value,
+      line: lineNumber,
+      column: start + 1,
+      offset: lineOffset + start,
+      end: lineOffset + i
+    });
+
+    if (/[A-Za-z_]/.test(char)) {
+      while (i < text.length && /[A-Za-z0-9_]/.test(text[i])) i++;
+      tokens.push(makeToken('ident', text.slice(start, i)));
+      continue;
+    }
+
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(text[i + 1] || ''))) {
+      const rest = text.slice(i);
+      const hex = rest.match(/^0[xX][0-9a-fA-F]+/);
+      const float = rest.match(/^(\d+\.\d*|\.\d+)([eE][+-]?\d+)?|^\d+[eE][+-]?\d+/);
+      let type;
+      let literal;
+      if (hex) {
+        type = 'int';
+        literal = hex[0];
+      } else if (float) {
+        type = 'float';
+        literal = float[0];
+      } else {
+        type = 'int';
+        literal = rest.match(/^\d+/)[0];
+      }
+      i += literal.length;
+
+      // GLSL ES 3.00 marks unsigned integers with a u suffix; suffixes like 1.0f are not part of GLSL ES
+      const suffix = text.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      if (suffix && es3 && type === 'int' && (suffix[0] === 'u' || suffix[0] === 'U')) {
+        type = 'uint';
+        i += 1;
+      } else if (suffix) {
+        report(`'${literal}${suffix[0]}' : invalid number suffix`, lineNumber, start + 1);
+        i += suffix[0].length;
+      }
+      tokens.push(makeToken(type, literal));
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => text.startsWith(op, i));
+    if (operator) {
+      i += operator.length;
+      tokens.push(makeToken('op', operator));
+      continue;
+    }
+
+    report(`'${char}' : invalid character`, lineNumber, start + 1);
+    i++;
+  }
+
+  return tokens;
+}
+
+/**
+ * Evaluate a #if expression
+ * @param {Array<Object>} tokens - Tokens after macro expansion, with defined() already resolved
+ * @returns {number}
+ */
+function evaluateDirectiveExpression(tokens) {
+  let position = 0;
+  const peek = () => tokens[position] && tokens[position].value;
+  const next = () => tokens[position++];
+
+  const binaryLevels = [
+    ['||'], ['&&'], ['|'], ['^'], ['&'], ['==', '!='], ['<', '>', '<=', '>='], ['<<', '>>'], ['+', '-'], ['*', '/', '%']
+  ];
+
+  function parseUnary() {
+    const token = next();
+    if (!token) throw new Error('unexpected end of #if expression');
+    if (token.value === '(') {
+      const value = parseLevel(0);
+      if (next() === undefined) throw new Error('missing )');
+      return value;
+    }
+    if (token.value === '!') return parseUnary() ? 0 : 1;
+    if (token.value === '-') return -parseUnary();
+    if (token.value === '+') return parseUnary();
+    if (token.value === '~') return ~parseUnary();
+    if (token.type === 'int' || token.type === 'float') return Number(token.value);
+    // Undefined identifiers evaluate to 0
+    return 0;
+  }
+
+  function parseLevel(level) {
+    if (level >= binaryLevels.length) return parseUnary();
+    let left = parseLevel(level + 1);
+    while (binaryLevels[level].includes(peek())) {
+      const op = next().value;
+      const right = parseLevel(level + 1);
+      switch (op) {
+        case '||': left = (left || right) ? 1 : 0; break;
+        case '&&': left = (left && right) ? 1 : 0; break;
+        case '|': left = left | right; break;
+        case '^': left = left ^ right; break;
+        case '&': left = left & right; break;
+        case '==': left = left === right ? 1 : 0; break;
+        case '!=': left = left !== right ? 1 : 0; break;
+        case '<': left = left < right ? 1 : 0; break;
+        case '>': left = left > right ? 1 : 0; break;
+        case '<=': left = left <= right ? 1 : 0; break;
+        case '>=': left = left >= right ? 1 : 0; break;
+        case '<<': left = left << right; break;
+        case '>>': left = left >> right; break;
+        case '+': left = left + right; break;
+        case '-': left = left - right; break;
+        case '*': left = left * right; break;
+        case '/': left = right === 0 ? 0 : Math.trunc(left / right); break;
+        case '%': left = right === 0 ? 0 : left % right; break;
+      }
+    }
+    return left;
+  }
+
+  return parseLevel(0);
+}
+
+/**
+ * Run the preprocessor and lexer
+ * @param {string} source - Shader source
+ * @param {Function} report - report(message, line, column, severity)
+ * @param {Array<Object>} fixes - Mechanical fixes found so far, added to
+ * @returns {{tokens: Array<Object>, version: number, extensions: Set<string>, versionLine: number}}
+ */
+function preprocess(source, report, fixes = []) {
+  const text = blankComments(source);
+  const lines = text.split('\n');
+  const macros = new Map([
+    ['GL_ES', { params: null, body: [{ type: 'int', value: '1' }] }],
+    ['__VERSION__', { params: null, body: [{ type: 'int', value: '100' }] }],
+    ['GL_FRAGMENT_PRECISION_HIGH', { params: null, body: [{ type: 'int', value: '1' }] }]
+  ]);
+  const extensions = new Set();
+  const conditionStack = [];
+  const output = [];
+  let pending = [];
+  let version = 100;
+  let versionLine = 0;
+  let sawCode = false;
+  let offset = 0;
+
+  const isActive = () => conditionStack.every(entry => entry.active);
+
+  /**
+   * Expand macros in a token list
+   * @param {Array<Object>} tokens - Raw tokens
+   * @param {Array<string>} expanding - Macros currently being expanded (to stop recursion)
+   * @returns {Array<Object>}
+   */
+  function expand(tokens, expanding = []) {
+    const result = [];
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const macro = token.type === 'ident' && macros.get(token.value);
+      if (!macro || expanding.includes(token.value)) {
+        result.push(token);
+        continue;
+      }
+
+      // Expanded tokens keep the position of the macro use for error reporting
+      const relocate = bodyToken => ({ ...bodyToken, line: token.line, column: token.column, offset: token.offset, end: token.end, fromMacro: token.value });
+
+      if (!macro.params) {
+        result.push(...expand(macro.body.map(relocate), [...expanding, token.value]));
+        continue;
+      }
+
+      // Function-like macro without arguments is just an identifier
+      if (!tokens[i + 1] || tokens[i + 1].value !== '(') {
+        result.push(token);
+        continue;
+      }
+
+      const args = [[]];
+      let depth = 0;
+      let j = i + 2;
+      for (; j < tokens.length; j++) {
+        const value = tokens[j].value;
+        if (value === '(') depth++;
+        if (value === ')') {
+          if (depth === 0) break;
+          depth--;
+        }
+        if (value === ',' && depth === 0) {
+          args.push([]);
+        } else {
+          args[args.length - 1].push(tokens[j]);
+        }
+      }
+      if (j >= tokens.length) {
+        report(`'${token.value}' : unterminated macro invocation`, token.line, token.column);
+        result.push(token);
+        continue;
+      }
+      if (macro.params.length === 0 && args.length === 1 && args[0].length === 0) {
+        args.length = 0;
+      }
+      if (args.length !== macro.params.length) {
+        report(`'${token.value}' : macro expects ${macro.params.length} arguments, got ${args.length}`, token.line, token.column);
+      }
+
+      const substituted = [];
+      macro.body.forEach(bodyToken => {
+        const paramIndex = bodyToken.type === 'ident' ? macro.params.indexOf(bodyToken.value) : -1;
+        if (paramIndex !== -1) {
+          substituted.push(...expand(args[paramIndex] || [], expanding));
+        } else {
+          substituted.push(relocate(bodyToken));
+        }
+      });
+      result.push(...expand(substituted, [...expanding, token.value]));
+      i = j;
+    }
+    return result;
+  }
+
+  const flush = () => {
+    output.push(...expand(pending));
+    pending = [];
+  };
+
+  lines.forEach((lineText, index) => {
+    const lineNumber = index + 1;
+    const lineOffset = offset;
+    offset += lineText.length + 1;
+
+    const trimmed = lineText.trim();
+    if (!trimmed.startsWith('#')) {
+      if (isActive()) {
+        const tokens = tokenizeLine(lineText, lineNumber, lineOffset, report, version === 300);
+        if (tokens.length > 0) sawCode = true;
+        pending.push(...tokens);
+      }
+      return;
+    }
+
+    const directiveMatch = trimmed.match(/^#\s*(\w*)\s*(.*)$/);
+    const directive = directiveMatch ? directiveMatch[1] : '';
+    const rest = directiveMatch ? directiveMatch[2] : '';
+    const restOffset = lineOffset + lineText.indexOf(rest, lineText.indexOf('#') + 1 + directive.length);
+    const restTokens = () => tokenizeLine(rest, lineNumber, restOffset, report, version === 300);
+
+    // Conditional directives are tracked even inside inactive regions
+    if (directive === 'ifdef' || directive === 'ifndef' || directive === 'if') {
+      let condition = false;
+      if (isActive()) {
+        if (directive === 'if') {
+          flush();
+          const tokens = restTokens();
+          const resolved = [];
+          for (let i = 0; i < tokens.length; i++) {
+            if (tokens[i].value === 'defined') {
+              const hasParen = tokens[i + 1] && tokens[i + 1].value === '(';
+              const nameToken = tokens[i + (hasParen ? 2 : 1)];
+              resolved.push({ type: 'int', value: nameToken && macros.has(nameToken.value) ? '1' : '0' });
+              i += hasParen ? 3 : 1;
+            } else {
+              resolved.push(tokens[i]);
+            }
+          }
+          try {
+            condition = !!evaluateDirectiveExpression(expand(resolved));
+          } catch (error) {
+            report(`#if : ${error.message}`, lineNumber, 1);
+          }
+        } else {
+          const name = rest.split(/\s+/)[0];
+          condition = directive === 'ifdef' ? macros.has(name) : !macros.has(name);
+        }
+      }
+      conditionStack.push({ active: isActive() && condition, taken: condition, parentActive: isActive() });
+      return;
+    }
+
+    if (directive === 'elif' || directive === 'else') {
+      const entry = conditionStack[conditionStack.length - 1];
+      if (!entry) {
+        report(`#${directive} : unexpected #${directive} without #if`, lineNumber, 1);
+        return;
+      }
+      let condition = directive === 'else';
+      if (directive === 'elif' && entry.parentActive && !entry.taken) {
+        try {
+          condition = !!evaluateDirectiveExpression(expand(restTokens()));
+        } catch (error) {
+          report(`#elif : ${error.message}`, lineNumber, 1);
+        }
+      }
+      entry.active = entry.parentActive && !entry.taken && condition;
+      entry.taken = entry.taken || entry.active;
+      return;
+    }
+
+    if (directive === 'endif') {
+      if (!conditionStack.pop()) {
+        report('#endif : unexpected #endif without #if', lineNumber, 1);
+      }
+      return;
+    }
+
+    if (!isActive()) return;
+
+    switch (directive) {
+      case 'version': {
+        if (sawCode || versionLine) {
+          report('#version : #version directive must occur before anything else, except for comments and white space', lineNumber, 1);
+        }
+        versionLine = lineNumber;
+        const versionMatch = rest.match(/^(\d+)(\s+es)?\s*$/);
+        if (versionMatch && versionMatch[1] === '300' && versionMatch[2]) {
+          version = 300;
+          macros.set('__VERSION__', { params: null, body: [{ type: 'int', value: '300' }] });
+          // WebGL 2 rejects anything, even an empty line, before '#version 300 es'
+          if (lineNumber !== 1) {
+            report('#version : #version 300 es must be on the first line of the shader', lineNumber, 1);
+            fixes.push({ kind: 'versionFirstLine' });
+          }
+        } else if (!versionMatch || versionMatch[1] !== '100') {
+          report(`#version : version ${rest.trim()} is not supported by WebGL; use '#version 300 es' for GLSL ES 3.00 (WebGL 2), or no #version line for GLSL ES 1.0`, lineNumber, 1);
+        }
+        break;
+      }
+      case 'define': {
+        flush();
+        const defineMatch = rest.match(/^([A-Za-z_]\w*)(\(([^)]*)\))?\s*(.*)$/);
+        if (!defineMatch) {
+          report('#define : invalid macro definition', lineNumber, 1);
+          break;
+        }
+        const [, name, , paramList, body] = defineMatch;
+        if (name.startsWith('GL_')) {
+          report(`#define : macro names beginning with "GL_" are reserved`, lineNumber, 1);
+        }
+        const bodyOffset = lineOffset + lineText.lastIndexOf(body);
+        macros.set(name, {
+          params: paramList !== undefined ? paramList.split(',').map(param => param.trim()).filter(Boolean) : null,
+          body: tokenizeLine(body, lineNumber, bodyOffset, report, version === 300)
+        });
+        sawCode = true;
+        break;
+      }
+      case 'undef':
+        flush();
+        macros.delete(rest.trim());
+        break;
+      case 'extension': {
+        const extensionMatch = rest.match(/^(\w+)\s*:\s*(\w+)/);
+        if (extensionMatch && extensionMatch[2] !== 'disable') {
+          extensions.add(extensionMatch[1]);
+        }
+        break;
+      }
+      case 'error':
+        report(`#error : ${rest}`, lineNumber, 1);
+        break;
+      case 'pragma':
+      case 'line':
+      case '':
+        break;
+      default:
+        report(`#${directive} : invalid directive`, lineNumber, 1);
+    }
+  });
+
+  flush();
+  if (conditionStack.length > 0) {
+    report('#endif : missing #endif', lines.length, 1);
+  }
+
+  return { tokens: output, version, extensions, versionLine };
+}
+
+// ---------------------------------------------------------------------------------------------
+// Parser and semantic checker
+// ---------------------------------------------------------------------------------------------
+
+class GlslChecker {
+  /**
+   * @param {Array<Object>} tokens - Preprocessed tokens
+   * @param {Object} options - { uniforms, extensions, version, report }
+   */
+  constructor(tokens, options) {
+    this.tokens = tokens;
+    this.position = 0;
+    this.report = options.report;
+    this.fixes = options.fixes;
+    this.extensions = options.extensions;
+    this.labUniforms = options.uniforms;
+
+    // GLSL ES 3.00 lifts most WebGL 1 restrictions and declares inputs and outputs with in/out
+    this.es3 = options.version === 300;
+    this.versionName = this.es3 ? 'GLSL ES 3.00' : 'GLSL ES 1.0';
+    this.inputKeyword = this.es3 ? 'in' : 'varying';
+    this.versionHints = this.es3 ? ES1_ONLY_HINTS : ES3_ONLY_HINTS;
+
+    this.scopes = [new Map()];
+    this.structs = new Map();
+    this.functions = new Map();
+    this.declaredUniforms = [];
+    this.declaredVaryings = [];
+    this.declaredOutputs = [];
+    this.floatPrecisionDeclared = false;
+    this.reportedMissingPrecision = false;
+    this.currentFunction = null;
+    this.loopIndices = [];
+    this.loopDepth = 0;
+    this.switchDepth = 0;
+    this.writesFragColor = false;
+    this.mainDefined = false;
+
+    // The WebGL 1 extensions' functions are part of GLSL ES 3.00 under new names
+    this.builtinFunctions = { ...(this.es3 ? ES3_BUILTIN_FUNCTIONS : BUILTIN_FUNCTIONS) };
+    if (!this.es3) {
+      this.extensions.forEach(extension => {
+        Object.entries(EXTENSION_FUNCTIONS[extension] || {}).forEach(([name, signatures]) => {
+          this.builtinFunctions[name] = signatures;
+        });
+      });
+    }
+
+    this.declareBuiltinVariables();
+  }
+
+  declareBuiltinVariables() {
+    const builtins = {
+      gl_FragCoord: ['vec4', true],
+      gl_FrontFacing: ['bool', true],
+      gl_PointCoord: ['vec2', true],
+      gl_FragColor: ['vec4', false],
+      gl_FragData: ['vec4[1]', false],
+      gl_MaxVertexAttribs: ['int', true],
+      gl_MaxVertexUniformVectors: ['int', true],
+      gl_MaxVaryingVectors: ['int', true],
+      gl_MaxVertexTextureImageUnits: ['int', true],
+      gl_MaxCombinedTextureImageUnits: ['int', true],
+      gl_MaxTextureImageUnits: ['int', true],
+      gl_MaxFragmentUniformVectors: ['int', true],
+      gl_MaxDrawBuffers: ['int', true]
+    };
+    if (this.es3) {
+      delete builtins.gl_FragColor;
+      delete builtins.gl_FragData;
+      delete builtins.gl_MaxVaryingVectors;
+      Object.assign(builtins, {
+        gl_FragDepth: ['float', false],
+        gl_MaxVertexOutputVectors: ['int', true],
+        gl_MaxFragmentInputVectors: ['int', true],
+        gl_MinProgramTexelOffset: ['int', true],
+        gl_MaxProgramTexelOffset: ['int', true]
+      });
+    }
+    Object.entries(builtins).forEach(([name, [type, readonly]]) => {
+      this.scopes[0].set(name, {
+        name,
+        type,
+        qualifier: 'builtin',
+        readonly,
+        constant: /^gl_M(ax|in)/.test(name),
+        used: false
+      });
+    });
+  }
+
+  // --- token helpers -------------------------------------------------------------------------
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset] || { type: 'eof', value: '<end of shader>', line: this.lastLine(), column: 1 };
+  }
+
+  lastLine() {
+    const last = this.tokens[this.tokens.length - 1];
+    return last ? last.line : 1;
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== 'eof') this.position++;
+    return token;
+  }
+
+  check(value) {
+    return this.peek().value === value && this.peek().type !== 'eof';
+  }
+
+  accept(value) {
+    if (this.check(value)) {
+      return this.next();
+    }
+    return null;
+  }
+
+  expect(value, context) {
+    const token = this.peek();
+    if (token.value !== value || token.type === 'eof') {
+      const where = token.type === 'eof' ? 'end of shader' : `'${token.value}'`;
+      throw new GlslSyntaxError(`'${where === 'end of shader' ? '' : token.value}' : syntax error, expected '${value}'${context ? ` ${context}` : ''} but found ${where}`, token);
+    }
+    return this.next();
+  }
+
+  error(message, token) {
+    this.report(message, token ? token.line : this.peek().line, token ? token.column : this.peek().column, 'error');
+  }
+
+  warning(message, token) {
+    this.report(message, token ? token.line : this.peek().line, token ? token.column : this.peek().column, 'warning');
+  }
+
+  // --- scopes --------------------------------------------------------------------------------
+
+  pushScope() {
+    this.scopes.push(new Map());
+  }
+
+  popScope() {
+    this.scopes.pop();
+  }
+
+  lookup(name) {
+    for (let i = this.scopes.length - 1; i >= 0; i--) {
+      if (this.scopes[i].has(name)) return this.scopes[i].get(name);
+    }
+    return null;
+  }
+
+  declare(symbol, token) {
+    const scope = this.scopes[this.scopes.length - 1];
+    if (scope.has(symbol.name) && scope.get(symbol.name).qualifier !== 'builtin') {
+      this.error(`'${symbol.name}' : redefinition`, token);
+    }
+    if (symbol.name.startsWith('gl_')) {
+      this.error(`'${symbol.name}' : identifiers starting with "gl_" are reserved`, token);
+    }
+    scope.set(symbol.name, symbol);
+  }
+
+  isBasicType(name) {
+    return BASIC_TYPES.has(name) || (this.es3 && ES3_TYPES.has(name));
+  }
+
+  isTypeName(token) {
+    return token.type === 'ident' && (this.isBasicType(token.value) || this.structs.has(token.value));
+  }
+
+  checkIdentifier(token) {
+    if (token.type !== 'ident') {
+      throw new GlslSyntaxError(`'${token.value}' : syntax error, expected an identifier`, token);
+    }
+    if (KEYWORDS.has(token.value) || (this.es3 && ES3_KEYWORDS.has(token.value))) {
+      throw new GlslSyntaxError(`'${token.value}' : syntax error, '${token.value}' is a keyword`, token);
+    }
+    if (RESERVED_WORDS.has(token.value)) {
+      this.error(`'${token.value}' : Illegal use of reserved word`, token);
+    }
+    if (token.value.includes('__')) {
+      this.warning(`'${token.value}' : identifiers containing two consecutive underscores are reserved`, token);
+    }
+  }
+
+  requireFloatPrecision(type, token) {
+    if (!this.floatPrecisionDeclared && !this.reportedMissingPrecision && isFloatBased(type)) {
+      this.reportedMissingPrecision = true;
+      this.error(`'${type}' : No precision specified for (float); add 'precision mediump float;' at the top of the shader`, token);
+      this.fixes.push({ kind: 'addPrecision' });
+    }
+  }
+
+  // --- top level -----------------------------------------------------------------------------
+
+  parse() {
+    while (this.peek().type !== 'eof') {
+      this.parseExternalDeclaration();
+    }
+
+    if (!this.mainDefined) {
+      this.error("'main' : missing 'void main()' function", { line: this.lastLine(), column: 1 });
+    }
+  }
+
+  parseExternalDeclaration() {
+    const token = this.peek();
+
+    if (token.value === ';') {
+      this.next();
+      return;
+    }
+
+    if (token.value === 'precision') {
+      this.parsePrecisionStatement();
+      return;
+    }
+
+    if (token.value === 'invariant' && this.peek(1).type === 'ident' && !STORAGE_QUALIFIERS.has(this.peek(1).value)) {
+      this.next();
+      do {
+        this.next();
+      } while (this.accept(','));
+      this.expect(';');
+      return;
+    }
+
+    const qualifiers = this.parseQualifiers();
+    const typeToken = this.peek();
+    const type = this.parseTypeSpecifier(qualifiers);
+
+    // Struct definition without a declarator
+    if (this.accept(';')) {
+      return;
+    }
+
+    const nameToken = this.peek();
+    if (nameToken.type === 'ident' && this.peek(1).value === '(') {
+      if (qualifiers.storage) {
+        this.error(`'${qualifiers.storage}' : qualifier not allowed on function return types`, typeToken);
+      }
+      this.parseFunction(type, qualifiers, typeToken);
+      return;
+    }
+
+    this.parseDeclaratorList(type, qualifiers, typeToken, true);
+  }
+
+  parsePrecisionStatement() {
+    const precisionToken = this.next();
+    const qualifier = this.next();
+    if (!PRECISION_QUALIFIERS.has(qualifier.value)) {
+      throw new GlslSyntaxError(`'${qualifier.value}' : syntax error, expected a precision qualifier`, qualifier);
+    }
+    const typeToken = this.next();
+    if (!['float', 'int'].includes(typeToken.value) && !(this.isBasicType(typeToken.value) && isSampler(typeToken.value))) {
+      this.error(`'${typeToken.value}' : illegal type argument for default precision qualifier`, typeToken);
+    }
+    if (typeToken.value === 'float') {
+      this.floatPrecisionDeclared = true;
+    }
+    this.expect(';', `after precision statement at line ${precisionToken.line}`);
+  }
+
+  parseQualifiers() {
+    const qualifiers = { storage: null, precision: null, invariant: false };
+    while (true) {
+      const token = this.peek();
+      if (token.value === 'invariant') {
+        qualifiers.invariant = true;
+        this.next();
+      } else if (this.es3 && (token.value === 'in' || token.value === 'out' || token.value === 'varying')) {
+        if (token.value === 'varying') {
+          this.error("'varying' : not supported in GLSL ES 3.00; use 'in'", token);
+        }
+        if (qualifiers.storage) {
+          this.error(`'${token.value}' : multiple storage qualifiers`, token);
+        }
+        // Inputs are checked like GLSL ES 1.0 varyings
+        qualifiers.storage = token.value === 'out' ? 'out' : 'varying';
+        this.next();
+      } else if (this.es3 && INTERPOLATION_QUALIFIERS.has(token.value)) {
+        this.next();
+      } else if (this.es3 && token.value === 'layout') {
+        this.next();
+        this.expect('(', "after 'layout'");
+        while (!this.check(')') && this.peek().type !== 'eof') this.next();
+        this.expect(')');
+      } else if (STORAGE_QUALIFIERS.has(token.value)) {
+        if (qualifiers.storage) {
+          this.error(`'${token.value}' : multiple storage qualifiers`, token);
+        }
+        qualifiers.storage = token.value;
+        this.next();
+      } else if (PRECISION_QUALIFIERS.has(token.value)) {
+        qualifiers.precision = token.value;
+        this.next();
+      } else if (token.value === 'in' || token.value === 'out') {
+        this.error(`'${token.value}' : storage qualifier supported in GLSL ES 3.00 only; use '${token.value === 'in' ? 'varying' : 'gl_FragColor'}' in GLSL ES 1.0`, token);
+        qualifiers.storage = token.value === 'in' ? 'varying' : 'out';
+        this.next();
+      } else if (token.value === 'layout') {
+        this.error("'layout' : not supported in GLSL ES 1.0", token);
+        this.next();
+        if (this.accept('(')) {
+          while (!this.check(')') && this.peek().type !== 'eof') this.next();
+          this.expect(')');
+        }
+      } else {
+        return qualifiers;
+      }
+    }
+  }
+
+  parseTypeSpecifier(qualifiers = {}) {
+    const token = this.peek();
+
+    if (token.value === 'struct') {
+      return this.parseStruct();
+    }
+
+    if (!this.isTypeName(token)) {
+      if (token.type === 'ident' && !KEYWORDS.has(token.value) && this.peek(1).type === 'ident') {
+        this.next();
+        this.error(`'${token.value}' : unknown type`, token);
+        return 'unknown';
+      }
+      throw new GlslSyntaxError(`'${token.type === 'eof' ? '' : token.value}' : syntax error, expected a type but found ${token.type === 'eof' ? 'end of shader' : `'${token.value}'`}`, token);
+    }
+
+    this.next();
+    const type = token.value;
+    if (!qualifiers.precision) {
+      this.requireFloatPrecision(type, token);
+    }
+    return type;
+  }
+
+  parseStruct() {
+    const structToken = this.next();
+    let name = null;
+    if (this.peek().type === 'ident' && this.peek().value !== '{') {
+      const nameToken = this.next();
+      this.checkIdentifier(nameToken);
+      name = nameToken.value;
+    }
+    this.expect('{', 'to start the struct body');
+
+    const fields = new Map();
+    while (!this.check('}')) {
+      const qualifiers = this.parseQualifiers();
+      const fieldTypeToken = this.peek();
+      const fieldType = this.parseTypeSpecifier(qualifiers);
+      do {
+        const fieldToken = this.next();
+        this.checkIdentifier(fieldToken);
+        let type = fieldType;
+        if (this.accept('[')) {
+          const size = this.parseArraySize();
+          this.expect(']');
+          type = `${fieldType}[${size}]`;
+        }
+        if (fields.has(fieldToken.value)) {
+          this.error(`'${fieldToken.value}' : duplicate field name in structure`, fieldToken);
+        }
+        fields.set(fieldToken.value, type);
+      } while (this.accept(','));
+      this.expect(';', `after struct member of type ${fieldTypeToken.value}`);
+    }
+    this.expect('}');
+
+    const structName = name || `__anonymous_struct_${structToken.offset}`;
+    if (this.structs.has(structName) && this.scopes.length === 1) {
+      this.error(`'${structName}' : redefinition of struct`, structToken);
+    }
+    this.structs.set(structName, fields);
+    return structName;
+  }
+
+  parseArraySize() {
+    const sizeToken = this.peek();
+    const size = this.parseConditional();
+    if (size.type !== 'int' && size.type !== 'unknown') {
+      this.error("'[]' : array size must be a constant integer expression", sizeToken);
+      return 1;
+    }
+    if (!size.constant) {
+      this.error("'[]' : array size must be a constant integer expression", sizeToken);
+      return 1;
+    }
+    if (typeof size.value === 'number' && size.value <= 0) {
+      this.error("'[]' : array size must be a positive integer", sizeToken);
+      return 1;
+    }
+    return typeof size.value === 'number' ? size.value : 1;
+  }
+
+  /**
+   * Parse "name [= init], name2 ...;" after a type
+   * @returns {Array<Object>} - [{ symbol, initializer, initToken }] for each declared name
+   */
+  parseDeclaratorList(type, qualifiers, typeToken, isGlobal) {
+    const declared = [];
+    if (type === 'void') {
+      this.error("'void' : illegal use of type 'void'", typeToken);
+    }
+
+    do {
+      const nameToken = this.next();
+      this.checkIdentifier(nameToken);
+      let declaredType = type;
+
+      if (this.accept('[')) {
+        if (this.check(']') && this.es3) {
+          // Sized by the initializer below
+          declaredType = `${type}[]`;
+        } else if (this.check(']')) {
+          this.error(`'${nameToken.value}' : implicitly sized arrays are not supported in GLSL ES 1.0`, nameToken);
+          declaredType = `${type}[1]`;
+        } else {
+          const size = this.parseArraySize();
+          declaredType = `${type}[${size}]`;
+        }
+        this.expect(']');
+      }
+
+      const symbol = {
+        name: nameToken.value,
+        type: declaredType,
+        qualifier: qualifiers.storage || (isGlobal ? 'global' : 'local'),
+        readonly: ['const', 'uniform', 'varying', 'attribute'].includes(qualifiers.storage),
+        constant: false,
+        used: false,
+        token: nameToken
+      };
+
+      if (qualifiers.storage === 'attribute') {
+        this.error(`'attribute' : attributes are only allowed in vertex shaders`, nameToken);
+      }
+      const storageKeyword = qualifiers.storage === 'varying' ? this.inputKeyword : qualifiers.storage;
+      if (['uniform', 'varying', 'out'].includes(qualifiers.storage) && !isGlobal) {
+        this.error(`'${storageKeyword}' : only allowed at global scope`, nameToken);
+      }
+      if (qualifiers.storage === 'varying' && (baseTypeOf(type) === 'bool' || this.structs.has(type))) {
+        this.error(`'${storageKeyword}' : cannot be bool or struct`, nameToken);
+      }
+      if (qualifiers.storage === 'out' && (baseTypeOf(type) === 'bool' || isMatrix(type) || this.structs.has(type))) {
+        this.error("'out' : fragment shader outputs must be float, int or uint scalars or vectors", nameToken);
+      }
+      if (isSampler(type) && qualifiers.storage !== 'uniform' && isGlobal) {
+        this.error(`'${nameToken.value}' : samplers must be uniform`, nameToken);
+      }
+
+      let initializer = null;
+      let initToken = null;
+      if (this.accept('=')) {
+        initToken = this.peek();
+        if (['uniform', 'varying', 'out'].includes(qualifiers.storage)) {
+          this.error(`'${nameToken.value}' : cannot initialize this type of qualifier`, initToken);
+        }
+        initializer = this.parseAssignment();
+        if (declaredType.endsWith('[]') && isArrayType(initializer.type)) {
+          declaredType = `${type}${initializer.type.slice(initializer.type.indexOf('['))}`;
+          symbol.type = declaredType;
+        }
+        this.checkAssignable(declaredType, initializer, initToken, `'=' : cannot convert from '${initializer.type}' to '${declaredType}'`);
+
+        if (qualifiers.storage === 'const') {
+          if (!initializer.constant) {
+            this.error(`'${nameToken.value}' : const variables must be initialized with a constant expression`, initToken);
+          }
+          symbol.constant = initializer.constant;
+          symbol.value = initializer.value;
+        } else if (isGlobal && !initializer.constant) {
+          this.error(`'${nameToken.value}' : global variable initializers must be constant expressions in ${this.versionName}; assign it inside main() instead`, initToken);
+        }
+      } else if (qualifiers.storage === 'const') {
+        this.error(`'${nameToken.value}' : variables with qualifier 'const' must be initialized`, nameToken);
+      }
+      if (!initializer && declaredType.endsWith('[]')) {
+        this.error(`'${nameToken.value}' : implicitly sized arrays must be initialized`, nameToken);
+        symbol.type = `${type}[1]`;
+      }
+
+      this.declare(symbol, nameToken);
+      if (qualifiers.storage === 'uniform') this.declaredUniforms.push(symbol);
+      if (qualifiers.storage === 'varying') this.declaredVaryings.push(symbol);
+      if (qualifiers.storage === 'out') this.declaredOutputs.push(symbol);
+      declared.push({ symbol, initializer, initToken });
+    } while (this.accept(','));
+
+    this.expect(';', 'after declaration');
+    return declared;
+  }
+
+  parseFunction(returnType, qualifiers, typeToken) {
+    const nameToken = this.next();
+    this.checkIdentifier(nameToken);
+    const name = nameToken.value;
+    this.expect('(');
+
+    const params = [];
+    if (this.check('void') && this.peek(1).value === ')') {
+      this.next();
+    }
+    while (!this.check(')')) {
+      let paramQualifier = 'in';
+      let isConst = false;
+      while (['const', 'in', 'out', 'inout'].includes(this.peek().value) || PRECISION_QUALIFIERS.has(this.peek().value)) {
+        const qualifierToken = this.next();
+        if (qualifierToken.value === 'const') isConst = true;
+        else if (!PRECISION_QUALIFIERS.has(qualifierToken.value)) paramQualifier = qualifierToken.value;
+        else qualifiers = { ...qualifiers, paramPrecision: true };
+      }
+      const paramTypeToken = this.peek();
+      let paramType = this.parseTypeSpecifier({ precision: qualifiers.paramPrecision ? 'given' : null });
+      let paramName = null;
+      if (this.peek().type === 'ident' && !this.check(',') && !this.check(')')) {
+        const paramNameToken = this.next();
+        this.checkIdentifier(paramNameToken);
+        paramName = paramNameToken;
+      }
+      if (this.accept('[')) {
+        const size = this.parseArraySize();
+        this.expect(']');
+        paramType = `${paramType}[${size}]`;
+      }
+      if (paramType === 'void') {
+        this.error("'void' : illegal use of type 'void'", paramTypeToken);
+      }
+      params.push({ type: paramType, qualifier: paramQualifier, isConst, nameToken: paramName });
+      qualifiers = { ...qualifiers, paramPrecision: false };
+      if (!this.accept(',')) break;
+    }
+    this.expect(')', `to close the parameter list of '${name}'`);
+
+    if (this.builtinFunctions[name] || BUILTIN_FUNCTIONS[name]) {
+      this.error(`'${name}' : cannot redefine built-in function`, nameToken);
+    }
+
+    const overloads = this.functions.get(name) || [];
+    const paramTypes = params.map(param => param.type);
+    let existing = overloads.find(overload => overload.params.length === paramTypes.length &&
+      overload.params.every((type, index) => type === paramTypes[index]));
+
+    if (existing && existing.returnType !== returnType) {
+      this.error(`'${name}' : overloaded functions must have the same return type`, nameToken);
+    }
+    if (!existing) {
+      existing = { params: paramTypes, paramQualifiers: params.map(param => param.qualifier), returnType, defined: false };
+      overloads.push(existing);
+      this.functions.set(name, overloads);
+    }
+
+    if (name === 'main') {
+      if (returnType !== 'void' || params.length > 0) {
+        this.error("'main' : main function must be declared as 'void main()'", nameToken);
+      }
+    }
+
+    // Prototype only
+    if (this.accept(';')) {
+      return;
+    }
+
+    if (existing.defined) {
+      this.error(`'${name}' : function already has a body`, nameToken);
+    }
+    existing.defined = true;
+    if (name === 'main') this.mainDefined = true;
+
+    this.pushScope();
+    params.forEach(param => {
+      if (param.nameToken) {
+        this.declare({
+          name: param.nameToken.value,
+          type: param.type,
+          qualifier: param.qualifier,
+          readonly: param.isConst,
+          constant: false,
+          used: false
+        }, param.nameToken);
+      }
+    });
+
+    this.currentFunction = { name, returnType, returned: false };
+    this.expect('{', `to start the body of '${name}'`);
+    this.parseStatementListUntilBrace();
+    this.expect('}', `to close the body of '${name}'`);
+
+    if (returnType !== 'void' && !this.currentFunction.returned) {
+      this.warning(`'${name}' : function does not return a value`, nameToken);
+    }
+    this.currentFunction = null;
+    this.popScope();
+  }
+
+  // --- statements ----------------------------------------------------------------------------
+
+  parseStatementListUntilBrace() {
+    while (!this.check('}')) {
+      if (this.peek().type === 'eof') {
+        throw new GlslSyntaxError("'' : syntax error, unexpected end of shader (missing '}'?)", this.peek());
+      }
+      this.parseStatement();
+    }
+  }
+
+  parseStatement() {
+    const token = this.peek();
+
+    switch (token.value) {
+      case '{':
+        this.next();
+        this.pushScope();
+        this.parseStatementListUntilBrace();
+        this.expect('}');
+        this.popScope();
+        return;
+      case ';':
+        this.next();
+        return;
+      case 'if':
+        this.parseIf();
+        return;
+      case 'for':
+        this.parseFor();
+        return;
+      case 'while':
+      case 'do':
+        this.parseWhile();
+        return;
+      case 'return':
+        this.parseReturn();
+        return;
+      case 'break':
+      case 'continue':
+        this.next();
+        if (this.loopDepth === 0 && !(token.value === 'break' && this.switchDepth > 0)) {
+          this.error(`'${token.value}' : statement only allowed in ${token.value === 'break' ? 'loops and switch statements' : 'loops'}`, token);
+        }
+        this.expect(';');
+        return;
+      case 'discard':
+        this.next();
+        this.expect(';');
+        return;
+      case 'precision':
+        this.parsePrecisionStatement();
+        return;
+      case 'switch':
+        if (this.es3) {
+          this.parseSwitch();
+          return;
+        }
+      // falls through
+      case 'case':
+      case 'default':
+        if (this.es3) {
+          throw new GlslSyntaxError(`'${token.value}' : syntax error, '${token.value}' label outside of a switch statement`, token);
+        }
+        this.error(`'${token.value}' : switch statements are not supported in GLSL ES 1.0`, token);
+        throw new GlslSyntaxError(`'${token.value}' : syntax error`, token);
+    }
+
+    if (this.isDeclarationStart()) {
+      const qualifiers = this.parseQualifiers();
+      const typeToken = this.peek();
+      const type = this.parseTypeSpecifier(qualifiers);
+      if (this.accept(';')) return;
+      this.parseDeclaratorList(type, qualifiers, typeToken, false);
+      return;
+    }
+
+    this.parseExpression();
+    this.expect(';', 'after expression');
+  }
+
+  isDeclarationStart() {
+    const token = this.peek();
+    if (STORAGE_QUALIFIERS.has(token.value) || PRECISION_QUALIFIERS.has(token.value) || token.value === 'struct' || token.value === 'invariant') {
+      return true;
+    }
+    if (token.value === 'in' || token.value === 'out' || token.value === 'inout') {
+      return true;
+    }
+    if (this.isTypeName(token)) {
+      // A type followed by '(' is a constructor call, not a declaration
+      return this.peek(1).value !== '(';
+    }
+    // Unknown type name followed by an identifier, e.g. "Ray r;"
+    return token.type === 'ident' && !KEYWORDS.has(token.value) && !this.lookup(token.value) &&
+      this.peek(1).type === 'ident' && !KEYWORDS.has(this.peek(1).value) && [';', '=', '[', ','].includes(this.peek(2).value);
+  }
+
+  parseCondition(keyword) {
+    const conditionToken = this.peek();
+    const condition = this.parseExpression();
+    if (condition.type !== 'bool' && condition.type !== 'unknown') {
+      this.error(`'${keyword}' : boolean expression expected, found '${condition.type}'`, conditionToken);
+    }
+    return condition;
+  }
+
+  parseIf() {
+    this.next();
+    this.expect('(', "after 'if'");
+    this.parseCondition('if');
+    this.expect(')', "to close the 'if' condition");
+    this.parseScopedStatement();
+    if (this.accept('else')) {
+      this.parseScopedStatement();
+    }
+  }
+
+  parseScopedStatement() {
+    this.pushScope();
+    this.parseStatement();
+    this.popScope();
+  }
+
+  parseFor() {
+    const forToken = this.next();
+    this.expect('(', "after 'for'");
+    this.pushScope();
+
+    if (this.es3) {
+      this.parseGeneralForHeader();
+      this.loopDepth++;
+      this.parseStatement();
+      this.loopDepth--;
+      this.popScope();
+      return;
+    }
+
+    // GLSL ES 1.0 Appendix A: for (type index = constant; index op constant; index++/--/+=/-=)
+    let loopIndex = null;
+    if (this.check(';')) {
+      this.error("'for' : missing init declaration in for loop (required in GLSL ES 1.0)", forToken);
+      this.next();
+    } else if (this.isDeclarationStart()) {
+      const qualifiers = this.parseQualifiers();
+      const typeToken = this.peek();
+      const type = this.parseTypeSpecifier(qualifiers);
+      const nameToken = this.peek();
+      if (type !== 'int' && type !== 'float') {
+        this.error(`'${nameToken.value}' : loop index must be of type int or float in GLSL ES 1.0`, typeToken);
+      }
+      const [declaration] = this.parseDeclaratorList(type, qualifiers, typeToken, false);
+      loopIndex = declaration.symbol;
+      loopIndex.isLoopIndex = true;
+      if (!declaration.initializer) {
+        this.error(`'${loopIndex.name}' : loop index must be initialized`, nameToken);
+      } else if (!declaration.initializer.constant) {
+        this.error("'for' : loop index initializer must be a constant expression in GLSL ES 1.0", declaration.initToken);
+      }
+    } else {
+      this.error("'for' : missing init declaration in for loop (required in GLSL ES 1.0)", forToken);
+      this.parseExpression();
+      this.expect(';');
+    }
+
+    // Condition
+    if (!this.check(';')) {
+      const conditionToken = this.peek();
+      const condition = this.parseExpression();
+      if (condition.type !== 'bool' && condition.type !== 'unknown') {
+        this.error(`'for' : boolean expression expected, found '${condition.type}'`, conditionToken);
+      }
+      if (loopIndex) {
+        const validForm = condition.kind === 'relational' && condition.left && condition.left.name === loopIndex.name &&
+          condition.right && condition.right.constant;
+        if (!validForm) {
+          this.error(`'for' : loop condition must compare the loop index '${loopIndex.name}' with a constant expression in GLSL ES 1.0 (loop bounds cannot use uniforms or variables)`, conditionToken);
+        }
+      }
+    } else if (loopIndex) {
+      this.error("'for' : missing loop condition", this.peek());
+    }
+    this.expect(';', 'after the for loop condition');
+
+    // Increment
+    if (!this.check(')')) {
+      const incrementToken = this.peek();
+      const increment = this.parseExpression();
+      if (loopIndex) {
+        const validIncrement = (increment.kind === 'increment' && increment.name === loopIndex.name) ||
+          (increment.kind === 'compoundAssign' && increment.name === loopIndex.name && increment.right && increment.right.constant);
+        if (!validIncrement) {
+          this.error(`'for' : loop expression must be ${loopIndex.name}++, ${loopIndex.name}--, or ${loopIndex.name} += / -= a constant in GLSL ES 1.0`, incrementToken);
+        }
+      }
+    } else if (loopIndex) {
+      this.error("'for' : missing loop expression", this.peek());
+    }
+    this.expect(')', "to close the 'for' header");
+
+    if (loopIndex) this.loopIndices.push(loopIndex);
+    this.loopDepth++;
+    this.parseStatement();
+    this.loopDepth--;
+    if (loopIndex) {
+      this.loopIndices.pop();
+      loopIndex.isLoopIndex = false;
+    }
+    this.popScope();
+  }
+
+  /**
+   * GLSL ES 3.00 for loop header: any init statement, condition and expression
+   */
+  parseGeneralForHeader() {
+    if (!this.accept(';')) {
+      if (this.isDeclarationStart()) {
+        const qualifiers = this.parseQualifiers();
+        const typeToken = this.peek();
+        const type = this.parseTypeSpecifier(qualifiers);
+        this.parseDeclaratorList(type, qualifiers, typeToken, false);
+      } else {
+        this.parseExpression();
+        this.expect(';', 'after the for loop init expression');
+      }
+    }
+    if (!this.check(';')) {
+      this.parseCondition('for');
+    }
+    this.expect(';', 'after the for loop condition');
+    if (!this.check(')')) {
+      this.parseExpression();
+    }
+    this.expect(')', "to close the 'for' header");
+  }
+
+  parseSwitch() {
+    this.next();
+    this.expect('(', "after 'switch'");
+    const selectorToken = this.peek();
+    const selector = this.parseExpression();
+    if (!['int', 'uint', 'unknown'].includes(selector.type)) {
+      this.error(`'switch' : init-expression in a switch statement must be a scalar integer (found '${selector.type}')`, selectorToken);
+    }
+    this.expect(')', "to close the 'switch' expression");
+    this.expect('{', "to start the 'switch' body");
+
+    this.pushScope();
+    this.switchDepth++;
+    while (!this.check('}')) {
+      if (this.peek().type === 'eof') {
+        throw new GlslSyntaxError("'' : syntax error, unexpected end of shader (missing '}'?)", this.peek());
+      }
+      if (this.accept('case')) {
+        const labelToken = this.peek();
+        const label = this.parseConditional();
+        if (!label.constant || !['int', 'uint', 'unknown'].includes(label.type)) {
+          this.error("'case' : case label must be a constant integer expression", labelToken);
+        }
+        this.expect(':', 'after the case label');
+      } else if (this.accept('default')) {
+        this.expect(':', "after 'default'");
+      } else {
+        this.parseStatement();
+      }
+    }
+    this.switchDepth--;
+    this.popScope();
+    this.expect('}');
+  }
+
+  parseWhile() {
+    const token = this.next();
+    if (!this.es3) {
+      this.error(`'${token.value}' : this type of loop is not allowed in WebGL 1 (GLSL ES 1.0); use a for loop with constant bounds`, token);
+    }
+
+    this.loopDepth++;
+    if (token.value === 'while') {
+      this.expect('(', "after 'while'");
+      this.parseCondition('while');
+      this.expect(')');
+      this.parseScopedStatement();
+    } else {
+      this.parseScopedStatement();
+      this.expect('while', "after 'do' body");
+      this.expect('(');
+      this.parseCondition('while');
+      this.expect(')');
+      this.expect(';');
+    }
+    this.loopDepth--;
+  }
+
+  parseReturn() {
+    const token = this.next();
+    const fn = this.currentFunction;
+    if (this.accept(';')) {
+      if (fn && fn.returnType !== 'void') {
+        this.error(`'return' : non-void function '${fn.name}' must return a value`, token);
+      }
+      return;
+    }
+    const valueToken = this.peek();
+    const value = this.parseExpression();
+    if (fn) {
+      fn.returned = true;
+      if (fn.returnType === 'void') {
+        this.error(`'return' : void function '${fn.name}' cannot return a value`, token);
+      } else {
+        this.checkAssignable(fn.returnType, value, valueToken, `'return' : function '${fn.name}' returns '${fn.returnType}' but the expression is '${value.type}'`);
+      }
+    }
+    this.expect(';', 'after return statement');
+  }
+
+  // --- expressions ---------------------------------------------------------------------------
+
+  /**
+   * Report a type mismatch between an expected type and an expression, recording a fix
+   * when the expression is an int that can simply be made a float
+   */
+  checkAssignable(expectedType, info, token, message) {
+    if (info.type === 'unknown' || expectedType === 'unknown' || info.type === expectedType) {
+      return true;
+    }
+    this.error(message, token);
+    if (baseTypeOf(expectedType) === 'float' && info.type === 'int') {
+      this.recordIntToFloatFix(info, expectedType);
+    }
+    return false;
+  }
+
+  /**
+   * Remember how to turn an int expression into a float one
+   * @param {Object} info - Expression info
+   * @param {string} targetType - The float-based type it should have been
+   */
+  recordIntToFloatFix(info, targetType = 'float') {
+    if (info.start === undefined || info.end === undefined || info.fromMacro) return;
+    if (info.kind === 'literal') {
+      this.fixes.push({ kind: 'intLiteralToFloat', start: info.start, end: info.end });
+    } else if (targetType === 'float' || isVector(targetType) || isMatrix(targetType)) {
+      this.fixes.push({ kind: 'wrapFloat', start: info.start, end: info.end });
+    }
+  }
+
+  parseExpression() {
+    let info = this.parseAssignment();
+    while (this.accept(',')) {
+      const right = this.parseAssignment();
+      info = { ...right, constant: info.constant && right.constant, lvalue: false, kind: 'sequence' };
+    }
+    return info;
+  }
+
+  parseAssignment() {
+    const startToken = this.peek();
+    const left = this.parseConditional();
+    const opToken = this.peek();
+
+    if (opToken.type === 'op' && ASSIGNMENT_OPERATORS.has(opToken.value)) {
+      this.next();
+      const right = this.parseAssignment();
+      this.checkLValue(left, startToken);
+
+      const op = opToken.value;
+      if (['%=', '<<=', '>>=', '&=', '|=', '^='].includes(op) && !this.es3) {
+        this.error(`'${op}' : reserved operator in GLSL ES 1.0`, opToken);
+      } else if (['%=', '<<=', '>>=', '&=', '|=', '^='].includes(op)) {
+        const result = this.integerResultType(op.slice(0, -1), left, right, opToken);
+        if (result !== 'unknown' && result !== left.type) {
+          this.error(`'${op}' : cannot convert from '${result}' to '${left.type}'`, opToken);
+        }
+      } else if (op === '=') {
+        this.checkAssignable(left.type, right, opToken, `'=' : cannot convert from '${right.type}' to '${left.type}'`);
+      } else if (left.type !== 'unknown' && right.type !== 'unknown') {
+        const result = this.binaryResultType(op[0], left, right, opToken);
+        if (result !== 'unknown' && result !== left.type) {
+          this.error(`'${op}' : cannot convert from '${result}' to '${left.type}'`, opToken);
+        }
+      }
+
+      // Loop indices are only pushed onto loopIndices once the loop header has been parsed
+      if (left.symbol && this.loopIndices.includes(left.symbol)) {
+        this.error(`'${left.symbol.name}' : loop index cannot be modified in the loop body in GLSL ES 1.0`, startToken);
+      }
+
+      return {
+        type: left.type,
+        lvalue: false,
+        constant: false,
+        kind: op === '=' ? 'assign' : 'compoundAssign',
+        name: left.kind === 'identifier' ? left.name : null,
+        right,
+        start: left.start,
+        end: right.end
+      };
+    }
+
+    return left;
+  }
+
+  checkLValue(info, token) {
+    if (info.type === 'unknown' && !info.symbol) return;
+    if (!info.lvalue) {
+      const reason = info.readonlyReason || 'l-value required';
+      this.error(`'${info.name || token.value}' : ${reason}`, token);
+    }
+    if (info.symbol && info.symbol.name === 'gl_FragColor') {
+      this.writesFragColor = true;
+    }
+    if (info.symbol && info.symbol.name === 'gl_FragData') {
+      this.writesFragColor = true;
+    }
+    if (info.symbol && this.declaredOutputs.includes(info.symbol)) {
+      this.writesFragColor = true;
+    }
+  }
+
+  parseConditional() {
+    const conditionToken = this.peek();
+    const condition = this.parseBinary(0);
+    if (!this.accept('?')) {
+      return condition;
+    }
+    if (condition.type !== 'bool' && condition.type !== 'unknown') {
+      this.error(`'?:' : boolean expression expected, found '${condition.type}'`, conditionToken);
+    }
+    const trueToken = this.peek();
+    const whenTrue = this.parseAssignment();
+    this.expect(':', 'in conditional expression');
+    const whenFalse = this.parseAssignment();
+
+    let type = whenTrue.type;
+    if (whenTrue.type !== whenFalse.type && whenTrue.type !== 'unknown' && whenFalse.type !== 'unknown') {
+      this.error(`'?:' : true and false expressions must have the same type ('${whenTrue.type}' and '${whenFalse.type}')`, trueToken);
+      if (baseTypeOf(whenTrue.type) === 'float' && whenFalse.type === 'int') this.recordIntToFloatFix(whenFalse, whenTrue.type);
+      if (baseTypeOf(whenFalse.type) === 'float' && whenTrue.type === 'int') this.recordIntToFloatFix(whenTrue, whenFalse.type);
+      type = 'unknown';
+    } else if (whenTrue.type === 'unknown') {
+      type = whenFalse.type;
+    }
+
+    return {
+      type,
+      lvalue: false,
+      constant: condition.constant && whenTrue.constant && whenFalse.constant,
+      constIndex: condition.constIndex && whenTrue.constIndex && whenFalse.constIndex,
+      kind: 'ternary',
+      start: condition.start,
+      end: whenFalse.end
+    };
+  }
+
+  parseBinary(level) {
+    const levels = [
+      ['||'], ['^^'], ['&&'], ['|'], ['^'], ['&'], ['==', '!='], ['<', '>', '<=', '>='], ['<<', '>>'], ['+', '-'], ['*', '/', '%']
+    ];
+    if (level >= levels.length) {
+      return this.parseUnary();
+    }
+
+    let left = this.parseBinary(level + 1);
+    while (this.peek().type === 'op' && levels[level].includes(this.peek().value)) {
+      const opToken = this.next();
+      const right = this.parseBinary(level + 1);
+      left = this.combineBinary(opToken, left, right);
+    }
+    return left;
+  }
+
+  combineBinary(opToken, left, right) {
+    const op = opToken.value;
+    const info = {
+      type: 'unknown',
+      lvalue: false,
+      constant: left.constant && right.constant,
+      constIndex: left.constIndex && right.constIndex,
+      kind: 'binary',
+      left,
+      right,
+      start: left.start,
+      end: right.end
+    };
+
+    if (['|', '^', '&', '<<', '>>', '%'].includes(op)) {
+      if (this.es3) {
+        info.type = this.integerResultType(op, left, right, opToken);
+      } else {
+        this.error(`'${op}' : reserved operator in GLSL ES 1.0${op === '%' ? '; use mod() instead' : ''}`, opToken);
+      }
+      return info;
+    }
+
+    const unknown = left.type === 'unknown' || right.type === 'unknown';
+
+    if (op === '||' || op === '&&' || op === '^^') {
+      if (!unknown && (left.type !== 'bool' || right.type !== 'bool')) {
+        this.error(`'${op}' : wrong operand types - operands must be scalar booleans (found '${left.type}' and '${right.type}')`, opToken);
+      }
+      info.type = 'bool';
+      info.value = undefined;
+      return info;
+    }
+
+    if (op === '==' || op === '!=') {
+      if (!unknown && left.type !== right.type) {
+        this.reportOperandMismatch(op, left, right, opToken);
+      } else if (!unknown && (isSampler(left.type) || isArrayType(left.type))) {
+        this.error(`'${op}' : cannot compare '${left.type}' values`, opToken);
+      }
+      info.type = 'bool';
+      return info;
+    }
+
+    if (['<', '>', '<=', '>='].includes(op)) {
+      if (!unknown) {
+        if (left.type !== right.type) {
+          this.reportOperandMismatch(op, left, right, opToken);
+        } else if (left.type !== 'float' && left.type !== 'int' && left.type !== 'uint') {
+          this.error(`'${op}' : wrong operand types - relational operators require scalar int or float operands (found '${left.type}'); use lessThan()/greaterThan() for vectors`, opToken);
+        }
+      }
+      info.type = 'bool';
+      info.kind = 'relational';
+      return info;
+    }
+
+    // Arithmetic
+    info.type = this.binaryResultType(op, left, right, opToken);
+    if (info.constant && typeof left.value === 'number' && typeof right.value === 'number' && info.type === 'int') {
+      switch (op) {
+        case '+': info.value = left.value + right.value; break;
+        case '-': info.value = left.value - right.value; break;
+        case '*': info.value = left.value * right.value; break;
+        case '/': info.value = right.value === 0 ? undefined : Math.trunc(left.value / right.value); break;
+      }
+    }
+    return info;
+  }
+
+  reportOperandMismatch(op, left, right, opToken) {
+    const hint = this.intFloatHint(left, right);
+    this.error(`'${op}' : wrong operand types - no operation '${op}' exists that takes a left-hand operand of type '${left.type}' and a right operand of type '${right.type}' (or there is no acceptable conversion)${hint}`, opToken);
+    this.recordMixedOperandFix(left, right);
+  }
+
+  intFloatHint(left, right) {
+    const intSide = left.type === 'int' ? left : right.type === 'int' ? right : null;
+    const otherSide = intSide === left ? right : left;
+    if (intSide && baseTypeOf(otherSide.type) === 'float') {
+      return intSide.kind === 'literal'
+        ? `; GLSL ES has no implicit int to float conversion, write ${intSide.value}.0 instead of ${intSide.value}`
+        : '; GLSL ES has no implicit int to float conversion, wrap the int in float()';
+    }
+    return '';
+  }
+
+  recordMixedOperandFix(left, right) {
+    if (left.type === 'int' && baseTypeOf(right.type) === 'float') this.recordIntToFloatFix(left);
+    if (right.type === 'int' && baseTypeOf(left.type) === 'float') this.recordIntToFloatFix(right);
+  }
+
+  /**
+   * Result type of the GLSL ES 3.00 integer operators: %, &, |, ^, << and >>
+   */
+  integerResultType(op, left, right, opToken) {
+    const lt = left.type;
+    const rt = right.type;
+    if (lt === 'unknown' || rt === 'unknown') return 'unknown';
+    if (!isIntegerBased(lt) || !isIntegerBased(rt)) {
+      this.error(`'${op}' : wrong operand types - '${op}' requires int or uint operands (found '${lt}' and '${rt}')${op === '%' ? '; use mod() for floats' : ''}`, opToken);
+      return 'unknown';
+    }
+    // Shifts keep the left operand's type, and the right operand may differ in signedness
+    if (op === '<<' || op === '>>') {
+      if (isVector(rt) && componentCount(rt) !== componentCount(lt)) {
+        this.error(`'${op}' : wrong operand types - cannot shift a '${lt}' by a '${rt}'`, opToken);
+      }
+      return lt;
+    }
+    return this.binaryResultType(op, left, right, opToken);
+  }
+
+  binaryResultType(op, left, right, opToken) {
+    const lt = left.type;
+    const rt = right.type;
+    if (lt === 'unknown' || rt === 'unknown') return 'unknown';
+
+    const lb = baseTypeOf(lt);
+    const rb = baseTypeOf(rt);
+    if (!lb || !rb || lb === 'bool' || rb === 'bool' || isArrayType(lt) || isArrayType(rt)) {
+      this.error(`'${op}' : wrong operand types - no operation '${op}' exists that takes a left-hand operand of type '${lt}' and a right operand of type '${rt}'`, opToken);
+      return 'unknown';
+    }
+    if (lb !== rb) {
+      this.reportOperandMismatch(op, left, right, opToken);
+      return 'unknown';
+    }
+
+    if (lt === rt) return lt;
+    if (isScalar(lt)) return rt;
+    if (isScalar(rt)) return lt;
+
+    if (op === '*') {
+      if (isMatrix(lt) && isVector(rt) && MATRIX_TYPES[lt] === VECTOR_TYPES[rt][1]) return rt;
+      if (isVector(lt) && isMatrix(rt) && VECTOR_TYPES[lt][1] === MATRIX_TYPES[rt]) return lt;
+    }
+
+    this.error(`'${op}' : wrong operand types - no operation '${op}' exists that takes a left-hand operand of type '${lt}' and a right operand of type '${rt}'`, opToken);
+    return 'unknown';
+  }
+
+  parseUnary() {
+    const token = this.peek();
+
+    if (token.type === 'op' && ['-', '+', '!', '~', '++', '--'].includes(token.value)) {
+      this.next();
+      const operand = this.parseUnary();
+      const info = { ...operand, lvalue: false, start: token.offset, fromMacro: operand.fromMacro || token.fromMacro };
+
+      if (token.value === '~' && this.es3) {
+        if (operand.type !== 'unknown' && !isIntegerBased(operand.type)) {
+          this.error(`'~' : wrong operand type - '~' requires an int or uint operand (found '${operand.type}')`, token);
+          info.type = 'unknown';
+        }
+        info.kind = 'unary';
+      } else if (token.value === '~') {
+        this.error("'~' : reserved operator in GLSL ES 1.0", token);
+        info.type = 'unknown';
+      } else if (token.value === '!') {
+        if (operand.type !== 'bool' && operand.type !== 'unknown') {
+          this.error(`'!' : wrong operand type - no operation '!' exists that takes an operand of type '${operand.type}'`, token);
+        }
+        info.type = 'bool';
+        info.kind = 'unary';
+      } else if (token.value === '++' || token.value === '--') {
+        this.checkLValue(operand, token);
+        info.constant = false;
+        info.kind = 'increment';
+      } else {
+        const base = baseTypeOf(operand.type);
+        if (operand.type !== 'unknown' && (base === null || base === 'bool')) {
+          this.error(`'${token.value}' : wrong operand type - no operation '${token.value}' exists that takes an operand of type '${operand.type}'`, token);
+        }
+        if (typeof operand.value === 'number') {
+          info.value = token.value === '-' ? -operand.value : operand.value;
+        }
+        // "-1" is still a literal as far as fixes are concerned
+        info.kind = operand.kind === 'literal' ? 'literal' : 'unary';
+        if (operand.kind === 'literal') {
+          info.start = operand.start;
+        }
+      }
+      return info;
+    }
+
+    return this.parsePostfix(this.parsePrimary());
+  }
+
+  parsePostfix(info) {
+    while (true) {
+      const token = this.peek();
+
+      if (token.value === '[') {
+        this.next();
+        const indexToken = this.peek();
+        const index = this.parseExpression();
+        const close = this.expect(']');
+        info = this.indexInto(info, index, indexToken, close);
+        continue;
+      }
+
+      if (token.value === '.') {
+        this.next();
+        const fieldToken = this.next();
+        if (fieldToken.type !== 'ident') {
+          throw new GlslSyntaxError(`'${fieldToken.value}' : syntax error, expected a field name`, fieldToken);
+        }
+        if (fieldToken.value === 'length' && this.check('(')) {
+          this.next();
+          const close = this.expect(')');
+          info = { type: 'int', lvalue: false, constant: true, constIndex: true, value: this.lengthOf(info, fieldToken), kind: 'call', start: info.start, end: close.end };
+          continue;
+        }
+        info = this.selectField(info, fieldToken);
+        continue;
+      }
+
+      if (token.value === '++' || token.value === '--') {
+        this.next();
+        this.checkLValue(info, token);
+        info = { ...info, lvalue: false, constant: false, kind: 'increment', end: token.end };
+        continue;
+      }
+
+      return info;
+    }
+  }
+
+  /**
+   * The value of .length(), which GLSL ES 3.00 has on arrays, vectors and matrices
+   * @returns {number|undefined}
+   */
+  lengthOf(info, fieldToken) {
+    if (!this.es3) {
+      this.error("'length' : array length() is not supported in GLSL ES 1.0", fieldToken);
+      return undefined;
+    }
+    if (isArrayType(info.type)) return parseInt(info.type.slice(info.type.indexOf('[') + 1), 10);
+    if (isVector(info.type)) return VECTOR_TYPES[info.type][1];
+    if (isMatrix(info.type)) return MATRIX_TYPES[info.type];
+    if (info.type !== 'unknown') {
+      this.error(`'length' : length() requires an array, vector or matrix (found '${info.type}')`, fieldToken);
+    }
+    return undefined;
+  }
+
+  indexInto(info, index, indexToken, closeToken) {
+    const result = { type: 'unknown', lvalue: info.lvalue, readonlyReason: info.readonlyReason, constant: info.constant && index.constant, constIndex: info.constIndex, kind: 'index', symbol: info.symbol, start: info.start, end: closeToken.end };
+
+    if (index.type !== 'int' && index.type !== 'unknown' && !(this.es3 && index.type === 'uint')) {
+      this.error(`'[]' : index expression must be an integer (found '${index.type}')`, indexToken);
+    }
+    if (!this.es3 && !index.constant && !index.constIndex && index.type !== 'unknown' && !(info.symbol && info.symbol.qualifier === 'uniform' && !isSampler(info.type))) {
+      this.error("'[]' : index expression must be constant (a constant or a loop index) in GLSL ES 1.0", indexToken);
+    }
+
+    const type = info.type;
+    if (type === 'unknown') return result;
+    if (isArrayType(type)) {
+      result.type = elementTypeOf(type);
+      const size = parseInt(type.slice(type.indexOf('[') + 1), 10);
+      if (typeof index.value === 'number' && (index.value < 0 || index.value >= size)) {
+        this.error(`'[]' : array index out of range '${index.value}'`, indexToken);
+      }
+    } else if (isVector(type)) {
+      result.type = VECTOR_TYPES[type][0];
+      if (typeof index.value === 'number' && (index.value < 0 || index.value >= VECTOR_TYPES[type][1])) {
+        this.error(`'[]' : vector field selection out of range '${index.value}'`, indexToken);
+      }
+    } else if (isMatrix(type)) {
+      result.type = `vec${MATRIX_TYPES[type]}`;
+    } else {
+      this.error(`'[]' : left of '[' is not of type array, matrix, or vector`, indexToken);
+    }
+    return result;
+  }
+
+  selectField(info, fieldToken) {
+    const field = fieldToken.value;
+    const result = { type: 'unknown', lvalue: info.lvalue, readonlyReason: info.readonlyReason, constant: info.constant, constIndex: info.constIndex, kind: 'field', symbol: info.symbol, start: info.start, end: fieldToken.end };
+    const type = info.type;
+
+    if (type === 'unknown') return result;
+
+    if (this.structs.has(type)) {
+      const fields = this.structs.get(type);
+      if (!fields.has(field)) {
+        this.error(`'${field}' : no such field in structure '${type}'`, fieldToken);
+        return result;
+      }
+      result.type = fields.get(field);
+      return result;
+    }
+
+    if (isVector(type) || isScalar(type)) {
+      const [base, size] = isVector(type) ? VECTOR_TYPES[type] : [type, 1];
+      if (isScalar(type)) {
+        this.error(`'${field}' : field selection requires structure or vector on left hand side (found '${type}')`, fieldToken);
+        return result;
+      }
+      const sets = ['xyzw', 'rgba', 'stpq'];
+      const set = sets.find(candidate => candidate.includes(field[0]));
+      if (!set || field.length > 4 || ![...field].every(char => set.includes(char))) {
+        this.error(`'${field}' : illegal vector field selection`, fieldToken);
+        return result;
+      }
+      if ([...field].some(char => set.indexOf(char) >= size)) {
+        this.error(`'${field}' : vector field selection out of range for '${type}'`, fieldToken);
+        return result;
+      }
+      result.type = vectorTypeOf(base, field.length);
+      if (new Set(field).size !== field.length) {
+        result.lvalue = false;
+        result.readonlyReason = 'vector swizzle with repeated components is not an l-value';
+      }
+      return result;
+    }
+
+    this.error(`'${field}' : field selection requires structure or vector on left hand side (found '${type}')`, fieldToken);
+    return result;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (token.type === 'int') {
+      this.next();
+      const value = token.value.startsWith('0x') || token.value.startsWith('0X')
+        ? parseInt(token.value, 16)
+        : (token.value.length > 1 && token.value.startsWith('0') ? parseInt(token.value, 8) : parseInt(token.value, 10));
+      return { type: 'int', lvalue: false, constant: true, constIndex: true, kind: 'literal', value, start: token.offset, end: token.end, fromMacro: token.fromMacro };
+    }
+    if (token.type === 'uint') {
+      this.next();
+      const value = /^0[xX]/.test(token.value) ? parseInt(token.value, 16) : parseInt(token.value, 10);
+      return { type: 'uint', lvalue: false, constant: true, constIndex: true, kind: 'uintLiteral', value, start: token.offset, end: token.end, fromMacro: token.fromMacro };
+    }
+    if (token.type === 'float') {
+      this.next();
+      return { type: 'float', lvalue: false, constant: true, constIndex: true, kind: 'floatLiteral', value: parseFloat(token.value), start: token.offset, end: token.end, fromMacro: token.fromMacro };
+    }
+    if (token.value === 'true' || token.value === 'false') {
+      this.next();
+      return { type: 'bool', lvalue: false, constant: true, constIndex: true, kind: 'boolLiteral', start: token.offset, end: token.end };
+    }
+    if (token.value === '(') {
+      this.next();
+      const inner = this.parseExpression();
+      const close = this.expect(')', 'to close parenthesized expression');
+      return { ...inner, kind: inner.kind === 'literal' ? 'parenthesized' : inner.kind, start: token.offset, end: close.end };
+    }
+
+    if (token.type === 'ident') {
+      if (this.es3 && this.isTypeName(token) && this.peek(1).value === '[') {
+        return this.parseArrayConstructor();
+      }
+      if (this.peek(1).value === '(' && (this.isTypeName(token) || !this.lookup(token.value))) {
+        return this.parseCall();
+      }
+      if (KEYWORDS.has(token.value) && !this.isTypeName(token)) {
+        throw new GlslSyntaxError(`'${token.value}' : syntax error, unexpected keyword`, token);
+      }
+      this.next();
+      return this.identifierInfo(token);
+    }
+
+    if (token.type === 'eof') {
+      throw new GlslSyntaxError("'' : syntax error, unexpected end of shader", token);
+    }
+    throw new GlslSyntaxError(`'${token.value}' : syntax error`, token);
+  }
+
+  identifierInfo(token) {
+    const name = token.value;
+    const symbol = this.lookup(name);
+    const base = { lvalue: false, constant: false, kind: 'identifier', name, start: token.offset, end: token.end, fromMacro: token.fromMacro };
+
+    if (!symbol) {
+      if (this.labUniforms[name]) {
+        this.error(`'${name}' : undeclared identifier; declare it with 'uniform ${this.labUniforms[name]} ${name};'`, token);
+        this.fixes.push({ kind: 'declareUniform', name, type: this.labUniforms[name] });
+      } else if (LAB_VARYINGS[name]) {
+        this.error(`'${name}' : undeclared identifier; declare it with '${this.inputKeyword} ${LAB_VARYINGS[name]} ${name};'`, token);
+        this.fixes.push({ kind: 'declareVarying', name, type: LAB_VARYINGS[name] });
+      } else if (this.versionHints[name]) {
+        this.error(`'${name}' : undeclared identifier; ${this.versionHints[name]}`, token);
+      } else if (/^i(Time|Resolution|Mouse|Frame|Channel\d|Date|TimeDelta)$/.test(name)) {
+        this.error(`'${name}' : undeclared identifier; this is a Shadertoy uniform, the lab provides uTime, uResolution, uMouse, uFrame instead`, token);
+      } else {
+        this.error(`'${name}' : undeclared identifier`, token);
+      }
+      return { ...base, type: 'unknown' };
+    }
+
+    symbol.used = true;
+
+    let readonlyReason = null;
+    if (symbol.readonly) {
+      readonlyReason = {
+        uniform: `l-value required (can't modify a uniform)`,
+        varying: `l-value required (can't modify ${this.es3 ? 'an input' : 'a varying'} in a fragment shader)`,
+        const: `l-value required (can't modify a const)`,
+        builtin: `l-value required (can't modify a read-only built-in)`
+      }[symbol.qualifier] || 'l-value required';
+      if (symbol.qualifier === 'in' || symbol.qualifier === 'out' || symbol.qualifier === 'inout' || symbol.qualifier === 'local') {
+        readonlyReason = `l-value required (can't modify a const parameter)`;
+      }
+    }
+
+    return {
+      ...base,
+      type: symbol.type,
+      lvalue: !symbol.readonly,
+      readonlyReason,
+      constant: !!symbol.constant,
+      constIndex: !!symbol.constant || !!symbol.isLoopIndex,
+      value: symbol.value,
+      symbol
+    };
+  }
+
+  parseCall() {
+    const nameToken = this.next();
+    const name = nameToken.value;
+    this.expect('(');
+
+    const args = [];
+    const argTokens = [];
+    if (this.check('void') && this.peek(1).value === ')') {
+      this.next();
+    }
+    while (!this.check(')')) {
+      argTokens.push(this.peek());
+      args.push(this.parseAssignment());
+      if (!this.accept(',')) break;
+    }
+    const close = this.expect(')', `to close the call to '${name}'`);
+
+    const info = {
+      type: 'unknown',
+      lvalue: false,
+      constant: args.every(arg => arg.constant),
+      constIndex: args.every(arg => arg.constIndex),
+      kind: 'call',
+      name,
+      start: nameToken.offset,
+      end: close.end
+    };
+
+    if (this.isBasicType(name) || this.structs.has(name)) {
+      info.type = this.checkConstructor(name, args, argTokens, nameToken);
+      if ((name === 'int' || name === 'uint') && args.length === 1 && typeof args[0].value === 'number') info.value = Math.trunc(args[0].value);
+      return info;
+    }
+
+    const userOverloads = this.functions.get(name);
+    if (userOverloads) {
+      info.constant = false;
+      info.constIndex = false;
+      info.type = this.resolveOverload(name, userOverloads, args, argTokens, nameToken, true);
+      return info;
+    }
+
+    const builtinOverloads = this.builtinFunctions[name];
+    if (builtinOverloads) {
+      if (NON_CONSTANT_BUILTINS.has(name)) {
+        info.constant = false;
+        info.constIndex = false;
+      }
+      info.type = this.resolveOverload(name, builtinOverloads, args, argTokens, nameToken, false);
+      return info;
+    }
+
+    if (this.versionHints[name]) {
+      this.error(`'${name}' : no matching overloaded function found; ${this.versionHints[name]}`, nameToken);
+    } else if (['dFdx', 'dFdy', 'fwidth'].includes(name)) {
+      this.error(`'${name}' : requires '#extension GL_OES_standard_derivatives : enable' in WebGL 1`, nameToken);
+      this.fixes.push({ kind: 'enableExtension', name: 'GL_OES_standard_derivatives' });
+    } else if (/LodEXT|GradEXT/.test(name)) {
+      this.error(`'${name}' : requires '#extension GL_EXT_shader_texture_lod : enable'`, nameToken);
+    } else {
+      this.error(`'${name}' : no matching overloaded function found (function is not declared before use)`, nameToken);
+    }
+    info.constant = false;
+    return info;
+  }
+
+  /**
+   * GLSL ES 3.00 array constructor, e.g. vec3[3](a, b, c) or float[](1.0, 2.0)
+   */
+  parseArrayConstructor() {
+    const typeToken = this.next();
+    const type = typeToken.value;
+    this.expect('[');
+    const size = this.check(']') ? null : this.parseArraySize();
+    this.expect(']');
+    this.expect('(', `to start the '${type}[]' constructor`);
+
+    const args = [];
+    const argTokens = [];
+    while (!this.check(')')) {
+      argTokens.push(this.peek());
+      args.push(this.parseAssignment());
+      if (!this.accept(',')) break;
+    }
+    const close = this.expect(')', `to close the '${type}[]' constructor`);
+
+    if (size !== null && size !== args.length) {
+      this.error(`'${type}[${size}]' : array constructor needs ${size} arguments, found ${args.length}`, typeToken);
+    }
+    args.forEach((arg, index) => {
+      this.checkAssignable(type, arg, argTokens[index], `'${type}[]' : cannot convert argument ${index + 1} from '${arg.type}' to '${type}'`);
+    });
+
+    return {
+      type: `${type}[${size === null ? args.length : size}]`,
+      lvalue: false,
+      constant: args.every(arg => arg.constant),
+      constIndex: false,
+      kind: 'call',
+      name: type,
+      start: typeToken.offset,
+      end: close.end
+    };
+  }
+
+  resolveOverload(name, overloads, args, argTokens, nameToken, isUser) {
+    if (args.some(arg => arg.type === 'unknown')) {
+      const sameArity = overloads.filter(overload => overload.params.length === args.length);
+      const returnTypes = new Set(sameArity.map(overload => overload.returnType));
+      if (returnTypes.size === 1) return [...returnTypes][0];
+      return 'unknown';
+    }
+
+    const match = overloads.find(overload => overload.params.length === args.length &&
+      overload.params.every((type, index) => type === args[index].type));
+    if (match) {
+      if (isUser && match.paramQualifiers) {
+        match.paramQualifiers.forEach((qualifier, index) => {
+          if ((qualifier === 'out' || qualifier === 'inout') && !args[index].lvalue) {
+            this.error(`'${name}' : argument ${index + 1} is an '${qualifier}' parameter and requires an l-value`, argTokens[index]);
+          }
+        });
+      }
+      return match.returnType;
+    }
+
+    const argTypes = args.map(arg => arg.type).join(', ');
+    const hint = args.some(arg => arg.type === 'int') && overloads.some(overload => overload.params.includes('float'))
+      ? '; GLSL ES has no implicit int to float conversion'
+      : '';
+    this.error(`'${name}' : no matching overloaded function found for arguments (${argTypes})${hint}`, nameToken);
+
+    // If turning int arguments into floats gives an exact match, record those fixes
+    const promoted = args.map(arg => (arg.type === 'int' ? 'float' : arg.type));
+    const promotedMatch = overloads.find(overload => overload.params.length === promoted.length &&
+      overload.params.every((type, index) => type === promoted[index]));
+    if (promotedMatch) {
+      args.forEach(arg => {
+        if (arg.type === 'int') this.recordIntToFloatFix(arg);
+      });
+      return promotedMatch.returnType;
+    }
+
+    const sameArity = overloads.filter(overload => overload.params.length === args.length);
+    return sameArity.length === 1 ? sameArity[0].returnType : 'unknown';
+  }
+
+  checkConstructor(type, args, argTokens, nameToken) {
+    if (type === 'void' || isSampler(type)) {
+      this.error(`'${type}' : cannot construct this type`, nameToken);
+      return 'unknown';
+    }
+    if (args.length === 0) {
+      this.error(`'${type}' : constructor does not have any arguments`, nameToken);
+      return type;
+    }
+
+    if (this.structs.has(type)) {
+      const fields = [...this.structs.get(type).values()];
+      if (fields.length !== args.length) {
+        this.error(`'${type}' : wrong number of arguments to struct constructor (expected ${fields.length}, found ${args.length})`, nameToken);
+      } else {
+        fields.forEach((fieldType, index) => {
+          this.checkAssignable(fieldType, args[index], argTokens[index], `'${type}' : cannot convert argument ${index + 1} from '${args[index].type}' to '${fieldType}'`);
+        });
+      }
+      return type;
+    }
+
+    if (args.some(arg => arg.type === 'unknown')) return type;
+
+    for (let i = 0; i < args.length; i++) {
+      const argType = args[i].type;
+      if (isArrayType(argType) || this.structs.has(argType) || isSampler(argType) || argType === 'void') {
+        this.error(`'${type}' : cannot convert a '${argType}' to a '${type}'`, argTokens[i]);
+        return type;
+      }
+    }
+
+    const needed = componentCount(type);
+
+    if (isScalar(type)) {
+      if (args.length > 1) {
+        this.error(`'${type}' : too many arguments`, nameToken);
+      }
+      return type;
+    }
+
+    if (isMatrix(type)) {
+      if (args.length === 1 && (isScalar(args[0].type) || isMatrix(args[0].type))) return type;
+      if (args.some(arg => isMatrix(arg.type))) {
+        this.error(`'${type}' : cannot construct matrix from a matrix and other arguments`, nameToken);
+        return type;
+      }
+    } else if (args.length === 1 && isScalar(args[0].type)) {
+      return type;
+    }
+
+    let provided = 0;
+    for (let i = 0; i < args.length; i++) {
+      if (provided >= needed) {
+        this.error(`'${type}' : too many arguments`, argTokens[i]);
+        return type;
+      }
+      provided += componentCount(args[i].type);
+    }
+    if (provided < needed) {
+      this.error(`'${type}' : not enough data provided for construction`, nameToken);
+    }
+    return type;
+  }
+
+  // --- post checks ---------------------------------------------------------------------------
+
+  finish() {
+    this.declaredUniforms.forEach(symbol => {
+      const expected = this.labUniforms[symbol.name];
+      if (!expected) {
+        this.warning(`'${symbol.name}' : uniform is not provided by the lab and will stay at its default value (available: ${Object.keys(this.labUniforms).join(', ')})`, symbol.token);
+      } else if (expected !== symbol.type && !(expected === 'int' && symbol.type === 'bool')) {
+        // uniform1i also sets bool uniforms, so int uniforms may be declared as bool
+        this.error(`'${symbol.name}' : the lab sets '${symbol.name}' as '${expected}', but it is declared as '${symbol.type}'`, symbol.token);
+        this.fixes.push({ kind: 'retypeUniform', name: symbol.name, type: expected, start: symbol.token.offset });
+      }
+    });
+
+    const input = this.inputKeyword;
+    this.declaredVaryings.forEach(symbol => {
+      const expected = LAB_VARYINGS[symbol.name];
+      if (!expected) {
+        const message = `'${symbol.name}' : ${input} is not written by the lab's vertex shader; only '${input} vec2 vUv' is available`;
+        if (symbol.used) {
+          this.error(message, symbol.token);
+        } else {
+          this.warning(message, symbol.token);
+        }
+      } else if (expected !== symbol.type) {
+        this.error(`'${symbol.name}' : must be declared as '${input} ${expected} ${symbol.name};' to match the lab's vertex shader`, symbol.token);
+      }
+    });
+
+    const end = { line: this.lastLine(), column: 1 };
+    if (this.es3 && this.mainDefined && this.declaredOutputs.length === 0) {
+      this.warning("'out' : shader declares no output, nothing will be drawn; declare 'out vec4 fragColor;' and write to it", end);
+    } else if (this.es3 && this.mainDefined && !this.writesFragColor) {
+      this.warning(`'${this.declaredOutputs[0].name}' : shader never writes its output, the output will be undefined`, end);
+    } else if (this.mainDefined && !this.writesFragColor) {
+      this.warning("'gl_FragColor' : shader never writes gl_FragColor, the output will be undefined", end);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------------------------
+// Shadertoy shaders
+// ---------------------------------------------------------------------------------------------
+
+/**
+ * Whether a shader is written for Shadertoy: it defines mainImage(out vec4, in vec2) and no main()
+ * @param {string} source - Shader source
+ * @returns {boolean}
+ */
+function isShadertoyShader(source) {
+  const code = blankComments(source || '');
+  return /\bvoid\s+mainImage\s*\(\s*out\s+vec4\s+\w+\s*,\s*(?:in\s+)?vec2\s+\w+\s*\)/.test(code) &&
+    !/\bvoid\s+main\s*\(/.test(code);
+}
+
+/**
+ * Wrap a Shadertoy shader the way the renderer does on WebGL 2: a GLSL ES 3.00 header declaring
+ * the Shadertoy inputs the shader does not declare itself, and a main() that calls mainImage().
+ * A #version line in the shader is blanked so that line numbers and offsets stay the same.
+ * @param {string} source - Shadertoy shader source
+ * @returns {{source: string, lineOffset: number, charOffset: number, lineCount: number, declared: Array<string>}}
+ */
+function wrapShadertoyShader(source) {
+  const body = source.replace(/^(\s*)(#\s*version[^\n]*)/, (match, space, directive) => space + ' '.repeat(directive.length));
+  const declared = Object.keys(SHADERTOY_UNIFORMS)
+    .filter(name => !new RegExp(`\\buniform\\s+(?:\\w+\\s+)?\\w+\\s+${name}\\b`).test(body));
+  const header = [
+    '#version 300 es',
+    'precision highp float;',
+    'precision highp int;',
+    ...declared.map(name => `uniform ${SHADERTOY_UNIFORMS[name]} ${name};`),
+    'out vec4 shadertoyFragColor;'
+  ].join('\n') + '\n';
+  const footer = '\nvoid main() {\n  mainImage(shadertoyFragColor, gl_FragCoord.xy);\n  shadertoyFragColor.a = 1.0;\n}\n';
+
+  return {
+    source: header + body + footer,
+    lineOffset: header.split('\n').length - 1,
+    charOffset: header.length,
+    lineCount: body.split('\n').length,
+    declared
+  };
+}
+
+/**
+ * Validate a Shadertoy shader inside its wrapper, then move diagnostics and fixes back onto the
+ * shader's own lines. Problems found in the wrapper itself are reported on the nearest line.
+ * @param {string} source - Shadertoy shader source
+ * @param {Object} options - Options for validateShader
+ * @returns {Object} - Like validateShader, with shadertoy set
+ */
+function validateShadertoyShader(source, options) {
+  const wrapped = wrapShadertoyShader(source);
+  const result = validateShader(wrapped.source, {
+    ...options,
+    uniforms: { ...SHADERTOY_UNIFORMS, ...(options.uniforms || {}) },
+    shadertoy: false
+  });
+
+  const toSourceLine = diagnostic => {
+    const line = diagnostic.line - wrapped.lineOffset;
+    if (line >= 1 && line <= wrapped.lineCount) {
+      return { ...diagnostic, line };
+    }
+    return {
+      ...diagnostic,
+      line: Math.min(Math.max(line, 1), wrapped.lineCount),
+      message: `${diagnostic.message} (in the Shadertoy wrapper that calls mainImage)`
+    };
+  };
+  const bodyEnd = wrapped.charOffset + source.length;
+
+  return {
+    ...result,
+    errors: result.errors.map(toSourceLine),
+    warnings: result.warnings.map(toSourceLine),
+    uniforms: result.uniforms.filter(uniform => !wrapped.declared.includes(uniform.name)),
+    // Only edits inside the shader's own text can be applied to it
+    fixes: result.fixes
+      .filter(fix => fix.start === undefined || (fix.start >= wrapped.charOffset && (fix.end || fix.start) <= bodyEnd))
+      .filter(fix => fix.kind !== 'addPrecision' && fix.kind !== 'versionFirstLine')
+      .map(fix => fix.start === undefined ? fix : {
+        ...fix,
+        start: fix.start - wrapped.charOffset,
+        end: fix.end === undefined ? undefined : fix.end - wrapped.charOffset
+      }),
+    shadertoy: true
+  };
+}
+
+// ---------------------------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------------------------
+
+/**
+ * Validate a fragment shader. Shadertoy shaders, which define mainImage() instead of main(), are
+ * checked as GLSL ES 3.00 inside the wrapper the renderer puts around them.
+ * @param {string} source - GLSL ES 1.0 fragment shader source, or GLSL ES 3.00 starting with '#version 300 es'
+ * @param {Object} options - { uniforms: extra uniforms the app provides, as name -> type;
+ *   shadertoy: false to check mainImage() shaders as they are }
+ * @returns {Object} - { valid, errors, warnings, uniforms, usesVUv, fixes, version, shadertoy }, where
+ *   version is 100 or 300 and shadertoy tells whether the shader was checked inside the Shadertoy wrapper
+ * @throws {Error} - With status 400 and code INVALID_REQUEST when the source is not a string
+ */
+function validateShader(source, options = {}) {
+  // Sources can come straight from a JSON request body
+  if (typeof source !== 'string') {
+    const error = new Error(`Invalid shader: the source must be a string, not ${source === null ? 'null' : typeof source}`);
+    error.status = 400;
+    error.code = 'INVALID_REQUEST';
+    throw error;
+  }
+  if (options.shadertoy !== false && isShadertoyShader(source)) {
+    return validateShadertoyShader(source, options);
+  }
+
+  const diagnostics = [];
+  const fixes = [];
+  const report = (message, line, column, severity = 'error') => {
+    diagnostics.push({ severity, line, column, message });
+  };
+
+  const uniforms = { ...LAB_UNIFORMS, ...TEXTURE_CHANNEL_UNIFORMS, ...BUFFER_UNIFORMS, ...AUDIO_UNIFORMS, ...(options.uniforms || {}) };
+  const result = {
+    valid: false,
+    errors: [],
+    warnings: [],
+    uniforms: [],
+    usesVUv: false,
+    fixes,
+    version: 100,
+    shadertoy: false
+  };
+
+  if (!source || !source.trim()) {
+    result.errors.push({ severity: 'error', line: 1, column: 1, message: "'' : shader source is empty" });
+    return result;
+  }
+
+  // Uniforms annotated with a control are set by the lab too; annotations it cannot use are warnings
+  const { annotations, problems } = parseUniformAnnotations(source, uniforms);
+  annotations.forEach(annotation => {
+    uniforms[annotation.name] = annotation.type;
+  });
+  problems.forEach(problem => report(`'${problem.name}' : ${problem.message}`, problem.line, 1, 'warning'));
+
+  const { tokens, extensions, version } = preprocess(source, report, fixes);
+  const checker = new GlslChecker(tokens, { uniforms, extensions, version, report, fixes });
+  result.version = version;
+
+  try {
+    checker.parse();
+    checker.finish();
+  } catch (error) {
+    if (error instanceof GlslSyntaxError) {
+      report(error.message, error.line, error.column, 'error');
+    } else {
+      throw error;
+    }
+  }
+
+  result.errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+  result.warnings = diagnostics.filter(diagnostic => diagnostic.severity === 'warning');
+  result.valid = result.errors.length === 0;
+  result.uniforms = checker.declaredUniforms.map(symbol => ({ name: symbol.name, type: symbol.type, used: symbol.used }));
+  const vUv = checker.declaredVaryings.find(symbol => symbol.name === 'vUv');
+  result.usesVUv = !!(vUv && vUv.used);
+  return result;
+}
+
+/**
+ * Validate a multipass shader: the image pass and each buffer pass on its own. Diagnostics of a
+ * buffer pass carry its name in `pass`, and their lines refer to that pass's source.
+ * @param {string} fragmentShader - Image pass source
+ * @param {Object} buffers - Buffer pass sources by name, e.g. { A: '...' }
+ * @param {Object} options - Options for validateShader
+ * @returns {Object} - Like validateShader for the image pass, with the errors, warnings and uniforms
+ *   of every pass, and each pass's own result in `passes` under 'image' and its buffer name
+ */
+function validateShaderPasses(fragmentShader, buffers = {}, options = {}) {
+  const image = validateShader(fragmentShader, options);
+  const result = { ...image, errors: [...image.errors], warnings: [...image.warnings], uniforms: [...image.uniforms], passes: { image } };
+
+  BUFFER_PASS_NAMES.filter(name => buffers[name] !== undefined).forEach(name => {
+    const pass = validateShader(buffers[name], options);
+    result.passes[name] = pass;
+    result.errors.push(...pass.errors.map(diagnostic => ({ ...diagnostic, pass: name })));
+    result.warnings.push(...pass.warnings.map(diagnostic => ({ ...diagnostic, pass: name })));
+    pass.uniforms
+      .filter(uniform => !result.uniforms.some(known => known.name === uniform.name))
+      .forEach(uniform => result.uniforms.push(uniform));
+  });
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Format diagnostics like a WebGL shader info log ("ERROR: 0:12: message"). Diagnostics of a
+ * buffer pass are prefixed with its name, e.g. "Buffer A: ERROR: 0:3: message".
+ * @param {Object} result - Result of validateShader or validateShaderPasses
+ * @param {boolean} includeWarnings - Whether to include warnings
+ * @returns {string}
+ */
+function formatDiagnostics(result, includeWarnings = false) {
+  const diagnostics = includeWarnings ? [...result.errors, ...result.warnings] : result.errors;
+  return diagnostics
+    .slice()
+    .sort((a, b) => (a.pass || '').localeCompare(b.pass || '') || a.line - b.line || a.column - b.column)
+    .map(diagnostic => `${diagnostic.pass ? `Buffer ${diagnostic.pass}: ` : ''}${diagnostic.severity.toUpperCase()}: 0:${diagnostic.line}: ${diagnostic.message}`)
+    .join('\n');
+}
+
+/**
+ * Insert text after any leading #version/#extension lines
+ * @param {string} source - Shader source
+ * @param {string} text - Lines to insert
+ * @returns {string}
+ */
+function insertAfterDirectives(source, text) {
+  const lines = source.split('\n');
+  let index = 0;
+  while (index < lines.length && /^\s*(#\s*(version|extension)\b|$)/.test(lines[index])) {
+    index++;
+  }
+  lines.splice(index, 0, text);
+  return lines.join('\n');
+}
+
+/**
+ * Apply the mechanical fixes found by validateShader: missing precision, undeclared lab
+ * uniforms/vUv, missing extensions, a misplaced '#version 300 es', and int values used where
+ * floats are required.
+ * Repeats until the shader is valid or no more fixes apply.
+ * @param {string} source - Shader source
+ * @param {Object} options - Options for validateShader
+ * @returns {{source: string, applied: Array<string>, validation: Object}}
+ */
+function autoRepairShader(source, options = {}) {
+  const MAX_PASSES = 5;
+  const applied = [];
+  let current = source;
+  let validation = validateShader(current, options);
+
+  for (let pass = 0; pass < MAX_PASSES && !validation.valid; pass++) {
+    const before = current;
+    const fixes = validation.fixes;
+
+    // Text edits inside the body first, from the end of the source so offsets stay valid
+    const edits = fixes
+      .filter(fix => fix.kind === 'intLiteralToFloat' || fix.kind === 'wrapFloat' || fix.kind === 'retypeUniform')
+      .sort((a, b) => b.start - a.start);
+    let lastStart = Infinity;
+    edits.forEach(fix => {
+      if (fix.kind === 'retypeUniform') {
+        const declaration = current.slice(0, fix.start).match(/uniform\s+(?:(?:lowp|mediump|highp)\s+)?(\w+)\s+$/);
+        if (declaration) {
+          const typeStart = fix.start - declaration[0].length + declaration[0].indexOf(declaration[1], 7);
+          current = current.slice(0, typeStart) + fix.type + current.slice(typeStart + declaration[1].length);
+          applied.push(`Changed the type of uniform ${fix.name} to ${fix.type}`);
+          lastStart = typeStart;
+        }
+        return;
+      }
+      // Skip overlapping edits; the next pass will pick them up
+      if (fix.end > lastStart) return;
+      const text = current.slice(fix.start, fix.end);
+      if (fix.kind === 'intLiteralToFloat') {
+        current = current.slice(0, fix.start) + `${text}.0` + current.slice(fix.end);
+        applied.push(`Changed int literal ${text} to ${text}.0`);
+      } else {
+        current = current.slice(0, fix.start) + `float(${text})` + current.slice(fix.end);
+        applied.push(`Wrapped ${text} in float()`);
+      }
+      lastStart = fix.start;
+    });
+
+    if (fixes.some(fix => fix.kind === 'versionFirstLine')) {
+      const lines = current.split('\n');
+      const versionIndex = lines.findIndex(line => /^\s*#\s*version\b/.test(line));
+      const [versionLine] = lines.splice(versionIndex, 1);
+      current = [versionLine.trim(), ...lines].join('\n');
+      applied.push('Moved #version 300 es to the first line');
+    }
+
+    // Declarations at the top
+    const declarations = [];
+    const seen = new Set();
+    fixes.forEach(fix => {
+      const key = `${fix.kind}:${fix.name || ''}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      if (fix.kind === 'declareUniform') {
+        declarations.push(`uniform ${fix.type} ${fix.name};`);
+        applied.push(`Declared missing uniform ${fix.name}`);
+      } else if (fix.kind === 'declareVarying') {
+        declarations.push(`${validation.version === 300 ? 'in' : 'varying'} ${fix.type} ${fix.name};`);
+        applied.push(`Declared missing ${validation.version === 300 ? 'input' : 'varying'} ${fix.name}`);
+      }
+    });
+    if (declarations.length > 0) {
+      current = insertAfterDirectives(current, declarations.join('\n'));
+    }
+    if (fixes.some(fix => fix.kind === 'addPrecision')) {
+      current = insertAfterDirectives(current, 'precision mediump float;');
+      applied.push('Added missing float precision');
+    }
+    fixes.filter(fix => fix.kind === 'enableExtension').forEach(fix => {
+      if (!current.includes(fix.name)) {
+        const lines = current.split('\n');
+        const versionIndex = lines.findIndex(line => /^\s*#\s*version\b/.test(line));
+        lines.splice(versionIndex + 1, 0, `#extension ${fix.name} : enable`);
+        current = lines.join('\n');
+        applied.push(`Enabled ${fix.name}`);
+      }
+    });
+
+    if (current === before) {
+      break;
+    }
+    validation = validateShader(current, options);
+  }
+
+  return { source: current, applied, validation };
+}
+
+module.exports = {
+  LAB_UNIFORMS,
+  LAB_VARYINGS,
+  TEXTURE_CHANNEL_COUNT,
+  TEXTURE_CHANNEL_UNIFORMS,
+  BUFFER_PASS_NAMES,
+  BUFFER_UNIFORMS,
+  AUDIO_TEXTURE_SIZE,
+  AUDIO_UNIFORMS,
+  SHADERTOY_UNIFORMS,
+  isShadertoyShader,
+  validateShader,
+  validateShaderPasses,
+  formatDiagnostics,
+  autoRepairShader
+};
@@ -0,0 +1,252 @@
+// llmFixtures.js - Record LLM calls to fixture files and replay them without a provider
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const FIXTURE_MODES = ['record', 'replay'];
+
+/**
+ * Normalize message text so cosmetic differences do not change the fixture key
+ * @param {string} text - Message text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Reduce messages to their roles and text. Images are left out: screenshots differ from run
+ * to run, and whether they are attached depends on the model rather than on the conversation.
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {Array<{role: string, content: string}>}
+ */
+function normalizeMessages(messages) {
+  return messages.map(message => {
+    const content = Array.isArray(message.content)
+      ? message.content.filter(part => part.type === 'text').map(part => normalizeText(part.text)).join('\n')
+      : normalizeText(message.content);
+    return { role: message.role, content };
+  });
+}
+
+/**
+ * Stores one JSON file per request, named by the hash of its normalized messages
+ */
+class FixtureStore {
+  /**
+   * @param {string} fixturesDir - Directory the fixture files live in
+   */
+  constructor(fixturesDir) {
+    this.fixturesDir = fixturesDir;
+  }
+
+  /**
+   * Fixture key for a request: the messages plus the response schema, since the same
+   * conversation is answered differently with and without structured output
+   * @param {Object} request - { messages, responseSchema }
+   * @returns {string}
+   */
+  keyFor(request) {
+    const normalized = {
+      messages: normalizeMessages(request.messages),
+      responseSchema: request.responseSchema ? request.responseSchema.name : null
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * @param {string} key - Fixture key
+   * @returns {string} - Path of the fixture file
+   */
+  pathFor(key) {
+    return path.join(this.fixturesDir, `${key}.json`);
+  }
+
+  /**
+   * Load a recorded fixture
+   * @param {string} key - Fixture key
+   * @returns {Object|null} - The fixture, or null if none was recorded
+   */
+  get(key) {
+    const filePath = this.pathFor(key);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Write a fixture, replacing any earlier recording of the same request
+   * @param {Object} request - The request that was sent
+   * @param {Object} completion - { content, model, usage }
+   * @param {string} providerName - Provider that answered
+   * @returns {string} - Fixture key
+   */
+  save(request, completion, providerName) {
+    const key = this.keyFor(request);
+    fs.mkdirSync(this.fixturesDir, { recursive: true });
+    fs.writeFileSync(this.pathFor(key), JSON.stringify({
+      key,
+      recordedAt: new Date().toISOString(),
+      provider: providerName,
+      model: completion.model,
+      responseSchema: request.responseSchema ? request.responseSchema.name : null,
+      messages: normalizeMessages(request.messages),
+      completion: {
+        content: completion.content,
+        model: completion.model,
+        usage: completion.usage
+      }
+    }, null, 2));
+    return key;
+  }
+}
+
+/**
+ * Passes requests to a real provider and records every completed response
+ */
+class RecordingProvider {
+  /**
+   * @param {Object} provider - Provider that answers the requests
+   * @param {FixtureStore} store - Where responses are recorded
+   */
+  constructor(provider, store) {
+    this.provider = provider;
+    this.store = store;
+    this.name = provider.name;
+    this.defaultModel = provider.defaultModel;
+  }
+
+  supportsImageInput(model) {
+    return this.provider.supportsImageInput(model);
+  }
+
+  async complete(request) {
+    const completion = await this.provider.complete(request);
+    const key = this.store.save(request, completion, this.name);
+    console.log(`Recorded LLM fixture ${key}`);
+    return completion;
+  }
+
+  async *stream(request) {
+    let content = '';
+    for await (const event of this.provider.stream(request)) {
+      if (event.type === 'text') {
+        content += event.text;
+      } else if (event.type === 'usage') {
+        // Streams that fail part-way are not recorded
+        const key = this.store.save(request, { content, model: event.model || request.model, usage: event.usage }, this.name);
+        console.log(`Recorded LLM fixture ${key}`);
+      }
+      yield event;
+    }
+  }
+}
+
+/**
+ * Answers requests from recorded fixtures, without network access
+ */
+class ReplayProvider {
+  /**
+   * @param {FixtureStore} store - Recorded fixtures
+   * @param {Object} options - { defaultModel, imageInput }
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.name = 'replay';
+    this.defaultModel = options.defaultModel || 'replay';
+    this.imageInput = options.imageInput;
+  }
+
+  supportsImageInput() {
+    // Images are not part of the fixture key, so attaching them never breaks a replay
+    return this.imageInput !== undefined ? this.imageInput : true;
+  }
+
+  /**
+   * Find the fixture for a request
+   * @param {Object} request - { messages, responseSchema }
+   * @returns {Object} - The recorded fixture
+   * @throws {Error} - With code FIXTURE_NOT_FOUND when nothing was recorded for the request
+   */
+  lookup(request) {
+    const key = this.store.keyFor(request);
+    const fixture = this.store.get(key);
+    if (fixture) {
+      return fixture;
+    }
+
+    const lastMessage = normalizeMessages(request.messages).slice(-1)[0];
+    const preview = lastMessage ? lastMessage.content.replace(/\s+/g, ' ').slice(0, 120) : '';
+    const error = new Error(
+      `No recorded LLM fixture for this request (key ${key}, expected ${this.store.pathFor(key)}). ` +
+      `Record it by running with LLM_FIXTURE_MODE=record. Last message: "${preview}"`
+    );
+    error.code = 'FIXTURE_NOT_FOUND';
+    error.fixtureKey = key;
+    throw error;
+  }
+
+  async complete(request) {
+    const { completion } = this.lookup(request);
+    return { ...completion };
+  }
+
+  async *stream(request) {
+    const { completion } = this.lookup(request);
+
+    // Replay the recorded response in small chunks, like a real provider would
+    const CHUNK_SIZE = 24;
+    for (let i = 0; i < completion.content.length; i += CHUNK_SIZE) {
+      await new Promise(resolve => setImmediate(resolve));
+      if (request.signal && request.signal.aborted) {
+        throw new Error('Request aborted');
+      }
+      yield { type: 'text', text: completion.content.slice(i, i + CHUNK_SIZE) };
+    }
+
+    yield { type: 'usage', model: completion.model, usage: completion.usage };
+  }
+}
+
+/**
+ * Create the provider for the fixture mode selected by LLM_FIXTURE_MODE. In replay mode the
+ * real provider is never created, so no API key or network access is needed.
+ * @param {Function} createProvider - Creates the real provider
+ * @param {Object} env - Environment variables
+ * @param {string} defaultDir - Fixture directory when LLM_FIXTURE_DIR is not set
+ * @returns {Object} - Provider instance
+ */
+function createFixtureProviderFromEnv(createProvider, env = process.env, defaultDir = 'fixtures/llm') {
+  const mode = (env.LLM_FIXTURE_MODE || '').toLowerCase();
+  if (!mode) {
+    return createProvider();
+  }
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(`Unknown LLM_FIXTURE_MODE "${env.LLM_FIXTURE_MODE}". Expected one of: ${FIXTURE_MODES.join(', ')}`);
+  }
+
+  const store = new FixtureStore(env.LLM_FIXTURE_DIR || defaultDir);
+  console.log(`LLM fixture mode: ${mode} (${store.fixturesDir})`);
+
+  if (mode === 'record') {
+    return new RecordingProvider(createProvider(), store);
+  }
+
+  const imageInput = env.LLM_IMAGE_INPUT ? env.LLM_IMAGE_INPUT.toLowerCase() === 'true' : undefined;
+  return new ReplayProvider(store, { defaultModel: env.LLM_MODEL, imageInput });
+}
+
+module.exports = {
+  FixtureStore,
+  RecordingProvider,
+  ReplayProvider,
+  createFixtureProviderFromEnv,
+  normalizeMessages
+};
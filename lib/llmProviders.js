@@ -0,0 +1,543 @@
+// llmProviders.js - Pluggable LLM provider layer for the Iterative Shader Lab
+
+const OpenAI = require('openai');
+const axios = require('axios');
+
+/**
+ * All providers accept messages in the OpenAI chat format that server.js builds
+ * (system/user/assistant roles, with optional image_url content parts) and return
+ * a normalized completion: { content, model, usage }.
+ *
+ * stream() is an async generator with the same input that yields
+ * { type: 'text', text } chunks followed by a single { type: 'usage', usage, model } event.
+ *
+ * A request may carry a responseSchema ({ name, description, schema }). Providers that can
+ * enforce it do so natively and return the resulting JSON object as the content text;
+ * the prompt asks for the same JSON, so providers that cannot enforce it still usually comply.
+ *
+ * A request may also carry an AbortSignal as `signal`; aborting it cancels the HTTP request.
+ */
+
+// OpenAI model families that accept image_url content parts
+const OPENAI_VISION_MODEL_PATTERN = /^(gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-4-vision|gpt-4-1106-vision|gpt-5|o1|o3|o4)/;
+
+/**
+ * Parse a boolean-ish environment value
+ * @param {string|undefined} value - Raw environment value
+ * @returns {boolean|undefined} - Parsed value, or undefined when not set
+ */
+function parseBooleanEnv(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  return value === true || String(value).toLowerCase() === 'true';
+}
+
+/**
+ * Normalize a usage object from any provider into a common shape
+ * @param {number} promptTokens - Input tokens
+ * @param {number} completionTokens - Output tokens
+ * @returns {{promptTokens: number, completionTokens: number, totalTokens: number}}
+ */
+function normalizeUsage(promptTokens = 0, completionTokens = 0) {
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens
+  };
+}
+
+/**
+ * Provider for the official OpenAI API
+ */
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.defaultModel = options.defaultModel || 'gpt-4.1-mini';
+    this.imageInput = options.imageInput;
+    // Whether to send response_format with a JSON schema when a request has one
+    this.structuredOutput = options.structuredOutput !== undefined ? options.structuredOutput : true;
+    // Only the official API is known to accept stream_options
+    this.streamUsage = options.streamUsage !== undefined ? options.streamUsage : true;
+    this.client = new OpenAI({
+      apiKey: options.apiKey,
+      baseURL: options.baseURL
+    });
+  }
+
+  /**
+   * Whether the given model accepts image content parts
+   * @param {string} model - Model name
+   * @returns {boolean}
+   */
+  supportsImageInput(model) {
+    if (this.imageInput !== undefined) return this.imageInput;
+    // Fine-tuned models are named ft:<base-model>:<org>::<id>
+    const baseModel = (model || '').replace(/^ft:/, '');
+    return OPENAI_VISION_MODEL_PATTERN.test(baseModel);
+  }
+
+  /**
+   * Build the chat completion request body
+   * @param {Object} request - { model, messages, responseSchema }
+   * @returns {Object}
+   */
+  buildBody({ model, messages, responseSchema }) {
+    const body = {
+      model: model || this.defaultModel,
+      messages
+    };
+    if (responseSchema && this.structuredOutput) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: responseSchema.name,
+          description: responseSchema.description,
+          schema: responseSchema.schema,
+          strict: true
+        }
+      };
+    }
+    return body;
+  }
+
+  /**
+   * Request a chat completion
+   * @param {Object} request - { model, messages, responseSchema }
+   * @returns {Promise<{content: string, model: string, usage: Object}>}
+   */
+  async complete(request) {
+    const { model } = request;
+    const completion = await this.client.chat.completions.create(this.buildBody(request), { signal: request.signal });
+
+    if (!completion || !completion.choices || !completion.choices[0]) {
+      console.error('Unexpected API response structure:', JSON.stringify(completion));
+      throw new Error('Invalid API response structure');
+    }
+
+    const usage = completion.usage || {};
+    return {
+      content: completion.choices[0].message.content || '',
+      model: completion.model || model,
+      usage: normalizeUsage(usage.prompt_tokens, usage.completion_tokens)
+    };
+  }
+
+  /**
+   * Stream a chat completion
+   * @param {Object} request - { model, messages, responseSchema }
+   * @yields {Object} - Text chunks, then a usage event
+   */
+  async *stream(request) {
+    const { model } = request;
+    const body = { ...this.buildBody(request), stream: true };
+    if (this.streamUsage) {
+      body.stream_options = { include_usage: true };
+    }
+
+    const stream = await this.client.chat.completions.create(body, { signal: request.signal });
+    let usage = {};
+    let responseModel = model;
+
+    for await (const chunk of stream) {
+      if (chunk.model) responseModel = chunk.model;
+      if (chunk.usage) usage = chunk.usage;
+      const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+      if (delta && delta.content) {
+        yield { type: 'text', text: delta.content };
+      }
+    }
+
+    yield {
+      type: 'usage',
+      model: responseModel,
+      usage: normalizeUsage(usage.prompt_tokens, usage.completion_tokens)
+    };
+  }
+}
+
+/**
+ * Provider for servers exposing an OpenAI-compatible /v1/chat/completions endpoint
+ * (Ollama, llama.cpp server, vLLM, LM Studio, ...)
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    if (!options.baseURL) {
+      throw new Error('LLM_BASE_URL must be set for the openai-compatible provider');
+    }
+    super({
+      ...options,
+      name: options.name || 'openai-compatible',
+      // Local servers usually ignore the key, but the SDK requires one
+      apiKey: options.apiKey || 'not-needed',
+      defaultModel: options.defaultModel || 'llama3.2',
+      streamUsage: false
+    });
+    this.visionModels = options.visionModels || [];
+  }
+
+  supportsImageInput(model) {
+    if (this.imageInput !== undefined) return this.imageInput;
+    // There is no reliable way to ask a local server about vision support,
+    // so only models listed in LLM_VISION_MODELS are sent images
+    return this.visionModels.includes(model);
+  }
+}
+
+/**
+ * Provider for an Anthropic-style /v1/messages API
+ */
+class AnthropicProvider {
+  constructor(options = {}) {
+    if (!options.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY (or LLM_API_KEY) must be set for the anthropic provider');
+    }
+    this.name = options.name || 'anthropic';
+    this.apiKey = options.apiKey;
+    this.baseURL = (options.baseURL || 'https://api.anthropic.com').replace(/\/$/, '');
+    this.defaultModel = options.defaultModel || 'claude-sonnet-4-20250514';
+    this.maxTokens = options.maxTokens || 4096;
+    this.imageInput = options.imageInput;
+    // Whether to enforce response schemas through a forced tool call
+    this.structuredOutput = options.structuredOutput !== undefined ? options.structuredOutput : true;
+  }
+
+  supportsImageInput() {
+    return this.imageInput !== undefined ? this.imageInput : true;
+  }
+
+  /**
+   * Convert OpenAI-format messages into an Anthropic system prompt and message list
+   * @param {Array<Object>} messages - OpenAI-format chat messages
+   * @returns {{system: string, messages: Array<Object>}}
+   */
+  convertMessages(messages) {
+    const systemParts = [];
+    const converted = [];
+
+    messages.forEach(message => {
+      if (message.role === 'system') {
+        systemParts.push(message.content);
+        return;
+      }
+
+      let content = message.content;
+      if (Array.isArray(content)) {
+        content = content.map(part => {
+          if (part.type === 'image_url') {
+            const matches = part.image_url.url.match(/^data:([A-Za-z-+\/]+);base64,(.+)$/);
+            if (matches) {
+              return {
+                type: 'image',
+                source: { type: 'base64', media_type: matches[1], data: matches[2] }
+              };
+            }
+            return { type: 'image', source: { type: 'url', url: part.image_url.url } };
+          }
+          return { type: 'text', text: part.text };
+        });
+      }
+
+      converted.push({ role: message.role, content });
+    });
+
+    return { system: systemParts.join('\n\n'), messages: converted };
+  }
+
+  /**
+   * Request headers for the messages API
+   * @returns {Object}
+   */
+  getHeaders() {
+    return {
+      'x-api-key': this.apiKey,
+      'anthropic-version': '2023-06-01',
+      'content-type': 'application/json'
+    };
+  }
+
+  /**
+   * Build the messages API request body. A response schema becomes a single tool the
+   * model is forced to call, whose input is the structured response.
+   * @param {Object} request - { model, messages, responseSchema }
+   * @returns {Object}
+   */
+  buildBody({ model, messages, responseSchema }) {
+    const { system, messages: anthropicMessages } = this.convertMessages(messages);
+    const body = {
+      model: model || this.defaultModel,
+      max_tokens: this.maxTokens,
+      system,
+      messages: anthropicMessages
+    };
+    if (responseSchema && this.structuredOutput) {
+      body.tools = [{
+        name: responseSchema.name,
+        description: responseSchema.description,
+        input_schema: responseSchema.schema
+      }];
+      body.tool_choice = { type: 'tool', name: responseSchema.name };
+    }
+    return body;
+  }
+
+  async complete(request) {
+    const { model } = request;
+    const response = await axios.post(`${this.baseURL}/v1/messages`, this.buildBody(request), {
+      headers: this.getHeaders(),
+      signal: request.signal
+    });
+
+    const data = response.data || {};
+    const blocks = data.content || [];
+    const toolUse = blocks.find(block => block.type === 'tool_use');
+    const content = toolUse
+      ? JSON.stringify(toolUse.input)
+      : blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+    const usage = data.usage || {};
+
+    return {
+      content,
+      model: data.model || model,
+      usage: normalizeUsage(usage.input_tokens, usage.output_tokens)
+    };
+  }
+
+  async *stream(request) {
+    const { model } = request;
+    const response = await axios.post(`${this.baseURL}/v1/messages`, { ...this.buildBody(request), stream: true }, {
+      headers: this.getHeaders(),
+      responseType: 'stream',
+      signal: request.signal
+    });
+
+    let buffer = '';
+    let inputTokens = 0;
+    let outputTokens = 0;
+    let responseModel = model;
+
+    for await (const chunk of response.data) {
+      buffer += chunk.toString('utf8');
+
+      // Server-sent events are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const dataLine = rawEvent.split('\n').find(line => line.startsWith('data:'));
+        if (!dataLine) continue;
+
+        let event;
+        try {
+          event = JSON.parse(dataLine.slice(5).trim());
+        } catch (parseError) {
+          continue;
+        }
+
+        if (event.type === 'message_start' && event.message) {
+          responseModel = event.message.model || responseModel;
+          inputTokens = (event.message.usage && event.message.usage.input_tokens) || 0;
+        } else if (event.type === 'content_block_delta' && event.delta && event.delta.type === 'text_delta') {
+          yield { type: 'text', text: event.delta.text };
+        } else if (event.type === 'content_block_delta' && event.delta && event.delta.type === 'input_json_delta') {
+          // Forced tool call: the tool input is the structured response, streamed as JSON text
+          yield { type: 'text', text: event.delta.partial_json };
+        } else if (event.type === 'message_delta' && event.usage) {
+          outputTokens = event.usage.output_tokens || outputTokens;
+        } else if (event.type === 'error') {
+          throw new Error(event.error ? event.error.message : 'Anthropic stream error');
+        }
+      }
+    }
+
+    yield { type: 'usage', model: responseModel, usage: normalizeUsage(inputTokens, outputTokens) };
+  }
+}
+
+// Requests for this model name fail, so fallbacks can be exercised with the mock provider
+const MOCK_ERROR_MODEL = 'mock-error';
+
+/**
+ * Deterministic offline provider used for development and tests.
+ * The same messages always produce the same shader, and no network access is needed.
+ */
+class MockProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'mock';
+    this.defaultModel = options.defaultModel || 'mock-shader-model';
+    this.imageInput = options.imageInput;
+  }
+
+  supportsImageInput() {
+    return this.imageInput !== undefined ? this.imageInput : true;
+  }
+
+  /**
+   * Simple string hash so the output depends only on the input
+   * @param {string} text - Text to hash
+   * @returns {number} - Unsigned 32-bit hash
+   */
+  hash(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Build the canned response text for a set of messages
+   * @param {Array<Object>} messages - OpenAI-format chat messages
+   * @param {Object} responseSchema - When set, answer with the structured JSON response
+   * @returns {string}
+   */
+  buildResponse(messages, responseSchema) {
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    let request = '';
+    if (lastUser) {
+      request = Array.isArray(lastUser.content)
+        ? lastUser.content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+        : lastUser.content;
+    }
+
+    const seed = this.hash(request);
+    const hue = ((seed % 628) / 100).toFixed(2);
+    const speed = (0.5 + (seed % 150) / 100).toFixed(2);
+    const reflection = `Mock response: rendering a cosine palette with hue offset ${hue} animated at speed ${speed}.`;
+    const shader = `precision mediump float;
+varying vec2 vUv;
+uniform float uTime;
+uniform float uAspect;
+
+void main() {
+    vec2 uv = vUv;
+    uv.x *= uAspect;
+    vec3 color = 0.5 + 0.5 * cos(uTime * ${speed} + uv.xyx * 3.0 + vec3(${hue}, ${hue} + 2.0, ${hue} + 4.0));
+    gl_FragColor = vec4(color, 1.0);
+}`;
+
+    // Benchmark judges get a score instead of a shader
+    if (responseSchema && responseSchema.name === 'shader_judgement') {
+      return JSON.stringify({ score: 1 + (seed % 10), reason: `Mock judgement: score ${1 + (seed % 10)} for this shader.` });
+    }
+    if (responseSchema) {
+      return JSON.stringify({
+        reflection,
+        changes: [`Cosine palette with hue offset ${hue}`, `Animation speed ${speed}`],
+        shader,
+        uniforms: [{ name: 'uTime', type: 'float' }, { name: 'uAspect', type: 'float' }]
+      }, null, 2);
+    }
+    return `${reflection}\n\n#-- FRAGMENT SHADER --#\n${shader}`;
+  }
+
+  async complete({ model, messages, responseSchema, signal }) {
+    if (signal && signal.aborted) {
+      throw new Error('Request aborted');
+    }
+    if (model === MOCK_ERROR_MODEL) {
+      throw new Error(`Mock model ${MOCK_ERROR_MODEL} always fails`);
+    }
+    const content = this.buildResponse(messages, responseSchema);
+    const promptChars = JSON.stringify(messages).length;
+    return {
+      content,
+      model: model || this.defaultModel,
+      usage: normalizeUsage(Math.ceil(promptChars / 4), Math.ceil(content.length / 4))
+    };
+  }
+
+  async *stream(request) {
+    const completion = await this.complete(request);
+
+    // Emit the canned response in small chunks, like a real provider would
+    const CHUNK_SIZE = 24;
+    for (let i = 0; i < completion.content.length; i += CHUNK_SIZE) {
+      await new Promise(resolve => setImmediate(resolve));
+      if (request.signal && request.signal.aborted) {
+        throw new Error('Request aborted');
+      }
+      yield { type: 'text', text: completion.content.slice(i, i + CHUNK_SIZE) };
+    }
+
+    yield { type: 'usage', model: completion.model, usage: completion.usage };
+  }
+}
+
+const PROVIDER_TYPES = {
+  'openai': OpenAIProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  'anthropic': AnthropicProvider,
+  'mock': MockProvider
+};
+
+/**
+ * Create a provider instance
+ * @param {string} type - One of the keys of PROVIDER_TYPES
+ * @param {Object} options - Provider-specific options
+ * @returns {Object} - Provider instance
+ */
+function createProvider(type, options = {}) {
+  const ProviderClass = PROVIDER_TYPES[type];
+  if (!ProviderClass) {
+    throw new Error(`Unknown LLM provider "${type}". Expected one of: ${Object.keys(PROVIDER_TYPES).join(', ')}`);
+  }
+  return new ProviderClass(options);
+}
+
+/**
+ * Create the provider selected by the environment (LLM_PROVIDER, defaults to openai)
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Provider instance
+ */
+function createProviderFromEnv(env = process.env) {
+  const type = (env.LLM_PROVIDER || 'openai').toLowerCase();
+  const imageInput = parseBooleanEnv(env.LLM_IMAGE_INPUT);
+  const structuredOutput = parseBooleanEnv(env.LLM_STRUCTURED_OUTPUT);
+
+  switch (type) {
+    case 'openai':
+      if (!env.OPENAI_API_KEY) {
+        throw new Error('process.env.OPENAI_API_KEY is not set.');
+      }
+      return createProvider('openai', {
+        apiKey: env.OPENAI_API_KEY,
+        baseURL: env.OPENAI_BASE_URL,
+        imageInput,
+        structuredOutput
+      });
+    case 'openai-compatible':
+      return createProvider('openai-compatible', {
+        apiKey: env.LLM_API_KEY,
+        baseURL: env.LLM_BASE_URL,
+        defaultModel: env.LLM_MODEL,
+        visionModels: (env.LLM_VISION_MODELS || '').split(',').map(name => name.trim()).filter(Boolean),
+        imageInput,
+        structuredOutput
+      });
+    case 'anthropic':
+      return createProvider('anthropic', {
+        apiKey: env.ANTHROPIC_API_KEY || env.LLM_API_KEY,
+        baseURL: env.LLM_BASE_URL,
+        defaultModel: env.LLM_MODEL,
+        imageInput,
+        structuredOutput
+      });
+    case 'mock':
+      return createProvider('mock', {
+        defaultModel: env.LLM_MODEL,
+        imageInput
+      });
+    default:
+      return createProvider(type);
+  }
+}
+
+module.exports = {
+  OpenAIProvider,
+  OpenAICompatibleProvider,
+  AnthropicProvider,
+  MockProvider,
+  createProvider,
+  createProviderFromEnv
+};
@@ -0,0 +1,168 @@
+// logStore.js - Persistent store for LLM interaction logs
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Stores every LLM interaction as a timestamped JSON file in the logs directory.
+ * File names look like `iterate_2025-01-01T12-00-00-000Z_<id>.json` so the directory
+ * can also be browsed by hand.
+ */
+class LogStore {
+  /**
+   * @param {string} logsDir - Directory the log files are written to
+   */
+  constructor(logsDir) {
+    this.logsDir = logsDir;
+    if (!fs.existsSync(logsDir)) {
+      fs.mkdirSync(logsDir, { recursive: true });
+      console.log('Created logs directory:', logsDir);
+    }
+  }
+
+  /**
+   * Write a log entry to disk
+   * @param {Object} entry - Interaction data (type, sessionId, model, messages, response, ...)
+   * @returns {Object} - The stored entry including its id and timestamp
+   */
+  record(entry) {
+    const id = crypto.randomUUID();
+    const timestamp = new Date().toISOString();
+    const stored = { id, timestamp, ...entry };
+    const filename = `${entry.type || 'interaction'}_${timestamp.replace(/[:.]/g, '-')}_${id}.json`;
+
+    try {
+      fs.writeFileSync(path.join(this.logsDir, filename), JSON.stringify(stored, null, 2));
+    } catch (error) {
+      console.error('Error writing log entry:', error);
+    }
+    return stored;
+  }
+
+  /**
+   * List log file names, newest first
+   * @private
+   * @returns {Array<string>}
+   */
+  _listFiles() {
+    return fs.readdirSync(this.logsDir)
+      .filter(filename => filename.endsWith('.json'))
+      .sort((a, b) => this._timestampOf(b).localeCompare(this._timestampOf(a)));
+  }
+
+  /**
+   * Extract the timestamp part of a log file name
+   * @private
+   * @param {string} filename - Log file name
+   * @returns {string}
+   */
+  _timestampOf(filename) {
+    const parts = filename.split('_');
+    return parts.length >= 3 ? parts[1] : '';
+  }
+
+  /**
+   * Read a log file
+   * @private
+   * @param {string} filename - Log file name
+   * @returns {Object|null}
+   */
+  _read(filename) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.logsDir, filename), 'utf8'));
+    } catch (error) {
+      console.error(`Error reading log file ${filename}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * List log entries matching the filters, without their (large) messages and responses
+   * @param {Object} filters - { sessionId, date (YYYY-MM-DD), type, promptVersion, limit }
+   * @returns {Array<Object>} - Entry summaries, newest first
+   */
+  list(filters = {}) {
+    const { sessionId, date, type, promptVersion } = filters;
+    const limit = Math.max(1, Math.min(parseInt(filters.limit, 10) || 50, 500));
+    const results = [];
+
+    for (const filename of this._listFiles()) {
+      if (results.length >= limit) break;
+      // File timestamps are UTC, so the date filter can be checked before parsing
+      if (date && !this._timestampOf(filename).startsWith(date)) continue;
+      if (type && !filename.startsWith(`${type}_`)) continue;
+
+      const entry = this._read(filename);
+      if (!entry) continue;
+      if (sessionId && entry.sessionId !== sessionId) continue;
+      if (promptVersion && entry.promptVersion !== promptVersion) continue;
+
+      results.push(this.summarize(entry));
+    }
+
+    return results;
+  }
+
+  /**
+   * Fetch a single log entry by id
+   * @param {string} id - Entry id
+   * @returns {Object|null}
+   */
+  get(id) {
+    const filename = this._listFiles().find(name => name.endsWith(`_${id}.json`));
+    return filename ? this._read(filename) : null;
+  }
+
+  /**
+   * Reduce an entry to the fields shown in listings
+   * @param {Object} entry - Full log entry
+   * @returns {Object}
+   */
+  summarize(entry) {
+    return {
+      id: entry.id,
+      timestamp: entry.timestamp,
+      type: entry.type,
+      sessionId: entry.sessionId,
+      iteration: entry.iteration,
+      provider: entry.provider,
+      model: entry.model,
+      phase: entry.phase || null,
+      promptVersion: entry.promptVersion || null,
+      promptHash: entry.promptHash || null,
+      fallbacks: entry.fallbacks || [],
+      latencyMs: entry.latencyMs,
+      usage: entry.usage,
+      screenshots: entry.screenshots || [],
+      error: entry.error || null
+    };
+  }
+}
+
+/**
+ * Replace inline base64 images in a messages array with links to the saved screenshot files,
+ * so log entries stay readable and small
+ * @param {Array<Object>} messages - OpenAI-format chat messages
+ * @param {Array<string>} screenshotUrls - URLs of the saved screenshots, in request order
+ * @returns {Array<Object>} - Copy of the messages with image data replaced
+ */
+function linkScreenshotsInMessages(messages, screenshotUrls = []) {
+  let imageIndex = 0;
+  return messages.map(message => {
+    if (!Array.isArray(message.content)) return message;
+    return {
+      ...message,
+      content: message.content.map(part => {
+        if (part.type !== 'image_url' || !part.image_url.url.startsWith('data:')) return part;
+        const url = screenshotUrls[imageIndex++] || '[inline image omitted]';
+        return { ...part, image_url: { ...part.image_url, url } };
+      })
+    };
+  });
+}
+
+module.exports = {
+  LogStore,
+  linkScreenshotsInMessages
+};
@@ -0,0 +1,289 @@
+// modelRouter.js - Route each phase of the shader workflow to an ordered list of models with fallbacks
+
+const fs = require('fs');
+const path = require('path');
+const { cancelledError } = require('./requestRegistry');
+
+// Phases of the workflow that can be routed to different models
+const ROUTING_PHASES = {
+  generation: 'Initial generation',
+  compileFix: 'Compile-fix auto-iteration',
+  manualIteration: 'Manual iteration',
+  visionCritique: 'Vision critique'
+};
+
+// With no vision critique models, screenshots go straight to the iteration model
+const OPTIONAL_PHASES = ['visionCritique'];
+
+const DEFAULT_TIMEOUT_MS = 120000;
+
+/**
+ * Check a routing policy and normalize it to { timeoutMs, phases: { phase: [models] } }
+ * @param {Object} policy - Policy as read from the file or sent by the settings panel
+ * @returns {Object} - Normalized policy
+ * @throws {Error} - With status 400 when the policy is invalid
+ */
+function validatePolicy(policy) {
+  const fail = message => {
+    const error = new Error(`Invalid routing policy: ${message}`);
+    error.status = 400;
+    throw error;
+  };
+
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    fail('expected an object');
+  }
+
+  const normalized = { timeoutMs: DEFAULT_TIMEOUT_MS, phases: {} };
+  if (policy.timeoutMs !== undefined) {
+    if (!Number.isInteger(policy.timeoutMs) || policy.timeoutMs <= 0) {
+      fail('timeoutMs must be a positive integer');
+    }
+    normalized.timeoutMs = policy.timeoutMs;
+  }
+
+  const phases = policy.phases || {};
+  Object.keys(phases).forEach(phase => {
+    if (!ROUTING_PHASES[phase]) {
+      fail(`unknown phase "${phase}", expected one of: ${Object.keys(ROUTING_PHASES).join(', ')}`);
+    }
+  });
+
+  Object.keys(ROUTING_PHASES).forEach(phase => {
+    const models = phases[phase] === undefined ? [] : phases[phase];
+    if (!Array.isArray(models) || models.some(model => typeof model !== 'string' || model.trim() === '')) {
+      fail(`phases.${phase} must be a list of model names`);
+    }
+    const unique = [...new Set(models.map(model => model.trim()))];
+    if (unique.length === 0 && !OPTIONAL_PHASES.includes(phase)) {
+      fail(`phases.${phase} needs at least one model`);
+    }
+    normalized.phases[phase] = unique;
+  });
+
+  return normalized;
+}
+
+/**
+ * Drop image parts from messages for models that cannot read them
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {Array<Object>}
+ */
+function stripImages(messages) {
+  return messages.map(message => {
+    if (!Array.isArray(message.content)) return message;
+    const text = message.content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+    return { ...message, content: text };
+  });
+}
+
+/**
+ * Sends requests for a phase to its models in order, moving to the next model when one
+ * fails or does not answer within the policy's timeout.
+ */
+class ModelRouter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - LLM provider the models belong to
+   * @param {string} options.policyFile - JSON file the policy is read from and saved to
+   * @param {Object} options.defaultPolicy - Policy used when the file does not exist
+   */
+  constructor({ provider, policyFile, defaultPolicy }) {
+    this.provider = provider;
+    this.policyFile = policyFile;
+    this.defaultPolicy = validatePolicy(defaultPolicy);
+    this.load();
+  }
+
+  /**
+   * (Re)load the policy file, falling back to the default policy
+   */
+  load() {
+    this.policy = this.defaultPolicy;
+    this.source = 'default';
+
+    if (!fs.existsSync(this.policyFile)) return;
+    try {
+      this.policy = validatePolicy(JSON.parse(fs.readFileSync(this.policyFile, 'utf8')));
+      this.source = 'file';
+      console.log('Loaded model routing policy from', this.policyFile);
+    } catch (error) {
+      console.error(`Ignoring model routing policy ${this.policyFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate and save a new policy
+   * @param {Object} policy - New policy
+   * @returns {Object} - The normalized policy now in use
+   */
+  save(policy) {
+    const normalized = validatePolicy(policy);
+    fs.mkdirSync(path.dirname(this.policyFile), { recursive: true });
+    fs.writeFileSync(this.policyFile, JSON.stringify(normalized, null, 2));
+    this.policy = normalized;
+    this.source = 'file';
+    return normalized;
+  }
+
+  /**
+   * Delete the policy file and go back to the default policy
+   */
+  reset() {
+    if (fs.existsSync(this.policyFile)) {
+      fs.unlinkSync(this.policyFile);
+    }
+    this.load();
+  }
+
+  /**
+   * Describe the routing configuration for the settings panel
+   * @returns {Object}
+   */
+  describe() {
+    return {
+      provider: this.provider.name,
+      phases: ROUTING_PHASES,
+      policy: this.policy,
+      defaultPolicy: this.defaultPolicy,
+      source: this.source
+    };
+  }
+
+  /**
+   * Models configured for a phase, in the order they are tried
+   * @param {string} phase - One of ROUTING_PHASES
+   * @returns {Array<string>}
+   */
+  modelsFor(phase) {
+    return this.policy.phases[phase] || [];
+  }
+
+  /**
+   * Build the request for one model, with a signal that aborts on the timeout or when the
+   * caller's own signal (request.signal) is aborted
+   * @private
+   */
+  _attempt(model, request) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.policy.timeoutMs);
+    const cancel = () => controller.abort();
+    if (request.signal) {
+      request.signal.addEventListener('abort', cancel);
+    }
+    const messages = this.provider.supportsImageInput(model) ? request.messages : stripImages(request.messages);
+
+    return {
+      request: { ...request, model, messages, signal: controller.signal },
+      stopTimer: () => clearTimeout(timer),
+      release: () => {
+        clearTimeout(timer);
+        if (request.signal) request.signal.removeEventListener('abort', cancel);
+      },
+      reason: error => controller.signal.aborted ? `timed out after ${this.policy.timeoutMs} ms` : error.message
+    };
+  }
+
+  /**
+   * The error to throw once the caller has cancelled: there is no point in trying the fallbacks
+   * @private
+   */
+  _cancelled(phase, fallbacks) {
+    const error = cancelledError();
+    error.phase = phase;
+    error.fallbacks = fallbacks;
+    return error;
+  }
+
+  /**
+   * Request a completion for a phase, falling back through its models
+   * @param {string} phase - One of ROUTING_PHASES
+   * @param {Object} request - { messages, responseSchema, signal }; the model is chosen here unless
+   *   request.models pins the models to try instead of the phase's
+   * @returns {Promise<Object>} - The provider's completion plus { phase, fallbacks }
+   * @throws {Error} - The last model's error, with the phase and failed attempts in error.phase and error.fallbacks,
+   *   or a REQUEST_CANCELLED error once request.signal is aborted
+   */
+  async complete(phase, request) {
+    const fallbacks = [];
+    let lastError = new Error(`No models are configured for ${phase}`);
+
+    for (const model of request.models || this.modelsFor(phase)) {
+      if (request.signal && request.signal.aborted) {
+        throw this._cancelled(phase, fallbacks);
+      }
+      const attempt = this._attempt(model, request);
+      try {
+        const completion = await this.provider.complete(attempt.request);
+        return { ...completion, phase, fallbacks };
+      } catch (error) {
+        if (request.signal && request.signal.aborted) {
+          throw this._cancelled(phase, fallbacks);
+        }
+        const reason = attempt.reason(error);
+        console.warn(`Model ${model} failed for ${phase}: ${reason}`);
+        fallbacks.push({ model, error: reason });
+        lastError = error;
+      } finally {
+        attempt.release();
+      }
+    }
+
+    lastError.phase = phase;
+    lastError.fallbacks = fallbacks;
+    throw lastError;
+  }
+
+  /**
+   * Stream a completion for a phase. A model is only abandoned before its first chunk arrives;
+   * once text has been sent to the client, errors are passed on. Aborting request.signal stops
+   * the stream with a REQUEST_CANCELLED error.
+   * @param {string} phase - One of ROUTING_PHASES
+   * @param {Object} request - { messages, responseSchema, signal, models }; the model is chosen here
+   * @yields {Object} - A 'route' event naming the model, then the provider's events
+   */
+  async *stream(phase, request) {
+    const fallbacks = [];
+    let lastError = new Error(`No models are configured for ${phase}`);
+
+    for (const model of request.models || this.modelsFor(phase)) {
+      if (request.signal && request.signal.aborted) {
+        throw this._cancelled(phase, fallbacks);
+      }
+      const attempt = this._attempt(model, request);
+      let started = false;
+      try {
+        for await (const event of this.provider.stream(attempt.request)) {
+          if (!started) {
+            started = true;
+            attempt.stopTimer();
+            yield { type: 'route', phase, model, fallbacks };
+          }
+          yield event;
+        }
+        return;
+      } catch (error) {
+        if (request.signal && request.signal.aborted) {
+          throw this._cancelled(phase, fallbacks);
+        }
+        if (started) {
+          error.phase = phase;
+          error.fallbacks = fallbacks;
+          throw error;
+        }
+        const reason = attempt.reason(error);
+        console.warn(`Model ${model} failed for ${phase}: ${reason}`);
+        fallbacks.push({ model, error: reason });
+        lastError = error;
+      } finally {
+        attempt.release();
+      }
+    }
+
+    lastError.phase = phase;
+    lastError.fallbacks = fallbacks;
+    throw lastError;
+  }
+}
+
+module.exports = { ModelRouter, ROUTING_PHASES, validatePolicy };
@@ -0,0 +1,314 @@
+// promptTemplates.js - Versioned system prompt templates, read from files and reloaded when they change
+
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const { LAB_UNIFORMS, BUFFER_PASS_NAMES, AUDIO_TEXTURE_SIZE } = require('./glslValidator');
+const { UNIFORM_CONTROLS } = require('./uniformAnnotations');
+
+// What each lab uniform holds, for the uniform list in the prompts
+const LAB_UNIFORM_DESCRIPTIONS = {
+  uTime: 'Time in seconds for animations',
+  uResolution: 'Canvas dimensions in pixels',
+  uMouse: 'Normalized mouse position (0.0-1.0)',
+  uMouseClick: 'Normalized position of the last mouse click',
+  uIsMouseDown: 'Boolean flag for mouse button state',
+  uFrame: 'Frame counter for animation control',
+  uAspect: 'Canvas aspect ratio for proper proportions'
+};
+
+// What the built-in texture channel sources look like, for the texture channel list in the prompts
+const TEXTURE_SOURCE_DESCRIPTIONS = {
+  noise: 'built-in grayscale value noise that tiles seamlessly',
+  checkerboard: 'built-in black and white checkerboard of 8x8 squares',
+  gradient: 'built-in gradient: red goes from 0 at the left to 1 at the right, green from 0 at the bottom to 1 at the top, blue is 0.5'
+};
+
+// How each filter and wrap setting is described in the prompts
+const TEXTURE_FILTER_DESCRIPTIONS = { linear: 'linear filtering', nearest: 'nearest filtering', mipmap: 'trilinear filtering with mipmaps' };
+const TEXTURE_WRAP_DESCRIPTIONS = { repeat: 'repeats outside 0-1', clamp: 'clamps to the edge outside 0-1', mirror: 'repeats mirrored outside 0-1' };
+
+// What each audio input source plays, for the audio input description in the prompts; the test tone
+// is generated in public/js/audioInput.js
+const AUDIO_SOURCE_DESCRIPTIONS = {
+  microphone: 'live sound from the microphone',
+  file: 'an audio file, usually music',
+  tone: 'a built-in test tone: a 60 Hz bass beat twice a second, a 440 Hz tone that swells and fades every 2 seconds, and a 5 kHz tick four times a second'
+};
+
+// How buffer passes work, for the prompts; the renderer in public/js/multipass.js implements this
+const BUFFER_PASS_INSTRUCTIONS = [
+  `For effects that need state between frames or several passes (trails, feedback, reaction-diffusion, fluid simulation, blur chains), add up to ${BUFFER_PASS_NAMES.length} buffer passes named ${BUFFER_PASS_NAMES.join(', ')} in "buffers". Leave "buffers" empty for everything else.`,
+  '- Each buffer pass is a complete fragment shader like the image pass, with the same uniforms, rendered every frame in name order before the image pass into a texture the size of the canvas',
+  `- Every pass can read the buffers through ${BUFFER_PASS_NAMES.map(name => `uniform sampler2D uBuffer${name}`).join(', ')}, e.g. at gl_FragCoord.xy / uResolution`,
+  '- A buffer rendered earlier in the frame gives this frame\'s result; a pass reading itself or a later buffer gets that buffer\'s previous frame',
+  '- Buffers start out as 0 and hold 16-bit floats where the browser supports it, otherwise values clamped to 0-1 with 8 bits. uFrame is 1 on the first frame after the shader loads, so use it to initialise state'
+].join('\n');
+
+// How to give a shader adjustable parameters, for the prompts; the lab builds a control for each
+const UNIFORM_CONTROL_INSTRUCTIONS = [
+  'Give the shader a few adjustable parameters (speed, scale, colors, toggles) by declaring custom uniforms with a control annotation comment on the same line. The lab shows a control beside the canvas that sets the uniform live:',
+  ...Object.values(UNIFORM_CONTROLS).map(({ types, syntax }) => `- ${syntax} for ${types.join(', ')} uniforms`),
+  '- For example: uniform float uSpeed; // @slider 0.0 5.0 1.0',
+  '- Choose defaults that look good; the user sees the shader with them first. Only annotated uniforms get values, and uniform names must not clash with the lab uniforms'
+].join('\n');
+
+const VERSION_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+/**
+ * Format uniforms as the bullet list the prompts show
+ * @param {Object} uniforms - { name: type }
+ * @param {Object} descriptions - { name: description }
+ * @returns {string}
+ */
+function formatUniforms(uniforms = LAB_UNIFORMS, descriptions = LAB_UNIFORM_DESCRIPTIONS) {
+  return Object.entries(uniforms)
+    .map(([name, type]) => descriptions[name] ? `- ${name} (${type}): ${descriptions[name]}` : `- ${name} (${type})`)
+    .join('\n');
+}
+
+/**
+ * Format the assigned texture channels as the list the prompts show
+ * @param {Array<Object>} channels - [{ channel, source, name, width, height, filter, wrap }]
+ * @returns {string} - Empty when no channel is assigned
+ */
+function formatTextureChannels(channels = []) {
+  if (channels.length === 0) {
+    return '';
+  }
+  const lines = channels.map(({ channel, source, name, width, height, filter, wrap }) => {
+    const content = source === 'image' ? `uploaded image${name ? ` "${name}"` : ''}` : TEXTURE_SOURCE_DESCRIPTIONS[source];
+    return `- uTexture${channel} (sampler2D): ${content}; ${width}x${height} pixels, ${TEXTURE_FILTER_DESCRIPTIONS[filter]}, ${TEXTURE_WRAP_DESCRIPTIONS[wrap]}. ` +
+      `Its size is in uTexture${channel}Resolution (vec2)`;
+  });
+  lines.push('Declare the samplers you use as uniforms. Texture coordinates start at the bottom left, like vUv. Channels not listed read as black.');
+  return lines.join('\n');
+}
+
+/**
+ * Describe the audio input the shader reacts to, for the prompts
+ * @param {Object|null} audioInput - { source, name }, with source a key of AUDIO_SOURCE_DESCRIPTIONS
+ * @returns {string} - Empty when audio input is off
+ */
+function formatAudioInput(audioInput) {
+  if (!audioInput) {
+    return '';
+  }
+  const { source, name } = audioInput;
+  const content = source === 'file' && name ? `${AUDIO_SOURCE_DESCRIPTIONS.file} ("${name}")` : AUDIO_SOURCE_DESCRIPTIONS[source];
+  return [
+    `Audio input is on, playing ${content}. Make the shader react to it:`,
+    '- uBass, uMid, uTreble (float): smoothed loudness of the low (20-250 Hz), middle (250-2000 Hz) and high (2000-8000 Hz) frequencies, from 0 to 1',
+    '- uVolume (float): smoothed overall loudness, from 0 to 1',
+    `- uAudio (sampler2D): ${AUDIO_TEXTURE_SIZE}x2 texture updated every frame. The red channel of the bottom row (y = 0.25) is the spectrum, with x going from 0 Hz to half the sample rate and loudness from 0 to 1; the top row (y = 0.75) is the waveform, with 0.5 as silence`,
+    'Declare the ones you use as uniforms. Music rarely takes the levels near 1, so scale the reactions up, and keep the shader looking good when the sound stops.'
+  ].join('\n');
+}
+
+/**
+ * Describe the structured response the model must give, from the response schema
+ * @param {Object} responseSchema - { schema: { properties } }, e.g. SHADER_RESPONSE_SCHEMA
+ * @returns {string}
+ */
+function formatOutputContract(responseSchema) {
+  const fields = Object.entries(responseSchema.schema.properties).map(([name, property]) => {
+    let description = property.description || property.type;
+    if (property.type === 'array' && property.items && property.items.type === 'object') {
+      description += `, as {${Object.keys(property.items.properties).map(key => `"${key}"`).join(', ')}} objects`;
+    }
+    return `- "${name}": ${description}`;
+  });
+  return `Respond with a single JSON object and nothing else, with these fields:\n${fields.join('\n')}`;
+}
+
+/**
+ * Split a template file into its front matter and body
+ * @param {string} text - File contents
+ * @returns {{meta: Object, body: string}}
+ */
+function parseTemplateFile(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    return { meta: {}, body: text };
+  }
+
+  const meta = {};
+  match[1].split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  });
+  return { meta, body: text.slice(match[0].length) };
+}
+
+/**
+ * Fill in a template. `{{name}}` is replaced by the variable's value and `{{#name}}...{{/name}}`
+ * is kept only when the variable is truthy. Unknown variables are an error, so typos do not
+ * silently reach the model.
+ * @param {string} body - Template text
+ * @param {Object} variables - Values by name
+ * @param {string} id - Template id, for error messages
+ * @returns {string}
+ */
+function renderTemplate(body, variables, id) {
+  const lookup = name => {
+    if (!(name in variables)) {
+      throw new Error(`Unknown variable "${name}" in prompt template ${id}. Known variables: ${Object.keys(variables).join(', ')}`);
+    }
+    return variables[name];
+  };
+
+  // A section tag on a line of its own takes its line break with it
+  const withSections = body.replace(/\{\{#(\w+)\}\}\n?([\s\S]*?)\{\{\/\1\}\}\n?/g, (match, name, section) =>
+    lookup(name) ? section : ''
+  );
+  return withSections.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    const value = lookup(name);
+    return value === null || value === undefined ? '' : String(value);
+  }).trim();
+}
+
+/**
+ * Hash of a rendered prompt, recorded next to its version id
+ * @param {string} content - Rendered prompt text
+ * @returns {string} - First 12 hex digits of its SHA-256
+ */
+function hashPrompt(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+/**
+ * System prompt templates stored as `<promptsDir>/<name>/<version>.md`, with the active version of
+ * each named in `<promptsDir>/active.json`. Files are re-read whenever they change on disk, so
+ * prompts can be edited while the server runs. Every rendered prompt carries its id,
+ * `<name>/<version>`, and a hash of its text, so that logs and iterations record which prompt
+ * produced a shader. Published versions are never edited: a changed prompt is a new version file.
+ * The hash also tells apart prompts of one version whose variables differ, e.g. because the
+ * instruction text the code fills in changed.
+ */
+class PromptTemplates {
+  /**
+   * @param {Object} options
+   * @param {string} options.promptsDir - Directory holding the templates and active.json
+   */
+  constructor({ promptsDir }) {
+    this.promptsDir = promptsDir;
+    this.cache = new Map();
+  }
+
+  /**
+   * Read a file, reusing the cached copy while its modification time is unchanged
+   * @private
+   * @param {string} file - Path
+   * @param {Function} parse - Turns the text into the cached value
+   * @returns {*} - Parsed value, or null when the file does not exist
+   */
+  _read(file, parse) {
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch (error) {
+      this.cache.delete(file);
+      return null;
+    }
+
+    const cached = this.cache.get(file);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+      return cached.value;
+    }
+    const value = parse(fs.readFileSync(file, 'utf8'));
+    if (cached) {
+      console.log(`Reloaded prompt file ${path.relative(process.cwd(), file)}`);
+    }
+    this.cache.set(file, { mtimeMs: stat.mtimeMs, size: stat.size, value });
+    return value;
+  }
+
+  /**
+   * Versions available for a template, sorted
+   * @param {string} name - Template name, e.g. 'generation'
+   * @returns {Array<string>}
+   */
+  versions(name) {
+    const dir = path.join(this.promptsDir, name);
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+    return fs.readdirSync(dir)
+      .filter(filename => filename.endsWith('.md'))
+      .map(filename => filename.slice(0, -3))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  }
+
+  /**
+   * The version used when a request does not ask for one: the one in active.json, else the latest
+   * @param {string} name - Template name
+   * @returns {string|null}
+   */
+  activeVersion(name) {
+    const active = this._read(path.join(this.promptsDir, 'active.json'), text => JSON.parse(text)) || {};
+    return active[name] || this.versions(name).slice(-1)[0] || null;
+  }
+
+  /**
+   * Render a template
+   * @param {string} name - Template name
+   * @param {Object} variables - Values for the template's variables
+   * @param {string} [version] - Version to use instead of the active one
+   * @returns {{id: string, name: string, version: string, content: string, hash: string}}
+   * @throws {Error} - With status 400 when the version does not exist
+   */
+  render(name, variables, version = null) {
+    const chosen = version || this.activeVersion(name);
+    const template = chosen && VERSION_PATTERN.test(chosen)
+      ? this._read(path.join(this.promptsDir, name, `${chosen}.md`), parseTemplateFile)
+      : null;
+
+    if (!template) {
+      const error = new Error(`No prompt template ${name}/${chosen}. Available versions: ${this.versions(name).join(', ') || 'none'}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const id = `${name}/${chosen}`;
+    const content = renderTemplate(template.body, variables, id);
+    return { id, name, version: chosen, content, hash: hashPrompt(content) };
+  }
+
+  /**
+   * Describe every template and its versions, for the /api/prompts endpoint
+   * @returns {Array<Object>} - [{ name, active, versions: [{ version, id, description }] }]
+   */
+  describe() {
+    if (!fs.existsSync(this.promptsDir)) {
+      return [];
+    }
+    return fs.readdirSync(this.promptsDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => ({
+        name: entry.name,
+        active: this.activeVersion(entry.name),
+        versions: this.versions(entry.name).map(version => {
+          const template = this._read(path.join(this.promptsDir, entry.name, `${version}.md`), parseTemplateFile);
+          return { version, id: `${entry.name}/${version}`, description: template.meta.description || '' };
+        })
+      }));
+  }
+}
+
+module.exports = {
+  PromptTemplates,
+  formatUniforms,
+  formatTextureChannels,
+  formatAudioInput,
+  formatOutputContract,
+  BUFFER_PASS_INSTRUCTIONS,
+  UNIFORM_CONTROL_INSTRUCTIONS,
+  renderTemplate,
+  hashPrompt,
+  TEXTURE_SOURCE_DESCRIPTIONS,
+  TEXTURE_FILTER_DESCRIPTIONS,
+  TEXTURE_WRAP_DESCRIPTIONS,
+  AUDIO_SOURCE_DESCRIPTIONS
+};
@@ -0,0 +1,89 @@
+// requestRegistry.js - In-flight LLM requests, so that the client can cancel them by id
+
+const crypto = require('crypto');
+
+// Ids chosen by the client are accepted when they look like one of ours (UUIDs in the browser)
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+/**
+ * Error for a request that was cancelled before it finished
+ * @param {string} [requestId] - Id of the cancelled request
+ * @returns {Error} - With status 499 and code REQUEST_CANCELLED
+ */
+function cancelledError(requestId = null) {
+  const error = new Error('Request cancelled');
+  error.status = 499;
+  error.code = 'REQUEST_CANCELLED';
+  error.requestId = requestId;
+  return error;
+}
+
+/**
+ * Throw a cancelled error once a request's signal has been aborted
+ * @param {AbortSignal} [signal] - The request's signal
+ * @param {string} [requestId] - Id of the request
+ * @throws {Error} - From cancelledError
+ */
+function throwIfCancelled(signal, requestId = null) {
+  if (signal && signal.aborted) {
+    throw cancelledError(requestId);
+  }
+}
+
+/**
+ * Keeps an AbortController for every request that is waiting on an LLM provider. Cancelling a
+ * request aborts its signal, which the model router passes on to the provider call.
+ */
+class RequestRegistry {
+  constructor() {
+    this.requests = new Map();
+  }
+
+  /**
+   * Register a new request
+   * @param {string} [requestId] - Id chosen by the client; a new one is generated when missing or malformed
+   * @param {string} type - 'generate', 'candidates', 'iterate' or 'benchmark'
+   * @returns {{id: string, signal: AbortSignal, finish: Function}} - finish() removes the request once it is done
+   * @throws {Error} - With status 409 and code REQUEST_ID_IN_USE when a request with the id is still in flight,
+   *   since cancelling by that id has to keep reaching the request that has it
+   */
+  start(requestId, type) {
+    const valid = typeof requestId === 'string' && REQUEST_ID_PATTERN.test(requestId);
+    if (valid && this.requests.has(requestId)) {
+      const error = new Error(`A request with id ${requestId} is already in flight`);
+      error.status = 409;
+      error.code = 'REQUEST_ID_IN_USE';
+      throw error;
+    }
+    const id = valid ? requestId : crypto.randomUUID();
+    const controller = new AbortController();
+    this.requests.set(id, { id, type, controller, startedAt: new Date().toISOString() });
+
+    return {
+      id,
+      signal: controller.signal,
+      finish: () => {
+        if (this.requests.get(id) && this.requests.get(id).controller === controller) {
+          this.requests.delete(id);
+        }
+      }
+    };
+  }
+
+  /**
+   * Cancel a request that is still in flight
+   * @param {string} id - Request id
+   * @returns {boolean} - False when there is no such request (unknown or already finished)
+   */
+  cancel(id) {
+    const entry = this.requests.get(id);
+    if (!entry) {
+      return false;
+    }
+    entry.controller.abort();
+    this.requests.delete(id);
+    return true;
+  }
+}
+
+module.exports = { RequestRegistry, cancelledError, throwIfCancelled };
@@ -0,0 +1,667 @@
+// responseParser.js - Parse LLM responses into reflection, changes, shader code and uniforms
+
+const { BUFFER_PASS_NAMES } = require('./glslValidator');
+
+const FRAGMENT_MARKER = '#-- FRAGMENT SHADER --#';
+
+/**
+ * The structured response contract. Providers that support it enforce this schema
+ * (OpenAI json_schema response format, Anthropic tool use); everything else is handled
+ * by the fallback parsers below.
+ */
+const SHADER_RESPONSE_SCHEMA = {
+  name: 'shader_response',
+  description: 'A complete WebGL fragment shader and notes on how it was written',
+  schema: {
+    type: 'object',
+    properties: {
+      reflection: {
+        type: 'string',
+        description: 'Brief explanation of the approach or of the issues being fixed (2-3 sentences maximum)'
+      },
+      changes: {
+        type: 'array',
+        description: 'Short list of the changes made to the shader',
+        items: { type: 'string' }
+      },
+      shader: {
+        type: 'string',
+        description: 'The complete fragment shader source, in the GLSL version the instructions ask for. With buffer passes, this is the image pass drawn to the screen'
+      },
+      buffers: {
+        type: 'array',
+        description: 'Buffer passes rendered before the image pass every frame, each into its own texture; empty unless the effect needs state between frames or several passes',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', enum: BUFFER_PASS_NAMES },
+            source: { type: 'string', description: 'The complete fragment shader source of the pass' }
+          },
+          required: ['name', 'source'],
+          additionalProperties: false
+        }
+      },
+      uniforms: {
+        type: 'array',
+        description: 'Every uniform the shader declares',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            type: { type: 'string' }
+          },
+          required: ['name', 'type'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['reflection', 'changes', 'shader', 'buffers', 'uniforms'],
+    additionalProperties: false
+  }
+};
+
+// Structured response for benchmark judges, which score how well a shader matches its description
+const JUDGE_RESPONSE_SCHEMA = {
+  name: 'shader_judgement',
+  description: 'A score for how well a shader produces the requested effect',
+  schema: {
+    type: 'object',
+    properties: {
+      score: {
+        type: 'integer',
+        description: 'How well the shader produces the requested effect, from 1 (not at all) to 10 (perfectly)'
+      },
+      reason: {
+        type: 'string',
+        description: 'One or two sentences explaining the score'
+      }
+    },
+    required: ['score', 'reason'],
+    additionalProperties: false
+  }
+};
+
+// Lines that can only be the start of shader code, used to find code in unformatted responses
+const GLSL_LINE_PATTERN = /^\s*(#\s*(version|extension|define|ifdef|ifndef)\b|precision\s+\w+\s+\w+\s*;|(uniform|varying|const|struct)\s+\w+|(void|float|int|bool|vec[234]|mat[234])\s+\w+\s*\()/;
+
+/**
+ * Remove markdown code fences and other non-GLSL content
+ * Mirrors sanitizeShaderCode in public/js/shaderRenderer.js
+ * @param {string} code - Raw shader code
+ * @returns {string} - Clean GLSL code
+ */
+function sanitizeShaderCode(code) {
+  if (!code) return '';
+
+  let cleanCode = code.replace(/```(?:glsl|cpp|c\+\+|c)?/g, '').replace(/```/g, '');
+  cleanCode = cleanCode.replace(/<!--[\s\S]*?-->/g, '');
+  return cleanCode.trim();
+}
+
+/**
+ * Read a JSON string value starting right after its opening quote.
+ * Tolerates truncation: whatever was received before the text ended is returned.
+ * @param {string} text - Source text
+ * @param {number} start - Index of the first character of the string contents
+ * @returns {{value: string, complete: boolean, end: number}}
+ */
+function readJsonString(text, start) {
+  const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+  let value = '';
+  let i = start;
+
+  while (i < text.length) {
+    const char = text[i];
+    if (char === '"') {
+      return { value, complete: true, end: i + 1 };
+    }
+    if (char === '\\') {
+      const escape = text[i + 1];
+      if (escape === undefined) break;
+      if (escape === 'u') {
+        const hex = text.slice(i + 2, i + 6);
+        if (!/^[0-9a-fA-F]{4}$/.test(hex)) break;
+        value += String.fromCharCode(parseInt(hex, 16));
+        i += 6;
+        continue;
+      }
+      value += ESCAPES[escape] !== undefined ? ESCAPES[escape] : escape;
+      i += 2;
+      continue;
+    }
+    value += char;
+    i++;
+  }
+
+  return { value, complete: false, end: i };
+}
+
+/**
+ * Find a top-level-looking "key": "value" string field anywhere in the text
+ * @param {string} text - Possibly invalid JSON
+ * @param {string} key - Field name
+ * @returns {{value: string, complete: boolean}|null}
+ */
+function extractJsonStringField(text, key) {
+  const match = new RegExp(`"${key}"\\s*:\\s*"`).exec(text);
+  if (!match) return null;
+  return readJsonString(text, match.index + match[0].length);
+}
+
+/**
+ * Coerce the optional fields of a parsed JSON response
+ * @param {*} value - Raw field value
+ * @returns {Array<string>}
+ */
+function normalizeChanges(value) {
+  if (Array.isArray(value)) return value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim());
+  if (typeof value === 'string' && value.trim()) return [value.trim()];
+  return [];
+}
+
+/**
+ * @param {*} value - Raw buffers field: [{ name, source }]
+ * @param {Array<string>} warnings - Receives a warning for each pass that is skipped
+ * @returns {Object} - Buffer pass sources by name, e.g. { A: '...' }
+ */
+function normalizeBuffers(value, warnings) {
+  const buffers = {};
+  if (!Array.isArray(value)) return buffers;
+  value.forEach(item => {
+    const name = item && typeof item.name === 'string' ? item.name.trim().replace(/^buffer\s*/i, '').toUpperCase() : '';
+    const source = item && typeof item.source === 'string' ? sanitizeShaderCode(item.source) : '';
+    if (!BUFFER_PASS_NAMES.includes(name) || !source) {
+      warnings.push(`Skipped a buffer pass without a name from ${BUFFER_PASS_NAMES.join(', ')} or without source`);
+    } else if (buffers[name] !== undefined) {
+      warnings.push(`Buffer ${name} was given twice; using the first`);
+    } else {
+      buffers[name] = source;
+    }
+  });
+  return buffers;
+}
+
+/**
+ * @param {*} value - Raw uniforms field
+ * @returns {Array<{name: string, type: string}>|null} - null when the field is unusable
+ */
+function normalizeUniforms(value) {
+  if (!Array.isArray(value)) return null;
+  return value
+    .filter(item => item && typeof item.name === 'string')
+    .map(item => ({ name: item.name, type: typeof item.type === 'string' ? item.type : 'unknown' }));
+}
+
+/**
+ * List the uniforms a shader declares
+ * @param {string} shader - GLSL source
+ * @returns {Array<{name: string, type: string}>}
+ */
+function findDeclaredUniforms(shader) {
+  const uniforms = [];
+  const pattern = /\buniform\s+(?:(?:lowp|mediump|highp)\s+)?(\w+)\s+([^;]+);/g;
+  let match;
+  while ((match = pattern.exec(shader)) !== null) {
+    match[2].split(',').forEach(name => {
+      const cleanName = name.trim().replace(/\[.*$/, '');
+      if (cleanName) uniforms.push({ name: cleanName, type: match[1] });
+    });
+  }
+  return uniforms;
+}
+
+/**
+ * Parse a JSON response, or recover the fields from broken or truncated JSON
+ * @param {string} text - Response text
+ * @returns {Object|null}
+ */
+function parseJsonResponse(text) {
+  const firstBrace = text.indexOf('{');
+  if (firstBrace === -1 || !/"shader"\s*:/.test(text)) return null;
+
+  const warnings = [];
+  const prose = text.slice(0, firstBrace).replace(/```(?:json)?/g, '').trim();
+  if (prose) {
+    warnings.push('Response had text before the JSON object');
+  }
+
+  const lastBrace = text.lastIndexOf('}');
+  if (lastBrace > firstBrace) {
+    try {
+      const data = JSON.parse(text.slice(firstBrace, lastBrace + 1));
+      if (data && typeof data.shader === 'string') {
+        return {
+          format: 'json',
+          confidence: prose ? 0.9 : 1,
+          reflection: typeof data.reflection === 'string' ? data.reflection.trim() : prose,
+          changes: normalizeChanges(data.changes),
+          fragmentShader: sanitizeShaderCode(data.shader),
+          buffers: normalizeBuffers(data.buffers, warnings),
+          uniforms: normalizeUniforms(data.uniforms),
+          warnings
+        };
+      }
+    } catch (error) {
+      // Fall through to field-by-field recovery
+    }
+  }
+
+  // Invalid JSON: usually truncated output or unescaped newlines in the shader string
+  const shader = extractJsonStringField(text, 'shader');
+  if (!shader) return null;
+  const reflection = extractJsonStringField(text, 'reflection');
+  let changes = [];
+  const changesMatch = text.match(/"changes"\s*:\s*(\[[\s\S]*?\])/);
+  if (changesMatch) {
+    try {
+      changes = normalizeChanges(JSON.parse(changesMatch[1]));
+    } catch (error) {
+      // Leave changes empty
+    }
+  }
+
+  warnings.push(shader.complete
+    ? 'Response was not valid JSON; fields were recovered individually'
+    : 'Response JSON was cut off inside the shader source');
+  if (/"buffers"\s*:\s*\[\s*\{/.test(text)) {
+    warnings.push('Buffer passes could not be recovered from the broken JSON');
+  }
+
+  return {
+    format: 'json-recovered',
+    confidence: shader.complete ? 0.7 : 0.4,
+    reflection: reflection ? reflection.value.trim() : prose,
+    changes,
+    fragmentShader: sanitizeShaderCode(shader.value),
+    buffers: {},
+    uniforms: null,
+    warnings
+  };
+}
+
+/**
+ * Parse the legacy "reflection, marker, code" format
+ * @param {string} text - Response text
+ * @returns {Object|null}
+ */
+function parseMarkerResponse(text) {
+  const markerIndex = text.indexOf(FRAGMENT_MARKER);
+  if (markerIndex === -1) return null;
+
+  const after = text.substring(markerIndex + FRAGMENT_MARKER.length);
+  // Prose after a fenced block is not code
+  const block = pickCodeBlock(after);
+  return {
+    format: 'marker',
+    confidence: 0.9,
+    reflection: text.substring(0, markerIndex).trim(),
+    changes: [],
+    fragmentShader: block ? block.code : sanitizeShaderCode(after),
+    buffers: {},
+    uniforms: null,
+    warnings: []
+  };
+}
+
+/**
+ * Find the fenced code block most likely to hold the complete fragment shader
+ * @param {string} text - Response text
+ * @returns {{code: string, candidates: number, outside: string}|null}
+ */
+function pickCodeBlock(text) {
+  // The last block may be unterminated if the response was cut off
+  const pattern = /```([\w+-]*)[^\n]*\n([\s\S]*?)(?:```|$)/g;
+  const blocks = [];
+  let outside = '';
+  let lastEnd = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    outside += text.slice(lastEnd, match.index);
+    lastEnd = match.index + match[0].length;
+
+    const language = match[1].toLowerCase();
+    const code = match[2].trim();
+    if (!code || ['json', 'javascript', 'js', 'html', 'bash', 'sh'].includes(language)) continue;
+
+    let score = 0;
+    if (/void\s+main\s*\(/.test(code)) score += 4;
+    if (/gl_FragColor|gl_FragData/.test(code)) score += 2;
+    if (/precision\s+\w+\s+float/.test(code)) score += 1;
+    if (['glsl', 'frag', 'fs', 'glslx'].includes(language)) score += 1;
+    blocks.push({ code, score });
+  }
+  outside += text.slice(lastEnd);
+
+  if (blocks.length === 0) return null;
+
+  // Highest score wins; among equals prefer the longest, then the latest
+  const best = blocks.reduce((winner, block) => {
+    if (block.score > winner.score) return block;
+    if (block.score === winner.score && block.code.length >= winner.code.length) return block;
+    return winner;
+  });
+  const candidates = blocks.filter(block => block.score >= 4).length;
+
+  return { code: best.code, candidates, outside: outside.trim() };
+}
+
+/**
+ * Parse prose with one or more fenced code blocks
+ * @param {string} text - Response text
+ * @returns {Object|null}
+ */
+function parseCodeBlockResponse(text) {
+  const block = pickCodeBlock(text);
+  if (!block) return null;
+
+  const warnings = [];
+  let confidence = 0.75;
+  if (block.candidates > 1) {
+    warnings.push(`Response contained ${block.candidates} complete shaders; using the most complete one`);
+    confidence = 0.6;
+  }
+
+  return {
+    format: 'code-block',
+    confidence,
+    reflection: block.outside,
+    changes: [],
+    fragmentShader: block.code,
+    buffers: {},
+    uniforms: null,
+    warnings
+  };
+}
+
+/**
+ * Last resort: find where GLSL starts in unformatted text and drop trailing prose
+ * @param {string} text - Response text
+ * @returns {Object}
+ */
+function parseRawResponse(text) {
+  const lines = text.split('\n');
+  const start = lines.findIndex(line => GLSL_LINE_PATTERN.test(line));
+
+  if (start === -1) {
+    return {
+      format: 'raw',
+      confidence: 0.1,
+      reflection: '',
+      changes: [],
+      fragmentShader: sanitizeShaderCode(text),
+      buffers: {},
+      uniforms: null,
+      warnings: ['Could not find shader code in the response; using the whole response']
+    };
+  }
+
+  let codeLines = lines.slice(start);
+  const lastBrace = codeLines.map(line => /^\s*}\s*;?\s*$/.test(line)).lastIndexOf(true);
+  const warnings = [];
+  if (lastBrace !== -1 && lastBrace < codeLines.length - 1 && codeLines.slice(lastBrace + 1).some(line => line.trim())) {
+    codeLines = codeLines.slice(0, lastBrace + 1);
+    warnings.push('Dropped text after the end of the shader');
+  }
+
+  return {
+    format: 'raw',
+    confidence: 0.4,
+    reflection: lines.slice(0, start).join('\n').trim(),
+    changes: [],
+    fragmentShader: sanitizeShaderCode(codeLines.join('\n')),
+    buffers: {},
+    uniforms: null,
+    warnings
+  };
+}
+
+/**
+ * Count unbalanced braces, ignoring comments
+ * @param {string} shader - GLSL source
+ * @returns {number} - Open braces minus close braces
+ */
+function braceBalance(shader) {
+  const code = shader.replace(/\/\*[\s\S]*?(\*\/|$)/g, '').replace(/\/\/.*$/gm, '');
+  return (code.match(/{/g) || []).length - (code.match(/}/g) || []).length;
+}
+
+/**
+ * Parse a complete LLM response. Structured JSON is preferred; prose with a marker, fenced
+ * code blocks and bare code are accepted with a lower confidence.
+ * @param {string} response - Raw LLM response text
+ * @returns {{reflection: string, changes: Array<string>, fragmentShader: string, buffers: Object,
+ *   uniforms: Array<{name: string, type: string}>, format: string, confidence: number, warnings: Array<string>}} -
+ *   buffers holds the buffer pass sources by name, and is empty for single-pass shaders
+ */
+function parseShaderResponse(response) {
+  const text = (response || '').trim();
+  const result = parseJsonResponse(text) || parseMarkerResponse(text) || parseCodeBlockResponse(text) || parseRawResponse(text);
+
+  if (!result.fragmentShader) {
+    result.confidence = 0;
+    result.warnings.push('No shader code found in the response');
+  } else {
+    if (braceBalance(result.fragmentShader) > 0) {
+      result.confidence *= 0.5;
+      result.warnings.push('Shader looks truncated (unbalanced braces)');
+    }
+    if (!/void\s+main\s*\(/.test(result.fragmentShader)) {
+      result.confidence *= 0.5;
+      result.warnings.push('Shader has no main() function');
+    }
+  }
+
+  // Trust the source over the model's own list of uniforms, which covers every pass
+  const declared = findDeclaredUniforms(result.fragmentShader);
+  Object.values(result.buffers).forEach(source => {
+    findDeclaredUniforms(source)
+      .filter(uniform => !declared.some(known => known.name === uniform.name))
+      .forEach(uniform => declared.push(uniform));
+  });
+  if (result.uniforms) {
+    const listed = new Set(result.uniforms.map(uniform => uniform.name));
+    const missing = declared.filter(uniform => !listed.has(uniform.name));
+    if (missing.length > 0 || result.uniforms.length !== declared.length) {
+      result.warnings.push('Declared uniforms list does not match the shader source');
+    }
+  }
+  result.uniforms = declared;
+  result.confidence = Math.round(result.confidence * 100) / 100;
+
+  return result;
+}
+
+/**
+ * Parse a judge's answer: the structured JSON response, or a "score: N" line in free-form text
+ * @param {string} response - Raw LLM response text
+ * @returns {{score: number|null, reason: string}} - score is clamped to 1-10, or null when there is none
+ */
+function parseJudgeResponse(response) {
+  const text = (response || '').trim();
+  let score = null;
+  let reason = text;
+
+  const firstBrace = text.indexOf('{');
+  const lastBrace = text.lastIndexOf('}');
+  if (firstBrace !== -1 && lastBrace > firstBrace) {
+    try {
+      const data = JSON.parse(text.slice(firstBrace, lastBrace + 1));
+      score = typeof data.score === 'number' ? data.score : parseFloat(data.score);
+      reason = typeof data.reason === 'string' ? data.reason.trim() : '';
+    } catch (error) {
+      // Fall through to the free-form score
+    }
+  }
+  if (!Number.isFinite(score)) {
+    const match = text.match(/score\W{0,3}(\d+(?:\.\d+)?)/i);
+    score = match ? parseFloat(match[1]) : null;
+  }
+
+  return {
+    score: score === null ? null : Math.min(10, Math.max(1, Math.round(score * 10) / 10)),
+    reason
+  };
+}
+
+/**
+ * Incrementally extracts string fields from a streamed JSON object.
+ * Emits decoded text for the fields it was asked about as soon as it arrives.
+ */
+class JsonFieldStreamer {
+  /**
+   * @param {Object} fields - JSON field name -> section name to emit, e.g. { shader: 'code' }
+   */
+  constructor(fields) {
+    this.fields = fields;
+    this.text = '';
+    this.position = 0;
+    this.currentSection = null;
+    this.inString = false;
+  }
+
+  /**
+   * @param {string} chunk - Newly received text
+   * @returns {Array<{section: string, text: string}>}
+   */
+  push(chunk) {
+    this.text += chunk;
+    const deltas = [];
+
+    while (this.position < this.text.length) {
+      if (!this.inString) {
+        const match = /"(\w+)"\s*:\s*"/.exec(this.text.slice(this.position));
+        if (!match) break;
+        this.position += match.index + match[0].length;
+        this.currentSection = this.fields[match[1]] || null;
+        this.inString = true;
+        continue;
+      }
+
+      const { value, complete, end } = readJsonString(this.text, this.position);
+      this.position = end;
+      if (value && this.currentSection) {
+        deltas.push({ section: this.currentSection, text: value });
+      }
+      if (!complete) break;
+      this.inString = false;
+    }
+
+    return deltas;
+  }
+
+  flush() {
+    return [];
+  }
+}
+
+/**
+ * Streams the legacy format: text before the fragment marker is reflection; text after it is code.
+ * The tail of the buffer is held back while it could still be the start of the marker.
+ */
+class MarkerStreamSplitter {
+  constructor() {
+    this.section = 'reflection';
+    this.pending = '';
+  }
+
+  /**
+   * @param {string} chunk - Newly received text
+   * @returns {Array<{section: string, text: string}>}
+   */
+  push(chunk) {
+    const deltas = [];
+
+    if (this.section === 'code') {
+      deltas.push({ section: 'code', text: chunk });
+      return deltas;
+    }
+
+    this.pending += chunk;
+    const markerIndex = this.pending.indexOf(FRAGMENT_MARKER);
+
+    if (markerIndex !== -1) {
+      const before = this.pending.substring(0, markerIndex);
+      const after = this.pending.substring(markerIndex + FRAGMENT_MARKER.length).replace(/^\s*\n/, '');
+      if (before) deltas.push({ section: 'reflection', text: before });
+      this.section = 'code';
+      this.pending = '';
+      if (after) deltas.push({ section: 'code', text: after });
+      return deltas;
+    }
+
+    // Keep back anything that could be the beginning of the marker
+    const safeLength = Math.max(0, this.pending.length - (FRAGMENT_MARKER.length - 1));
+    if (safeLength > 0) {
+      deltas.push({ section: 'reflection', text: this.pending.substring(0, safeLength) });
+      this.pending = this.pending.substring(safeLength);
+    }
+    return deltas;
+  }
+
+  flush() {
+    const deltas = [];
+    if (this.pending) {
+      deltas.push({ section: this.section, text: this.pending });
+      this.pending = '';
+    }
+    return deltas;
+  }
+}
+
+/**
+ * Incrementally split a streamed response into reflection and code sections.
+ * The format is detected from the first characters: a JSON object (optionally inside a
+ * ```json fence) is streamed field by field, anything else uses the fragment marker.
+ */
+class StreamingResponseSplitter {
+  constructor() {
+    this.text = '';
+    this.splitter = null;
+  }
+
+  /**
+   * Feed a chunk of streamed text
+   * @param {string} chunk - Newly received text
+   * @returns {Array<{section: string, text: string}>} - Deltas ready to emit
+   */
+  push(chunk) {
+    this.text += chunk;
+    if (this.splitter) {
+      return this.splitter.push(chunk);
+    }
+
+    // Wait until the format can be told apart
+    const start = this.text.trimStart();
+    if (!start) return [];
+    if (start.startsWith('`') && !start.includes('\n') && start.length < 16) return [];
+
+    this.splitter = /^(```json[^\n]*\n\s*)?\{/.test(start)
+      ? new JsonFieldStreamer({ reflection: 'reflection', shader: 'code' })
+      : new MarkerStreamSplitter();
+    return this.splitter.push(this.text);
+  }
+
+  /**
+   * Flush any held-back text at the end of the stream
+   * @returns {Array<{section: string, text: string}>}
+   */
+  flush() {
+    if (!this.splitter) {
+      // Too short to detect; treat it as the legacy format
+      this.splitter = new MarkerStreamSplitter();
+      return [...this.splitter.push(this.text), ...this.splitter.flush()];
+    }
+    return this.splitter.flush();
+  }
+}
+
+module.exports = {
+  FRAGMENT_MARKER,
+  SHADER_RESPONSE_SCHEMA,
+  JUDGE_RESPONSE_SCHEMA,
+  sanitizeShaderCode,
+  parseShaderResponse,
+  parseJudgeResponse,
+  StreamingResponseSplitter
+};
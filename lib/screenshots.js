@@ -0,0 +1,53 @@
+// screenshots.js - Save the screenshots the browser sends with iteration requests and session thumbnails
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Save screenshots to the screenshots directory. A file name that would leave the directory is skipped.
+ * @param {string} screenshotsDir - Directory the screenshots are written to
+ * @param {Array<string>} screenshots - Array of base64 encoded screenshots
+ * @param {number} iteration - Current iteration number
+ * @returns {Array<string>} - Array of saved screenshot filenames
+ */
+function saveScreenshots(screenshotsDir, screenshots, iteration) {
+  const savedScreenshots = [];
+  const directory = path.resolve(screenshotsDir);
+  try {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    
+    screenshots.forEach((screenshot, index) => {
+      // Only process if it's a valid data URL
+      if (screenshot && screenshot.startsWith('data:image')) {
+        // Extract the base64 data and image type
+        const matches = screenshot.match(/^data:([A-Za-z-+\/]+);base64,(.+)$/);
+        
+        if (matches && matches.length === 3) {
+          const imageType = matches[1];
+          const base64Data = matches[2];
+          const extension = imageType.split('/')[1] || 'png';
+          
+          // Create filename with iteration, timestamp, and index
+          const filename = `screenshot_iter${iteration}_${timestamp}_${index}.${extension}`;
+          const filePath = path.resolve(directory, filename);
+          if (path.dirname(filePath) !== directory) {
+            console.error(`Refusing to save screenshot outside the screenshots directory: ${filename}`);
+            return;
+          }
+          
+          // Write the file to disk
+          fs.writeFileSync(filePath, base64Data, 'base64');
+          console.log(`Saved screenshot to ${filePath}`);
+          
+          // Add the filename to the return array
+          savedScreenshots.push(filename);
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error saving screenshots:', error);
+  }
+  return savedScreenshots;
+}
+
+module.exports = { saveScreenshots };
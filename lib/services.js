@@ -0,0 +1,147 @@
+// services.js - Create the LLM provider, model router, stores and shader pipeline from the environment
+
+const path = require('path');
+const { createProviderFromEnv } = require('./llmProviders');
+const { createFixtureProviderFromEnv } = require('./llmFixtures');
+const { LogStore } = require('./logStore');
+const { SessionStore } = require('./sessionStore');
+const { ConversationManager } = require('./conversationManager');
+const { ModelRouter } = require('./modelRouter');
+const { UsageTracker } = require('./usageTracker');
+const { PromptTemplates } = require('./promptTemplates');
+const { ShaderPipeline } = require('./shaderPipeline');
+const { BenchmarkStore } = require('./benchmarkStore');
+const { TextureStore } = require('./textureStore');
+
+// Determine which model to use based on environment variables.
+// This is the default for generation and manual iterations when there is no routing policy file.
+function getModelToUse(env, llmProvider) {
+  // Check if we should use the fine-tuned model
+  const useFinetuned = env.USE_FINETUNED_MODEL === 'true' || env.USE_FINETUNED_MODEL === true;
+
+  let model;
+  if (useFinetuned && env.OPENAI_MODEL_NAME) {
+    // Use fine-tuned model if explicitly requested and available
+    model = env.OPENAI_MODEL_NAME;
+    console.log(`Using finetuned model: ${model}`);
+  } else if (env.OPENAI_BASE_MODEL) {
+    // Otherwise use the base model if available
+    model = env.OPENAI_BASE_MODEL;
+    console.log(`Using base model: ${model}`);
+  } else if (env.LLM_MODEL) {
+    // Model for non-OpenAI providers
+    model = env.LLM_MODEL;
+    console.log(`Using configured model: ${model}`);
+  } else {
+    // Fall back to the provider's default model (gpt-4.1-mini for OpenAI)
+    model = llmProvider.defaultModel;
+    console.log(`Using default model: ${model}`);
+  }
+
+  // Ensure we always return a valid model name
+  if (!model || model.trim() === '') {
+    console.log(`No valid model found in environment, falling back to ${llmProvider.defaultModel}`);
+    return llmProvider.defaultModel;
+  }
+
+  return model;
+}
+
+/**
+ * Parse a budget from the environment
+ * @param {string} value - Variable value
+ * @returns {number|null} - null means no limit
+ */
+function parseBudget(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Create everything the server and the command-line tool share, configured from the environment
+ * @param {Object} options
+ * @param {string} options.rootDir - Project directory; logs, data, config, prompts, benchmarks and fixtures live under it
+ * @param {Object} options.env - Environment variables
+ * @param {Function} [options.createProvider] - Creates the LLM provider, instead of the one LLM_PROVIDER selects; fixture recording wraps it
+ * @returns {Object} - { llmProvider, modelRouter, logStore, usageTracker, promptTemplates, sessionStore, conversationManager, pipeline, benchmarkStore, textureStore }
+ * @throws {Error} - When the LLM provider cannot be created (e.g. a missing API key)
+ */
+function createServices({ rootDir, env = process.env, createProvider = () => createProviderFromEnv(env) }) {
+  // Initialize the LLM provider selected by LLM_PROVIDER (openai, openai-compatible, anthropic or mock).
+  // LLM_FIXTURE_MODE=record saves every response to LLM_FIXTURE_DIR; replay answers from those files instead.
+  const llmProvider = createFixtureProviderFromEnv(
+    createProvider,
+    env,
+    path.join(rootDir, 'fixtures', 'llm')
+  );
+  console.log(`Using LLM provider: ${llmProvider.name}`);
+
+  // Which models handle each phase of the workflow, with fallbacks. Without a policy file the
+  // environment's model (the fine-tuned one when enabled) handles generation and manual iterations,
+  // and the provider's default model handles compile fixes and is the fallback everywhere.
+  const configuredModel = getModelToUse(env, llmProvider);
+  const modelRouter = new ModelRouter({
+    provider: llmProvider,
+    policyFile: env.MODEL_ROUTING_FILE || path.join(rootDir, 'config', 'model-routing.json'),
+    defaultPolicy: {
+      timeoutMs: parseInt(env.LLM_TIMEOUT_MS || '120000', 10) || 120000,
+      phases: {
+        generation: [configuredModel, llmProvider.defaultModel],
+        compileFix: [llmProvider.defaultModel],
+        manualIteration: [configuredModel, llmProvider.defaultModel],
+        visionCritique: []
+      }
+    }
+  });
+
+  // Persistent log of every LLM interaction
+  const logStore = new LogStore(path.join(rootDir, 'logs'));
+
+  // Token and cost ledger. Budgets are optional; once one is used up, new LLM requests are refused.
+  const usageTracker = new UsageTracker({
+    usageDir: path.join(rootDir, 'data', 'usage'),
+    pricingFile: env.MODEL_PRICING_FILE || path.join(rootDir, 'config', 'model-pricing.json'),
+    budgets: {
+      session: { cost: parseBudget(env.USAGE_SESSION_BUDGET), tokens: parseBudget(env.USAGE_SESSION_TOKEN_BUDGET) },
+      daily: { cost: parseBudget(env.USAGE_DAILY_BUDGET), tokens: parseBudget(env.USAGE_DAILY_TOKEN_BUDGET) }
+    }
+  });
+
+  // System prompt templates, one file per version; edits are picked up without a restart
+  const promptTemplates = new PromptTemplates({
+    promptsDir: env.PROMPTS_DIR || path.join(rootDir, 'prompts')
+  });
+
+  // Server-side session and iteration history
+  const sessionStore = new SessionStore(path.join(rootDir, 'data', 'sessions'));
+
+  // Iteration requests carry the session history, summarized or trimmed to stay within this many tokens
+  const conversationManager = new ConversationManager({
+    tokenBudget: parseInt(env.CONVERSATION_TOKEN_BUDGET || '12000', 10) || 12000
+  });
+
+  const pipeline = new ShaderPipeline({
+    provider: llmProvider,
+    modelRouter,
+    promptTemplates,
+    conversationManager,
+    logStore,
+    usageTracker,
+    // How many times the model is asked to fix a shader that fails server-side validation
+    repairAttempts: Math.max(0, parseInt(env.SHADER_REPAIR_ATTEMPTS || '1', 10) || 0),
+    finetuned: env.USE_FINETUNED_MODEL === 'true'
+  });
+
+  // Benchmark prompt suites and the results of benchmark runs
+  const benchmarkStore = new BenchmarkStore({
+    suitesDir: env.BENCHMARK_SUITES_DIR || path.join(rootDir, 'benchmarks', 'suites'),
+    runsDir: path.join(rootDir, 'data', 'benchmarks')
+  });
+
+  // Images uploaded as texture channels
+  const textureStore = new TextureStore({ texturesDir: path.join(rootDir, 'data', 'textures') });
+
+  return { llmProvider, modelRouter, logStore, usageTracker, promptTemplates, sessionStore, conversationManager, pipeline, benchmarkStore, textureStore };
+}
+
+module.exports = { createServices };
@@ -0,0 +1,171 @@
+// sessionStore.js - Server-side persistence for shader sessions and their iterations
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Session ids are UUIDs; anything else is rejected before touching the filesystem
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Stores each session as a JSON file: { id, prompt, createdAt, updatedAt, iterations: [...] }
+ */
+class SessionStore {
+  /**
+   * @param {string} sessionsDir - Directory the session files are written to
+   */
+  constructor(sessionsDir) {
+    this.sessionsDir = sessionsDir;
+    if (!fs.existsSync(sessionsDir)) {
+      fs.mkdirSync(sessionsDir, { recursive: true });
+      console.log('Created sessions directory:', sessionsDir);
+    }
+  }
+
+  /**
+   * Whether a string is a well-formed session id
+   * @param {string} id - Candidate id
+   * @returns {boolean}
+   */
+  isValidId(id) {
+    return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+  }
+
+  /**
+   * @private
+   * @param {string} id - Session id
+   * @returns {string} - Path of the session file
+   */
+  _pathFor(id) {
+    return path.join(this.sessionsDir, `${id}.json`);
+  }
+
+  /**
+   * @private
+   * @param {Object} session - Session to write
+   */
+  _write(session) {
+    fs.writeFileSync(this._pathFor(session.id), JSON.stringify(session, null, 2));
+  }
+
+  /**
+   * Create a new session
+   * @param {Object} data - { prompt, title }
+   * @returns {Object} - The new session
+   */
+  create(data = {}) {
+    const now = new Date().toISOString();
+    const session = {
+      id: crypto.randomUUID(),
+      prompt: data.prompt || '',
+      title: data.title || (data.prompt || 'Untitled session').slice(0, 80),
+      createdAt: now,
+      updatedAt: now,
+      iterations: []
+    };
+    this._write(session);
+    return session;
+  }
+
+  /**
+   * Load a session
+   * @param {string} id - Session id
+   * @returns {Object|null} - The session, or null if it does not exist
+   */
+  get(id) {
+    if (!this.isValidId(id) || !fs.existsSync(this._pathFor(id))) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(this._pathFor(id), 'utf8'));
+    } catch (error) {
+      console.error(`Error reading session ${id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * List all sessions, most recently updated first
+   * @returns {Array<Object>} - Session summaries without iteration contents
+   */
+  list() {
+    return fs.readdirSync(this.sessionsDir)
+      .filter(filename => filename.endsWith('.json'))
+      .map(filename => this.get(path.basename(filename, '.json')))
+      .filter(Boolean)
+      .map(session => this.summarize(session))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Update the editable fields of a session
+   * @param {string} id - Session id
+   * @param {Object} changes - { prompt, title }
+   * @returns {Object|null} - The updated session, or null if it does not exist
+   */
+  update(id, changes = {}) {
+    const session = this.get(id);
+    if (!session) return null;
+
+    ['prompt', 'title'].forEach(field => {
+      if (typeof changes[field] === 'string') {
+        session[field] = changes[field];
+      }
+    });
+    session.updatedAt = new Date().toISOString();
+    this._write(session);
+    return session;
+  }
+
+  /**
+   * Delete a session
+   * @param {string} id - Session id
+   * @returns {boolean} - True if a session was deleted
+   */
+  delete(id) {
+    if (!this.get(id)) return false;
+    fs.unlinkSync(this._pathFor(id));
+    return true;
+  }
+
+  /**
+   * Append an iteration to a session
+   * @param {string} id - Session id
+   * @param {Object} iteration - Iteration data (shader source, metrics, reflection, feedback, screenshots)
+   * @returns {Object|null} - The stored iteration, or null if the session does not exist
+   */
+  addIteration(id, iteration) {
+    const session = this.get(id);
+    if (!session) return null;
+
+    const stored = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      ...iteration
+    };
+    session.iterations.push(stored);
+    session.updatedAt = stored.createdAt;
+    this._write(session);
+    return stored;
+  }
+
+  /**
+   * Reduce a session to the fields shown in listings
+   * @param {Object} session - Full session
+   * @returns {Object}
+   */
+  summarize(session) {
+    const lastIteration = session.iterations[session.iterations.length - 1];
+    return {
+      id: session.id,
+      title: session.title,
+      prompt: session.prompt,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      iterationCount: session.iterations.length,
+      thumbnailUrl: lastIteration ? lastIteration.thumbnailUrl || null : null
+    };
+  }
+}
+
+module.exports = { SessionStore };
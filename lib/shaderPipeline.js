@@ -0,0 +1,759 @@
+// shaderPipeline.js - Build, log and validate the LLM requests that generate and iterate shaders.
+// The server's endpoints and the command-line tool share it.
+
+const { SHADER_RESPONSE_SCHEMA, JUDGE_RESPONSE_SCHEMA, parseJudgeResponse } = require('./responseParser');
+const { linkScreenshotsInMessages } = require('./logStore');
+const { throwIfCancelled } = require('./requestRegistry');
+const { formatUniforms, formatTextureChannels, formatAudioInput, formatOutputContract, BUFFER_PASS_INSTRUCTIONS, UNIFORM_CONTROL_INSTRUCTIONS, TEXTURE_SOURCE_DESCRIPTIONS, TEXTURE_FILTER_DESCRIPTIONS, TEXTURE_WRAP_DESCRIPTIONS, AUDIO_SOURCE_DESCRIPTIONS } = require('./promptTemplates');
+const { validateShaderPasses, formatDiagnostics, TEXTURE_CHANNEL_COUNT, BUFFER_PASS_NAMES } = require('./glslValidator');
+const { parseUniformAnnotations, formatUniformValues, MAX_CUSTOM_UNIFORMS } = require('./uniformAnnotations');
+const { validateAndRepairResponse } = require('./shaderRepair');
+
+// Feedback sent with every automatic fix request, as the lab does when auto-fixing a new shader
+const AUTO_FIX_FEEDBACK = 'Fix the shader compilation errors and improve the visual quality';
+
+// GLSL versions a shader can be written in, by their #version value: the name the prompts use
+// and the extra rules the model needs to write that version
+const GLSL_VERSIONS = {
+  '100': { label: 'GLSL ES 1.0', rules: '' },
+  '300 es': {
+    label: 'GLSL ES 3.00, WebGL 2',
+    rules: [
+      'GLSL ES 3.00 RULES:',
+      '- The first line of the shader MUST be exactly: #version 300 es',
+      "- Read the UV coordinates with 'in vec2 vUv;' (not 'varying')",
+      "- Declare the output as 'out vec4 fragColor;' and write to it instead of gl_FragColor",
+      '- Sample textures with texture() and texelFetch() instead of texture2D()',
+      '- You may use int and uint arithmetic, bitwise operators, while loops, loops with non-constant bounds, dynamic array indexing, switch statements and built-ins such as round(), tanh(), inverse() and dFdx()'
+    ].join('\n')
+  }
+};
+const DEFAULT_GLSL_VERSION = '100';
+// Largest preview width or height, matching the browser's limit
+const MAX_RESOLUTION = 8192;
+// Most candidate shaders one request can ask for
+const MAX_CANDIDATES = 8;
+
+/**
+ * Error for a request body with a missing or malformed field
+ * @param {string} message - What is wrong
+ * @returns {Error} - With status 400 and code INVALID_REQUEST
+ */
+function invalidRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'INVALID_REQUEST';
+  return error;
+}
+
+/**
+ * Reject iteration requests that have no shader to iterate on, or malformed fields
+ * @param {Object} body - Iteration request body
+ * @throws {Error} - With status 400 and code INVALID_REQUEST
+ */
+function validateIterationBody(body) {
+  if (!body.fragmentShader) {
+    console.log('ERROR: Missing fragment shader code');
+    throw invalidRequest('Missing fragment shader code');
+  }
+  if (typeof body.fragmentShader !== 'string') {
+    throw invalidRequest('Invalid fragmentShader: must be a string');
+  }
+  if (body.screenshots !== undefined && !(Array.isArray(body.screenshots) && body.screenshots.every(screenshot => typeof screenshot === 'string'))) {
+    throw invalidRequest('Invalid screenshots: must be an array of data URLs');
+  }
+  // The iteration number goes into screenshot file names
+  if (body.iteration !== undefined && !(Number.isInteger(body.iteration) && body.iteration >= 0)) {
+    throw invalidRequest('Invalid iteration: must be an integer of 0 or more');
+  }
+  normalizeBufferPasses(body.buffers);
+  normalizeUniformValues(body.uniformValues);
+  normalizeResolution(body.resolution);
+}
+
+/**
+ * Check the buffer passes a request sends with its shader
+ * @param {Object|undefined} buffers - Buffer pass sources by name, e.g. { A: '...' }
+ * @returns {Object} - The non-empty passes
+ * @throws {Error} - With status 400 when a pass has an unknown name or no source
+ */
+function normalizeBufferPasses(buffers) {
+  if (buffers === undefined || buffers === null) {
+    return {};
+  }
+  const invalid = message => invalidRequest(`Invalid buffer passes: ${message}`);
+  if (typeof buffers !== 'object' || Array.isArray(buffers)) {
+    throw invalid(`buffers must map pass names (${BUFFER_PASS_NAMES.join(', ')}) to shader sources`);
+  }
+  const passes = {};
+  Object.entries(buffers).forEach(([name, source]) => {
+    if (!BUFFER_PASS_NAMES.includes(name)) {
+      throw invalid(`unknown pass "${name}"; passes are named ${BUFFER_PASS_NAMES.join(', ')}`);
+    }
+    if (typeof source !== 'string') {
+      throw invalid(`the source of buffer ${name} must be a string`);
+    }
+    if (source.trim()) {
+      passes[name] = source;
+    }
+  });
+  return passes;
+}
+
+/**
+ * Check the values a request sends for the shader's annotated uniforms
+ * @param {Object|undefined} values - { name: value }, where a value is a number, a boolean or 2-4 numbers
+ * @returns {Object} - The values
+ * @throws {Error} - With status 400 when a name or value is malformed, or there are too many
+ */
+function normalizeUniformValues(values) {
+  if (values === undefined || values === null) {
+    return {};
+  }
+  const invalid = message => {
+    const error = new Error(`Invalid uniform values: ${message}`);
+    error.status = 400;
+    return error;
+  };
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    throw invalid('uniformValues must map uniform names to values');
+  }
+  const entries = Object.entries(values);
+  if (entries.length > MAX_CUSTOM_UNIFORMS) {
+    throw invalid(`at most ${MAX_CUSTOM_UNIFORMS} uniforms can have values`);
+  }
+  entries.forEach(([name, value]) => {
+    if (!/^[A-Za-z_]\w*$/.test(name)) {
+      throw invalid(`"${name}" is not a uniform name`);
+    }
+    const valid = typeof value === 'boolean' ||
+      Number.isFinite(value) ||
+      (Array.isArray(value) && value.length >= 2 && value.length <= 4 && value.every(Number.isFinite));
+    if (!valid) {
+      throw invalid(`the value of ${name} must be a number, a boolean or a list of 2 to 4 numbers`);
+    }
+  });
+  return values;
+}
+
+/**
+ * Check how many candidate shaders a request asks for
+ * @param {*} count - The request's count; a missing count asks for the default
+ * @param {number} defaultCount - Count used when the request has none
+ * @returns {number}
+ * @throws {Error} - With status 400 and code INVALID_REQUEST when the count is not a whole number from 1 to MAX_CANDIDATES
+ */
+function normalizeCandidateCount(count, defaultCount) {
+  if (count === undefined || count === null) {
+    return defaultCount;
+  }
+  if (!Number.isInteger(count) || count < 1 || count > MAX_CANDIDATES) {
+    throw invalidRequest(`count must be an integer between 1 and ${MAX_CANDIDATES}`);
+  }
+  return count;
+}
+
+/**
+ * Check the resolution a request says the preview renders at
+ * @param {Object|undefined} resolution - { width, height } in pixels, the value of uResolution
+ * @returns {Object|null} - { width, height }, or null when there is none
+ * @throws {Error} - With status 400 when a size is not a whole number of pixels in range
+ */
+function normalizeResolution(resolution) {
+  if (resolution === undefined || resolution === null) {
+    return null;
+  }
+  const { width, height } = typeof resolution === 'object' ? resolution : {};
+  if (![width, height].every(size => Number.isInteger(size) && size >= 1 && size <= MAX_RESOLUTION)) {
+    const error = new Error(`Invalid resolution: width and height must be whole numbers of pixels from 1 to ${MAX_RESOLUTION}`);
+    error.status = 400;
+    throw error;
+  }
+  return { width, height };
+}
+
+/**
+ * Look up a GLSL version
+ * @param {string|null} glslVersion - A key of GLSL_VERSIONS; empty for the default
+ * @returns {Object} - { label, rules }
+ * @throws {Error} - With status 400 when the version is unknown
+ */
+function glslTarget(glslVersion) {
+  const target = GLSL_VERSIONS[glslVersion || DEFAULT_GLSL_VERSION];
+  if (!target) {
+    const error = new Error(`Unknown GLSL version "${glslVersion}". Known versions: ${Object.keys(GLSL_VERSIONS).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return target;
+}
+
+/**
+ * Check the texture channels a request describes, and put them in channel order
+ * @param {Array<Object>|undefined} channels - [{ channel, source, name, width, height, filter, wrap }]
+ * @returns {Array<Object>} - The channels with only those fields
+ * @throws {Error} - With status 400 when a channel is malformed
+ */
+function normalizeTextureChannels(channels) {
+  if (channels === undefined || channels === null) {
+    return [];
+  }
+  const invalid = message => {
+    const error = new Error(`Invalid texture channel: ${message}`);
+    error.status = 400;
+    return error;
+  };
+  if (!Array.isArray(channels) || channels.length > TEXTURE_CHANNEL_COUNT) {
+    throw invalid(`textureChannels must be a list of at most ${TEXTURE_CHANNEL_COUNT} channels`);
+  }
+
+  const seen = new Set();
+  return channels.map(entry => {
+    const { channel, source, name = null, width, height, filter = 'linear', wrap = 'repeat' } = entry || {};
+    if (!Number.isInteger(channel) || channel < 0 || channel >= TEXTURE_CHANNEL_COUNT || seen.has(channel)) {
+      throw invalid(`channel must be a distinct whole number from 0 to ${TEXTURE_CHANNEL_COUNT - 1}`);
+    }
+    seen.add(channel);
+    if (source !== 'image' && !TEXTURE_SOURCE_DESCRIPTIONS[source]) {
+      throw invalid(`source of channel ${channel} must be one of: image, ${Object.keys(TEXTURE_SOURCE_DESCRIPTIONS).join(', ')}`);
+    }
+    if (![width, height].every(size => Number.isInteger(size) && size > 0 && size <= 16384)) {
+      throw invalid(`width and height of channel ${channel} must be whole numbers of pixels`);
+    }
+    if (!TEXTURE_FILTER_DESCRIPTIONS[filter] || !TEXTURE_WRAP_DESCRIPTIONS[wrap]) {
+      throw invalid(`filter of channel ${channel} must be one of ${Object.keys(TEXTURE_FILTER_DESCRIPTIONS).join(', ')} and wrap one of ${Object.keys(TEXTURE_WRAP_DESCRIPTIONS).join(', ')}`);
+    }
+    // Image names reach the prompt, so keep them short and on one line
+    const label = source === 'image' && typeof name === 'string' ? name.replace(/[\r\n"]+/g, ' ').trim().slice(0, 80) : null;
+    return { channel, source, name: label || null, width, height, filter, wrap };
+  }).sort((a, b) => a.channel - b.channel);
+}
+
+/**
+ * Check the audio input a request says the shader reacts to
+ * @param {Object|undefined} audioInput - { source, name }, or nothing when audio input is off
+ * @returns {Object|null} - { source, name }, or null when audio input is off
+ * @throws {Error} - With status 400 when the source is unknown
+ */
+function normalizeAudioInput(audioInput) {
+  if (audioInput === undefined || audioInput === null) {
+    return null;
+  }
+  const { source, name = null } = typeof audioInput === 'object' ? audioInput : {};
+  if (!AUDIO_SOURCE_DESCRIPTIONS[source]) {
+    const error = new Error(`Invalid audio input: source must be one of ${Object.keys(AUDIO_SOURCE_DESCRIPTIONS).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  // File names reach the prompt, so keep them short and on one line
+  const label = source === 'file' && typeof name === 'string' ? name.replace(/[\r\n"]+/g, ' ').trim().slice(0, 80) : null;
+  return { source, name: label || null };
+}
+
+/**
+ * Errors that end a headless run instead of being recorded as a failed attempt
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isFatalError(error) {
+  return error.status === 400 || error.status === 402 || error.code === 'REQUEST_CANCELLED';
+}
+
+/**
+ * Turns shader descriptions and feedback into routed LLM requests, logs every interaction with
+ * its usage, and validates and repairs the shaders that come back.
+ */
+class ShaderPipeline {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - LLM provider
+   * @param {Object} options.modelRouter - ModelRouter that picks the models for each phase
+   * @param {Object} options.promptTemplates - PromptTemplates for the system prompts
+   * @param {Object} options.conversationManager - ConversationManager that builds iteration histories
+   * @param {Object} options.logStore - LogStore for LLM interactions
+   * @param {Object} options.usageTracker - UsageTracker for tokens, cost and budgets
+   * @param {number} options.repairAttempts - Repair requests made for a shader that fails validation
+   * @param {boolean} options.finetuned - Whether the prompts are for the fine-tuned model
+   */
+  constructor({ provider, modelRouter, promptTemplates, conversationManager, logStore, usageTracker, repairAttempts = 1, finetuned = false }) {
+    this.provider = provider;
+    this.modelRouter = modelRouter;
+    this.promptTemplates = promptTemplates;
+    this.conversationManager = conversationManager;
+    this.logStore = logStore;
+    this.usageTracker = usageTracker;
+    this.repairAttempts = repairAttempts;
+    this.finetuned = finetuned;
+  }
+
+  /**
+   * Values for the variables of the system prompt templates
+   * @param {Object} environment - What the shader will run with
+   * @param {string|null} environment.glslVersion - GLSL version the shader is written in, a key of GLSL_VERSIONS
+   * @param {Array<Object>} environment.textureChannels - Assigned texture channels, see normalizeTextureChannels
+   * @param {Object|null} environment.audioInput - Audio input the shader reacts to, see normalizeAudioInput
+   * @returns {Object} - { uniforms, glslVersion, glslRules, textureChannels, audioInput, bufferPasses, outputContract, finetuned }
+   * @throws {Error} - With status 400 when the GLSL version is unknown, or a texture channel or the audio input is malformed
+   */
+  promptVariables({ glslVersion = null, textureChannels = null, audioInput = null } = {}) {
+    const target = glslTarget(glslVersion);
+    return {
+      uniforms: formatUniforms(),
+      glslVersion: target.label,
+      glslRules: target.rules,
+      textureChannels: formatTextureChannels(normalizeTextureChannels(textureChannels)),
+      audioInput: formatAudioInput(normalizeAudioInput(audioInput)),
+      bufferPasses: BUFFER_PASS_INSTRUCTIONS,
+      uniformControls: UNIFORM_CONTROL_INSTRUCTIONS,
+      outputContract: formatOutputContract(SHADER_RESPONSE_SCHEMA),
+      // The fine-tuned model gets extra instructions not to copy its training examples
+      finetuned: this.finetuned
+    };
+  }
+
+  /**
+   * Build the routing phase and messages for an initial shader generation
+   * @param {string} prompt - Text description of the desired shader effect
+   * @param {Object|null} variation - { index, count } when this is one of several candidates
+   * @param {string|null} promptVersion - Version of the generation prompt template, instead of the active one
+   * @param {Object} environment - { glslVersion, textureChannels, audioInput }: what the shader will run with, e.g. the request body
+   * @returns {{phase: string, model: string, messages: Array<Object>, responseSchema: Object, promptVersion: string, promptHash: string}}
+   */
+  buildGenerationRequest(prompt, variation = null, promptVersion = null, environment = {}) {
+    const phase = 'generation';
+    const modelToUse = this.modelRouter.modelsFor(phase)[0];
+    console.log(`Routing ${phase} to ${this.modelRouter.modelsFor(phase).join(' -> ')}`);
+
+    const systemPrompt = this.promptTemplates.render('generation', this.promptVariables(environment), promptVersion);
+    console.log(`Using prompt template ${systemPrompt.id}`);
+
+    // Candidates ask for different interpretations, so they differ even when the model is deterministic
+    let userContent = `Create a shader that produces: ${prompt}`;
+    if (variation) {
+      userContent += `\n\nThis is variation ${variation.index + 1} of ${variation.count}. Several shaders are being generated for this description and the user will pick one, so choose your own interpretation and technique rather than the most obvious one.`;
+    }
+
+    return {
+      phase,
+      model: modelToUse,
+      messages: [
+        { "role": "system", "content": systemPrompt.content },
+        { "role": "user", "content": userContent }
+      ],
+      responseSchema: SHADER_RESPONSE_SCHEMA,
+      promptVersion: systemPrompt.id,
+      promptHash: systemPrompt.hash
+    };
+  }
+
+  /**
+   * Build the routing phase and messages for a shader iteration
+   * @param {Object} body - Iteration request body
+   * @param {string|null} critique - What the vision critique model saw in the screenshots, if it ran
+   * @param {Object|null} session - The stored session, whose iterations become the conversation history
+   * @returns {{phase: string, model: string, messages: Array<Object>, responseSchema: Object, supportsImageInput: boolean, promptVersion: string, promptHash: string}}
+   */
+  buildIterationRequest(body, critique = null, session = null) {
+    const { prompt, fragmentShader, userFeedback, compileLog, screenshots = [], screenshotTime = null, iteration = 0, isAutoIteration = false, promptVersion = null } = body;
+    const buffers = normalizeBufferPasses(body.buffers);
+    const uniformValues = normalizeUniformValues(body.uniformValues);
+    const resolution = normalizeResolution(body.resolution);
+
+    const MAX_ITERATIONS = 5;
+    const TARGET_SSIM = 0.85;
+
+    // Validate required inputs
+    validateIterationBody(body);
+
+    // Render the system prompt from the iteration template
+    const systemPrompt = this.promptTemplates.render('iteration', this.promptVariables(body), promptVersion);
+    console.log(`Using prompt template ${systemPrompt.id}`);
+
+    // Compile errors of the current shader: the browser's WebGL log, or else the server's own check
+    const compileErrors = compileLog || formatDiagnostics(validateShaderPasses(fragmentShader, buffers));
+
+    // Broken shaders go to the compile-fix models, feedback on a working shader to the manual iteration models
+    const phase = isAutoIteration || compileErrors ? 'compileFix' : 'manualIteration';
+    const modelToUse = this.modelRouter.modelsFor(phase)[0];
+    console.log(`Routing ${phase} to ${this.modelRouter.modelsFor(phase).join(' -> ')}`);
+
+    // Screenshots are only attached when the first model accepts images and no critique replaced them;
+    // the router strips them again for fallback models that do not
+    const supportsImageInput = this.provider.supportsImageInput(modelToUse);
+    console.log(`Using model: ${modelToUse} (${supportsImageInput ? 'supports' : 'does not support'} image input)`);
+
+    // Create a text feedback message based on the iteration number and user feedback
+    console.log('Creating feedback text based on iteration number and user feedback...');
+    let feedbackText = `Iteration ${iteration}: Evaluate and improve the previous shader `;
+
+    // Add user's specific feedback if available
+    if (userFeedback) {
+      console.log('User provided specific feedback:', userFeedback);
+      feedbackText = `Iteration ${iteration}: ${userFeedback}\n\nEvaluate and improve the shader according to this user feedback. `;
+    } else {
+      // If no specific user feedback, use a default message
+      feedbackText += 'to make it more efficient and visually appealing.';
+    }
+
+    if (compileErrors) {
+      feedbackText += `\n\nThe current shader fails to compile:\n${compileErrors}`;
+    }
+
+    // The values the user set on the shader's controls, with the annotated uniforms of every pass
+    const annotations = [fragmentShader, ...Object.values(buffers)]
+      .flatMap(source => parseUniformAnnotations(source).annotations)
+      .filter((annotation, index, all) => all.findIndex(other => other.name === annotation.name) === index);
+    const uniformText = formatUniformValues(uniformValues, annotations);
+    if (uniformText) {
+      feedbackText += `\n\nThe user set the shader's adjustable uniforms to these values, and it is rendered with them. Keep the controls, and make the values the user chose the new defaults unless the feedback asks otherwise:\n${uniformText}`;
+    }
+
+    // The size and shape the user previews the shader at
+    if (resolution) {
+      feedbackText += `\n\nThe preview renders at ${resolution.width}x${resolution.height} pixels (uResolution), an aspect ratio (uAspect) of ${(resolution.width / resolution.height).toFixed(3)}.`;
+    }
+
+    // The moment of the animation the user chose to show
+    if (screenshots && screenshots.length > 0 && Number.isFinite(screenshotTime)) {
+      feedbackText += `\n\nThe screenshot shows the shader at uTime = ${screenshotTime.toFixed(2)} seconds.`;
+    }
+
+    if (critique) {
+      feedbackText += `\n\nA reviewer looked at a screenshot of the current shader and noted:\n${critique}`;
+    }
+
+    feedbackText += '\n\nPut a brief one-sentence reflection identifying the key issues in "reflection", list what you changed in "changes", put the complete improved shader code in "shader", and any buffer passes in "buffers".';
+
+    // The final user message; screenshots are attached for models that accept images
+    let feedbackContent = feedbackText;
+
+    // Check if we can include images - only for models that support image input
+    if (screenshots && screenshots.length > 0 && supportsImageInput && !critique) {
+      // Process images only if the model supports image input
+      console.log('Processing screenshot for API request');
+      try {
+        // Try to create a message with images
+        const userMessage = {
+          "role": "user",
+          "content": [
+            { "type": "text", "text": feedbackText }
+          ]
+        };
+
+        // Only the first screenshot is attached, and only if it is within the size limits
+        const MAX_SCREENSHOTS = 1;
+        let processedCount = 0;
+        let totalSize = 0;
+
+        for (let i = 0; i < screenshots.length && i < MAX_SCREENSHOTS; i++) {
+          const screenshot = screenshots[i];
+          if (screenshot && screenshot.startsWith('data:image')) {
+            try {
+              // Check if the base64 data is valid and not too large
+              const base64Data = screenshot.split(',')[1];
+              const size = base64Data.length;
+
+              // Keep track of total size to stay within reasonable limits
+              totalSize += size;
+
+              // Validate base64 data and total size
+              if (base64Data && size < 1024 * 1024 && totalSize < 3 * 1024 * 1024) { // 1MB per image, 3MB total
+                // Use image_url format with data URI
+                userMessage.content.push({
+                  "type": "image_url",
+                  "image_url": {
+                    // Use the full data URI (including the prefix)
+                    "url": screenshot
+                  }
+                });
+                processedCount++;
+                console.log(`Added screenshot ${i+1} (${Math.round(size/1024)}KB) to API request`);
+              } else {
+                console.warn(`Screenshot ${i+1} too large (${Math.round(size/1024)}KB) or total size exceeds limit, skipping`);
+                break; // Stop adding more if we hit the size limit
+              }
+            } catch (base64Error) {
+              console.error(`Error processing base64 image data for screenshot ${i+1}:`, base64Error);
+              // Continue without this image
+            }
+          }
+        }
+
+        console.log(`Added ${processedCount} screenshots to API request (total size: ${Math.round(totalSize/1024)}KB)`);
+
+        feedbackContent = userMessage.content;
+      } catch (imgError) {
+        console.error('Error processing image for API:', imgError);
+        // Fallback to text-only if image processing fails
+        feedbackContent = feedbackText;
+      }
+    } else if (screenshots && screenshots.length > 0 && !supportsImageInput) {
+      // For models that don't support image input the feedback stays text-only
+      console.log('Model does not support image input. Using text-only message.');
+    }
+
+    // Assemble the whole session history (original description, earlier feedback, reflections
+    // and compile logs) within the token budget
+    const { messages, stats } = this.conversationManager.buildMessages({
+      systemContent: systemPrompt.content,
+      prompt: prompt || (session ? session.prompt : ''),
+      iterations: session ? session.iterations : [],
+      fragmentShader,
+      buffers,
+      feedbackContent
+    });
+    console.log(`Conversation: ${stats.fullTurns} full turn(s), ${stats.summarizedTurns} summarized, ${stats.droppedTurns} dropped, ~${stats.estimatedTokens}/${stats.tokenBudget} tokens`);
+
+    return { phase, model: modelToUse, messages, responseSchema: SHADER_RESPONSE_SCHEMA, supportsImageInput, promptVersion: systemPrompt.id, promptHash: systemPrompt.hash };
+  }
+
+  /**
+   * Record an LLM interaction in the log store, and its tokens and cost in the usage ledger
+   * @param {string} type - 'generate', 'iterate', 'repair' or 'critique'
+   * @param {Object} body - Request body sent by the client
+   * @param {Object} request - { model, messages } sent to the provider
+   * @param {Object} outcome - { completion, error, startTime, savedScreenshots, streamed }
+   * @returns {Object} - The stored log entry
+   */
+  logInteraction(type, body, request, outcome) {
+    const { completion, error, startTime, savedScreenshots = [], streamed = false } = outcome;
+    const screenshotUrls = savedScreenshots.map(filename => `/screenshots/${filename}`);
+    const model = (completion && completion.model) || request.model;
+    const phase = (completion && completion.phase) || (error && error.phase) || null;
+
+    const usage = completion ? this.usageTracker.measure({
+      model,
+      usage: completion.usage,
+      messages: request.messages,
+      content: completion.content,
+      imageInput: this.provider.supportsImageInput(model)
+    }) : null;
+
+    const logEntry = this.logStore.record({
+      type,
+      sessionId: body.sessionId || null,
+      iteration: body.iteration !== undefined ? body.iteration : null,
+      prompt: body.prompt || null,
+      userFeedback: body.userFeedback || null,
+      isAutoIteration: !!body.isAutoIteration,
+      provider: this.provider.name,
+      model,
+      phase,
+      promptVersion: request.promptVersion || null,
+      promptHash: request.promptHash || null,
+      fallbacks: (completion && completion.fallbacks) || (error && error.fallbacks) || [],
+      streamed,
+      messages: linkScreenshotsInMessages(request.messages, screenshotUrls),
+      response: completion ? completion.content : null,
+      latencyMs: Date.now() - startTime,
+      usage,
+      screenshots: screenshotUrls,
+      error: error ? error.message : null
+    });
+
+    if (usage) {
+      this.usageTracker.record({ ...usage, model, type, phase, sessionId: body.sessionId, logId: logEntry.id });
+    }
+    return logEntry;
+  }
+
+  /**
+   * Validate the shader in a completion and repair it before it is returned to the client.
+   * Repair calls go to the compile-fix models, or the request's pinned models, and are logged as 'repair' interactions.
+   * @param {Object} body - Request body sent by the client
+   * @param {Object} request - { model, messages, models } that produced the completion
+   * @param {Object} completion - { content, model, usage }
+   * @param {AbortSignal} signal - Aborted when the request is cancelled
+   * @returns {Promise<Object>} - { fragmentShader, buffers, reflection, changes, response, parse, validation, repairs, initialValid }
+   * @throws {Error} - REQUEST_CANCELLED when the request was cancelled during a repair
+   */
+  async validateCompletion(body, request, completion, signal) {
+    const result = await validateAndRepairResponse({
+      content: completion.content,
+      request,
+      maxAttempts: this.repairAttempts,
+      complete: async repairRequest => {
+        const startTime = Date.now();
+        try {
+          const repairCompletion = await this.modelRouter.complete('compileFix', { ...repairRequest, models: request.models, signal });
+          const logEntry = this.logInteraction('repair', body, repairRequest, { completion: repairCompletion, startTime });
+          return { ...repairCompletion, logId: logEntry.id };
+        } catch (error) {
+          this.logInteraction('repair', body, repairRequest, { error, startTime });
+          throw error;
+        }
+      }
+    });
+    // A cancelled repair ends the repair loop; the request is not answered
+    throwIfCancelled(signal);
+
+    if (result.repairs.length > 0) {
+      console.log(`Shader repairs: ${result.repairs.map(repair => repair.description).join('; ')}`);
+    }
+    if (!result.validation.valid) {
+      console.log(`Shader still has ${result.validation.errors.length} validation error(s) after repair`);
+    }
+    return result;
+  }
+
+  /**
+   * Send one built request, log it and validate the shader it returns
+   * @private
+   * @param {string} type - Log type, 'generate' or 'iterate'
+   * @param {Object} body - Request body, as the server would receive it
+   * @param {Object} built - From buildGenerationRequest or buildIterationRequest
+   * @param {Array<string>|null} models - Models to use instead of the phase's
+   * @param {AbortSignal} signal - Aborts the request
+   * @returns {Promise<Object>} - The attempt for the report, with the checked completion in `checked`
+   */
+  async _runAttempt(type, body, built, models, signal) {
+    const { phase, messages, responseSchema, promptVersion, promptHash } = built;
+    const request = models
+      ? { model: models[0], models, messages, responseSchema, promptVersion, promptHash }
+      : { model: built.model, messages, responseSchema, promptVersion, promptHash };
+    const startTime = Date.now();
+
+    this.usageTracker.checkBudget(body.sessionId);
+    let completion;
+    try {
+      completion = await this.modelRouter.complete(phase, { ...request, signal });
+    } catch (error) {
+      const logEntry = this.logInteraction(type, body, request, { error, startTime });
+      error.logId = logEntry.id;
+      throw error;
+    }
+    const logEntry = this.logInteraction(type, body, request, { completion, startTime });
+    const checked = await this.validateCompletion(body, request, completion, signal);
+
+    return {
+      type,
+      phase: completion.phase || phase,
+      model: completion.model,
+      fallbacks: completion.fallbacks || [],
+      promptVersion,
+      promptHash,
+      logId: logEntry.id,
+      latencyMs: Date.now() - startTime,
+      validBeforeRepair: checked.initialValid,
+      valid: checked.validation.valid,
+      errors: checked.validation.errors,
+      repairs: checked.repairs.map(repair => repair.description),
+      checked
+    };
+  }
+
+  /**
+   * Generate a shader without a browser: generate it, then send it back to the compile-fix models
+   * with its validation errors until it validates or the fix attempts run out. Every call is logged
+   * and counted against the daily budget, like the lab's.
+   * @param {string} prompt - Text description of the desired shader effect
+   * @param {Object} [options]
+   * @param {number} [options.fixAttempts=10] - Fix requests made at most after the generation
+   * @param {string} [options.promptVersion] - Version of the generation prompt template, instead of the active one
+   * @param {string} [options.glslVersion] - GLSL version to write the shader in, a key of GLSL_VERSIONS
+   * @param {Array<Object>} [options.textureChannels] - Texture channels the shader can sample
+   * @param {Array<string>} [options.models] - Models for every request, instead of the routing policy's
+   * @param {AbortSignal} [options.signal] - Aborts the request in progress
+   * @returns {Promise<Object>} - { fragmentShader, buffers, reflection, changes, validation, model, promptVersion, promptHash, attempts, error }
+   * @throws {Error} - When the prompt or GLSL version is unknown or a texture channel is malformed (400), a budget is used up (402) or the signal is aborted (REQUEST_CANCELLED)
+   */
+  async generate(prompt, { fixAttempts = 10, promptVersion = null, glslVersion = null, textureChannels = null, models = null, signal = null } = {}) {
+    const attempts = [];
+    const iterations = [];
+    let current = null;
+
+    for (let fix = 0; fix <= fixAttempts; fix++) {
+      if (current && (current.validation.valid || !current.fragmentShader)) break;
+
+      let type = 'generate';
+      let body = { prompt, promptVersion, glslVersion, textureChannels };
+      if (current) {
+        // The fix request sees the earlier shaders and their errors, as an auto-fix run in the lab does
+        const compileLog = formatDiagnostics(current.validation);
+        iterations.push({ iteration: 0, prompt, fragmentShader: current.fragmentShader, buffers: current.buffers, reflection: current.reflection, userFeedback: AUTO_FIX_FEEDBACK, compileLog });
+        type = 'iterate';
+        body = { prompt, fragmentShader: current.fragmentShader, buffers: current.buffers, userFeedback: AUTO_FIX_FEEDBACK, compileLog, iteration: 0, isAutoIteration: true, glslVersion, textureChannels };
+      }
+
+      try {
+        const built = current
+          ? this.buildIterationRequest(body, null, { prompt, iterations })
+          : this.buildGenerationRequest(prompt, null, promptVersion, body);
+        const { checked, ...attempt } = await this._runAttempt(type, body, built, models, signal);
+        attempts.push(attempt);
+        current = { ...checked, model: attempt.model, promptVersion: attempt.promptVersion, promptHash: attempt.promptHash };
+      } catch (error) {
+        if (isFatalError(error)) throw error;
+        console.error(`${type === 'generate' ? 'Generation' : 'Fix attempt'} failed:`, error.message);
+        attempts.push({ type, error: error.message, logId: error.logId || null });
+        break;
+      }
+    }
+
+    const lastError = attempts.length > 0 ? attempts[attempts.length - 1].error : null;
+    if (!current) {
+      return { fragmentShader: '', buffers: {}, reflection: '', changes: [], validation: null, model: null, promptVersion: null, promptHash: null, attempts, error: lastError };
+    }
+    return {
+      fragmentShader: current.fragmentShader,
+      buffers: current.buffers,
+      reflection: current.reflection,
+      changes: current.changes,
+      validation: current.validation,
+      model: current.model,
+      promptVersion: current.promptVersion,
+      promptHash: current.promptHash,
+      attempts,
+      error: lastError || null
+    };
+  }
+
+  /**
+   * Ask a judge model to score how well a shader produces its description, looking at a rendered
+   * frame when the model reads images. Logged as a 'judge' interaction.
+   * @param {Object} options
+   * @param {string} options.prompt - Description the shader was generated from
+   * @param {string} options.fragmentShader - The shader
+   * @param {Object} [options.buffers] - Its buffer passes by name
+   * @param {string|null} options.screenshot - Data URL of a rendered frame
+   * @param {Array<string>} options.models - Judge models, tried in order
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @returns {Promise<Object>} - { score, reason, model, promptVersion, promptHash, logId }; score is 1-10, or null when the answer had none
+   * @throws {Error} - When every judge model fails, a budget is used up (402) or the signal is aborted (REQUEST_CANCELLED)
+   */
+  async judge({ prompt, fragmentShader, buffers = {}, screenshot = null, models, signal = null }) {
+    const systemPrompt = this.promptTemplates.render('judge', { outputContract: formatOutputContract(JUDGE_RESPONSE_SCHEMA) });
+    const withImage = !!screenshot && this.provider.supportsImageInput(models[0]);
+    const bufferText = Object.entries(buffers).map(([name, source]) => `Buffer pass ${name}, rendered before the image pass:\n${source}\n\n`).join('');
+    const text = `Requested effect: ${prompt}\n\n${bufferText}Fragment shader:\n${fragmentShader}\n\n` +
+      (withImage ? 'The image is a frame the shader renders. ' : '') + 'Score how well the shader produces the requested effect.';
+    const request = {
+      model: models[0],
+      messages: [
+        { "role": "system", "content": systemPrompt.content },
+        {
+          "role": "user",
+          "content": withImage ? [{ "type": "text", "text": text }, { "type": "image_url", "image_url": { "url": screenshot } }] : text
+        }
+      ],
+      responseSchema: JUDGE_RESPONSE_SCHEMA,
+      promptVersion: systemPrompt.id,
+      promptHash: systemPrompt.hash
+    };
+    const body = { prompt };
+    const startTime = Date.now();
+
+    this.usageTracker.checkBudget(null);
+    let completion;
+    try {
+      completion = await this.modelRouter.complete('judge', { ...request, models, signal });
+    } catch (error) {
+      this.logInteraction('judge', body, request, { error, startTime });
+      throw error;
+    }
+    const logEntry = this.logInteraction('judge', body, request, { completion, startTime });
+    return { ...parseJudgeResponse(completion.content), model: completion.model, promptVersion: systemPrompt.id, promptHash: systemPrompt.hash, logId: logEntry.id };
+  }
+}
+
+module.exports = { ShaderPipeline, validateIterationBody, normalizeBufferPasses, normalizeUniformValues, normalizeResolution, normalizeAudioInput, normalizeCandidateCount, GLSL_VERSIONS, MAX_CANDIDATES };
@@ -0,0 +1,130 @@
+// shaderRepair.js - Validate LLM shader output and repair it before it reaches the client
+
+const { parseShaderResponse } = require('./responseParser');
+const { validateShaderPasses, formatDiagnostics, autoRepairShader } = require('./glslValidator');
+
+/**
+ * Apply the mechanical fixes to the image pass and every buffer pass
+ * @param {string} fragmentShader - Image pass source
+ * @param {Object} buffers - Buffer pass sources by name
+ * @returns {{source: string, buffers: Object, applied: Array<string>, validation: Object}} - Like autoRepairShader,
+ *   with the repaired buffer passes and the validation of all passes
+ */
+function autoRepairPasses(fragmentShader, buffers = {}) {
+  const image = autoRepairShader(fragmentShader);
+  const applied = [...image.applied];
+  const repairedBuffers = {};
+  Object.entries(buffers).forEach(([name, source]) => {
+    const pass = autoRepairShader(source);
+    repairedBuffers[name] = pass.source;
+    applied.push(...pass.applied.map(description => `Buffer ${name}: ${description}`));
+  });
+  const validation = Object.keys(buffers).length === 0 ? image.validation : validateShaderPasses(image.source, repairedBuffers);
+  return { source: image.source, buffers: repairedBuffers, applied, validation };
+}
+
+/**
+ * Build the follow-up message asking the model to fix its own compile errors.
+ * The shader is quoted back because automatic fixes may have shifted its line numbers.
+ * @param {Object} repaired - Result of autoRepairPasses: the sources the diagnostics refer to and their validation
+ * @returns {string}
+ */
+function buildRepairPrompt(repaired) {
+  const { source, buffers, validation } = repaired;
+  let version = validation.version === 300 ? 'GLSL ES 3.00 (WebGL 2)' : 'GLSL ES 1.0 (WebGL 1)';
+  if (validation.shadertoy) {
+    version = 'a Shadertoy mainImage() shader (GLSL ES 3.00)';
+  }
+  const bufferText = Object.entries(buffers).map(([name, bufferSource]) => `Buffer ${name}:\n\n${bufferSource}\n\n`).join('');
+  return `The fragment shader you returned does not compile as ${version}. After automatic fixes it reads:\n\n${source}\n\n` +
+    (bufferText ? `with these buffer passes:\n\n${bufferText}` : '') +
+    `and still fails with:\n\n${formatDiagnostics(validation)}\n\n` +
+    'Fix these errors without changing what the shader draws. Reply with the same JSON object as before: a one-line ' +
+    '"reflection" describing the fix, the fixes in "changes", the complete corrected shader in "shader", its buffer passes in "buffers" and its "uniforms".';
+}
+
+/**
+ * Validate the shader in an LLM response, applying mechanical fixes first and asking the
+ * model to repair whatever is left.
+ *
+ * @param {Object} options
+ * @param {string} options.content - Raw LLM response
+ * @param {Object} options.request - The { model, messages, responseSchema } request that produced it
+ * @param {Function} options.complete - complete(request) => Promise<{content, model, usage}>, used for repair calls
+ * @param {number} options.maxAttempts - How many LLM repair calls to allow (0 disables them)
+ * @returns {Promise<Object>} - { fragmentShader, buffers, reflection, changes, response, parse, validation, repairs, initialValid },
+ *   where buffers holds the buffer passes by name and initialValid tells whether the model's shader was valid before any repair
+ */
+async function validateAndRepairResponse({ content, request, complete, maxAttempts = 1 }) {
+  const parsed = parseShaderResponse(content);
+  const repairs = [];
+
+  let best = autoRepairPasses(parsed.fragmentShader, parsed.buffers);
+  let response = content;
+  let chosen = parsed;
+  best.applied.forEach(description => repairs.push({ type: 'auto', description }));
+  const initialValid = best.applied.length === 0 ? best.validation.valid : validateShaderPasses(parsed.fragmentShader, parsed.buffers).valid;
+
+  // The repair conversation continues from the model's latest reply
+  let messages = request.messages;
+  let lastResponse = content;
+  let lastRepaired = best;
+  for (let attempt = 1; attempt <= maxAttempts && !best.validation.valid; attempt++) {
+    messages = [
+      ...messages,
+      { role: 'assistant', content: lastResponse },
+      { role: 'user', content: buildRepairPrompt(lastRepaired) }
+    ];
+
+    let completion;
+    try {
+      completion = await complete({ model: request.model, messages, responseSchema: request.responseSchema });
+    } catch (error) {
+      // The unrepaired shader is still worth returning; the browser reports its errors
+      repairs.push({ type: 'llm', attempt, description: `Repair request failed: ${error.message}`, logId: null });
+      break;
+    }
+    const repairedParsed = parseShaderResponse(completion.content);
+    const candidate = autoRepairPasses(repairedParsed.fragmentShader, repairedParsed.buffers);
+
+    repairs.push({
+      type: 'llm',
+      attempt,
+      description: `Asked the model to fix ${lastRepaired.validation.errors.length} compile error(s)`,
+      logId: completion.logId || null
+    });
+    lastResponse = completion.content;
+    lastRepaired = candidate;
+
+    // Only keep the repaired shader if it is actually better
+    if (candidate.validation.errors.length < best.validation.errors.length) {
+      best = candidate;
+      response = completion.content;
+      chosen = { ...repairedParsed, reflection: repairedParsed.reflection || chosen.reflection };
+      candidate.applied.forEach(description => repairs.push({ type: 'auto', description }));
+    }
+  }
+
+  return {
+    fragmentShader: best.source,
+    buffers: best.buffers,
+    reflection: chosen.reflection,
+    changes: chosen.changes,
+    response,
+    parse: {
+      format: chosen.format,
+      confidence: chosen.confidence,
+      warnings: chosen.warnings
+    },
+    validation: {
+      valid: best.validation.valid,
+      errors: best.validation.errors,
+      warnings: best.validation.warnings,
+      uniforms: best.validation.uniforms
+    },
+    repairs,
+    initialValid
+  };
+}
+
+module.exports = { validateAndRepairResponse, autoRepairPasses };
@@ -0,0 +1,66 @@
+// textureStore.js - Images uploaded as texture channels, stored once by content
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Image types accepted as textures, with the file extension they are stored under
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+/**
+ * Stores each uploaded image as `<texturesDir>/<hash>.<extension>`, named by a hash of its bytes, so
+ * the same image uploaded twice is stored once. Iterations refer to textures by URL, which keeps
+ * sessions small and lets an old iteration be rendered with the textures it was made with.
+ */
+class TextureStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.texturesDir - Directory the images are written to
+   * @param {string} options.urlPrefix - URL path the directory is served under
+   */
+  constructor({ texturesDir, urlPrefix = '/textures' }) {
+    this.texturesDir = texturesDir;
+    this.urlPrefix = urlPrefix;
+    if (!fs.existsSync(texturesDir)) {
+      fs.mkdirSync(texturesDir, { recursive: true });
+      console.log('Created textures directory:', texturesDir);
+    }
+  }
+
+  /**
+   * Save an image
+   * @param {Buffer} data - Image bytes
+   * @param {string} contentType - MIME type, e.g. 'image/png'
+   * @returns {{url: string, bytes: number}} - Where the image is served
+   * @throws {Error} - With status 400 when the data is empty or not a supported image type
+   */
+  save(data, contentType) {
+    const extension = IMAGE_EXTENSIONS[(contentType || '').split(';')[0].trim().toLowerCase()];
+    if (!extension) {
+      const error = new Error(`Unsupported texture type "${contentType}". Use one of: ${Object.keys(IMAGE_EXTENSIONS).join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    if (!Buffer.isBuffer(data) || data.length === 0) {
+      const error = new Error('The texture image is empty');
+      error.status = 400;
+      throw error;
+    }
+
+    const hash = crypto.createHash('sha256').update(data).digest('hex').slice(0, 32);
+    const filename = `${hash}.${extension}`;
+    const file = path.join(this.texturesDir, filename);
+    if (!fs.existsSync(file)) {
+      fs.writeFileSync(file, data);
+      console.log(`Saved texture ${filename} (${data.length} bytes)`);
+    }
+    return { url: `${this.urlPrefix}/${filename}`, bytes: data.length };
+  }
+}
+
+module.exports = { TextureStore, IMAGE_EXTENSIONS };
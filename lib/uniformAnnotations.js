@@ -0,0 +1,178 @@
+// uniformAnnotations.js - Custom uniforms annotated with the control that drives them
+
+/**
+ * A uniform declaration followed by an annotation comment gets a control in the lab, e.g.
+ *
+ *   uniform float uSpeed; // @slider 0 5 1.0
+ *   uniform vec3 uTint; // @color #ff8800
+ *   uniform bool uInvert; // @checkbox true
+ *   uniform vec2 uCenter; // @pad -1 1 0 0
+ *
+ * The browser parses the same syntax in public/js/uniformControls.js.
+ */
+
+// Controls, with the uniform types each can drive and the syntax of its arguments
+const UNIFORM_CONTROLS = {
+  slider: { types: ['float', 'int'], syntax: '@slider min max [default]' },
+  color: { types: ['vec3', 'vec4'], syntax: '@color [#rrggbb or #rrggbbaa]' },
+  checkbox: { types: ['bool', 'int', 'float'], syntax: '@checkbox [true|false]' },
+  pad: { types: ['vec2'], syntax: '@pad [min max [x y]]' }
+};
+
+// At most this many custom uniforms get controls, and have their values sent with a request
+const MAX_CUSTOM_UNIFORMS = 32;
+
+const ANNOTATION_PATTERN = /^\s*uniform\s+(?:(?:lowp|mediump|highp)\s+)?(\w+)\s+(\w+)\s*;\s*\/\/\s*@(\w+)(.*)$/;
+
+/**
+ * Parse a #rrggbb or #rrggbbaa color
+ * @param {string} text
+ * @param {number} size - 3 or 4 components
+ * @returns {Array<number>|null} - Components from 0 to 1
+ */
+function parseHexColor(text, size) {
+  const match = /^#([0-9a-f]{6}|[0-9a-f]{8})$/i.exec(text || '');
+  if (!match) {
+    return null;
+  }
+  const components = match[1].match(/../g).map(pair => parseInt(pair, 16) / 255);
+  return size === 4 ? [...components, 1].slice(0, 4) : components.slice(0, 3);
+}
+
+/**
+ * Read the arguments of an annotation into its range and default value
+ * @param {string} control - A key of UNIFORM_CONTROLS
+ * @param {string} type - GLSL type of the uniform
+ * @param {Array<string>} args - The words after the control name
+ * @returns {Object} - { min, max, default } or { problem }
+ */
+function readArguments(control, type, args) {
+  const numbers = args.map(Number);
+  const allNumbers = numbers.every(Number.isFinite);
+
+  switch (control) {
+    case 'slider': {
+      if (args.length < 2 || args.length > 3 || !allNumbers || numbers[0] >= numbers[1]) {
+        return { problem: 'needs a minimum below a maximum, then optionally a default' };
+      }
+      const [min, max, value = min] = numbers;
+      const clamped = Math.min(max, Math.max(min, value));
+      return { min, max, default: type === 'int' ? Math.round(clamped) : clamped };
+    }
+    case 'color': {
+      const size = type === 'vec4' ? 4 : 3;
+      if (args.length === 0) {
+        return { default: new Array(size).fill(1) };
+      }
+      const color = args.length === 1 ? parseHexColor(args[0], size) : null;
+      return color ? { default: color } : { problem: 'takes an optional #rrggbb or #rrggbbaa default' };
+    }
+    case 'checkbox': {
+      if (args.length > 1 || (args.length === 1 && !['true', 'false', '1', '0'].includes(args[0]))) {
+        return { problem: 'takes an optional true or false default' };
+      }
+      return { default: args[0] === 'true' || args[0] === '1' };
+    }
+    case 'pad': {
+      if (![0, 2, 4].includes(args.length) || !allNumbers || (args.length > 0 && numbers[0] >= numbers[1])) {
+        return { problem: 'takes an optional minimum below a maximum, then optionally a default x and y' };
+      }
+      const [min = 0, max = 1] = numbers;
+      const center = (min + max) / 2;
+      const [x = center, y = center] = numbers.slice(2).map(value => Math.min(max, Math.max(min, value)));
+      return { min, max, default: [x, y] };
+    }
+    default:
+      return { problem: 'is not a known control' };
+  }
+}
+
+/**
+ * Find the annotated uniforms of a shader
+ * @param {string} source - Fragment shader source
+ * @param {Object} reserved - Uniforms the lab sets itself, as name -> type; these cannot have controls
+ * @returns {{annotations: Array<Object>, problems: Array<Object>}} - annotations:
+ *   [{ name, type, control, min, max, default, line }] in source order; problems: [{ name, line, message }]
+ *   for annotations that cannot be used
+ */
+function parseUniformAnnotations(source, reserved = {}) {
+  const annotations = [];
+  const problems = [];
+
+  (source || '').split('\n').forEach((text, index) => {
+    const match = ANNOTATION_PATTERN.exec(text);
+    if (!match) {
+      return;
+    }
+    const [, type, name, control, rest] = match;
+    const line = index + 1;
+    const definition = UNIFORM_CONTROLS[control];
+
+    let message = null;
+    if (!definition) {
+      message = `@${control} is not a known control; use one of ${Object.values(UNIFORM_CONTROLS).map(entry => entry.syntax).join(', ')}`;
+    } else if (!definition.types.includes(type)) {
+      message = `@${control} needs a ${definition.types.join(' or ')} uniform, not '${type}'`;
+    } else if (Object.prototype.hasOwnProperty.call(reserved, name)) {
+      message = 'uniform is set by the lab and cannot have a control';
+    } else if (annotations.some(annotation => annotation.name === name)) {
+      message = 'uniform already has a control';
+    } else if (annotations.length >= MAX_CUSTOM_UNIFORMS) {
+      message = `uniform gets no control; only the first ${MAX_CUSTOM_UNIFORMS} annotated uniforms do`;
+    }
+
+    const parsed = message ? {} : readArguments(control, type, rest.trim().split(/\s+/).filter(Boolean));
+    if (message || parsed.problem) {
+      problems.push({ name, line, message: message || `@${control} ${parsed.problem} (${definition.syntax})` });
+      return;
+    }
+    annotations.push({ name, type, control, min: parsed.min, max: parsed.max, default: parsed.default, line });
+  });
+
+  return { annotations, problems };
+}
+
+/**
+ * Format a uniform value as a GLSL literal
+ * @param {string} type - GLSL type
+ * @param {number|boolean|Array<number>} value
+ * @returns {string}
+ */
+function formatGlslValue(type, value) {
+  const float = number => (Number.isInteger(number) ? number.toFixed(1) : String(Number(number.toFixed(4))));
+  if (Array.isArray(value)) {
+    return `${type}(${value.map(float).join(', ')})`;
+  }
+  if (type === 'bool') {
+    return value ? 'true' : 'false';
+  }
+  if (type === 'int') {
+    return String(Math.round(Number(value)));
+  }
+  return float(Number(value));
+}
+
+/**
+ * Format the values the user set on the controls as the list the iteration request shows
+ * @param {Object} values - { name: value } from the request
+ * @param {Array<Object>} annotations - Annotated uniforms of the shader the values belong to
+ * @returns {string} - One line per annotated uniform with a value; empty when there are none
+ */
+function formatUniformValues(values = {}, annotations = []) {
+  return annotations
+    .filter(annotation => values[annotation.name] !== undefined)
+    .map(annotation => {
+      const range = annotation.min !== undefined ? ` from ${annotation.min} to ${annotation.max}` : '';
+      const value = formatGlslValue(annotation.type, values[annotation.name]);
+      const initial = formatGlslValue(annotation.type, annotation.default);
+      return `- ${annotation.name} (${annotation.type}, @${annotation.control}${range}) = ${value}${value === initial ? ' (the default)' : ` (default ${initial})`}`;
+    })
+    .join('\n');
+}
+
+module.exports = {
+  UNIFORM_CONTROLS,
+  MAX_CUSTOM_UNIFORMS,
+  parseUniformAnnotations,
+  formatUniformValues
+};
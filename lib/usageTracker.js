@@ -0,0 +1,329 @@
+// usageTracker.js - Token usage and cost accounting per call, session and day, with budgets
+
+const fs = require('fs');
+const path = require('path');
+const { estimateTokens, IMAGE_TOKENS } = require('./conversationManager');
+
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Totals with nothing counted yet
+ * @returns {Object}
+ */
+function emptyTotals() {
+  return {
+    calls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    imageTokens: 0,
+    totalTokens: 0,
+    cost: 0,
+    unpricedCalls: 0
+  };
+}
+
+/**
+ * Add one call to a totals object
+ * @param {Object} totals - Totals to update
+ * @param {Object} call - Recorded call
+ */
+function addToTotals(totals, call) {
+  totals.calls++;
+  totals.promptTokens += call.promptTokens;
+  totals.completionTokens += call.completionTokens;
+  totals.imageTokens += call.imageTokens;
+  totals.totalTokens += call.totalTokens;
+  if (call.cost === null) {
+    totals.unpricedCalls++;
+  } else {
+    totals.cost += call.cost;
+  }
+}
+
+/**
+ * Count the image parts in a request's messages
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {number}
+ */
+function countImages(messages) {
+  return messages.reduce((count, message) => {
+    if (!Array.isArray(message.content)) return count;
+    return count + message.content.filter(part => part.type !== 'text').length;
+  }, 0);
+}
+
+/**
+ * Keeps a ledger of every LLM call's tokens and cost, one JSON line per call in a file per
+ * (UTC) day, and stops new requests once a session or daily budget is used up.
+ */
+class UsageTracker {
+  /**
+   * @param {Object} options
+   * @param {string} options.usageDir - Directory the ledger files are written to
+   * @param {string} options.pricingFile - JSON price table: { currency, models: { name: { prompt, completion } } }
+   * @param {Object} options.budgets - { session: { cost, tokens }, daily: { cost, tokens } }; null means no limit
+   */
+  constructor({ usageDir, pricingFile, budgets = {} }) {
+    this.usageDir = usageDir;
+    this.pricingFile = pricingFile;
+    this.budgets = {
+      session: { cost: null, tokens: null, ...budgets.session },
+      daily: { cost: null, tokens: null, ...budgets.daily }
+    };
+
+    if (!fs.existsSync(usageDir)) {
+      fs.mkdirSync(usageDir, { recursive: true });
+    }
+    this.loadPricing();
+    this._loadLedger();
+  }
+
+  /**
+   * (Re)load the price table. Prices are per million tokens; a name ending in `*` matches
+   * every model starting with it, and the longest match wins.
+   */
+  loadPricing() {
+    this.currency = 'USD';
+    this.prices = {};
+
+    if (!fs.existsSync(this.pricingFile)) {
+      console.warn(`No model pricing file at ${this.pricingFile}; costs will not be tracked`);
+      return;
+    }
+    try {
+      const pricing = JSON.parse(fs.readFileSync(this.pricingFile, 'utf8'));
+      this.currency = pricing.currency || 'USD';
+      this.prices = pricing.models || {};
+    } catch (error) {
+      console.error(`Ignoring model pricing file ${this.pricingFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Price of a model
+   * @param {string} model - Model name
+   * @returns {{prompt: number, completion: number}|null} - Per million tokens, or null if the model is not priced
+   */
+  priceFor(model) {
+    if (this.prices[model]) {
+      return this.prices[model];
+    }
+    const prefix = Object.keys(this.prices)
+      .filter(name => name.endsWith('*') && String(model).startsWith(name.slice(0, -1)))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.prices[prefix] : null;
+  }
+
+  /**
+   * Work out the tokens and cost of a completed call. Image tokens are an estimate of the part
+   * of the prompt tokens spent on screenshots. Providers that report no usage (some local
+   * servers) get an estimate from the text length, marked as such.
+   * @param {Object} options
+   * @param {string} options.model - Model that answered
+   * @param {Object} options.usage - { promptTokens, completionTokens } as reported by the provider
+   * @param {Array<Object>} options.messages - Messages sent
+   * @param {string} options.content - Response text
+   * @param {boolean} options.imageInput - Whether the model received the images in the messages
+   * @returns {Object} - { promptTokens, completionTokens, imageTokens, totalTokens, estimated, cost, currency }
+   */
+  measure({ model, usage, messages, content = '', imageInput = true }) {
+    const reported = usage && usage.totalTokens > 0;
+    const promptTokens = reported ? usage.promptTokens : estimateTokens(messages);
+    const completionTokens = reported ? usage.completionTokens : Math.ceil(content.length / CHARS_PER_TOKEN);
+    const imageTokens = imageInput ? Math.min(countImages(messages) * IMAGE_TOKENS, promptTokens) : 0;
+
+    const price = this.priceFor(model);
+    const cost = price ? (promptTokens * price.prompt + completionTokens * price.completion) / 1e6 : null;
+
+    return {
+      promptTokens,
+      completionTokens,
+      imageTokens,
+      totalTokens: promptTokens + completionTokens,
+      estimated: !reported,
+      cost,
+      currency: this.currency
+    };
+  }
+
+  /**
+   * Add a measured call to the ledger
+   * @param {Object} call - measure() result plus { model, type, phase, sessionId, logId }
+   * @returns {Object} - The stored ledger entry
+   */
+  record(call) {
+    const timestamp = new Date().toISOString();
+    const entry = {
+      timestamp,
+      sessionId: call.sessionId || null,
+      type: call.type,
+      phase: call.phase || null,
+      model: call.model,
+      promptTokens: call.promptTokens,
+      completionTokens: call.completionTokens,
+      imageTokens: call.imageTokens,
+      totalTokens: call.totalTokens,
+      estimated: !!call.estimated,
+      cost: call.cost,
+      logId: call.logId || null
+    };
+
+    try {
+      fs.appendFileSync(path.join(this.usageDir, `${timestamp.slice(0, 10)}.jsonl`), `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      console.error('Error writing usage ledger:', error);
+    }
+    this._add(entry);
+    return entry;
+  }
+
+  /**
+   * Read every ledger file into the running totals
+   * @private
+   */
+  _loadLedger() {
+    this.days = new Map();
+    this.sessions = new Map();
+
+    fs.readdirSync(this.usageDir)
+      .filter(filename => filename.endsWith('.jsonl'))
+      .forEach(filename => {
+        fs.readFileSync(path.join(this.usageDir, filename), 'utf8').split('\n').forEach(line => {
+          if (!line.trim()) return;
+          try {
+            this._add(JSON.parse(line));
+          } catch (error) {
+            console.error(`Skipping malformed usage line in ${filename}`);
+          }
+        });
+      });
+  }
+
+  /**
+   * Add a ledger entry to the day, model and session totals
+   * @private
+   * @param {Object} entry - Ledger entry
+   */
+  _add(entry) {
+    const date = entry.timestamp.slice(0, 10);
+    if (!this.days.has(date)) {
+      this.days.set(date, { ...emptyTotals(), byModel: {} });
+    }
+    const day = this.days.get(date);
+    addToTotals(day, entry);
+    if (!day.byModel[entry.model]) {
+      day.byModel[entry.model] = emptyTotals();
+    }
+    addToTotals(day.byModel[entry.model], entry);
+
+    if (entry.sessionId) {
+      if (!this.sessions.has(entry.sessionId)) {
+        this.sessions.set(entry.sessionId, emptyTotals());
+      }
+      addToTotals(this.sessions.get(entry.sessionId), entry);
+    }
+  }
+
+  /**
+   * Totals for a UTC day
+   * @param {string} date - YYYY-MM-DD, defaults to today
+   * @returns {Object} - Totals including a per-model breakdown
+   */
+  dayTotals(date = new Date().toISOString().slice(0, 10)) {
+    return this.days.get(date) || { ...emptyTotals(), byModel: {} };
+  }
+
+  /**
+   * Totals for a session
+   * @param {string} sessionId - Session id
+   * @returns {Object}
+   */
+  sessionTotals(sessionId) {
+    return this.sessions.get(sessionId) || emptyTotals();
+  }
+
+  /**
+   * Format an amount in the price table's currency
+   * @param {number} amount - Amount
+   * @returns {string}
+   */
+  formatCost(amount) {
+    return this.currency === 'USD' ? `$${amount.toFixed(4)}` : `${amount.toFixed(4)} ${this.currency}`;
+  }
+
+  /**
+   * Find the first budget that has been used up
+   * @param {string|null} sessionId - Session the next request belongs to
+   * @returns {Object|null} - { scope, limit, used, budget, message }, or null while within budget
+   */
+  exceededBudget(sessionId) {
+    const scopes = [
+      { scope: 'session', totals: sessionId ? this.sessionTotals(sessionId) : null, budget: this.budgets.session },
+      { scope: 'daily', totals: this.dayTotals(), budget: this.budgets.daily }
+    ];
+
+    for (const { scope, totals, budget } of scopes) {
+      if (!totals) continue;
+
+      const limits = [
+        { limit: 'cost', used: totals.cost, budget: budget.cost, variable: 'BUDGET' },
+        { limit: 'tokens', used: totals.totalTokens, budget: budget.tokens, variable: 'TOKEN_BUDGET' }
+      ];
+
+      for (const { limit, used, budget: allowed, variable } of limits) {
+        if (allowed === null || used < allowed) continue;
+
+        const amount = limit === 'cost'
+          ? `${this.formatCost(used)} of ${this.formatCost(allowed)}`
+          : `${used} of ${allowed} tokens`;
+        const message = scope === 'session'
+          ? `Session ${limit === 'tokens' ? 'token ' : ''}budget reached: this session has used ${amount}. Start a new session or raise USAGE_SESSION_${variable}.`
+          : `Daily ${limit === 'tokens' ? 'token ' : ''}budget reached: ${amount} used today (UTC). Wait until tomorrow or raise USAGE_DAILY_${variable}.`;
+        return { scope, limit, used, budget: allowed, message };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Refuse a new request once a budget is used up
+   * @param {string|null} sessionId - Session the request belongs to
+   * @throws {Error} - With status 402, code BUDGET_EXCEEDED and the budget in error.budget
+   */
+  checkBudget(sessionId) {
+    const exceeded = this.exceededBudget(sessionId);
+    if (!exceeded) return;
+
+    const error = new Error(exceeded.message);
+    error.status = 402;
+    error.code = 'BUDGET_EXCEEDED';
+    error.budget = exceeded;
+    throw error;
+  }
+
+  /**
+   * Describe usage for the /api/usage endpoint and the usage meter
+   * @param {Object} options - { sessionId, days }
+   * @returns {Object}
+   */
+  describe({ sessionId = null, days = 7 } = {}) {
+    const history = [];
+    for (let i = days - 1; i >= 0; i--) {
+      const date = new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      const { byModel, ...totals } = this.dayTotals(date);
+      history.push({ date, ...totals });
+    }
+
+    return {
+      currency: this.currency,
+      date: new Date().toISOString().slice(0, 10),
+      today: this.dayTotals(),
+      session: sessionId ? { id: sessionId, ...this.sessionTotals(sessionId) } : null,
+      budgets: this.budgets,
+      exceeded: this.exceededBudget(sessionId),
+      history
+    };
+  }
+}
+
+module.exports = { UsageTracker };
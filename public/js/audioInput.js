@@ -0,0 +1,394 @@
+// audioInput.js - Audio input for audio-reactive shaders: microphone, audio file or test tone
+
+/**
+ * Audio Input - Sound from the microphone, an uploaded audio file or a generated test tone runs
+ * through a Web Audio AnalyserNode. Every frame its spectrum and waveform go into the 512x2 uAudio
+ * texture, and the smoothed loudness of the low, middle and high frequencies and of the whole signal
+ * into uBass, uMid, uTreble and uVolume. Without audio input the texture is black and the levels are
+ * 0. The prompts describe the same inputs to the model (lib/promptTemplates.js).
+ */
+
+import { CHANNEL_COUNT } from './textureChannels.js';
+import { BUFFER_NAMES } from './multipass.js';
+
+const AUDIO_SOURCES = {
+    off: 'Off',
+    microphone: 'Microphone',
+    file: 'Audio file',
+    tone: 'Test tone'
+};
+
+// Width of uAudio: one texel per frequency bin, and as many waveform samples
+const TEXTURE_SIZE = 512;
+const FFT_SIZE = TEXTURE_SIZE * 2;
+
+// Frequency bands of the levels, in Hz
+const BANDS = {
+    uBass: [20, 250],
+    uMid: [250, 2000],
+    uTreble: [2000, 8000]
+};
+const LEVEL_NAMES = [...Object.keys(BANDS), 'uVolume'];
+const LEVEL_LABELS = { uBass: 'Bass', uMid: 'Mid', uTreble: 'Treble', uVolume: 'Volume' };
+
+// Share of the way to the new loudness the levels move each frame
+const LEVEL_SMOOTHING = 0.25;
+
+// Loudness of the test tone on the speakers
+const TONE_VOLUME = 0.15;
+
+// uAudio's texture unit, after the texture channels and the buffer passes
+const AUDIO_UNIT = CHANNEL_COUNT + BUFFER_NAMES.length;
+
+let audioContext = null;
+let analyser = null;
+let fileNode = null; // Source node of the file player, which can only be created once
+let source = 'off';
+let sourceName = null;
+let stopSource = null; // Stops the current source and disconnects it from the analyser
+
+const spectrum = new Uint8Array(TEXTURE_SIZE);
+const waveform = new Uint8Array(FFT_SIZE);
+// uAudio's texels: the spectrum in row 0, the waveform in row 1
+const pixels = new Uint8Array(TEXTURE_SIZE * 2);
+let levels = emptyLevels();
+
+let audioGl = null;
+let audioTexture = null;
+
+// Uniform locations of the audio inputs, by program
+const audioLocations = new WeakMap();
+
+/**
+ * @returns {Object} - Levels of silence, by uniform name
+ */
+function emptyLevels() {
+    return Object.fromEntries(LEVEL_NAMES.map(name => [name, 0]));
+}
+
+/**
+ * Create the audio context and analyser on first use. Browsers only start audio after a user
+ * gesture, so this runs when a source is picked.
+ */
+function ensureAnalyser() {
+    if (!audioContext) {
+        audioContext = new AudioContext();
+        analyser = audioContext.createAnalyser();
+        analyser.fftSize = FFT_SIZE;
+        analyser.smoothingTimeConstant = 0.6;
+    }
+    if (audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+}
+
+/**
+ * Analyse the microphone. It is not played back, which would feed back into it.
+ * @returns {Promise<Function>} - Stops the source
+ */
+async function startMicrophone() {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const node = audioContext.createMediaStreamSource(stream);
+    node.connect(analyser);
+    return () => {
+        node.disconnect();
+        stream.getTracks().forEach(track => track.stop());
+    };
+}
+
+/**
+ * Play an audio file in a loop, through the speakers and the analyser
+ * @param {File} file
+ * @returns {Promise<Function>} - Stops the source
+ */
+async function startFile(file) {
+    const player = document.getElementById('audioFilePlayer');
+    if (player.src) {
+        URL.revokeObjectURL(player.src);
+    }
+    player.src = URL.createObjectURL(file);
+    if (!fileNode) {
+        fileNode = audioContext.createMediaElementSource(player);
+    }
+    fileNode.connect(analyser);
+    fileNode.connect(audioContext.destination);
+    await player.play();
+    return () => {
+        player.pause();
+        fileNode.disconnect();
+    };
+}
+
+/**
+ * Play the test tone: a 60 Hz bass beat twice a second, a 440 Hz tone that swells and fades every
+ * 2 seconds, and a 5 kHz tick four times a second, so every level has something to show
+ * @returns {Function} - Stops the source
+ */
+function startTone() {
+    const output = audioContext.createGain();
+    output.gain.value = TONE_VOLUME;
+    output.connect(analyser);
+    output.connect(audioContext.destination);
+
+    // Each voice is an oscillator whose loudness a slow oscillator moves between 0 and its level
+    const oscillators = [];
+    const addVoice = (type, frequency, pulseType, pulseRate, level) => {
+        const tone = audioContext.createOscillator();
+        tone.type = type;
+        tone.frequency.value = frequency;
+        const gain = audioContext.createGain();
+        gain.gain.value = level / 2;
+
+        const pulse = audioContext.createOscillator();
+        pulse.type = pulseType;
+        pulse.frequency.value = pulseRate;
+        const depth = audioContext.createGain();
+        depth.gain.value = level / 2;
+
+        pulse.connect(depth).connect(gain.gain);
+        tone.connect(gain).connect(output);
+        tone.start();
+        pulse.start();
+        oscillators.push(tone, pulse);
+    };
+    addVoice('sine', 60, 'square', 2, 1);
+    addVoice('triangle', 440, 'sine', 0.5, 0.6);
+    addVoice('sine', 5000, 'square', 4, 0.3);
+
+    return () => {
+        oscillators.forEach(oscillator => oscillator.stop());
+        output.disconnect();
+    };
+}
+
+/**
+ * Switch the audio input to another source
+ * @param {string} kind - A key of AUDIO_SOURCES
+ * @param {File} [file] - The audio file, for the 'file' source
+ * @returns {Promise<void>}
+ */
+async function setAudioSource(kind, file = null) {
+    if (stopSource) {
+        stopSource();
+        stopSource = null;
+    }
+    source = 'off';
+    sourceName = null;
+    showAudioStatus('');
+
+    if (kind !== 'off') {
+        try {
+            ensureAnalyser();
+            stopSource = kind === 'microphone' ? await startMicrophone()
+                : kind === 'file' ? await startFile(file)
+                    : startTone();
+            source = kind;
+            sourceName = kind === 'file' ? file.name : null;
+        } catch (error) {
+            console.error('Error starting audio input:', error);
+            showAudioStatus(`Could not start the ${AUDIO_SOURCES[kind].toLowerCase()}: ${error.message}`);
+        }
+    }
+
+    // Silence until the new source is analysed
+    levels = emptyLevels();
+    pixels.fill(0);
+    uploadAudioTexture();
+    renderAudioControls();
+}
+
+/**
+ * Analyse the current sound into uAudio and the levels; called once per animation frame
+ */
+function updateAudio() {
+    if (source === 'off' || !analyser) {
+        return;
+    }
+    analyser.getByteFrequencyData(spectrum);
+    analyser.getByteTimeDomainData(waveform);
+    pixels.set(spectrum, 0);
+    pixels.set(waveform.subarray(0, TEXTURE_SIZE), TEXTURE_SIZE);
+    uploadAudioTexture();
+
+    // Average loudness of each band's frequency bins
+    const binWidth = audioContext.sampleRate / FFT_SIZE;
+    const targets = {};
+    Object.entries(BANDS).forEach(([name, [low, high]]) => {
+        const first = Math.max(1, Math.round(low / binWidth));
+        const last = Math.min(TEXTURE_SIZE - 1, Math.round(high / binWidth));
+        let sum = 0;
+        for (let bin = first; bin <= last; bin++) {
+            sum += spectrum[bin];
+        }
+        targets[name] = sum / ((last - first + 1) * 255);
+    });
+
+    // Volume is the RMS of the waveform, with a full-scale sine at 1
+    let sumOfSquares = 0;
+    for (let index = 0; index < waveform.length; index++) {
+        const sample = (waveform[index] - 128) / 128;
+        sumOfSquares += sample * sample;
+    }
+    targets.uVolume = Math.min(1, Math.sqrt(sumOfSquares / waveform.length) * Math.SQRT2);
+
+    LEVEL_NAMES.forEach(name => {
+        levels[name] += (targets[name] - levels[name]) * LEVEL_SMOOTHING;
+    });
+    renderMeters();
+}
+
+/**
+ * Copy the texels to uAudio
+ */
+function uploadAudioTexture() {
+    if (!audioGl || !audioTexture) {
+        return;
+    }
+    audioGl.bindTexture(audioGl.TEXTURE_2D, audioTexture);
+    audioGl.texSubImage2D(audioGl.TEXTURE_2D, 0, 0, 0, TEXTURE_SIZE, 2, audioGl.LUMINANCE, audioGl.UNSIGNED_BYTE, pixels);
+    audioGl.bindTexture(audioGl.TEXTURE_2D, null);
+}
+
+/**
+ * Bind uAudio to its texture unit and set the level uniforms of a program. In a context other than
+ * the one the audio texture was created in, the levels are 0 and uAudio is not bound.
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} glContext - Context the program belongs to
+ * @param {WebGLProgram} program - Program in use
+ */
+function bindAudioInput(glContext, program) {
+    if (!program) {
+        return;
+    }
+    if (!audioLocations.has(program)) {
+        audioLocations.set(program, {
+            sampler: glContext.getUniformLocation(program, 'uAudio'),
+            levels: LEVEL_NAMES.map(name => [name, glContext.getUniformLocation(program, name)])
+        });
+    }
+    const locations = audioLocations.get(program);
+    const ownContext = glContext === audioGl && audioTexture;
+
+    if (locations.sampler && ownContext) {
+        glContext.activeTexture(glContext.TEXTURE0 + AUDIO_UNIT);
+        glContext.bindTexture(glContext.TEXTURE_2D, audioTexture);
+        glContext.uniform1i(locations.sampler, AUDIO_UNIT);
+        glContext.activeTexture(glContext.TEXTURE0);
+    }
+    locations.levels.forEach(([name, location]) => {
+        if (location) {
+            glContext.uniform1f(location, ownContext ? levels[name] : 0);
+        }
+    });
+}
+
+/**
+ * The audio input, as sent with requests so the prompts can describe it
+ * @returns {Object|null} - { source, name }, or null when audio input is off
+ */
+function getAudioInput() {
+    return source === 'off' ? null : { source, name: sourceName };
+}
+
+/**
+ * Show an error under the audio controls
+ * @param {string} message - Empty to hide it
+ */
+function showAudioStatus(message) {
+    const status = document.getElementById('audioStatus');
+    if (status) {
+        status.textContent = message;
+        status.classList.toggle('d-none', !message);
+    }
+}
+
+/**
+ * Show the levels on their meters
+ */
+function renderMeters() {
+    LEVEL_NAMES.forEach(name => {
+        const bar = document.getElementById(`audioMeter-${name}`);
+        if (bar) {
+            bar.style.width = `${Math.round(levels[name] * 100)}%`;
+        }
+    });
+}
+
+/**
+ * Show the current source in the audio controls
+ */
+function renderAudioControls() {
+    const select = document.getElementById('audioSource');
+    const player = document.getElementById('audioFilePlayer');
+    if (!select || !player) return;
+    select.value = source;
+    player.classList.toggle('d-none', source !== 'file');
+    renderMeters();
+}
+
+/**
+ * Build the audio controls and create uAudio in the context shaders render with
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} glContext
+ */
+function initAudioInput(glContext) {
+    // WebGL only promises 8 texture units, and the channels and buffers use those
+    if (glContext.getParameter(glContext.MAX_TEXTURE_IMAGE_UNITS) > AUDIO_UNIT) {
+        audioGl = glContext;
+        audioTexture = glContext.createTexture();
+        glContext.bindTexture(glContext.TEXTURE_2D, audioTexture);
+        glContext.texImage2D(glContext.TEXTURE_2D, 0, glContext.LUMINANCE, TEXTURE_SIZE, 2, 0, glContext.LUMINANCE, glContext.UNSIGNED_BYTE, pixels);
+        glContext.texParameteri(glContext.TEXTURE_2D, glContext.TEXTURE_MIN_FILTER, glContext.LINEAR);
+        glContext.texParameteri(glContext.TEXTURE_2D, glContext.TEXTURE_MAG_FILTER, glContext.LINEAR);
+        glContext.texParameteri(glContext.TEXTURE_2D, glContext.TEXTURE_WRAP_S, glContext.CLAMP_TO_EDGE);
+        glContext.texParameteri(glContext.TEXTURE_2D, glContext.TEXTURE_WRAP_T, glContext.CLAMP_TO_EDGE);
+        glContext.bindTexture(glContext.TEXTURE_2D, null);
+    } else {
+        console.warn(`uAudio needs texture unit ${AUDIO_UNIT}, which this GPU does not have; only the levels are available`);
+    }
+
+    const select = document.getElementById('audioSource');
+    Object.entries(AUDIO_SOURCES).forEach(([kind, label]) => {
+        const option = document.createElement('option');
+        option.value = kind;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+
+    // Picking "Audio file" asks for the file first; cancelling keeps the current source
+    const fileInput = document.getElementById('audioFileInput');
+    select.addEventListener('change', () => {
+        if (select.value === 'file') {
+            renderAudioControls();
+            fileInput.click();
+        } else {
+            setAudioSource(select.value);
+        }
+    });
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) {
+            setAudioSource('file', fileInput.files[0]);
+        }
+        fileInput.value = '';
+    });
+
+    const meters = document.getElementById('audioMeters');
+    LEVEL_NAMES.forEach(name => {
+        const row = document.createElement('div');
+        row.className = 'audio-meter';
+        row.title = name;
+        row.innerHTML = `<span class="small">${LEVEL_LABELS[name]}</span>
+            <div class="progress flex-grow-1"><div id="audioMeter-${name}" class="progress-bar" style="width: 0%"></div></div>`;
+        meters.appendChild(row);
+    });
+
+    renderAudioControls();
+}
+
+// Export as ES module
+export {
+    AUDIO_SOURCES,
+    initAudioInput,
+    setAudioSource,
+    updateAudio,
+    bindAudioInput,
+    getAudioInput
+};
@@ -0,0 +1,383 @@
+// benchmark.js - Run prompt suites against model and prompt configurations and show the comparison
+
+import { ShaderEvaluator } from './shaderEvaluator.js';
+
+let evaluator = null;
+let currentRunId = null; // Run shown in the report panel
+let activeRequest = null; // { controller, requestId } while a benchmark is running
+
+/**
+ * Send a JSON request to the benchmark API
+ * @param {string} url - Endpoint URL
+ * @param {object} [options] - { method, body, signal }
+ * @returns {Promise<object|null>} - Parsed response, or null for empty responses
+ */
+async function requestBenchmark(url, { method = 'GET', body, signal } = {}) {
+    const options = { method, headers: {}, signal };
+    if (body !== undefined) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+    }
+
+    const response = await fetch(url, options);
+    if (response.status === 204) {
+        return null;
+    }
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.message || data.error || `Server responded with status: ${response.status}`);
+        error.status = response.status;
+        error.code = data.code || null;
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * Show a status message under the progress bar
+ * @param {string} message - Message text
+ * @param {boolean} isError - Whether to style it as an error
+ */
+function showStatus(message, isError = false) {
+    const status = document.getElementById('benchmarkStatus');
+    status.textContent = message;
+    status.classList.toggle('text-danger', isError);
+}
+
+/**
+ * Add a configuration row to the form
+ * @param {object} [configuration] - { label, model, promptVersion }
+ * @param {Array<string>} [promptVersions] - Generation prompt versions to offer
+ */
+function addConfigurationRow(configuration = {}, promptVersions = []) {
+    const row = document.createElement('div');
+    row.className = 'input-group input-group-sm mb-2 benchmark-configuration';
+
+    const label = document.createElement('input');
+    label.type = 'text';
+    label.className = 'form-control';
+    label.placeholder = 'Label';
+    label.dataset.field = 'label';
+    label.value = configuration.label || '';
+
+    const model = document.createElement('input');
+    model.type = 'text';
+    model.className = 'form-control font-monospace';
+    model.placeholder = 'Routing policy';
+    model.setAttribute('list', 'benchmarkModels');
+    model.dataset.field = 'model';
+    model.value = configuration.model || '';
+
+    const version = document.createElement('select');
+    version.className = 'form-select';
+    version.dataset.field = 'promptVersion';
+    [['', 'Active prompt'], ...promptVersions.map(name => [name, name])].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        version.appendChild(option);
+    });
+    version.value = configuration.promptVersion || '';
+
+    const remove = document.createElement('button');
+    remove.className = 'btn btn-outline-danger';
+    remove.title = 'Remove this configuration';
+    remove.innerHTML = '<i class="fas fa-xmark"></i>';
+    remove.addEventListener('click', () => row.remove());
+
+    row.append(label, model, version, remove);
+    document.getElementById('benchmarkConfigurations').appendChild(row);
+}
+
+/**
+ * Read the configurations from the form
+ * @returns {Array<object>} - [{ label, model, promptVersion }]
+ */
+function readConfigurations() {
+    return Array.from(document.querySelectorAll('.benchmark-configuration')).map(row => {
+        const configuration = {};
+        row.querySelectorAll('[data-field]').forEach(field => {
+            configuration[field.dataset.field] = field.value.trim();
+        });
+        return configuration;
+    });
+}
+
+/**
+ * Fill the suite list, the model suggestions and one configuration per generation model
+ */
+async function loadSetup() {
+    const [{ suites }, { templates }, routing] = await Promise.all([
+        requestBenchmark('/api/benchmarks/suites'),
+        requestBenchmark('/api/prompts'),
+        requestBenchmark('/api/config/models')
+    ]);
+
+    const suiteSelect = document.getElementById('suiteSelect');
+    suites.forEach(suite => {
+        const option = document.createElement('option');
+        option.value = suite.name;
+        option.textContent = `${suite.name} (${suite.promptCount} prompts)`;
+        option.title = suite.description;
+        suiteSelect.appendChild(option);
+    });
+
+    const models = [...new Set(Object.values(routing.policy.phases).flat())];
+    const datalist = document.getElementById('benchmarkModels');
+    models.forEach(model => {
+        const option = document.createElement('option');
+        option.value = model;
+        datalist.appendChild(option);
+    });
+
+    const generation = templates.find(template => template.name === 'generation');
+    const promptVersions = generation ? generation.versions.map(entry => entry.version) : [];
+    document.getElementById('addConfigurationBtn').addEventListener('click', () => addConfigurationRow({}, promptVersions));
+
+    // Start with the generation models of the routing policy, e.g. the fine-tuned and the base model
+    const generationModels = routing.policy.phases.generation || [];
+    (generationModels.length > 0 ? generationModels : ['']).forEach(model => addConfigurationRow({ label: model, model }, promptVersions));
+}
+
+/**
+ * Reload the saved runs list
+ * @param {string|null} selectedId - Run to select
+ */
+async function refreshRuns(selectedId = currentRunId) {
+    const { runs } = await requestBenchmark('/api/benchmarks/runs');
+    const select = document.getElementById('benchmarkRunSelect');
+    select.innerHTML = '';
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = runs.length > 0 ? 'Saved runs' : 'No saved runs';
+    select.appendChild(placeholder);
+
+    runs.forEach(run => {
+        const option = document.createElement('option');
+        option.value = run.id;
+        option.textContent = `${new Date(run.createdAt).toLocaleString()} · ${run.suite} · ${run.doneCount}/${run.caseCount}`;
+        option.title = run.configurations.join(' vs ');
+        select.appendChild(option);
+    });
+    select.value = runs.some(run => run.id === selectedId) ? selectedId : '';
+}
+
+/**
+ * Show a run's progress, links and report
+ * @param {object} run - Benchmark run
+ */
+function showRun(run) {
+    currentRunId = run.id;
+    const done = run.cases.filter(item => item.status === 'done').length;
+    const percent = Math.round(done / run.cases.length * 100);
+    const bar = document.getElementById('benchmarkProgress');
+    bar.style.width = `${percent}%`;
+    bar.textContent = `${done}/${run.cases.length}`;
+
+    document.getElementById('benchmarkRunInfo').textContent =
+        `${run.suite.name}: ${run.configurations.map(configuration => configuration.label).join(' vs ')} · ` +
+        `${done}/${run.cases.length} cases · judge ${run.judgeModels.join(', ') || 'off'}`;
+    document.getElementById('resumeBenchmarkBtn').disabled = done === run.cases.length || activeRequest !== null;
+
+    const htmlLink = document.getElementById('benchmarkHtmlLink');
+    const jsonLink = document.getElementById('benchmarkJsonLink');
+    htmlLink.href = `/api/benchmarks/runs/${run.id}/report.html`;
+    jsonLink.href = `/api/benchmarks/runs/${run.id}`;
+    htmlLink.classList.remove('disabled');
+    jsonLink.classList.remove('disabled');
+
+    document.getElementById('benchmarkReport').src = `/api/benchmarks/runs/${run.id}/report.html`;
+}
+
+/**
+ * Clear the run panel
+ */
+function clearRun() {
+    currentRunId = null;
+    document.getElementById('benchmarkRunInfo').textContent = 'No run selected.';
+    document.getElementById('resumeBenchmarkBtn').disabled = true;
+    ['benchmarkHtmlLink', 'benchmarkJsonLink'].forEach(id => {
+        const link = document.getElementById(id);
+        link.removeAttribute('href');
+        link.classList.add('disabled');
+    });
+    document.getElementById('benchmarkReport').removeAttribute('src');
+    const bar = document.getElementById('benchmarkProgress');
+    bar.style.width = '0%';
+    bar.textContent = '';
+}
+
+/**
+ * Toggle the controls between running and idle
+ * @param {boolean} running - Whether a benchmark is running
+ */
+function setRunning(running) {
+    document.getElementById('startBenchmarkBtn').disabled = running;
+    document.getElementById('benchmarkRunSelect').disabled = running;
+    document.getElementById('deleteBenchmarkBtn').disabled = running;
+    document.getElementById('resumeBenchmarkBtn').disabled = running;
+    document.getElementById('stopBenchmarkBtn').classList.toggle('d-none', !running);
+}
+
+/**
+ * Start a request that the Stop button can cancel
+ * @returns {{requestId: string, signal: AbortSignal}}
+ */
+function nextRequest() {
+    activeRequest = { controller: new AbortController(), requestId: crypto.randomUUID() };
+    return { requestId: activeRequest.requestId, signal: activeRequest.controller.signal };
+}
+
+/**
+ * Generate, render and judge every unfinished case of a run, one at a time
+ * @param {string} runId - Run id
+ */
+async function runBenchmark(runId) {
+    let { run } = await requestBenchmark(`/api/benchmarks/runs/${runId}`);
+    showRun(run);
+    const remaining = run.cases.filter(item => item.status !== 'done');
+    activeRequest = { controller: new AbortController(), requestId: null };
+    setRunning(true);
+
+    try {
+        for (const [position, item] of remaining.entries()) {
+            const configuration = run.configurations[item.configIndex];
+            const caseUrl = `/api/benchmarks/runs/${runId}/cases/${encodeURIComponent(item.id)}`;
+            let current = item;
+
+            if (current.status === 'pending') {
+                showStatus(`Generating ${position + 1}/${remaining.length} with ${configuration.label}:\n${item.prompt}`);
+                const { requestId, signal } = nextRequest();
+                current = (await requestBenchmark(`${caseUrl}/generate`, { method: 'POST', body: { requestId }, signal })).case;
+            }
+
+            if (current.status === 'generated') {
+                showStatus(`Rendering and judging ${position + 1}/${remaining.length} with ${configuration.label}:\n${item.prompt}`);
+                const signals = await evaluator.evaluateCandidate(current.generation.fragmentShader, current.generation.buffers || {});
+                const { requestId, signal } = nextRequest();
+                await requestBenchmark(`${caseUrl}/evaluate`, { method: 'POST', body: { ...signals, requestId }, signal });
+            }
+
+            ({ run } = await requestBenchmark(`/api/benchmarks/runs/${runId}`));
+            showRun(run);
+        }
+        showStatus('Benchmark finished.');
+    } catch (error) {
+        if (error.name === 'AbortError' || error.code === 'REQUEST_CANCELLED') {
+            showStatus('Benchmark stopped. Resume it from the runs list.');
+        } else if (error.status === 402) {
+            showStatus(`Benchmark paused: ${error.message}`, true);
+        } else {
+            console.error('Benchmark failed:', error);
+            showStatus(`Benchmark failed: ${error.message}`, true);
+        }
+    } finally {
+        activeRequest = null;
+        setRunning(false);
+        const latest = await requestBenchmark(`/api/benchmarks/runs/${runId}`).catch(() => null);
+        if (latest) showRun(latest.run);
+        await refreshRuns(runId).catch(() => {});
+    }
+}
+
+/**
+ * Create a run from the form and start it
+ */
+async function handleStartClick() {
+    const body = {
+        suite: document.getElementById('suiteSelect').value,
+        configurations: readConfigurations(),
+        fixAttempts: parseInt(document.getElementById('benchmarkFixAttempts').value, 10),
+        judge: document.getElementById('benchmarkJudge').checked,
+        judgeModel: document.getElementById('benchmarkJudgeModel').value.trim() || undefined
+    };
+
+    try {
+        const { run } = await requestBenchmark('/api/benchmarks/runs', { method: 'POST', body });
+        await refreshRuns(run.id);
+        await runBenchmark(run.id);
+    } catch (error) {
+        showStatus(error.message, true);
+    }
+}
+
+/**
+ * Stop the running benchmark: abort the request in flight and cancel it on the server
+ */
+function handleStopClick() {
+    if (!activeRequest) return;
+    const { controller, requestId } = activeRequest;
+    controller.abort();
+    if (requestId) {
+        fetch(`/api/requests/${requestId}/cancel`, { method: 'POST' }).catch(() => {});
+    }
+}
+
+/**
+ * Open the run picked in the runs list
+ */
+async function handleRunSelect() {
+    const id = document.getElementById('benchmarkRunSelect').value;
+    if (!id) {
+        clearRun();
+        return;
+    }
+    try {
+        const { run } = await requestBenchmark(`/api/benchmarks/runs/${id}`);
+        showRun(run);
+        showStatus('');
+    } catch (error) {
+        showStatus(error.message, true);
+    }
+}
+
+/**
+ * Delete the selected run
+ */
+async function handleDeleteClick() {
+    if (!currentRunId || !confirm('Delete this benchmark run?')) return;
+    try {
+        await requestBenchmark(`/api/benchmarks/runs/${currentRunId}`, { method: 'DELETE' });
+        clearRun();
+        await refreshRuns(null);
+    } catch (error) {
+        showStatus(error.message, true);
+    }
+}
+
+/**
+ * Set up WebGL, the form and the runs list
+ */
+async function initBenchmarkPage() {
+    if (localStorage.getItem('theme') === 'dark') {
+        document.documentElement.setAttribute('data-theme', 'dark');
+    }
+
+    const canvas = document.getElementById('benchmarkCanvas');
+    const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+    if (!gl) {
+        showStatus('Unable to initialize WebGL. Your browser may not support it.', true);
+        document.getElementById('startBenchmarkBtn').disabled = true;
+        return;
+    }
+    evaluator = new ShaderEvaluator(gl, canvas, { thumbnailSize: 256 });
+
+    document.getElementById('startBenchmarkBtn').addEventListener('click', handleStartClick);
+    document.getElementById('stopBenchmarkBtn').addEventListener('click', handleStopClick);
+    document.getElementById('resumeBenchmarkBtn').addEventListener('click', () => currentRunId && runBenchmark(currentRunId));
+    document.getElementById('benchmarkRunSelect').addEventListener('change', handleRunSelect);
+    document.getElementById('deleteBenchmarkBtn').addEventListener('click', handleDeleteClick);
+
+    try {
+        await loadSetup();
+        await refreshRuns(null);
+    } catch (error) {
+        showStatus(`Failed to load benchmark setup: ${error.message}`, true);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initBenchmarkPage);
+
+// Export as ES module
+export { initBenchmarkPage };
@@ -0,0 +1,198 @@
+// candidateGallery.js - Generate several candidate shaders, rank them and let the user pick one
+
+/**
+ * Ask the server for candidate shaders, generated in parallel
+ * @param {string} prompt - Text description of the desired shader effect
+ * @param {string|null} sessionId - Current session
+ * @param {number} count - Number of candidates
+ * @param {object} [options] - { requestId, signal, glslVersion, textureChannels, audioInput }: the id to cancel the request by,
+ *   a signal that aborts it, the GLSL version to write the shaders in, the texture channels they can sample and the audio
+ *   input they react to
+ * @returns {Promise<Array<object>>} - Candidates: { index, fragmentShader, buffers, reflection, changes, parse, ... } or { index, error }
+ */
+async function requestCandidates(prompt, sessionId, count, { requestId, signal, glslVersion, textureChannels, audioInput } = {}) {
+    const response = await fetch('/api/generate-shader/candidates', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ prompt, sessionId, count, requestId, glslVersion, textureChannels, audioInput }),
+        signal
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.message || data.error || `Server responded with status: ${response.status}`);
+        error.status = response.status;
+        error.code = data.code || null;
+        throw error;
+    }
+    return data.candidates || [];
+}
+
+/**
+ * Score a candidate from its evaluation. Compiling matters most, then showing something,
+ * then rendering within the frame-time budget, then being animated.
+ * @param {object|null} signals - Result of ShaderEvaluator.evaluateCandidate
+ * @returns {number}
+ */
+function candidateScore(signals) {
+    if (!signals) {
+        return -1;
+    }
+    return (signals.compiled ? 8 : 0) +
+        (signals.compiled && !signals.blank ? 4 : 0) +
+        (signals.withinFrameBudget ? 2 : 0) +
+        (signals.animated ? 1 : 0);
+}
+
+/**
+ * Compile and render every candidate, then sort them best first
+ * @param {ShaderEvaluator} evaluator - Evaluator sharing the preview canvas
+ * @param {Array<object>} candidates - Candidates from requestCandidates
+ * @returns {Promise<Array<object>>} - The candidates with `signals` and `rank` set, best first
+ */
+async function rankCandidates(evaluator, candidates) {
+    for (const candidate of candidates) {
+        candidate.signals = candidate.fragmentShader
+            ? await evaluator.evaluateCandidate(candidate.fragmentShader, candidate.buffers || {})
+            : null;
+    }
+
+    const ranked = candidates.slice().sort((a, b) => {
+        const scoreDifference = candidateScore(b.signals) - candidateScore(a.signals);
+        if (scoreDifference !== 0) return scoreDifference;
+        // Faster shaders first, then the order they were requested in
+        const aTime = a.signals && a.signals.frameTimeMs !== null ? a.signals.frameTimeMs : Infinity;
+        const bTime = b.signals && b.signals.frameTimeMs !== null ? b.signals.frameTimeMs : Infinity;
+        return aTime !== bTime ? aTime - bTime : a.index - b.index;
+    });
+
+    ranked.forEach((candidate, position) => {
+        candidate.rank = position + 1;
+    });
+    return ranked;
+}
+
+/**
+ * Describe a candidate's evaluation as short badges
+ * @param {object} candidate - Ranked candidate
+ * @returns {Array<{text: string, className: string}>}
+ */
+function describeSignals(candidate) {
+    const signals = candidate.signals;
+    if (candidate.error) {
+        return [{ text: 'request failed', className: 'bg-danger' }];
+    }
+    if (!signals || !signals.compiled) {
+        return [{ text: 'does not compile', className: 'bg-danger' }];
+    }
+
+    const badges = [
+        signals.blank ? { text: 'blank', className: 'bg-warning text-dark' } : { text: 'renders', className: 'bg-success' },
+        signals.animated ? { text: 'animated', className: 'bg-success' } : { text: 'static', className: 'bg-secondary' }
+    ];
+    if (signals.frameTimeMs !== null && signals.frameTimeMs !== undefined) {
+        badges.push({
+            text: `${signals.frameTimeMs.toFixed(1)} ms`,
+            className: signals.withinFrameBudget ? 'bg-success' : 'bg-warning text-dark'
+        });
+    }
+    return badges;
+}
+
+/**
+ * Show the candidates as a gallery of thumbnails
+ * @param {Array<object>} candidates - Ranked candidates, best first
+ * @param {Function} onSelect - Called with the candidate the user picks
+ * @param {number|null} selectedIndex - Index of the candidate already picked, if any
+ */
+function renderCandidateGallery(candidates, onSelect, selectedIndex = null) {
+    const card = document.getElementById('candidateGalleryCard');
+    const gallery = document.getElementById('candidateGallery');
+    if (!card) {
+        return;
+    }
+
+    gallery.innerHTML = '';
+    candidates.forEach(candidate => {
+        const item = document.createElement('div');
+        item.className = 'candidate-item';
+        if (candidate.index === selectedIndex) {
+            item.classList.add('candidate-selected');
+        }
+
+        const header = document.createElement('div');
+        header.className = 'small fw-bold mb-1';
+        header.textContent = `#${candidate.rank} · Candidate ${candidate.index + 1}`;
+        item.appendChild(header);
+
+        const thumbnailSrc = candidate.signals && candidate.signals.thumbnail;
+        if (thumbnailSrc) {
+            const thumbnail = document.createElement('img');
+            thumbnail.src = thumbnailSrc;
+            thumbnail.className = 'candidate-thumbnail';
+            thumbnail.alt = `Candidate ${candidate.index + 1}`;
+            item.appendChild(thumbnail);
+        } else {
+            const placeholder = document.createElement('div');
+            placeholder.className = 'candidate-thumbnail candidate-placeholder small text-muted';
+            placeholder.textContent = 'No preview';
+            item.appendChild(placeholder);
+        }
+
+        const badges = document.createElement('div');
+        badges.className = 'mt-1';
+        describeSignals(candidate).forEach(({ text, className }) => {
+            const badge = document.createElement('span');
+            badge.className = `badge ${className} me-1`;
+            badge.textContent = text;
+            badges.appendChild(badge);
+        });
+        item.appendChild(badges);
+
+        if (candidate.fragmentShader) {
+            item.classList.add('cursor-pointer');
+            item.title = candidate.error || candidate.reflection || 'Start from this candidate';
+            item.addEventListener('click', () => {
+                // A run in progress keeps the editor until it ends or is stopped
+                if (gallery.classList.contains('candidate-gallery-locked')) {
+                    return;
+                }
+                gallery.querySelectorAll('.candidate-selected').forEach(element => element.classList.remove('candidate-selected'));
+                item.classList.add('candidate-selected');
+                onSelect(candidate);
+            });
+        } else {
+            item.title = candidate.error || 'No shader was returned';
+        }
+
+        gallery.appendChild(item);
+    });
+
+    card.classList.remove('d-none');
+}
+
+/**
+ * Hide the gallery, e.g. when a new single-shader generation starts
+ */
+function hideCandidateGallery() {
+    const card = document.getElementById('candidateGalleryCard');
+    if (card) {
+        card.classList.add('d-none');
+        document.getElementById('candidateGallery').innerHTML = '';
+    }
+}
+
+/**
+ * Ignore clicks on the candidates while a generation or iteration is running, so that picking one
+ * never starts a second run alongside it
+ * @param {boolean} locked - Whether a run is in progress
+ */
+function lockCandidateGallery(locked) {
+    const gallery = document.getElementById('candidateGallery');
+    if (gallery) {
+        gallery.classList.toggle('candidate-gallery-locked', locked);
+    }
+}
+
+// Export as ES module
+export { requestCandidates, rankCandidates, renderCandidateGallery, hideCandidateGallery, lockCandidateGallery };
@@ -0,0 +1,480 @@
+// clipExport.js - Export dialog: the animated shader as a WebM video, an animated GIF or a PNG sequence,
+// or one frame as a high-resolution still
+
+/**
+ * Clip Export - Renders a clip of fixed duration, frame rate and resolution on the preview canvas.
+ * Frame N is drawn at exactly start + N / fps seconds, with uFrame and the buffer passes starting
+ * over, so a shader too slow for real time still exports smoothly. The preview stops while a clip
+ * renders, and afterwards goes back to its own size with its buffers restarted.
+ *
+ * WebM is recorded with MediaRecorder; the recorder only runs for one frame interval after each
+ * frame, so export takes at least the clip's duration. GIFs are encoded in gifEncoder.js and PNG
+ * sequences zipped in zipWriter.js. Stills are rendered in tiles by tiledStill.js, at the time
+ * chosen on the timeline unless another is entered.
+ */
+
+import * as ShaderRenderer from './shaderRenderer.js';
+import { getResolution, lockResolution } from './previewResolution.js';
+import { getCaptureTime } from './playback.js';
+import { GifEncoder } from './gifEncoder.js';
+import { ZipWriter } from './zipWriter.js';
+import { SUPERSAMPLING_FACTORS, MAX_SIZE as MAX_STILL_SIZE, renderTiledStill } from './tiledStill.js';
+
+const EXPORT_FORMATS = {
+    webm: { label: 'WebM video', extension: 'webm' },
+    gif: { label: 'Animated GIF', extension: 'gif' },
+    png: { label: 'PNG sequence (zip)', extension: 'zip' },
+    still: { label: 'High-resolution still (PNG)', extension: 'png', still: true }
+};
+const FRAME_RATES = [10, 12, 15, 24, 25, 30, 50, 60];
+const MAX_DURATION = 60;
+const MAX_SIZE = 4096;
+// GIFs are quantized and compressed in JavaScript, frame by frame
+const MAX_GIF_SIZE = 1024;
+// Browsers slow down GIF frames shorter than 2 hundredths of a second
+const MAX_GIF_FPS = 50;
+const WEBM_BITS_PER_PIXEL = 0.2;
+
+let canvas = null;
+let exporting = false;
+let cancelled = false;
+let savedSettings = {}; // The last export's format, frame rate, duration and supersampling
+
+/**
+ * @returns {boolean} - Whether an export is rendering; the preview's render loop stands still meanwhile
+ */
+function isExporting() {
+    return exporting;
+}
+
+/**
+ * @returns {Error} - The error an export stops with when it is cancelled
+ */
+function cancelledError() {
+    const error = new Error('Export cancelled');
+    error.code = 'EXPORT_CANCELLED';
+    return error;
+}
+
+/**
+ * Wait, or give the page a chance to update
+ * @param {number} [milliseconds]
+ * @returns {Promise<void>}
+ */
+function wait(milliseconds = 0) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * Stop with a cancelled error when the export has been cancelled
+ * @throws {Error} - With code EXPORT_CANCELLED
+ */
+function checkCancelled() {
+    if (cancelled) {
+        throw cancelledError();
+    }
+}
+
+/**
+ * Take the preview canvas over for an export, and give it back at its own size afterwards. The
+ * preview resolution is locked meanwhile, so the frames keep the size the export started with.
+ * @param {Function} render - Renders on the canvas; may return a promise
+ * @returns {Promise<*>} - What render returns
+ */
+async function withCanvas(render) {
+    const previewSize = { width: canvas.width, height: canvas.height };
+    exporting = true;
+    lockResolution(true);
+    try {
+        return await render();
+    } finally {
+        canvas.width = previewSize.width;
+        canvas.height = previewSize.height;
+        exporting = false;
+        // Settings changed during the export apply now
+        lockResolution(false);
+    }
+}
+
+/**
+ * Render every frame of a clip on the preview canvas, one after the other
+ * @param {Object} settings - { width, height, fps, duration, start }
+ * @param {Function} onFrame - Called with the frame number after each frame is drawn, before the
+ *   next one; may return a promise
+ * @param {Function} onProgress - Called with the share of frames done, from 0 to 1
+ * @returns {Promise<void>}
+ * @throws {Error} - With code EXPORT_CANCELLED when cancelled
+ */
+async function renderFrames({ width, height, fps, duration, start }, onFrame, onProgress) {
+    const frameCount = Math.round(duration * fps);
+    try {
+        await withCanvas(async () => {
+            canvas.width = width;
+            canvas.height = height;
+            ShaderRenderer.resetBuffers();
+            for (let frame = 0; frame < frameCount; frame++) {
+                checkCancelled();
+                ShaderRenderer.drawScene(start + frame / fps, true);
+                await onFrame(frame);
+                onProgress((frame + 1) / frameCount);
+            }
+        });
+    } finally {
+        // The buffers start over at the preview's size
+        ShaderRenderer.resetBuffers();
+    }
+}
+
+/**
+ * Read the frame just drawn, top row first
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} gl
+ * @returns {Uint8Array} - RGBA pixels
+ */
+function readFrame(gl) {
+    const { width, height } = canvas;
+    const pixels = new Uint8Array(width * height * 4);
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    // WebGL reads the bottom row first
+    const rowSize = width * 4;
+    const flipped = new Uint8Array(pixels.length);
+    for (let y = 0; y < height; y++) {
+        flipped.set(pixels.subarray(y * rowSize, (y + 1) * rowSize), (height - 1 - y) * rowSize);
+    }
+    return flipped;
+}
+
+/**
+ * Record a clip as WebM. The recorder is paused while each frame renders and runs for one frame
+ * interval after it, so every frame lasts 1 / fps in the video however long it took to draw.
+ * @param {Object} settings - { width, height, fps, duration, start }
+ * @param {Function} onProgress
+ * @returns {Promise<Blob>}
+ */
+async function exportWebm(settings, onProgress) {
+    if (typeof MediaRecorder === 'undefined' || !canvas.captureStream) {
+        throw new Error('This browser cannot record the canvas; export a GIF or PNG sequence instead');
+    }
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+        throw new Error('This browser cannot record WebM; export a GIF or PNG sequence instead');
+    }
+
+    // Frame rate 0: a frame is only captured when requested
+    const stream = canvas.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, {
+        mimeType,
+        videoBitsPerSecond: Math.round(settings.width * settings.height * settings.fps * WEBM_BITS_PER_PIXEL)
+    });
+    const chunks = [];
+    recorder.addEventListener('dataavailable', event => {
+        if (event.data.size > 0) chunks.push(event.data);
+    });
+    const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve));
+
+    recorder.start();
+    recorder.pause();
+    try {
+        await renderFrames(settings, async () => {
+            recorder.resume();
+            track.requestFrame();
+            await wait(1000 / settings.fps);
+            recorder.pause();
+        }, onProgress);
+    } finally {
+        recorder.stop();
+        track.stop();
+        await stopped;
+    }
+    return new Blob(chunks, { type: 'video/webm' });
+}
+
+/**
+ * Encode a clip as a looping GIF
+ * @param {Object} settings - { width, height, fps, duration, start }
+ * @param {Function} onProgress
+ * @returns {Promise<Blob>}
+ */
+async function exportGif(settings, onProgress) {
+    const gl = ShaderRenderer.gl;
+    const encoder = new GifEncoder(settings.width, settings.height);
+    await renderFrames(settings, async frame => {
+        // GIF delays are in hundredths of a second; rounding the frame's end time keeps the clip's length exact
+        const delay = Math.round((frame + 1) * 100 / settings.fps) - Math.round(frame * 100 / settings.fps);
+        encoder.addFrame(readFrame(gl), delay);
+        await wait();
+    }, onProgress);
+    return encoder.finish();
+}
+
+/**
+ * Save every frame of a clip as a PNG, zipped
+ * @param {Object} settings - { width, height, fps, duration, start }
+ * @param {Function} onProgress
+ * @returns {Promise<Blob>}
+ */
+async function exportPngSequence(settings, onProgress) {
+    const zip = new ZipWriter();
+    const digits = Math.max(4, String(Math.round(settings.duration * settings.fps)).length);
+    const frameCanvas = document.createElement('canvas');
+    frameCanvas.width = settings.width;
+    frameCanvas.height = settings.height;
+    const context = frameCanvas.getContext('2d');
+
+    await renderFrames(settings, async frame => {
+        // Copy the frame while the WebGL canvas still holds it
+        context.fillStyle = '#000';
+        context.fillRect(0, 0, frameCanvas.width, frameCanvas.height);
+        context.drawImage(canvas, 0, 0);
+        const blob = await new Promise(resolve => frameCanvas.toBlob(resolve, 'image/png'));
+        zip.addFile(`frame-${String(frame + 1).padStart(digits, '0')}.png`, new Uint8Array(await blob.arrayBuffer()));
+    }, onProgress);
+    return zip.finish();
+}
+
+/**
+ * Render one frame larger than the canvas in tiles, as a PNG. The preview's buffers carry on
+ * afterwards, as only the image pass is drawn.
+ * @param {Object} settings - { width, height, supersampling, time }
+ * @param {Function} onProgress
+ * @returns {Promise<Blob>}
+ */
+function exportStill(settings, onProgress) {
+    return withCanvas(() => renderTiledStill(canvas, settings, onProgress, checkCancelled));
+}
+
+/**
+ * The largest width and height a format exports
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {number}
+ */
+function maxSizeOf(format) {
+    if (format === 'gif') return MAX_GIF_SIZE;
+    return EXPORT_FORMATS[format].still ? MAX_STILL_SIZE : MAX_SIZE;
+}
+
+/**
+ * Read and check the dialog's settings
+ * @returns {Object} - { format, width, height, fps, duration, start } for a clip, or
+ *   { format, width, height, supersampling, time } for a still
+ * @throws {Error} - When a setting is out of range
+ */
+function readSettings() {
+    const format = document.getElementById('exportFormat').value;
+    const width = parseInt(document.getElementById('exportWidth').value, 10);
+    const height = parseInt(document.getElementById('exportHeight').value, 10);
+    const maxSize = maxSizeOf(format);
+    if (![width, height].every(size => Number.isInteger(size) && size >= 16 && size <= maxSize)) {
+        throw new Error(`Width and height must be from 16 to ${maxSize} pixels${format === 'gif' ? ' for a GIF' : ''}`);
+    }
+
+    if (EXPORT_FORMATS[format].still) {
+        const supersampling = Number(document.getElementById('exportSupersampling').value);
+        const time = parseFloat(document.getElementById('exportStillTime').value);
+        if (!Number.isFinite(time) || time < 0) {
+            throw new Error('The time must be 0 seconds or more');
+        }
+        return { format, width, height, supersampling, time };
+    }
+
+    const settings = {
+        format,
+        width,
+        height,
+        fps: Number(document.getElementById('exportFps').value),
+        duration: parseFloat(document.getElementById('exportDuration').value),
+        start: parseFloat(document.getElementById('exportStart').value) || 0
+    };
+    if (settings.format === 'gif' && settings.fps > MAX_GIF_FPS) {
+        throw new Error(`GIFs play at most ${MAX_GIF_FPS} fps`);
+    }
+    if (!(settings.duration > 0 && settings.duration <= MAX_DURATION)) {
+        throw new Error(`The duration must be more than 0 and at most ${MAX_DURATION} seconds`);
+    }
+    if (Math.round(settings.duration * settings.fps) < 1) {
+        throw new Error('The clip must have at least one frame');
+    }
+    settings.start = Math.max(0, settings.start);
+    return settings;
+}
+
+/**
+ * Show the fields of the chosen format, and the frame count or still size the settings give
+ */
+function updateSummary() {
+    const format = document.getElementById('exportFormat').value;
+    const still = Boolean(EXPORT_FORMATS[format] && EXPORT_FORMATS[format].still);
+    document.getElementById('exportClipFields').classList.toggle('d-none', still);
+    document.getElementById('exportStillFields').classList.toggle('d-none', !still);
+    ['exportWidth', 'exportHeight'].forEach(id => {
+        document.getElementById(id).max = maxSizeOf(format);
+    });
+
+    const summary = document.getElementById('exportSummary');
+    try {
+        const settings = readSettings();
+        const { width, height } = settings;
+        if (still) {
+            const sampling = settings.supersampling > 1 ? `, ${settings.supersampling}×${settings.supersampling} samples per pixel` : '';
+            summary.textContent = `One frame at ${width}×${height} at ${settings.time} s${sampling}`;
+        } else {
+            summary.textContent = `${Math.round(settings.duration * settings.fps)} frames at ${width}×${height}`;
+        }
+        summary.classList.remove('text-danger');
+    } catch (error) {
+        summary.textContent = error.message;
+        summary.classList.add('text-danger');
+    }
+}
+
+/**
+ * Show the progress of the export
+ * @param {number|null} share - From 0 to 1, or null to hide the bar
+ * @param {string} [message]
+ */
+function showProgress(share, message = '') {
+    const progress = document.getElementById('exportProgress');
+    const bar = progress.querySelector('.progress-bar');
+    progress.classList.toggle('d-none', share === null);
+    bar.style.width = `${Math.round((share || 0) * 100)}%`;
+    document.getElementById('exportStatus').textContent = message;
+}
+
+/**
+ * Offer a file for download
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Export a clip with the dialog's settings and download it
+ * @returns {Promise<void>}
+ */
+async function startExport() {
+    let settings;
+    try {
+        settings = readSettings();
+    } catch (error) {
+        showProgress(null, error.message);
+        return;
+    }
+    if (!ShaderRenderer.isCompiled()) {
+        showProgress(null, 'Compile a shader first');
+        return;
+    }
+    savedSettings = EXPORT_FORMATS[settings.format].still
+        ? { ...savedSettings, format: settings.format, supersampling: settings.supersampling }
+        : { ...savedSettings, format: settings.format, fps: settings.fps, duration: settings.duration };
+    localStorage.setItem('exportSettings', JSON.stringify(savedSettings));
+
+    const startBtn = document.getElementById('exportStartBtn');
+    const cancelBtn = document.getElementById('exportCancelBtn');
+    startBtn.disabled = true;
+    cancelBtn.classList.remove('d-none');
+    cancelled = false;
+
+    const exporters = { webm: exportWebm, gif: exportGif, png: exportPngSequence, still: exportStill };
+    const label = EXPORT_FORMATS[settings.format].label;
+    showProgress(0, `Rendering ${label}...`);
+    try {
+        const blob = await exporters[settings.format](settings, share => showProgress(share, `Rendering ${label}... ${Math.round(share * 100)}%`));
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        download(blob, `shader-${stamp}.${EXPORT_FORMATS[settings.format].extension}`);
+        showProgress(1, `Exported ${label}, ${(blob.size / (1024 * 1024)).toFixed(1)} MB`);
+    } catch (error) {
+        if (error.code === 'EXPORT_CANCELLED') {
+            showProgress(null, 'Export cancelled');
+        } else {
+            console.error('Error exporting:', error);
+            showProgress(null, `Export failed: ${error.message}`);
+        }
+    } finally {
+        startBtn.disabled = false;
+        cancelBtn.classList.add('d-none');
+    }
+}
+
+/**
+ * Cancel the export in progress; it stops after the frame or tile being rendered
+ */
+function cancelExport() {
+    cancelled = true;
+}
+
+/**
+ * Set up the export dialog
+ * @param {HTMLCanvasElement} canvasElement - The preview canvas clips are rendered on
+ */
+function initClipExport(canvasElement) {
+    canvas = canvasElement;
+
+    const formatSelect = document.getElementById('exportFormat');
+    Object.entries(EXPORT_FORMATS).forEach(([key, format]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = format.label;
+        formatSelect.appendChild(option);
+    });
+    const fpsSelect = document.getElementById('exportFps');
+    FRAME_RATES.forEach(rate => {
+        const option = document.createElement('option');
+        option.value = rate;
+        option.textContent = `${rate} fps`;
+        fpsSelect.appendChild(option);
+    });
+    const supersamplingSelect = document.getElementById('exportSupersampling');
+    SUPERSAMPLING_FACTORS.forEach(factor => {
+        const option = document.createElement('option');
+        option.value = factor;
+        option.textContent = factor === 1 ? 'Off' : `${factor}×${factor}`;
+        supersamplingSelect.appendChild(option);
+    });
+
+    try {
+        savedSettings = JSON.parse(localStorage.getItem('exportSettings') || '{}') || {};
+    } catch (error) {
+        console.warn('Ignoring saved export settings:', error);
+    }
+    const saved = savedSettings;
+    formatSelect.value = EXPORT_FORMATS[saved.format] ? saved.format : 'webm';
+    fpsSelect.value = FRAME_RATES.includes(saved.fps) ? saved.fps : 30;
+    document.getElementById('exportDuration').value = saved.duration > 0 && saved.duration <= MAX_DURATION ? saved.duration : 5;
+    supersamplingSelect.value = SUPERSAMPLING_FACTORS.includes(saved.supersampling) ? saved.supersampling : 1;
+
+    // The export starts out at the size the preview renders at, and a still at the timeline's capture time
+    const modal = document.getElementById('exportModal');
+    modal.addEventListener('show.bs.modal', () => {
+        if (!exporting) {
+            const { width, height } = getResolution();
+            document.getElementById('exportWidth').value = width;
+            document.getElementById('exportHeight').value = height;
+            document.getElementById('exportStillTime').value = Number(getCaptureTime().toFixed(2));
+            showProgress(null);
+            updateSummary();
+        }
+    });
+    // Closing the dialog cancels the export
+    modal.addEventListener('hidden.bs.modal', cancelExport);
+
+    modal.querySelectorAll('input, select').forEach(input => input.addEventListener('input', updateSummary));
+    document.getElementById('exportStartBtn').addEventListener('click', startExport);
+    document.getElementById('exportCancelBtn').addEventListener('click', cancelExport);
+}
+
+// Export as ES module
+export {
+    EXPORT_FORMATS,
+    initClipExport,
+    isExporting,
+    cancelExport
+};
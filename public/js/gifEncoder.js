@@ -0,0 +1,246 @@
+// gifEncoder.js - Animated GIF encoder for exported clips
+
+/**
+ * GIF Encoder - Writes RGBA frames as a looping GIF89a. Each frame gets its own palette of up to
+ * 256 colors, picked by median cut over the frame's colors at 5 bits per channel, and is
+ * compressed with GIF's variable-length LZW.
+ */
+
+const MAX_COLORS = 256;
+const MIN_CODE_SIZE = 8;
+const MAX_CODE = 4096;
+
+/**
+ * Key of an RGB color at 5 bits per channel
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @returns {number} - 0 to 32767
+ */
+function colorKey(r, g, b) {
+    return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+}
+
+/**
+ * One channel of a color key
+ * @param {number} key - From colorKey
+ * @param {number} channel - 0 red, 1 green, 2 blue
+ * @returns {number} - 0 to 31
+ */
+function keyChannel(key, channel) {
+    return (key >> (10 - channel * 5)) & 31;
+}
+
+/**
+ * A median cut box: a set of color keys, with the channel they spread over most
+ * @param {Array<number>} keys
+ * @returns {{keys: Array<number>, channel: number, range: number}}
+ */
+function makeBox(keys) {
+    let channel = 0;
+    let range = -1;
+    for (let c = 0; c < 3; c++) {
+        let min = 31;
+        let max = 0;
+        keys.forEach(key => {
+            const value = keyChannel(key, c);
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        });
+        if (max - min > range) {
+            channel = c;
+            range = max - min;
+        }
+    }
+    return { keys, channel, range };
+}
+
+/**
+ * Reduce a frame to at most 256 colors
+ * @param {Uint8Array|Uint8ClampedArray} rgba - Pixels, top row first; alpha is ignored
+ * @returns {{palette: Uint8Array, indices: Uint8Array}} - 256 RGB palette entries, and each pixel's entry
+ */
+function quantize(rgba) {
+    const pixelCount = rgba.length / 4;
+    const counts = new Uint32Array(32768);
+    for (let i = 0; i < rgba.length; i += 4) {
+        counts[colorKey(rgba[i], rgba[i + 1], rgba[i + 2])]++;
+    }
+    const keys = [];
+    counts.forEach((count, key) => {
+        if (count > 0) keys.push(key);
+    });
+
+    // Split the box that spreads furthest at the median pixel along its widest channel
+    const boxes = [makeBox(keys)];
+    while (boxes.length < MAX_COLORS) {
+        let widest = -1;
+        boxes.forEach((box, index) => {
+            if (box.keys.length > 1 && (widest === -1 || box.range > boxes[widest].range)) {
+                widest = index;
+            }
+        });
+        if (widest === -1) break;
+
+        const { keys: boxKeys, channel } = boxes[widest];
+        boxKeys.sort((a, b) => keyChannel(a, channel) - keyChannel(b, channel));
+        const total = boxKeys.reduce((sum, key) => sum + counts[key], 0);
+        let running = 0;
+        let split = 1;
+        for (let i = 0; i < boxKeys.length - 1; i++) {
+            running += counts[boxKeys[i]];
+            split = i + 1;
+            if (running >= total / 2) break;
+        }
+        boxes.splice(widest, 1, makeBox(boxKeys.slice(0, split)), makeBox(boxKeys.slice(split)));
+    }
+
+    // Each palette entry is the average color of its box, weighted by pixel count
+    const palette = new Uint8Array(MAX_COLORS * 3);
+    const lookup = new Uint8Array(32768);
+    boxes.forEach((box, index) => {
+        const sums = [0, 0, 0];
+        let weight = 0;
+        box.keys.forEach(key => {
+            lookup[key] = index;
+            for (let c = 0; c < 3; c++) {
+                sums[c] += ((keyChannel(key, c) << 3) | 4) * counts[key];
+            }
+            weight += counts[key];
+        });
+        for (let c = 0; c < 3; c++) {
+            palette[index * 3 + c] = Math.round(sums[c] / weight);
+        }
+    });
+
+    const indices = new Uint8Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+        indices[i] = lookup[colorKey(rgba[i * 4], rgba[i * 4 + 1], rgba[i * 4 + 2])];
+    }
+    return { palette, indices };
+}
+
+/**
+ * Compress palette indices with GIF's LZW, in 255-byte data sub-blocks
+ * @param {Uint8Array} indices
+ * @returns {Uint8Array} - The minimum code size, the sub-blocks and the block terminator
+ */
+function lzwEncode(indices) {
+    const clearCode = 1 << MIN_CODE_SIZE;
+    const endCode = clearCode + 1;
+    const bytes = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = MIN_CODE_SIZE + 1;
+
+    const write = code => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            bytes.push(bitBuffer & 255);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    // Strings are keyed by the code of their prefix and their last index
+    let dictionary = new Map();
+    let nextCode = endCode + 1;
+    write(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (prefix << 8) | index;
+        const code = dictionary.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        write(prefix);
+        if (nextCode < MAX_CODE) {
+            dictionary.set(key, nextCode++);
+            if (nextCode > (1 << codeSize) && codeSize < 12) {
+                codeSize++;
+            }
+        } else {
+            // The table is full: start over
+            write(clearCode);
+            dictionary = new Map();
+            nextCode = endCode + 1;
+            codeSize = MIN_CODE_SIZE + 1;
+        }
+        prefix = index;
+    }
+    write(prefix);
+    write(endCode);
+    if (bitCount > 0) {
+        bytes.push(bitBuffer & 255);
+    }
+
+    const output = new Uint8Array(1 + bytes.length + Math.ceil(bytes.length / 255) + 1);
+    let offset = 0;
+    output[offset++] = MIN_CODE_SIZE;
+    for (let start = 0; start < bytes.length; start += 255) {
+        const block = bytes.slice(start, start + 255);
+        output[offset++] = block.length;
+        output.set(block, offset);
+        offset += block.length;
+    }
+    output[offset] = 0;
+    return output;
+}
+
+/**
+ * Looping animated GIF, built frame by frame
+ */
+class GifEncoder {
+    /**
+     * @param {number} width - Frame width in pixels, at most 65535
+     * @param {number} height - Frame height in pixels, at most 65535
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.parts = [];
+
+        const header = [
+            ...'GIF89a'.split('').map(char => char.charCodeAt(0)),
+            // Logical screen descriptor, without a global color table
+            width & 255, width >> 8, height & 255, height >> 8, 0, 0, 0,
+            // NETSCAPE2.0 application extension: loop forever
+            0x21, 0xFF, 11, ...'NETSCAPE2.0'.split('').map(char => char.charCodeAt(0)), 3, 1, 0, 0, 0
+        ];
+        this.parts.push(new Uint8Array(header));
+    }
+
+    /**
+     * Add a frame
+     * @param {Uint8Array|Uint8ClampedArray} rgba - width x height pixels, top row first
+     * @param {number} delay - How long the frame shows, in hundredths of a second
+     */
+    addFrame(rgba, delay) {
+        const { palette, indices } = quantize(rgba);
+        const { width, height } = this;
+        this.parts.push(new Uint8Array([
+            // Graphic control extension: the frame's delay
+            0x21, 0xF9, 4, 0, delay & 255, delay >> 8, 0, 0,
+            // Image descriptor, with a 256-entry local color table
+            0x2C, 0, 0, 0, 0, width & 255, width >> 8, height & 255, height >> 8, 0x80 | 7
+        ]));
+        this.parts.push(palette);
+        this.parts.push(lzwEncode(indices));
+    }
+
+    /**
+     * Finish the GIF
+     * @returns {Blob}
+     */
+    finish() {
+        this.parts.push(new Uint8Array([0x3B]));
+        return new Blob(this.parts, { type: 'image/gif' });
+    }
+}
+
+// Export as ES module
+export { GifEncoder };
@@ -0,0 +1,114 @@
+// llmStream.js - Client for the streaming (Server-Sent Events) LLM endpoints
+
+/**
+ * Parse one raw Server-Sent Event block
+ * @param {string} rawEvent - Text between two blank lines
+ * @returns {{event: string, data: object}|null} - Parsed event, or null if it has no data
+ */
+function parseEvent(rawEvent) {
+    let event = 'message';
+    const dataLines = [];
+
+    rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).trim());
+        }
+    });
+
+    if (dataLines.length === 0) {
+        return null;
+    }
+
+    try {
+        return { event, data: JSON.parse(dataLines.join('\n')) };
+    } catch (error) {
+        console.warn('Ignoring malformed stream event:', rawEvent);
+        return null;
+    }
+}
+
+/**
+ * POST a request to a streaming endpoint and dispatch its events as they arrive.
+ * EventSource only supports GET, so the stream is read from fetch directly.
+ * @param {string} url - Streaming endpoint, e.g. '/api/generate-shader/stream'
+ * @param {object} body - JSON request body
+ * @param {object} handlers - Optional callbacks: onMeta(data), onReflection(text), onCode(text)
+ * @param {AbortSignal} [signal] - Aborting it stops reading and closes the connection, which cancels the request on the server
+ * @returns {Promise<object>} - Payload of the final 'done' event
+ */
+async function streamShaderRequest(url, body, handlers = {}, signal = undefined) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal
+    });
+
+    if (!response.ok) {
+        let message = `Server responded with status: ${response.status}`;
+        let code = null;
+        try {
+            const errorData = await response.json();
+            message = errorData.message || errorData.error || message;
+            code = errorData.code || null;
+        } catch (parseError) {
+            // Keep the status message
+        }
+        // The code lets callers tell a used-up budget (BUDGET_EXCEEDED) or a cancelled request (REQUEST_CANCELLED) from other failures
+        const error = new Error(message);
+        error.status = response.status;
+        error.code = code;
+        throw error;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // Events are separated by a blank line
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const parsed = parseEvent(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+            if (!parsed) continue;
+
+            switch (parsed.event) {
+                case 'meta':
+                    if (handlers.onMeta) handlers.onMeta(parsed.data);
+                    break;
+                case 'reflection':
+                    if (handlers.onReflection) handlers.onReflection(parsed.data.text);
+                    break;
+                case 'code':
+                    if (handlers.onCode) handlers.onCode(parsed.data.text);
+                    break;
+                case 'done':
+                    result = parsed.data;
+                    break;
+                case 'error': {
+                    const error = new Error(parsed.data.message || parsed.data.error || 'Stream failed');
+                    error.code = parsed.data.code || null;
+                    throw error;
+                }
+            }
+        }
+    }
+
+    if (!result) {
+        throw new Error('Stream ended before the response was complete');
+    }
+
+    return result;
+}
+
+// Export as ES module
+export { streamShaderRequest };
@@ -0,0 +1,173 @@
+// logViewer.js - Browse the server-side LLM interaction logs
+
+// Returns the id of the session the UI is currently working on
+let getCurrentSessionId = () => null;
+
+/**
+ * Initialize the log viewer panel
+ * @param {Function} sessionIdProvider - Returns the current session id (or null)
+ */
+function initLogViewer(sessionIdProvider) {
+    getCurrentSessionId = sessionIdProvider;
+
+    const refreshBtn = document.getElementById('refreshLogsBtn');
+    const sessionFilter = document.getElementById('logSessionFilter');
+    const dateFilter = document.getElementById('logDateFilter');
+
+    if (!refreshBtn) {
+        return;
+    }
+
+    refreshBtn.addEventListener('click', refreshLogs);
+    sessionFilter.addEventListener('change', refreshLogs);
+    dateFilter.addEventListener('change', refreshLogs);
+
+    refreshLogs();
+}
+
+/**
+ * Reload the log list using the current filters
+ */
+async function refreshLogs() {
+    const logList = document.getElementById('logList');
+    if (!logList) {
+        return;
+    }
+
+    const params = new URLSearchParams({ limit: '50' });
+    const sessionFilter = document.getElementById('logSessionFilter').value;
+    const dateFilter = document.getElementById('logDateFilter').value;
+
+    if (sessionFilter === 'current') {
+        const sessionId = getCurrentSessionId();
+        if (!sessionId) {
+            logList.innerHTML = '<div class="small text-muted">No LLM calls in this session yet.</div>';
+            return;
+        }
+        params.set('sessionId', sessionId);
+    }
+    if (dateFilter) {
+        params.set('date', dateFilter);
+    }
+
+    try {
+        const response = await fetch(`/api/logs?${params.toString()}`);
+        if (!response.ok) {
+            throw new Error(`Server responded with status: ${response.status}`);
+        }
+        const data = await response.json();
+        renderLogList(data.logs || []);
+    } catch (error) {
+        console.error('Error loading logs:', error);
+        logList.innerHTML = '';
+        const message = document.createElement('div');
+        message.className = 'small text-danger';
+        message.textContent = `Failed to load logs: ${error.message}`;
+        logList.appendChild(message);
+    }
+}
+
+/**
+ * Render the list of log summaries
+ * @param {Array<object>} logs - Log entry summaries from /api/logs
+ */
+function renderLogList(logs) {
+    const logList = document.getElementById('logList');
+    logList.innerHTML = '';
+
+    if (logs.length === 0) {
+        logList.innerHTML = '<div class="small text-muted">No log entries match these filters.</div>';
+        return;
+    }
+
+    logs.forEach(log => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'list-group-item list-group-item-action small log-item';
+        if (log.error) {
+            item.classList.add('log-item-error');
+        }
+
+        const time = new Date(log.timestamp).toLocaleString();
+        let tokens = log.usage ? `${log.usage.totalTokens} tokens` : 'no usage';
+        if (log.usage && typeof log.usage.cost === 'number') {
+            const amount = log.usage.cost.toFixed(4);
+            tokens += log.usage.currency === 'USD' ? ` · $${amount}` : ` · ${amount} ${log.usage.currency}`;
+        }
+        const labels = {
+            generate: 'Generate',
+            iterate: `Iterate #${log.iteration}`,
+            repair: 'Repair',
+            critique: 'Critique',
+            judge: 'Judge'
+        };
+        const label = labels[log.type] || log.type;
+        const fallbacks = log.fallbacks && log.fallbacks.length > 0 ? ` (after ${log.fallbacks.length} failed)` : '';
+        item.textContent = `${time} · ${label} · ${log.model}${fallbacks} · ${log.latencyMs} ms · ${tokens}`;
+
+        item.addEventListener('click', () => showLogEntry(log.id));
+        logList.appendChild(item);
+    });
+}
+
+/**
+ * Fetch and display a single log entry
+ * @param {string} id - Log entry id
+ */
+async function showLogEntry(id) {
+    const detail = document.getElementById('logDetail');
+
+    try {
+        const response = await fetch(`/api/logs/${encodeURIComponent(id)}`);
+        if (!response.ok) {
+            throw new Error(`Server responded with status: ${response.status}`);
+        }
+        const entry = await response.json();
+
+        detail.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'fw-bold mb-1';
+        header.textContent = `${entry.type} · ${entry.provider}/${entry.model} · ${entry.latencyMs} ms`;
+        detail.appendChild(header);
+
+        if (entry.screenshots && entry.screenshots.length > 0) {
+            const screenshots = document.createElement('div');
+            screenshots.className = 'mb-2';
+            entry.screenshots.forEach(url => {
+                const link = document.createElement('a');
+                link.href = url;
+                link.target = '_blank';
+                const img = document.createElement('img');
+                img.src = url;
+                img.className = 'iteration-thumbnail me-1';
+                link.appendChild(img);
+                screenshots.appendChild(link);
+            });
+            detail.appendChild(screenshots);
+        }
+
+        const body = document.createElement('pre');
+        body.className = 'text-pre-wrap log-entry-body';
+        body.textContent = JSON.stringify({
+            phase: entry.phase,
+            promptVersion: entry.promptVersion,
+            promptHash: entry.promptHash,
+            fallbacks: entry.fallbacks,
+            usage: entry.usage,
+            error: entry.error,
+            messages: entry.messages,
+            response: entry.response
+        }, null, 2);
+        detail.appendChild(body);
+
+        detail.classList.remove('d-none');
+    } catch (error) {
+        console.error('Error loading log entry:', error);
+        detail.textContent = `Failed to load log entry: ${error.message}`;
+        detail.classList.remove('d-none');
+    }
+}
+
+// Export as ES module
+export { initLogViewer, refreshLogs };
@@ -3,6 +3,19 @@
 // Global imports for the application
 import { ShaderEvaluator } from './shaderEvaluator.js';
 import * as ShaderRenderer from './shaderRenderer.js';
+import { streamShaderRequest } from './llmStream.js';
+import { initLogViewer, refreshLogs } from './logViewer.js';
+import { initModelSettings } from './modelSettings.js';
+import { initUsageMeter, refreshUsage } from './usageMeter.js';
+import { requestCandidates, rankCandidates, renderCandidateGallery, hideCandidateGallery, lockCandidateGallery } from './candidateGallery.js';
+import * as SessionClient from './sessionClient.js';
+import { initTextureChannels, getChannelAssignments, setChannelAssignments } from './textureChannels.js';
+import { initPassEditor, getPasses, setPasses, showPass } from './passEditor.js';
+import { initUniformControls, getUniformValues, setUniformValues } from './uniformControls.js';
+import { initPlayback, tick, getCaptureTime, getPinnedCaptureTime } from './playback.js';
+import { initPreviewResolution, getResolution, setResolution } from './previewResolution.js';
+import { initAudioInput, updateAudio, getAudioInput } from './audioInput.js';
+import { initClipExport, isExporting } from './clipExport.js';
 
 // Global variables
 let canvas;
@@ -11,6 +24,10 @@ let shaderEvaluator;
 let currentIteration = 0;
 let shaderEditor; // CodeMirror editor instance
 let buttonAnimationInterval = null; // For button loading animation
+let currentSessionId = null; // Server-side session that groups a generation and its iterations
+let currentSession = null; // Loaded session: { id, prompt, iterations: [...] }
+let sessionSaveQueue = Promise.resolve(); // Keeps iteration saves in the order they were logged
+let currentRun = null; // { controller, requestId } while a generation or iteration can be stopped
 
 // Initialize WebGL
 function initWebGL() {
@@ -23,14 +40,33 @@ function initWebGL() {
             shaderEvaluator = new ShaderEvaluator(glContext, canvasElement);
         });
         
+        // Texture channels live in the same context, so the evaluator can sample them too
+        initTextureChannels(gl).catch(error => console.error('Error restoring texture channels:', error));
+        
+        // Controls for the annotated uniforms of whichever shader is compiled
+        initUniformControls();
+        
+        // The transport bar's clock drives uTime; resetting it also restarts uFrame and the buffer passes
+        initPlayback({ onReset: ShaderRenderer.resetBuffers });
+        
+        // Microphone, audio file or test tone, for audio-reactive shaders
+        initAudioInput(gl);
+        
+        // The canvas renders at the chosen resolution and render scale
+        initPreviewResolution(canvas);
+        
+        // Clips are exported on the preview canvas, which stands still meanwhile
+        initClipExport(canvas);
+        
         // Start animation loop
-        let lastTime = 0;
         function render(now) {
             now *= 0.001;  // Convert to seconds
-            const deltaTime = now - lastTime;
-            lastTime = now;
+            const { time, advance } = tick(now);
             
-            ShaderRenderer.drawScene(now);
+            updateAudio();
+            if (!isExporting()) {
+                ShaderRenderer.drawScene(time, advance);
+            }
             requestAnimationFrame(render);
         }
         requestAnimationFrame(render);
@@ -39,6 +75,7 @@ function initWebGL() {
         document.getElementById('generateBtn').addEventListener('click', handleGenerateClick);
         document.getElementById('compileBtn').addEventListener('click', handleCompileClick);
         document.getElementById('iterateBtn').addEventListener('click', handleIterateClick);
+        document.getElementById('stopBtn').addEventListener('click', handleStopClick);
         document.getElementById('themeToggle').addEventListener('click', toggleTheme);
         
         // Add clear functionality to generate button if the clear buttons don't exist
@@ -81,6 +118,9 @@ function initWebGL() {
         // Make the CodeMirror instance fill its container nicely
         shaderEditor.setSize('100%', '350px');
         
+        // One editor tab per pass: the image pass and any buffer passes
+        initPassEditor(shaderEditor);
+        
         // Hide the vertex shader tab as we're only using fragment shaders now
         const vertexTab = document.getElementById('vertex-tab');
         if (vertexTab) {
@@ -110,93 +150,43 @@ async function handleGenerateClick() {
     
     // Start animation for generate button
     startButtonAnimation(generateBtn, 'Generating');
-    
-    // Clear previous iteration history
-    localStorage.removeItem('shaderIterationHistory');
-    updateIterationHistory();
+    const run = startRun();
+    // Streaming replaces the editor contents, so keep them in case the generation is stopped
+    const previousPasses = getPasses();
     
     // Reset iteration counter when generating a new shader
     iterationCounter = 0;
-    let autoIterationCount = 0;
     
     try {
+        // Every generation starts a new session; earlier sessions stay available on the server
+        await startNewSession(prompt);
+        hideCandidateGallery();
+        
+        const prompt = document.getElementById('shaderPrompt').value;
+        const candidateCount = parseInt(document.getElementById('candidateCount').value, 10) || 1;
+        
+        if (candidateCount > 1) {
+            // The user picks the starting point from the gallery
+            await generateCandidates(prompt, candidateCount, run);
+            return;
+        }
+        
         updateStatusMessage('Generating shader from description...');
         
         // Call the API to generate the shader
-        const prompt = document.getElementById('shaderPrompt').value;
-        const result = await generateShader(prompt);
+        const generated = await generateShader(prompt, run);
         
-        if (result) {
-            // Update the CodeMirror editor with the fragment shader code
-            shaderEditor.setValue(result);
-            
-            // Compile and render the shader with our fixed vertex shader
-            compilationSuccess = ShaderRenderer.setupShaderProgram(result);
-            
-            if (!compilationSuccess) {
-                // Don't increment the iteration counter for auto-iterations of the initial generation
-                // Instead, pass a flag to indicate we're auto-fixing the initial generation
-                await autoIterateShader(prompt, result, iterationCounter, null, true);
-            } else {
-                // Shader compiled successfully on first try
-                // Try to ensure we have the latest rendered frame
-                ShaderRenderer.renderFrame();
-                // Capture the canvas state
-                const imageData = canvas.toDataURL('image/png');
-                
-                // Log the initial generation with the current iteration counter
-                logIteration({
-                    iteration: iterationCounter,
-                    prompt,
-                    fragmentShader: result,
-                    success: compilationSuccess,
-                    metrics: createMetrics(compilationSuccess, null),
-                    imageData,
-                    reflection: '',
-                    isManualIteration: true,
-                    isLastAutoIteration: false
-                }, []); // Initial generation doesn't have saved screenshots yet
-                
-                // Update iteration history display
-                updateIterationHistory();
-                
-                // Check if rendering is actually visible (for user feedback only)
-                let isActuallyWorking = true;
-                try {
-                    // Get WebGL context and check pixels
-                    const gl = canvas.getContext('webgl');
-                    const pixels = new Uint8Array(canvas.width * canvas.height * 4);
-                    gl.readPixels(0, 0, canvas.width, canvas.height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
-                    
-                    // If any pixel is non-black, the shader is actually rendering something
-                    let hasVisibleContent = false;
-                    for (let i = 0; i < pixels.length; i += 4) {
-                        if (pixels[i] > 0 || pixels[i+1] > 0 || pixels[i+2] > 0) {
-                            hasVisibleContent = true;
-                            break;
-                        }
-                    }
-                    
-                    isActuallyWorking = hasVisibleContent;
-                    console.log('Shader visible content check:', isActuallyWorking ? 'Content visible' : 'No visible content');
-                } catch (e) {
-                    console.error('Error checking shader output:', e);
-                }
-                
-                // Always show the feedback field regardless of shader errors
-                document.getElementById('iterationFeedbackContainer').classList.remove('d-none');
-                
-                // If the shader compiled but isn't showing content, inform the user
-                if (!isActuallyWorking) {
-                    updateStatusMessage('Shader compiles but isn\'t rendering properly. Enter feedback to improve it.');
-                } else {
-                    updateStatusMessage('Shader generated successfully! Enter what you want to improve and click Iterate.');
-                }
-            }
+        if (generated.fragmentShader) {
+            compilationSuccess = await startFromGeneratedShader(prompt, generated, run);
         } else {
             throw new Error('Failed to generate shader. The API response was incomplete.');
         }
     } catch (error) {
+        if (isCancellation(error)) {
+            setPasses(previousPasses.fragmentShader, previousPasses.buffers);
+            updateStatusMessage('Generation stopped.');
+            return;
+        }
         console.error('Error generating shader:', error);
         document.getElementById('shaderError').textContent = `Error generating shader: ${error.message}`;
         document.getElementById('shaderError').classList.remove('d-none');
@@ -207,58 +197,270 @@ async function handleGenerateClick() {
         const compileBtn = document.getElementById('compileBtn');
         
         stopButtonAnimation(generateBtn);
-        generateBtn.disabled = false;
-        compileBtn.disabled = false;
-        
-        // Only enable iterate button if compile was successful
-        document.getElementById('iterateBtn').disabled = !compilationSuccess;
+        if (endRun(run)) {
+            generateBtn.disabled = false;
+            compileBtn.disabled = false;
+            
+            // Only enable iterate button if compile was successful
+            document.getElementById('iterateBtn').disabled = !compilationSuccess;
+        }
     }
 }
 
 /**
- * Makes an API call to generate shader code from a prompt
+ * Load a newly generated shader into the editor and preview and log it as the initial generation,
+ * auto-fixing it first if it does not compile
  * @param {string} prompt - Text description of the desired shader effect
- * @returns {Promise<{vertexShader: string, fragmentShader: string}>} - Generated shader code
+ * @param {object} generated - { fragmentShader, buffers, reflection, candidateIndex, promptVersion, promptHash }
+ * @param {object} run - The run from startRun, which an auto-fix belongs to
+ * @returns {Promise<boolean>} - Whether the shader compiled without auto-fixing
  */
-async function generateShader(prompt) {
+async function startFromGeneratedShader(prompt, generated, run) {
+    const result = generated.fragmentShader;
+    const buffers = generated.buffers || {};
+    
+    // Update the CodeMirror editor with the fragment shader code
+    setPasses(result, buffers);
+    
+    // Compile and render the shader with our fixed vertex shader
+    const compilationSuccess = ShaderRenderer.setupShaderProgram(result, buffers);
+    
+    if (!compilationSuccess) {
+        // Don't increment the iteration counter for auto-iterations of the initial generation
+        // Instead, pass a flag to indicate we're auto-fixing the initial generation
+        await autoIterateShader(prompt, result, iterationCounter, null, true, buffers, run);
+        return false;
+    }
+    
+    // Shader compiled successfully on first try
+    // Try to ensure we have the latest rendered frame
+    ShaderRenderer.renderFrame(getCaptureTime());
+    // Capture a small thumbnail of the canvas state
+    const imageData = getThumbnailForStorage(canvas);
+    
+    // Log the initial generation with the current iteration counter
+    logIteration({
+        iteration: iterationCounter,
+        prompt,
+        fragmentShader: result,
+        buffers,
+        success: compilationSuccess,
+        metrics: createMetrics(compilationSuccess, null),
+        imageData,
+        reflection: generated.reflection,
+        candidateIndex: generated.candidateIndex,
+        promptVersion: generated.promptVersion,
+        promptHash: generated.promptHash,
+        isManualIteration: true,
+        isLastAutoIteration: false
+    }, []); // Initial generation doesn't have saved screenshots yet
+    
+    // Update iteration history display
+    updateIterationHistory();
+    
+    // Check if rendering is actually visible (for user feedback only)
+    let isActuallyWorking = true;
     try {
-        console.log('Sending request to /api/generate-shader with prompt:', prompt);
-        const response = await fetch('/api/generate-shader', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ prompt })
-        });
+        // Check the pixels of the shared WebGL context
+        const pixels = new Uint8Array(canvas.width * canvas.height * 4);
+        gl.readPixels(0, 0, canvas.width, canvas.height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        
+        // If any pixel is non-black, the shader is actually rendering something
+        let hasVisibleContent = false;
+        for (let i = 0; i < pixels.length; i += 4) {
+            if (pixels[i] > 0 || pixels[i+1] > 0 || pixels[i+2] > 0) {
+                hasVisibleContent = true;
+                break;
+            }
+        }
         
-        if (!response.ok) {
-            throw new Error(`API request failed with status ${response.status}`);
+        isActuallyWorking = hasVisibleContent;
+        console.log('Shader visible content check:', isActuallyWorking ? 'Content visible' : 'No visible content');
+    } catch (e) {
+        console.error('Error checking shader output:', e);
+    }
+    
+    // Always show the feedback field regardless of shader errors
+    document.getElementById('iterationFeedbackContainer').classList.remove('d-none');
+    
+    // If the shader compiled but isn't showing content, inform the user
+    if (!isActuallyWorking) {
+        updateStatusMessage('Shader compiles but isn\'t rendering properly. Enter feedback to improve it.');
+    } else {
+        updateStatusMessage('Shader generated successfully! Enter what you want to improve and click Iterate.');
+    }
+    return true;
+}
+
+/**
+ * Generate several candidates in parallel, rank them in the browser and show them in the gallery.
+ * Every candidate is saved to the session, so the ones not picked can be compared later.
+ * @param {string} prompt - Text description of the desired shader effect
+ * @param {number} count - Number of candidates
+ * @param {object} run - The run from startRun, which the request belongs to
+ */
+async function generateCandidates(prompt, count, run) {
+    updateStatusMessage(`Generating ${count} candidate shaders...`);
+    const candidates = await requestCandidates(prompt, currentSessionId, count, {
+        ...nextRequestOptions(run),
+        glslVersion: getGlslVersion(),
+        textureChannels: getChannelAssignments(),
+        audioInput: getAudioInput()
+    });
+    refreshLogs();
+    refreshUsage();
+    
+    updateStatusMessage('Compiling and rendering the candidates...');
+    const ranked = await rankCandidates(shaderEvaluator, candidates);
+    
+    ranked.forEach(candidate => {
+        if (!candidate.fragmentShader) return;
+        const { thumbnail, ...signals } = candidate.signals;
+        logIteration({
+            iteration: 0,
+            prompt,
+            fragmentShader: candidate.fragmentShader,
+            buffers: candidate.buffers,
+            success: signals.compiled,
+            metrics: createMetrics(signals.compiled, null),
+            imageData: thumbnail,
+            reflection: candidate.reflection,
+            logId: candidate.logId,
+            validation: candidate.validation,
+            repairs: candidate.repairs,
+            isCandidate: true,
+            candidateIndex: candidate.index,
+            candidateRank: candidate.rank,
+            candidateSignals: signals,
+            promptVersion: candidate.promptVersion,
+            promptHash: candidate.promptHash,
+            isManualIteration: false,
+            isLastAutoIteration: false
+        }, []);
+    });
+    
+    renderCandidateGallery(ranked, selectCandidate);
+    updateStatusMessage('Pick a candidate to start from.');
+}
+
+/**
+ * Start from the candidate the user picked in the gallery
+ * @param {object} candidate - Ranked candidate
+ */
+async function selectCandidate(candidate) {
+    // The gallery is locked while a run is in progress; a second run would share its editor and session
+    if (currentRun) {
+        return;
+    }
+    const prompt = document.getElementById('shaderPrompt').value;
+    const generateBtn = document.getElementById('generateBtn');
+    const iterateBtn = document.getElementById('iterateBtn');
+    const compileBtn = document.getElementById('compileBtn');
+    let compilationSuccess = false;
+    
+    generateBtn.disabled = true;
+    iterateBtn.disabled = true;
+    compileBtn.disabled = true;
+    // A candidate that does not compile is auto-fixed, which can be stopped
+    const run = startRun();
+    
+    try {
+        iterationCounter = 0;
+        displayLLMComments(formatLLMComments(candidate), candidate.parse);
+        compilationSuccess = await startFromGeneratedShader(prompt, {
+            fragmentShader: candidate.fragmentShader,
+            buffers: candidate.buffers,
+            reflection: candidate.reflection,
+            candidateIndex: candidate.index,
+            promptVersion: candidate.promptVersion,
+            promptHash: candidate.promptHash
+        }, run);
+    } catch (error) {
+        console.error('Error starting from candidate:', error);
+        updateStatusMessage(`Could not start from candidate ${candidate.index + 1}: ${error.message}`);
+    } finally {
+        if (endRun(run)) {
+            generateBtn.disabled = false;
+            compileBtn.disabled = false;
+            iterateBtn.disabled = !compilationSuccess;
         }
+    }
+}
+
+/**
+ * Makes a streaming API call to generate shader code from a prompt
+ * @param {string} prompt - Text description of the desired shader effect
+ * @param {object} run - The run from startRun, which the request belongs to
+ * @returns {Promise<{fragmentShader: string, buffers: Object, reflection: string, promptVersion: string, promptHash: string}>} - Generated fragment shader code, its buffer passes, the model's reflection and the prompt template it was generated with
+ */
+async function generateShader(prompt, run) {
+    try {
+        console.log('Sending request to /api/generate-shader/stream with prompt:', prompt);
+        const { requestId, signal } = nextRequestOptions(run);
+        const data = await streamShaderRequest('/api/generate-shader/stream', {
+            prompt,
+            sessionId: currentSessionId,
+            requestId,
+            glslVersion: getGlslVersion(),
+            textureChannels: getChannelAssignments(),
+            audioInput: getAudioInput()
+        }, createLiveStreamHandlers(), signal);
+        refreshLogs();
+        refreshUsage();
         
-        const data = await response.json();
         if (!data.response) {
             throw new Error('Invalid API response');
         }
         
-        // Try to extract shader code from the LLM response
+        // Use the shader the server validated (and possibly repaired), falling back to parsing the response
         console.log('Parsing LLM response for shader code...');
-        const parsedResponse = ShaderRenderer.parseShaders(data.response);
+        const parsedResponse = data.fragmentShader || ShaderRenderer.parseShaders(data.response);
         if (!parsedResponse) {
             throw new Error('Could not parse shader code from response');
         }
+        reportServerValidation(data);
         
-        // Display any comments from the LLM before the shader code
-        const comments = extractLLMComments(data.response);
-        displayLLMComments(comments);
+        // Display the model's reflection and list of changes
+        displayLLMComments(formatLLMComments(data), data.parse);
         
         // Store the saved screenshots from the server for later use
         window.savedScreenshots = data.savedScreenshots || [];
         
-        return parsedResponse;
+        return { fragmentShader: parsedResponse, buffers: data.buffers || {}, reflection: data.reflection || '', promptVersion: data.promptVersion, promptHash: data.promptHash };
     } catch (error) {
         console.error('Error in generateShader:', error);
         throw error;
     }
 }
 
+/**
+ * Create stream handlers that fill the LLM comments panel and the shader editor
+ * while the model is still writing
+ * @returns {object} - Handlers for streamShaderRequest
+ */
+function createLiveStreamHandlers() {
+    let reflectionText = '';
+    let receivedCode = false;
+    
+    return {
+        onReflection: (text) => {
+            reflectionText += text;
+            displayLLMComments(reflectionText);
+        },
+        onCode: (text) => {
+            // Replace the previous shader as soon as the new code starts arriving; the image pass
+            // streams into the editor, the buffer passes arrive with the finished response
+            if (!receivedCode) {
+                receivedCode = true;
+                showPass('image');
+                shaderEditor.setValue('');
+            }
+            const lastLine = shaderEditor.lastLine();
+            shaderEditor.replaceRange(text, CodeMirror.Pos(lastLine, shaderEditor.getLine(lastLine).length));
+        }
+    };
+}
+
 /**
  * Parse the LLM response to extract vertex and fragment shader code
  * @param {string} response - Raw LLM response text
@@ -344,28 +546,29 @@ function stopButtonAnimation(button) {
 }
 
 /**
- * Extract LLM comments from the response
- * @param {string} response - Raw LLM response text
- * @returns {string} - Extracted comments
+ * Build the LLM comments text from the reflection and changes the server parsed, and any vision critique
+ * @param {object} data - Response from a generate or iterate endpoint
+ * @returns {string} - Comments text
  */
-function extractLLMComments(response) {
-    const fragmentMarker = '#-- FRAGMENT SHADER --#';
+function formatLLMComments(data) {
+    let comments = data.reflection || '';
+    const changes = data.changes || [];
     
-    if (response.includes(fragmentMarker)) {
-        // Extract everything before the marker
-        const commentsPart = response.substring(0, response.indexOf(fragmentMarker)).trim();
-        return commentsPart;
+    if (changes.length > 0) {
+        comments += (comments ? '\n\n' : '') + 'Changes:\n' + changes.map(change => `- ${change}`).join('\n');
     }
-    
-    // If no marker, return empty string
-    return '';
+    if (data.critique) {
+        comments += (comments ? '\n\n' : '') + `Visual critique:\n${data.critique}`;
+    }
+    return comments;
 }
 
 /**
  * Display LLM comments in the UI
  * @param {string} comments - LLM comments text
+ * @param {object} [parse] - How the server parsed the response: { format, confidence, warnings }
  */
-function displayLLMComments(comments) {
+function displayLLMComments(comments, parse = null) {
     const commentsContainer = document.getElementById('llmCommentsContainer');
     const commentsElement = document.getElementById('llmComments');
     
@@ -376,6 +579,45 @@ function displayLLMComments(comments) {
         commentsElement.textContent = '';
         commentsContainer.classList.add('d-none');
     }
+    displayParseInfo(parse);
+}
+
+/**
+ * Show how reliably the shader was extracted from the LLM response
+ * @param {object} [parse] - { format, confidence, warnings } from the server, or null to hide
+ */
+function displayParseInfo(parse) {
+    const parseInfoElement = document.getElementById('llmParseInfo');
+    
+    if (!parse) {
+        parseInfoElement.textContent = '';
+        parseInfoElement.classList.add('d-none');
+        return;
+    }
+    
+    const percent = Math.round(parse.confidence * 100);
+    const warnings = parse.warnings || [];
+    parseInfoElement.textContent = `Parsed as ${parse.format} (confidence ${percent}%)` +
+        (warnings.length > 0 ? ` - ${warnings.join('; ')}` : '');
+    parseInfoElement.classList.toggle('text-warning', parse.confidence < 0.7);
+    parseInfoElement.classList.remove('d-none');
+    
+    // The comments card is hidden when there is no reflection, but a shaky parse is still worth showing
+    document.getElementById('llmCommentsContainer').classList.remove('d-none');
+}
+
+/**
+ * Tell the user when the server repaired a shader or found errors it could not fix
+ * @param {object} data - Response from a generate or iterate endpoint
+ */
+function reportServerValidation(data) {
+    const repairs = data.repairs || [];
+    
+    if (data.validation && !data.validation.valid) {
+        updateStatusMessage(`Server validation found ${data.validation.errors.length} error(s) it could not repair`);
+    } else if (repairs.length > 0) {
+        updateStatusMessage(`Server repaired the shader: ${repairs.map(repair => repair.description).join('; ')}`);
+    }
 }
 
 /**
@@ -416,41 +658,289 @@ function updateStatusMessage(message) {
 }
 
 /**
- * Log an iteration to history
+ * Log an iteration to the current session
+ * The iteration is shown immediately and saved to the server in the background
  * @param {object} iteration - Iteration data to log
  * @param {array} savedScreenshots - Array of saved screenshot filenames from the server
  */
 function logIteration(iteration, savedScreenshots = []) {
+    if (!currentSession) {
+        console.warn('No active session, iteration ' + iteration.iteration + ' was not saved');
+        return;
+    }
+    
     // If we have saved screenshots from the server, store their URLs instead of base64 data
     if (savedScreenshots && savedScreenshots.length > 0) {
+        iteration.screenshots = savedScreenshots.map(filename => `/screenshots/${filename}`);
         // Use the first screenshot for the history item
-        iteration.savedScreenshotUrl = `/screenshots/${savedScreenshots[0]}`;
+        iteration.savedScreenshotUrl = iteration.screenshots[0];
     }
     
     // Ensure we have image data for this iteration
     if (!iteration.imageData && !iteration.savedScreenshotUrl) {
-        // Use a default image or create a blank one
         console.warn('No image data available for iteration ' + iteration.iteration);
-        iteration.imageData = canvas.toDataURL('image/png');
+        iteration.imageData = getThumbnailForStorage(canvas);
     }
     
-    const history = getIterationHistory() || [];
-    history.push(iteration);
-    localStorage.setItem('shaderIterationHistory', JSON.stringify(history));
-    console.log('Logged iteration:', iteration.iteration);
-    console.log('History size:', history.length, 'items');
-    if (iteration.savedScreenshotUrl) {
-        console.log('Using saved screenshot URL:', iteration.savedScreenshotUrl);
+    // The texture channels the shader was rendered with, so restoring it restores them too
+    if (iteration.textureChannels === undefined) {
+        iteration.textureChannels = getChannelAssignments();
+    }
+    
+    // Likewise the values of the shader's controls
+    if (iteration.uniformValues === undefined) {
+        iteration.uniformValues = getUniformValues();
     }
+    
+    // And the resolution it was rendered at, so screenshots of different iterations are comparable
+    if (iteration.resolution === undefined) {
+        iteration.resolution = getResolution();
+    }
+    
+    currentSession.iterations.push(iteration);
+    console.log('Logged iteration:', iteration.iteration);
+    console.log('History size:', currentSession.iterations.length, 'items');
+    
+    // The thumbnail is uploaded once and referenced by URL afterwards
+    const sessionId = currentSession.id;
+    const { imageData, savedScreenshotUrl, ...iterationData } = iteration;
+    sessionSaveQueue = sessionSaveQueue
+        .then(() => SessionClient.addIteration(sessionId, { ...iterationData, thumbnail: imageData }))
+        .then(stored => {
+            iteration.id = stored.id;
+            iteration.thumbnailUrl = stored.thumbnailUrl;
+        })
+        .catch(error => {
+            console.error('Error saving iteration to session:', error);
+            updateStatusMessage(`Could not save iteration to the session: ${error.message}`);
+        });
 }
 
 /**
- * Get iteration history from localStorage
+ * Get the iteration history of the current session
  * @returns {Array} - Array of iteration objects
  */
 function getIterationHistory() {
+    return currentSession ? currentSession.iterations : [];
+}
+
+/**
+ * Start a new server-side session for a prompt and make it the current one
+ * @param {string} prompt - Shader description
+ */
+async function startNewSession(prompt) {
+    const session = await SessionClient.createSession(prompt);
+    setCurrentSession(session);
+    updateIterationHistory();
+    refreshSessionList();
+}
+
+/**
+ * Make a session the current one
+ * @param {object} session - Session loaded from the server
+ */
+function setCurrentSession(session) {
+    currentSession = session;
+    currentSessionId = session ? session.id : null;
+    if (currentSessionId) {
+        localStorage.setItem('lastSessionId', currentSessionId);
+    } else {
+        localStorage.removeItem('lastSessionId');
+    }
+    refreshUsage();
+}
+
+/**
+ * Reopen a saved session: restore its prompt, history and latest shader
+ * @param {string} sessionId - Session id
+ */
+async function openSession(sessionId) {
+    try {
+        await sessionSaveQueue;
+        const session = await SessionClient.getSession(sessionId);
+        setCurrentSession(session);
+        
+        document.getElementById('shaderPrompt').value = session.prompt || '';
+        
+        // Continue numbering manual iterations after the last saved one
+        iterationCounter = session.iterations.reduce((max, item) => Math.max(max, item.iteration || 0), 0);
+        
+        const latest = session.iterations.filter(item => !item.isCandidate).pop();
+        if (latest && latest.fragmentShader) {
+            if (latest.textureChannels) {
+                await setChannelAssignments(latest.textureChannels);
+            }
+            if (latest.resolution) {
+                setResolution(latest.resolution);
+            }
+            setPasses(latest.fragmentShader, latest.buffers);
+            const success = ShaderRenderer.setupShaderProgram(latest.fragmentShader, latest.buffers);
+            if (success && latest.uniformValues) {
+                setUniformValues(latest.uniformValues);
+            }
+            document.getElementById('iterateBtn').disabled = !success;
+            document.getElementById('iterationFeedbackContainer').classList.remove('d-none');
+            displayLLMComments(latest.reflection || '');
+        }
+        
+        showSessionCandidates(session, latest);
+        updateIterationHistory();
+        refreshSessionList();
+        refreshLogs();
+    } catch (error) {
+        console.error('Error opening session:', error);
+        updateStatusMessage(`Could not open session: ${error.message}`);
+    }
+}
+
+/**
+ * Show the candidates saved in a session in the gallery, marking the one the session continued from
+ * @param {object} session - Session loaded from the server
+ * @param {object|undefined} latest - The session's latest iteration that is not a candidate
+ */
+function showSessionCandidates(session, latest) {
+    const candidates = session.iterations
+        .filter(item => item.isCandidate)
+        .map(item => ({
+            index: item.candidateIndex,
+            rank: item.candidateRank,
+            fragmentShader: item.fragmentShader,
+            buffers: item.buffers,
+            reflection: item.reflection,
+            signals: { ...item.candidateSignals, thumbnail: item.thumbnailUrl }
+        }))
+        .sort((a, b) => a.rank - b.rank);
+    
+    if (candidates.length === 0) {
+        hideCandidateGallery();
+        return;
+    }
+    
+    const picked = session.iterations.filter(item => !item.isCandidate && item.candidateIndex !== undefined).pop();
+    renderCandidateGallery(candidates, selectCandidate, picked ? picked.candidateIndex : null);
+    if (!latest) {
+        updateStatusMessage('Pick a candidate to start from.');
+    }
+}
+
+/**
+ * Fill the session picker with the saved sessions
+ */
+async function refreshSessionList() {
+    const sessionSelect = document.getElementById('sessionSelect');
+    if (!sessionSelect) {
+        return;
+    }
+    
+    try {
+        const sessions = await SessionClient.listSessions();
+        sessionSelect.innerHTML = '';
+        
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = sessions.length > 0 ? 'Open a saved session...' : 'No saved sessions';
+        sessionSelect.appendChild(placeholder);
+        
+        sessions.forEach(session => {
+            const option = document.createElement('option');
+            option.value = session.id;
+            const date = new Date(session.updatedAt).toLocaleString();
+            option.textContent = `${session.title || 'Untitled session'} (${session.iterationCount} items, ${date})`;
+            sessionSelect.appendChild(option);
+        });
+        
+        sessionSelect.value = currentSessionId || '';
+    } catch (error) {
+        console.error('Error listing sessions:', error);
+    }
+}
+
+/**
+ * Move iteration history left in localStorage by older versions into a server-side session.
+ * Items leave localStorage as they are uploaded, and a migration that stopped part-way resumes
+ * into the session it created, so a reload never uploads an item twice.
+ */
+async function migrateLocalHistory() {
     const storedHistory = localStorage.getItem('shaderIterationHistory');
-    return storedHistory ? JSON.parse(storedHistory) : [];
+    if (!storedHistory) {
+        return;
+    }
+    
+    try {
+        const history = JSON.parse(storedHistory);
+        if (history.length > 0) {
+            let sessionId = localStorage.getItem('migrationSessionId');
+            if (sessionId) {
+                try {
+                    await SessionClient.getSession(sessionId);
+                } catch (error) {
+                    // The session was deleted since; the rest goes into a new one
+                    sessionId = null;
+                }
+            }
+            if (!sessionId) {
+                const session = await SessionClient.createSession(history[0].prompt || '');
+                sessionId = session.id;
+                localStorage.setItem('migrationSessionId', sessionId);
+            }
+            
+            const itemCount = history.length;
+            while (history.length > 0) {
+                const { imageData, savedScreenshotUrl, ...iterationData } = history[0];
+                await SessionClient.addIteration(sessionId, {
+                    ...iterationData,
+                    screenshots: savedScreenshotUrl ? [savedScreenshotUrl] : undefined,
+                    thumbnail: imageData
+                });
+                history.shift();
+                localStorage.setItem('shaderIterationHistory', JSON.stringify(history));
+            }
+            localStorage.setItem('lastSessionId', sessionId);
+            console.log(`Migrated ${itemCount} local history items into session ${sessionId}`);
+        }
+        localStorage.removeItem('shaderIterationHistory');
+        localStorage.removeItem('migrationSessionId');
+    } catch (error) {
+        console.error('Error migrating local iteration history:', error);
+    }
+}
+
+/**
+ * Set up the session picker and reopen the last session
+ */
+async function initSessions() {
+    const sessionSelect = document.getElementById('sessionSelect');
+    const deleteSessionBtn = document.getElementById('deleteSessionBtn');
+    
+    sessionSelect.addEventListener('change', () => {
+        if (sessionSelect.value) {
+            openSession(sessionSelect.value);
+        }
+    });
+    
+    deleteSessionBtn.addEventListener('click', async () => {
+        if (!currentSessionId || !confirm('Delete this session and its iteration history?')) {
+            return;
+        }
+        try {
+            await SessionClient.deleteSession(currentSessionId);
+            setCurrentSession(null);
+            updateIterationHistory();
+            refreshSessionList();
+            updateStatusMessage('Session deleted');
+        } catch (error) {
+            updateStatusMessage(`Could not delete session: ${error.message}`);
+        }
+    });
+    
+    await migrateLocalHistory();
+    
+    const lastSessionId = localStorage.getItem('lastSessionId');
+    if (lastSessionId) {
+        await openSession(lastSessionId);
+    } else {
+        refreshSessionList();
+    }
 }
 
 /**
@@ -474,9 +964,9 @@ function createMetrics(success, evaluation) {
 
 // Handle Compile button click
 function handleCompileClick() {
-    const fragmentShaderCode = shaderEditor.getValue();
+    const { fragmentShader, buffers } = getPasses();
     
-    const success = ShaderRenderer.setupShaderProgram(fragmentShaderCode);
+    const success = ShaderRenderer.setupShaderProgram(fragmentShader, buffers);
     
     if (!success) {
         document.getElementById('iterateBtn').disabled = true;
@@ -485,12 +975,17 @@ function handleCompileClick() {
     }
 }
 
-// Common auto-iteration function used by both handleGenerateClick and handleIterateClick
-async function autoIterateShader(prompt, initialFragmentShader, currentIteration, userFeedback = null, isAutoFixingInitialGeneration = false) {
+// Common auto-iteration function used by both handleGenerateClick and handleIterateClick.
+// Its requests belong to `run`, the caller's run from startRun, which the caller also ends.
+async function autoIterateShader(prompt, initialFragmentShader, currentIteration, userFeedback = null, isAutoFixingInitialGeneration = false, initialBuffers = {}, run = null) {
     const MAX_AUTO_ITERATIONS = 10;
     let autoIterationCount = 0; // Count auto-iterations separately
     let currentFragmentShader = initialFragmentShader;
+    let currentBuffers = initialBuffers; // Buffer passes of the current shader, by name
+    let currentReflection = '';
     let success = false;
+    let budgetMessage = null; // Set when a used-up budget stopped the run
+    let cancelled = false; // Set when the Stop button ended the run
     
     // Find the iterate button to update during auto-iterations
     const iterateBtn = document.getElementById('iterateBtn');
@@ -510,7 +1005,7 @@ async function autoIterateShader(prompt, initialFragmentShader, currentIteration
             let evaluation = null;
             
             try {
-                evaluation = shaderEvaluator.evaluateShader(currentFragmentShader);
+                evaluation = await shaderEvaluator.evaluateShader(currentFragmentShader, currentBuffers);
                 console.log('Shader evaluation:', evaluation);
             } catch (evalError) {
                 console.error('Error during shader evaluation:', evalError);
@@ -520,17 +1015,20 @@ async function autoIterateShader(prompt, initialFragmentShader, currentIteration
             let screenshot = null;
             let storageThumbnail = null;
             
-            // Try to ensure we have the latest rendered frame
+            // Render the moment the user chose to capture, or else the current one
             if (ShaderRenderer.isCompiled()) {
-                ShaderRenderer.renderFrame();
+                ShaderRenderer.renderFrame(getCaptureTime());
                 // Now get a screenshot for the current state of the shader
                 screenshot = getOptimizedScreenshot(canvas);
-                // Create a smaller thumbnail for localStorage
+                // Create a smaller thumbnail for the session history
                 storageThumbnail = getThumbnailForStorage(canvas);
             } else {
                 console.log('Cannot capture screenshot - shader not compiled');
             }
             
+            // The browser's compile errors go to the model and into the session history
+            const compileLog = evaluation && !evaluation.compiled ? evaluation.infoLog : '';
+            
             // Save the current state of the iteration with its screenshot before requesting improvements
             logIteration({
                 // If we're auto-fixing the initial generation, keep iteration number at 0
@@ -538,10 +1036,13 @@ async function autoIterateShader(prompt, initialFragmentShader, currentIteration
                 iteration: isAutoFixingInitialGeneration ? 0 : currentIteration,
                 prompt,
                 fragmentShader: currentFragmentShader,
+                buffers: currentBuffers,
                 success: false, // It's not successful yet, that's why we're iterating
                 metrics: createMetrics(false, evaluation),
-                imageData: storageThumbnail || canvas.toDataURL('image/png'), // Fallback to regular screenshot
-                reflection: '',
+                imageData: storageThumbnail || getThumbnailForStorage(canvas), // Fallback to a thumbnail of the canvas
+                reflection: currentReflection,
+                userFeedback,
+                compileLog,
                 isManualIteration: false,
                 isLastAutoIteration: false
             }, []); // Empty array as we don't have saved screenshots from server yet
@@ -550,31 +1051,35 @@ async function autoIterateShader(prompt, initialFragmentShader, currentIteration
             updateIterationHistory();
             
             try {
-                // Call API to iterate the shader
-                const response = await fetch('/api/iterate-shader', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        prompt,
-                        fragmentShader: currentFragmentShader,
-                        screenshots: screenshot ? [screenshot] : [],
-                        // If we're auto-fixing the initial generation, use 0
-                        // Otherwise use the previous iteration number
-                        iteration: isAutoFixingInitialGeneration ? 0 : (currentIteration - 1),
-                        userFeedback: userFeedback || 'Fix the shader compilation errors and improve the visual quality',
-                        // This indicates whether this is an automatic iteration (which should use gpt-4.1-mini)
-                        // or a manual iteration (which should use the model specified in server settings)
-                        isAutoIteration: isAutoFixingInitialGeneration || !userFeedback
-                    })
-                });
-                
-                if (!response.ok) {
-                    throw new Error(`Server responded with status: ${response.status}`);
-                }
+                // The server builds the conversation from the saved session history, so let it catch up first
+                await sessionSaveQueue;
                 
-                const data = await response.json();
+                // Call the streaming API to iterate the shader, updating the UI as it arrives
+                const { requestId, signal } = nextRequestOptions(run);
+                const data = await streamShaderRequest('/api/iterate-shader/stream', {
+                    sessionId: currentSessionId,
+                    requestId,
+                    prompt,
+                    fragmentShader: currentFragmentShader,
+                    buffers: currentBuffers,
+                    screenshots: screenshot ? [screenshot] : [],
+                    screenshotTime: getPinnedCaptureTime(),
+                    // If we're auto-fixing the initial generation, use 0
+                    // Otherwise use the previous iteration number
+                    iteration: isAutoFixingInitialGeneration ? 0 : (currentIteration - 1),
+                    userFeedback: userFeedback || 'Fix the shader compilation errors and improve the visual quality',
+                    compileLog,
+                    // This indicates whether this is an automatic iteration (which should use the default model)
+                    // or a manual iteration (which should use the model specified in server settings)
+                    isAutoIteration: isAutoFixingInitialGeneration || !userFeedback,
+                    glslVersion: getGlslVersion(),
+                    textureChannels: getChannelAssignments(),
+                    audioInput: getAudioInput(),
+                    uniformValues: getUniformValues(),
+                    resolution: getResolution()
+                }, createLiveStreamHandlers(), signal);
+                refreshLogs();
+                refreshUsage();
                 
                 if (!data.response) {
                     throw new Error('Empty response from server');
@@ -583,34 +1088,36 @@ async function autoIterateShader(prompt, initialFragmentShader, currentIteration
                 // Parse the response
                 const responseContent = data.response;
                 const reflection = data.reflection || '';
+                currentReflection = reflection;
                 const newIterationCounter = data.iteration || currentIteration;
                 const savedScreenshots = data.savedScreenshots || [];
                 
                 // Store the saved screenshots for the next iteration
                 window.savedScreenshots = savedScreenshots;
                 
-                // Extract and display LLM comments
-                const comments = extractLLMComments(responseContent);
-                displayLLMComments(comments);
+                // Display the model's reflection and list of changes
+                displayLLMComments(formatLLMComments(data), data.parse);
                 
-                // Parse the shader code from the LLM response
-                currentFragmentShader = ShaderRenderer.parseShaders(responseContent);
+                // Use the validated shader from the server, falling back to parsing the LLM response
+                currentFragmentShader = data.fragmentShader || ShaderRenderer.parseShaders(responseContent);
+                currentBuffers = data.buffers || {};
+                reportServerValidation(data);
                 
                 // Update the CodeMirror editor with the new shader code
-                shaderEditor.setValue(currentFragmentShader);
+                setPasses(currentFragmentShader, currentBuffers);
                 
                 // Try to compile the new shader
-                success = ShaderRenderer.setupShaderProgram(currentFragmentShader);
+                success = ShaderRenderer.setupShaderProgram(currentFragmentShader, currentBuffers);
                 
                 // Try to render one more frame to ensure the canvas has content
                 let resultScreenshot = null;
                 let storageThumbnail = null;
                 
                 if (ShaderRenderer.isCompiled()) {
-                    ShaderRenderer.renderFrame();
+                    ShaderRenderer.renderFrame(getCaptureTime());
                     // Get a screenshot of the result for the iteration history
                     resultScreenshot = getOptimizedScreenshot(canvas);
-                    // Create a smaller thumbnail for localStorage
+                    // Create a smaller thumbnail for the session history
                     storageThumbnail = getThumbnailForStorage(canvas);
                 } else {
                     console.log('Cannot capture result screenshot - shader not compiled');
@@ -630,7 +1137,7 @@ async function autoIterateShader(prompt, initialFragmentShader, currentIteration
                     // Try to ensure we have the latest rendered frame
                     let finalThumbnail = storageThumbnail;
                     if (ShaderRenderer.isCompiled()) {
-                        ShaderRenderer.renderFrame();
+                        ShaderRenderer.renderFrame(getCaptureTime());
                         finalThumbnail = getThumbnailForStorage(canvas);
                     }
                     
@@ -640,13 +1147,20 @@ async function autoIterateShader(prompt, initialFragmentShader, currentIteration
                         iteration: isAutoFixingInitialGeneration ? 0 : currentIteration,
                         prompt,
                         fragmentShader: currentFragmentShader,
+                        buffers: currentBuffers,
                         success,
                         metrics: createMetrics(success, evaluation),
                         imageData: finalThumbnail,
                         reflection: reflection,
+                        userFeedback,
+                        logId: data.logId,
+                        validation: data.validation,
+                        repairs: data.repairs,
+                        promptVersion: data.promptVersion,
+                        promptHash: data.promptHash,
                         isManualIteration: false,
                         isLastAutoIteration: true
-                    }, []);
+                    }, savedScreenshots);
                     
                     // Update the iteration history display
                     updateIterationHistory();
@@ -673,9 +1187,38 @@ async function autoIterateShader(prompt, initialFragmentShader, currentIteration
                     }
                 }
             } catch (error) {
+                if (isCancellation(error)) {
+                    // The streamed code in the editor is incomplete; go back to the shader the request was for
+                    cancelled = true;
+                    setPasses(currentFragmentShader, currentBuffers);
+                    stopButtonAnimation(iterateBtn);
+                    
+                    // Record the cancelled attempt so the history shows where the run was stopped
+                    logIteration({
+                        iteration: isAutoFixingInitialGeneration ? 0 : currentIteration,
+                        prompt,
+                        fragmentShader: currentFragmentShader,
+                        buffers: currentBuffers,
+                        success: ShaderRenderer.isCompiled(),
+                        metrics: createMetrics(ShaderRenderer.isCompiled(), evaluation),
+                        imageData: storageThumbnail,
+                        reflection: currentReflection,
+                        userFeedback,
+                        cancelled: true,
+                        isManualIteration: false,
+                        isLastAutoIteration: true
+                    }, []);
+                    updateIterationHistory();
+                    break;
+                }
                 console.error('Error during auto-iteration:', error);
-                updateStatusMessage(`Auto-iteration failed: ${error.message}`);
-                document.getElementById('shaderError').textContent = `Auto-iteration error: ${error.message}`;
+                // A used-up budget ends the run like any other error, but is reported as such
+                const isBudgetError = error.code === 'BUDGET_EXCEEDED';
+                if (isBudgetError) {
+                    budgetMessage = error.message;
+                }
+                updateStatusMessage(isBudgetError ? `Auto-iteration stopped: ${error.message}` : `Auto-iteration failed: ${error.message}`);
+                document.getElementById('shaderError').textContent = isBudgetError ? error.message : `Auto-iteration error: ${error.message}`;
                 stopButtonAnimation(iterateBtn);
                 document.getElementById('shaderError').classList.remove('d-none');
                 break;
@@ -694,8 +1237,15 @@ async function autoIterateShader(prompt, initialFragmentShader, currentIteration
             } else {
                 updateStatusMessage('Shader compiled successfully! Enter what you want to improve and click Iterate.');
             }
+        } else if (cancelled) {
+            // Whatever shader the run had reached stays in the editor and preview
+            document.getElementById('iterateBtn').disabled = !ShaderRenderer.isCompiled();
+            document.getElementById('iterationFeedbackContainer').classList.remove('d-none');
+            updateStatusMessage(isAutoFixingInitialGeneration ? 'Auto-fixing stopped.' : 'Iteration stopped.');
         } else {
-            if (isAutoFixingInitialGeneration) {
+            if (budgetMessage) {
+                updateStatusMessage(`Auto-iteration stopped: ${budgetMessage}`);
+            } else if (isAutoFixingInitialGeneration) {
                 updateStatusMessage('Auto-fixing complete, but initial shader still has errors. Try manual edits.');
             } else {
                 updateStatusMessage('Auto-iteration complete, but shader still has errors. Try manual edits.');
@@ -709,16 +1259,19 @@ async function autoIterateShader(prompt, initialFragmentShader, currentIteration
         document.getElementById('shaderError').textContent = `Error: ${error.message}`;
         document.getElementById('shaderError').classList.remove('d-none');
     } finally {
-        document.getElementById('generateBtn').disabled = false;
-        document.getElementById('compileBtn').disabled = false;
-        document.getElementById('generateBtn').textContent = 'Generate Shader';
+        // A run that was replaced or stopped leaves the buttons to the run that owns them now
+        if (isCurrentRun(run)) {
+            document.getElementById('generateBtn').disabled = false;
+            document.getElementById('compileBtn').disabled = false;
+            document.getElementById('generateBtn').textContent = 'Generate Shader';
+        }
     }
 }
 
 // Handle Iterate button click
 async function handleIterateClick() {
-    // Get the current shader and the user's feedback
-    const fragmentShaderCode = shaderEditor.getValue();
+    // Get the current shader, with its buffer passes, and the user's feedback
+    const { fragmentShader: fragmentShaderCode, buffers } = getPasses();
     const feedbackText = document.getElementById('iterationFeedback').value.trim();
     
     if (!feedbackText) {
@@ -736,6 +1289,7 @@ async function handleIterateClick() {
     
     // Start animation for iterate button
     startButtonAnimation(iterateBtn, 'Iterating');
+    const run = startRun();
     
     // Get the original prompt
     const prompt = document.getElementById('shaderPrompt').value;
@@ -745,7 +1299,7 @@ async function handleIterateClick() {
         // Increment the global iteration counter
         iterationCounter++;
         // Pass the user's feedback to autoIterateShader
-        await autoIterateShader(prompt, fragmentShaderCode, iterationCounter, feedbackText, false);
+        await autoIterateShader(prompt, fragmentShaderCode, iterationCounter, feedbackText, false, buffers, run);
         
         // Ensure the button animation is stopped (in case autoIterateShader didn't)
         const iterateBtn = document.getElementById('iterateBtn');
@@ -762,9 +1316,92 @@ async function handleIterateClick() {
         
         stopButtonAnimation(iterateBtn);
         
-        iterateBtn.disabled = false;
-        generateBtn.disabled = false;
-        compileBtn.disabled = false;
+        // A newer run that took over keeps the buttons disabled until it ends. Iterating needs a
+        // compiled shader, which a stopped or failed run may not have left
+        if (endRun(run)) {
+            iterateBtn.disabled = !ShaderRenderer.isCompiled();
+            generateBtn.disabled = false;
+            compileBtn.disabled = false;
+        }
+    }
+}
+
+/**
+ * Start a generation or iteration run that the Stop button can cancel
+ * @returns {object} - The run, to end with endRun
+ */
+function startRun() {
+    currentRun = { controller: new AbortController(), requestId: null };
+    const stopBtn = document.getElementById('stopBtn');
+    stopBtn.disabled = false;
+    stopBtn.classList.remove('d-none');
+    lockCandidateGallery(true);
+    return currentRun;
+}
+
+/**
+ * End a run and hide the Stop button, unless a newer run has taken over since
+ * @param {object} run - From startRun
+ * @returns {boolean} - Whether the run was still the current one; only then may it restore the buttons
+ */
+function endRun(run) {
+    if (!isCurrentRun(run)) {
+        return false;
+    }
+    currentRun = null;
+    document.getElementById('stopBtn').classList.add('d-none');
+    lockCandidateGallery(false);
+    return true;
+}
+
+/**
+ * Whether a run is still in progress: neither ended nor replaced by a newer run
+ * @param {object|null} run - From startRun
+ * @returns {boolean}
+ */
+function isCurrentRun(run) {
+    return run !== null && currentRun === run;
+}
+
+/**
+ * Give the next LLM request of a run an id the server can cancel it by, and the run's signal
+ * @param {object|null} run - From startRun; without one the request cannot be stopped
+ * @returns {{requestId: string|undefined, signal: AbortSignal|undefined}}
+ */
+function nextRequestOptions(run) {
+    if (!run) {
+        return { requestId: undefined, signal: undefined };
+    }
+    run.requestId = crypto.randomUUID();
+    return { requestId: run.requestId, signal: run.controller.signal };
+}
+
+/**
+ * Whether an error means the request was cancelled rather than failed
+ * @param {Error} error - Error from a request
+ * @returns {boolean}
+ */
+function isCancellation(error) {
+    return error.name === 'AbortError' || error.code === 'REQUEST_CANCELLED';
+}
+
+// Handle Stop button click: abort the request in flight and have the server cancel its provider call
+async function handleStopClick() {
+    if (!currentRun) {
+        return;
+    }
+    const { controller, requestId } = currentRun;
+    document.getElementById('stopBtn').disabled = true;
+    updateStatusMessage('Stopping...');
+    controller.abort();
+    
+    // Closing the connection cancels the request as well, but a proxy may keep it open
+    if (requestId) {
+        try {
+            await fetch(`/api/requests/${encodeURIComponent(requestId)}/cancel`, { method: 'POST' });
+        } catch (error) {
+            console.warn('Could not cancel the request on the server:', error);
+        }
     }
 }
 
@@ -822,14 +1459,14 @@ function getOptimizedScreenshot(canvas) {
 }
 
 /**
- * Get a tiny thumbnail version of the canvas for storing in localStorage
+ * Get a tiny thumbnail version of the canvas for the session history
  * @param {HTMLCanvasElement} canvas - The WebGL canvas element
  * @returns {string|null} - Base64 encoded thumbnail data, or null if failed
  */
 function getThumbnailForStorage(canvas) {
     try {
-        // Create an extremely small version of the canvas for localStorage
-        const maxDimension = 150; // Very small for localStorage storage
+        // Create an extremely small version of the canvas for the history thumbnails
+        const maxDimension = 150; // Very small to keep sessions light
         
         // Calculate new dimensions while maintaining aspect ratio
         let width = canvas.width;
@@ -857,7 +1494,7 @@ function getThumbnailForStorage(canvas) {
         ctx.drawImage(canvas, 0, 0, width, height);
         
         // Get the data URL with minimal quality for storage
-        const dataUrl = tempCanvas.toDataURL('image/jpeg', 0.25); // Extreme compression for localStorage
+        const dataUrl = tempCanvas.toDataURL('image/jpeg', 0.25); // Extreme compression for thumbnails
         
         return dataUrl;
     } catch (error) {
@@ -866,9 +1503,10 @@ function getThumbnailForStorage(canvas) {
     }
 }
 
-// Update the iteration history display
+// Update the iteration history display from the current session
 function updateIterationHistory() {
-    const history = getIterationHistory();
+    // Candidates are shown in the candidate gallery instead
+    const history = getIterationHistory().filter(item => !item.isCandidate);
     const historyContainer = document.getElementById('iterationHistory');
     
     // Clear existing content
@@ -904,17 +1542,30 @@ function updateIterationHistory() {
         // Create thumbnail with click functionality to restore shader
         const thumbnail = document.createElement('img');
         // Use the saved screenshot URL if available, otherwise fall back to base64 data
-        thumbnail.src = item.savedScreenshotUrl || item.imageData;
+        thumbnail.src = item.imageData || item.thumbnailUrl || item.savedScreenshotUrl || (item.screenshots && item.screenshots[0]) || '';
         thumbnail.className = 'iteration-thumbnail mb-2 cursor-pointer';
         thumbnail.title = 'Click to restore this shader';
         
         // Add click handler to restore this shader
         thumbnail.addEventListener('click', () => {
+            // Restore the texture channels the shader was made with
+            if (item.textureChannels) {
+                setChannelAssignments(item.textureChannels);
+            }
+            
+            // And the resolution it was rendered at
+            if (item.resolution) {
+                setResolution(item.resolution);
+            }
+            
             // Restore the shader code to the editor
-            shaderEditor.setValue(item.fragmentShader);
+            setPasses(item.fragmentShader, item.buffers);
             
             // Compile and render the restored shader
-            const success = ShaderRenderer.setupShaderProgram(item.fragmentShader);
+            const success = ShaderRenderer.setupShaderProgram(item.fragmentShader, item.buffers);
+            if (success && item.uniformValues) {
+                setUniformValues(item.uniformValues);
+            }
             
             // Update UI based on compilation result
             document.getElementById('iterateBtn').disabled = !success;
@@ -932,7 +1583,11 @@ function updateIterationHistory() {
         // Label generation vs iteration properly, always using a consistent naming scheme
         // regardless of how many auto-fixes were needed
         let iterationLabel = item.iteration === 0 ? 'Initial Generation' : `Iteration ${item.iteration}`;
-        header.textContent = `${iterationLabel}: ${item.success ? 'Success' : 'Failed'}`;
+        header.textContent = `${iterationLabel}: ${item.cancelled ? 'Cancelled' : item.success ? 'Success' : 'Failed'}`;
+        if (item.promptVersion) {
+            // Which prompt template produced this shader
+            header.title = `Prompt template ${item.promptVersion}${item.promptHash ? ` (${item.promptHash})` : ''}`;
+        }
         
         // Create metrics display
         const metrics = document.createElement('div');
@@ -1011,6 +1666,57 @@ function toggleTheme() {
     }
 }
 
+/**
+ * GLSL version the model should write shaders in, from the version selector
+ * @returns {string} - '100' or '300 es'
+ */
+function getGlslVersion() {
+    return document.getElementById('glslVersion').value;
+}
+
+/**
+ * Set up the GLSL version selector: restore the saved choice, disable GLSL ES 3.00 without
+ * WebGL 2, and swap the editor's default shader for the other version's when it is unchanged
+ */
+function initGlslVersion() {
+    const select = document.getElementById('glslVersion');
+    const option300 = select.querySelector('option[value="300 es"]');
+    if (!ShaderRenderer.isWebGL2()) {
+        option300.disabled = true;
+        option300.textContent += ' - not supported by this browser';
+    }
+
+    const savedVersion = localStorage.getItem('glslVersion');
+    if (savedVersion === '300 es' && !option300.disabled) {
+        select.value = savedVersion;
+        switchDefaultShader(savedVersion);
+    }
+
+    select.addEventListener('change', () => {
+        localStorage.setItem('glslVersion', select.value);
+        switchDefaultShader(select.value);
+    });
+}
+
+/**
+ * Replace the default shader in the editor with the default shader of a GLSL version,
+ * leaving any other shader alone
+ * @param {string} glslVersion - '100' or '300 es'
+ */
+function switchDefaultShader(glslVersion) {
+    const defaults = [ShaderRenderer.defaultFragmentShader, ShaderRenderer.defaultFragmentShader300];
+    if (!shaderEditor) {
+        return;
+    }
+    const { fragmentShader, buffers } = getPasses();
+    if (!defaults.includes(fragmentShader) || Object.keys(buffers).length > 0) {
+        return;
+    }
+    const shader = glslVersion === '300 es' ? ShaderRenderer.defaultFragmentShader300 : ShaderRenderer.defaultFragmentShader;
+    setPasses(shader);
+    ShaderRenderer.setupShaderProgram(shader);
+}
+
 /**
  * Initialize theme based on user preference or system preference
  */
@@ -1307,6 +2013,21 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize theme after DOM is loaded
     initTheme();
     
+    // Restore the GLSL version the model writes shaders in
+    initGlslVersion();
+    
+    // Initialize the LLM log viewer panel
+    initLogViewer(() => currentSessionId);
+    
+    // Initialize the model routing settings panel
+    initModelSettings();
+    
+    // Initialize the token and cost meter
+    initUsageMeter(() => currentSessionId);
+    
+    // Reopen the last session and list the saved ones
+    initSessions();
+    
     // Show the iteration feedback field when Generate completes successfully
     document.getElementById('generateBtn').addEventListener('click', function() {
         // Hide the feedback field initially when generating a new shader
@@ -0,0 +1,145 @@
+// modelSettings.js - Settings panel for the server's model routing policy
+
+/**
+ * Send a request to the routing config endpoint and parse the JSON response
+ * @param {string} method - HTTP method
+ * @param {object} [body] - Policy to send
+ * @returns {Promise<object>} - Routing description from the server
+ */
+async function requestRouting(method, body) {
+    const options = { method, headers: {} };
+    if (body !== undefined) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+    }
+
+    const response = await fetch('/api/config/models', options);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `Server responded with status: ${response.status}`);
+    }
+    return data;
+}
+
+/**
+ * Show a message under the routing form
+ * @param {string} message - Message text
+ * @param {boolean} isError - Whether to style it as an error
+ */
+function showRoutingStatus(message, isError = false) {
+    const status = document.getElementById('routingStatus');
+    status.textContent = message;
+    status.classList.toggle('text-danger', isError);
+    status.classList.toggle('text-muted', !isError);
+}
+
+/**
+ * Render one textarea per phase, one model per line in the order they are tried
+ * @param {object} routing - Routing description from GET /api/config/models
+ */
+function renderRoutingForm(routing) {
+    const container = document.getElementById('routingPhases');
+    container.innerHTML = '';
+
+    Object.entries(routing.phases).forEach(([phase, label]) => {
+        const group = document.createElement('div');
+        group.className = 'mb-2';
+
+        const labelElement = document.createElement('label');
+        labelElement.className = 'form-label small mb-1';
+        labelElement.htmlFor = `routing-${phase}`;
+        labelElement.textContent = label;
+
+        const textarea = document.createElement('textarea');
+        textarea.id = `routing-${phase}`;
+        textarea.className = 'form-control form-control-sm font-monospace';
+        textarea.rows = 2;
+        textarea.dataset.phase = phase;
+        textarea.placeholder = phase === 'visionCritique'
+            ? 'No critique: screenshots go to the iteration model'
+            : 'One model per line, first is tried first';
+        textarea.value = (routing.policy.phases[phase] || []).join('\n');
+
+        group.appendChild(labelElement);
+        group.appendChild(textarea);
+        container.appendChild(group);
+    });
+
+    document.getElementById('routingTimeout').value = Math.round(routing.policy.timeoutMs / 1000);
+
+    const source = routing.source === 'file' ? 'routing policy file' : 'environment defaults';
+    showRoutingStatus(`Provider ${routing.provider}, using ${source}.`);
+}
+
+/**
+ * Read the policy from the form
+ * @returns {object} - { timeoutMs, phases }
+ */
+function readRoutingForm() {
+    const phases = {};
+    document.querySelectorAll('#routingPhases textarea').forEach(textarea => {
+        phases[textarea.dataset.phase] = textarea.value
+            .split('\n')
+            .map(model => model.trim())
+            .filter(Boolean);
+    });
+
+    const timeoutSeconds = parseInt(document.getElementById('routingTimeout').value, 10);
+    return { timeoutMs: timeoutSeconds * 1000, phases };
+}
+
+/**
+ * Load the current policy into the form
+ */
+async function loadRouting() {
+    try {
+        renderRoutingForm(await requestRouting('GET'));
+    } catch (error) {
+        console.error('Error loading model routing:', error);
+        showRoutingStatus(`Failed to load model routing: ${error.message}`, true);
+    }
+}
+
+/**
+ * Save the policy from the form
+ */
+async function saveRouting() {
+    try {
+        renderRoutingForm(await requestRouting('PUT', readRoutingForm()));
+        showRoutingStatus('Model routing saved.');
+    } catch (error) {
+        console.error('Error saving model routing:', error);
+        showRoutingStatus(error.message, true);
+    }
+}
+
+/**
+ * Delete the policy file so the environment defaults apply again
+ */
+async function resetRouting() {
+    try {
+        renderRoutingForm(await requestRouting('DELETE'));
+        showRoutingStatus('Model routing reset to the environment defaults.');
+    } catch (error) {
+        console.error('Error resetting model routing:', error);
+        showRoutingStatus(error.message, true);
+    }
+}
+
+/**
+ * Initialize the model routing settings panel
+ */
+function initModelSettings() {
+    const saveBtn = document.getElementById('saveRoutingBtn');
+    if (!saveBtn) {
+        return;
+    }
+
+    saveBtn.addEventListener('click', saveRouting);
+    document.getElementById('resetRoutingBtn').addEventListener('click', resetRouting);
+
+    loadRouting();
+}
+
+// Export as ES module
+export { initModelSettings };
@@ -0,0 +1,244 @@
+// multipass.js - Buffer passes rendered into framebuffers before the image pass
+
+/**
+ * Buffer Passes - Up to four buffer passes (A-D) that render every frame, in name order, into
+ * textures the size of the canvas, before the image pass draws to the screen. Every pass reads
+ * the buffers through uBufferA-uBufferD. Each buffer has two textures that swap after it renders
+ * (ping-pong), so a pass reading itself or a later buffer gets that buffer's previous frame,
+ * and a pass reading an earlier buffer gets this frame's.
+ */
+
+import { CHANNEL_COUNT } from './textureChannels.js';
+
+const BUFFER_NAMES = ['A', 'B', 'C', 'D'];
+
+// Buffers use the texture units after the texture channels
+const FIRST_BUFFER_UNIT = CHANNEL_COUNT;
+
+/**
+ * Check whether a context is a WebGL 2 context
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} glContext
+ * @returns {boolean}
+ */
+function isWebGL2Context(glContext) {
+    return typeof WebGL2RenderingContext !== 'undefined' && glContext instanceof WebGL2RenderingContext;
+}
+
+/**
+ * Check whether a context can render into textures of a format
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} glContext
+ * @param {Object} format - { internalFormat, format, type }
+ * @returns {boolean}
+ */
+function canRenderTo(glContext, format) {
+    const texture = glContext.createTexture();
+    glContext.bindTexture(glContext.TEXTURE_2D, texture);
+    glContext.texImage2D(glContext.TEXTURE_2D, 0, format.internalFormat, 1, 1, 0, format.format, format.type, null);
+    const framebuffer = glContext.createFramebuffer();
+    glContext.bindFramebuffer(glContext.FRAMEBUFFER, framebuffer);
+    glContext.framebufferTexture2D(glContext.FRAMEBUFFER, glContext.COLOR_ATTACHMENT0, glContext.TEXTURE_2D, texture, 0);
+    const complete = glContext.checkFramebufferStatus(glContext.FRAMEBUFFER) === glContext.FRAMEBUFFER_COMPLETE;
+    glContext.bindFramebuffer(glContext.FRAMEBUFFER, null);
+    glContext.deleteFramebuffer(framebuffer);
+    glContext.deleteTexture(texture);
+    return complete;
+}
+
+/**
+ * Pick the texture format buffers are stored in: 16-bit floats where the context can render to
+ * them, so simulations keep values outside 0-1 and small differences; otherwise 8 bits per channel
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} glContext
+ * @returns {Object} - { internalFormat, format, type, filter, float }
+ */
+function chooseBufferFormat(glContext) {
+    if (isWebGL2Context(glContext)) {
+        if (glContext.getExtension('EXT_color_buffer_float') || glContext.getExtension('EXT_color_buffer_half_float')) {
+            const format = { internalFormat: glContext.RGBA16F, format: glContext.RGBA, type: glContext.HALF_FLOAT, filter: glContext.LINEAR, float: true };
+            if (canRenderTo(glContext, format)) {
+                return format;
+            }
+        }
+    } else {
+        const halfFloat = glContext.getExtension('OES_texture_half_float');
+        if (halfFloat) {
+            glContext.getExtension('EXT_color_buffer_half_float');
+            const filter = glContext.getExtension('OES_texture_half_float_linear') ? glContext.LINEAR : glContext.NEAREST;
+            const format = { internalFormat: glContext.RGBA, format: glContext.RGBA, type: halfFloat.HALF_FLOAT_OES, filter, float: true };
+            if (canRenderTo(glContext, format)) {
+                return format;
+            }
+        }
+    }
+    return { internalFormat: glContext.RGBA, format: glContext.RGBA, type: glContext.UNSIGNED_BYTE, filter: glContext.LINEAR, float: false };
+}
+
+/**
+ * The buffer passes of one shader in one WebGL context
+ */
+class BufferPasses {
+    /**
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} glContext - Context the pass programs belong to
+     */
+    constructor(glContext) {
+        this.gl = glContext;
+        this.format = chooseBufferFormat(glContext);
+        // [{ name, program, textures: [2], framebuffers: [2], current }], in render order
+        this.passes = [];
+        this.width = 0;
+        this.height = 0;
+        // Sampler locations of uBufferA-uBufferD, by program
+        this.locations = new WeakMap();
+    }
+
+    /**
+     * Whether there are buffer passes to render
+     * @returns {boolean}
+     */
+    hasPasses() {
+        return this.passes.length > 0;
+    }
+
+    /**
+     * Replace the buffer passes. The buffers of the new passes start out cleared to 0.
+     * The programs stay owned by the caller.
+     * @param {Object} programs - Linked programs by buffer name, e.g. { A: program }
+     */
+    setPasses(programs = {}) {
+        this._deleteTargets();
+        this.passes = BUFFER_NAMES
+            .filter(name => programs[name])
+            .map(name => ({ name, program: programs[name], textures: [], framebuffers: [], current: 0 }));
+        this.width = 0;
+        this.height = 0;
+    }
+
+    /**
+     * Clear every buffer to 0, e.g. to restart a simulation
+     */
+    reset() {
+        const gl = this.gl;
+        this.passes.forEach(pass => {
+            pass.framebuffers.forEach(framebuffer => {
+                gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+                gl.clearColor(0.0, 0.0, 0.0, 0.0);
+                gl.clear(gl.COLOR_BUFFER_BIT);
+            });
+        });
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    /**
+     * Render every buffer pass into its next texture and swap it in. Leaves the default framebuffer
+     * bound with a viewport covering the canvas.
+     * @param {number} width - Buffer width in pixels, the canvas width
+     * @param {number} height - Buffer height in pixels, the canvas height
+     * @param {Function} drawPass - drawPass(program, name) sets the pass's other uniforms and draws a
+     *   full-screen quad; the program is already in use and its buffer samplers bound
+     */
+    render(width, height, drawPass) {
+        if (!this.hasPasses()) {
+            return;
+        }
+        const gl = this.gl;
+        this._ensureSize(width, height);
+
+        this.passes.forEach(pass => {
+            const target = 1 - pass.current;
+            gl.bindFramebuffer(gl.FRAMEBUFFER, pass.framebuffers[target]);
+            gl.viewport(0, 0, this.width, this.height);
+            gl.useProgram(pass.program);
+            this.bindBuffers(pass.program);
+            drawPass(pass.program, pass.name);
+            pass.current = target;
+        });
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+    }
+
+    /**
+     * Bind the latest texture of every buffer to its texture unit and point the uBufferA-uBufferD
+     * samplers of a program at them. Buffers without a pass read as black.
+     * @param {WebGLProgram} program - Program in use
+     */
+    bindBuffers(program) {
+        const gl = this.gl;
+        if (!this.locations.has(program)) {
+            this.locations.set(program, BUFFER_NAMES.map(name => gl.getUniformLocation(program, `uBuffer${name}`)));
+        }
+        const locations = this.locations.get(program);
+
+        BUFFER_NAMES.forEach((name, index) => {
+            const pass = this.passes.find(entry => entry.name === name);
+            gl.activeTexture(gl.TEXTURE0 + FIRST_BUFFER_UNIT + index);
+            gl.bindTexture(gl.TEXTURE_2D, pass && pass.textures.length > 0 ? pass.textures[pass.current] : null);
+            if (locations[index]) {
+                gl.uniform1i(locations[index], FIRST_BUFFER_UNIT + index);
+            }
+        });
+        gl.activeTexture(gl.TEXTURE0);
+    }
+
+    /**
+     * Free the buffers' textures and framebuffers
+     */
+    dispose() {
+        this._deleteTargets();
+        this.passes = [];
+    }
+
+    /**
+     * (Re)create the buffer textures when the size changes; their contents start at 0
+     * @private
+     * @param {number} width
+     * @param {number} height
+     */
+    _ensureSize(width, height) {
+        if (width === this.width && height === this.height) {
+            return;
+        }
+        const gl = this.gl;
+        const { internalFormat, format, type, filter } = this.format;
+        this._deleteTargets();
+        this.width = width;
+        this.height = height;
+
+        this.passes.forEach(pass => {
+            for (let index = 0; index < 2; index++) {
+                const texture = gl.createTexture();
+                gl.bindTexture(gl.TEXTURE_2D, texture);
+                gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, format, type, null);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+                // Canvas sizes are rarely powers of two, which WebGL 1 can only clamp
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+                const framebuffer = gl.createFramebuffer();
+                gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+                gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+                pass.textures.push(texture);
+                pass.framebuffers.push(framebuffer);
+            }
+            pass.current = 0;
+        });
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        this.reset();
+    }
+
+    /**
+     * @private
+     */
+    _deleteTargets() {
+        const gl = this.gl;
+        this.passes.forEach(pass => {
+            pass.textures.forEach(texture => gl.deleteTexture(texture));
+            pass.framebuffers.forEach(framebuffer => gl.deleteFramebuffer(framebuffer));
+            pass.textures = [];
+            pass.framebuffers = [];
+        });
+    }
+}
+
+// Export as ES module
+export { BUFFER_NAMES, BufferPasses };
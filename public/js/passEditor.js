@@ -0,0 +1,200 @@
+// passEditor.js - Editor tabs for the image pass and buffer passes of a multipass shader
+
+/**
+ * Pass Editor - One tab per pass above the shader editor: the image pass, always present, and
+ * any buffer passes (A-D). The editor shows one pass at a time; the sources of the other passes
+ * are kept here and swapped in when their tab is selected.
+ */
+
+import { BUFFER_NAMES } from './multipass.js';
+import { isGlsl300 } from './shaderRenderer.js';
+
+const IMAGE_PASS = 'image';
+
+let editor = null;
+// Sources by pass name: { image, A, ... }, with only the buffers that exist
+let passes = { [IMAGE_PASS]: '' };
+let activePass = IMAGE_PASS;
+
+/**
+ * Starting source of a new buffer pass: it keeps a fading copy of its own previous frame, in the
+ * GLSL version of the image pass
+ * @param {string} name - Buffer name, e.g. 'A'
+ * @param {boolean} glsl300 - Whether to write GLSL ES 3.00
+ * @returns {string} - Fragment shader source
+ */
+function bufferTemplate(name, glsl300) {
+    const header = glsl300 ? '#version 300 es\nprecision mediump float;\nin vec2 vUv;' : 'precision mediump float;\nvarying vec2 vUv;';
+    const output = glsl300 ? 'fragColor' : 'gl_FragColor';
+    const sample = glsl300 ? 'texture' : 'texture2D';
+    return `${header}
+uniform float uTime;
+uniform int uFrame;
+uniform sampler2D uBuffer${name};${glsl300 ? '\nout vec4 fragColor;' : ''}
+
+void main() {
+    // This buffer's previous frame; all buffers start out cleared to 0 at uFrame 1
+    vec4 previous = ${sample}(uBuffer${name}, vUv);
+    vec3 color = 0.5 + 0.5 * cos(uTime + vUv.xyx + vec3(0, 2, 4));
+    ${output} = vec4(mix(color, previous.rgb, 0.9), 1.0);
+}`;
+}
+
+/**
+ * Display label of a pass
+ * @param {string} name - 'image' or a buffer name
+ * @returns {string}
+ */
+function passLabel(name) {
+    return name === IMAGE_PASS ? 'Image' : `Buffer ${name}`;
+}
+
+/**
+ * Keep the editor contents of the shown pass
+ */
+function storeActivePass() {
+    if (editor && activePass in passes) {
+        passes[activePass] = editor.getValue();
+    }
+}
+
+/**
+ * Show a pass in the editor
+ * @param {string} name - 'image' or the name of an existing buffer pass
+ */
+function showPass(name) {
+    if (!(name in passes)) {
+        return;
+    }
+    storeActivePass();
+    activePass = name;
+    if (editor) {
+        editor.setValue(passes[name]);
+        editor.clearHistory();
+    }
+    renderTabs();
+}
+
+/**
+ * Get the sources of every pass, including unsaved edits in the editor
+ * @returns {{fragmentShader: string, buffers: Object}} - The image pass and buffer sources by name
+ */
+function getPasses() {
+    storeActivePass();
+    const buffers = {};
+    BUFFER_NAMES.filter(name => name in passes).forEach(name => {
+        buffers[name] = passes[name];
+    });
+    return { fragmentShader: passes[IMAGE_PASS], buffers };
+}
+
+/**
+ * Replace every pass and show the image pass
+ * @param {string} fragmentShader - Image pass source
+ * @param {Object} [buffers] - Buffer pass sources by name; buffers left out are removed
+ */
+function setPasses(fragmentShader, buffers = {}) {
+    passes = { [IMAGE_PASS]: fragmentShader || '' };
+    BUFFER_NAMES.filter(name => buffers[name]).forEach(name => {
+        passes[name] = buffers[name];
+    });
+    activePass = null;
+    showPass(IMAGE_PASS);
+}
+
+/**
+ * Add the first unused buffer pass and show it
+ */
+function addBuffer() {
+    const name = BUFFER_NAMES.find(bufferName => !(bufferName in passes));
+    if (!name) {
+        return;
+    }
+    storeActivePass();
+    passes[name] = bufferTemplate(name, isGlsl300(passes[IMAGE_PASS]));
+    showPass(name);
+}
+
+/**
+ * Remove a buffer pass, after confirmation, and show the image pass
+ * @param {string} name - Buffer name
+ */
+function removeBuffer(name) {
+    if (!confirm(`Remove ${passLabel(name)}? Compile again to render without it.`)) {
+        return;
+    }
+    delete passes[name];
+    if (activePass === name) {
+        activePass = null;
+        showPass(IMAGE_PASS);
+    } else {
+        renderTabs();
+    }
+}
+
+/**
+ * Render the pass tabs
+ */
+function renderTabs() {
+    const container = document.getElementById('passTabs');
+    if (!container) return;
+    container.innerHTML = '';
+
+    [IMAGE_PASS, ...BUFFER_NAMES.filter(name => name in passes)].forEach(name => {
+        const item = document.createElement('li');
+        item.className = 'nav-item';
+
+        const tab = document.createElement('button');
+        tab.type = 'button';
+        tab.className = `nav-link pass-tab${name === activePass ? ' active' : ''}`;
+        tab.textContent = passLabel(name);
+        tab.addEventListener('click', () => showPass(name));
+
+        if (name !== IMAGE_PASS) {
+            const remove = document.createElement('span');
+            remove.className = 'pass-tab-remove ms-1';
+            remove.title = `Remove ${passLabel(name)}`;
+            remove.innerHTML = '<i class="fas fa-xmark"></i>';
+            remove.addEventListener('click', event => {
+                event.stopPropagation();
+                removeBuffer(name);
+            });
+            tab.appendChild(remove);
+        }
+
+        item.appendChild(tab);
+        container.appendChild(item);
+    });
+
+    if (BUFFER_NAMES.some(name => !(name in passes))) {
+        const item = document.createElement('li');
+        item.className = 'nav-item';
+        const add = document.createElement('button');
+        add.type = 'button';
+        add.className = 'nav-link pass-tab';
+        add.title = 'Add a buffer pass that renders before the image pass';
+        add.innerHTML = '<i class="fas fa-plus"></i> Buffer';
+        add.addEventListener('click', addBuffer);
+        item.appendChild(add);
+        container.appendChild(item);
+    }
+}
+
+/**
+ * Attach the pass tabs to the shader editor. The editor's current contents become the image pass.
+ * @param {Object} codeMirror - CodeMirror editor instance
+ */
+function initPassEditor(codeMirror) {
+    editor = codeMirror;
+    passes = { [IMAGE_PASS]: editor.getValue() };
+    activePass = IMAGE_PASS;
+    renderTabs();
+}
+
+// Export as ES module
+export {
+    initPassEditor,
+    getPasses,
+    setPasses,
+    showPass
+};
@@ -0,0 +1,222 @@
+// playback.js - Playback clock and transport bar for the preview
+
+/**
+ * Playback - The clock that drives uTime (and iTime). It runs at the chosen speed while playing and
+ * stands still while paused; the preview then redraws the same frame without advancing uFrame or
+ * the buffer passes. The transport bar under the canvas plays and pauses, scrubs the time, steps
+ * one frame, changes the speed and resets to 0, and picks the time screenshots are captured at.
+ */
+
+import { getFrameCount } from './shaderRenderer.js';
+
+// Length of one frame step at speed 1, in seconds
+const FRAME_SECONDS = 1 / 60;
+// The scrubber covers at least this many seconds, and grows in steps of it as the clock runs past
+const TIMELINE_SECONDS = 60;
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+let playing = true;
+let speed = 1;
+let time = 0; // Clock time in seconds
+let lastNow = null; // Wall-clock seconds of the previous tick
+let pendingSteps = 0; // Frames to advance while paused
+let scrubbing = false;
+let captureTime = null; // Time screenshots are captured at, or null for the clock time
+const shown = { scrubber: null, readout: null }; // What the transport bar shows, to skip unchanged updates
+let onReset = null;
+
+/**
+ * Advance the clock; called once per animation frame
+ * @param {number} now - Wall-clock time in seconds, e.g. from requestAnimationFrame
+ * @returns {{time: number, advance: boolean}} - The time to draw at, and whether this is a new frame
+ *   (false while paused, when the current frame is redrawn)
+ */
+function tick(now) {
+    const elapsed = lastNow === null ? 0 : Math.max(0, now - lastNow);
+    lastNow = now;
+
+    let advance = false;
+    if (playing && !scrubbing) {
+        time += elapsed * speed;
+        advance = true;
+    } else if (pendingSteps > 0) {
+        pendingSteps--;
+        time += FRAME_SECONDS * speed;
+        advance = true;
+    }
+
+    updateTransport();
+    return { time, advance };
+}
+
+/**
+ * @returns {number} - Current clock time in seconds
+ */
+function getTime() {
+    return time;
+}
+
+/**
+ * Get the time screenshots for the model and thumbnails are rendered at
+ * @returns {number} - The chosen capture time, or else the current clock time
+ */
+function getCaptureTime() {
+    return captureTime === null ? time : captureTime;
+}
+
+/**
+ * Get the capture time the user pinned. Requests to the model only name this time: the clock time
+ * differs on every run, which would keep recorded fixtures from matching on replay.
+ * @returns {number|null} - The chosen capture time, or null when screenshots follow the clock
+ */
+function getPinnedCaptureTime() {
+    return captureTime;
+}
+
+/**
+ * Play or pause
+ * @param {boolean} [shouldPlay] - Play when true, pause when false; toggles when left out
+ */
+function setPlaying(shouldPlay = !playing) {
+    playing = shouldPlay;
+    pendingSteps = 0;
+    updateTransport();
+}
+
+/**
+ * Pause and advance one frame
+ */
+function stepFrame() {
+    playing = false;
+    pendingSteps++;
+    updateTransport();
+}
+
+/**
+ * Move the clock to a time. uFrame and the buffer passes are not rewound; reset starts them over.
+ * @param {number} seconds
+ */
+function seek(seconds) {
+    time = Math.max(0, seconds);
+    updateTransport();
+}
+
+/**
+ * Set the clock back to 0 and restart uFrame and the buffer passes
+ */
+function resetClock() {
+    time = 0;
+    pendingSteps = 0;
+    if (onReset) {
+        onReset();
+    }
+    updateTransport();
+}
+
+/**
+ * Show the clock state in the transport bar
+ */
+function updateTransport() {
+    const playBtn = document.getElementById('playPauseBtn');
+    const scrubber = document.getElementById('timeScrubber');
+    const readout = document.getElementById('playbackTime');
+    if (!playBtn || !scrubber || !readout) return;
+
+    const icon = playing ? 'fa-pause' : 'fa-play';
+    if (!playBtn.innerHTML.includes(icon)) {
+        playBtn.innerHTML = `<i class="fas ${icon}"></i>`;
+        playBtn.title = playing ? 'Pause' : 'Play';
+    }
+
+    const length = Math.max(TIMELINE_SECONDS, Math.ceil(time / TIMELINE_SECONDS) * TIMELINE_SECONDS);
+    if (Number(scrubber.max) !== length) {
+        scrubber.max = length;
+    }
+    // Called every animation frame: only touch the page when what it shows changes
+    const step = Number(scrubber.step) || 1;
+    const position = Math.round(time / step) * step;
+    if (!scrubbing && position !== shown.scrubber) {
+        scrubber.value = position;
+        shown.scrubber = position;
+    }
+    const text = `${time.toFixed(2)} s · frame ${getFrameCount()}`;
+    if (text !== shown.readout) {
+        readout.textContent = text;
+        shown.readout = text;
+    }
+}
+
+/**
+ * Show where screenshots are captured
+ */
+function updateCaptureStatus() {
+    const input = document.getElementById('captureTime');
+    if (input) {
+        input.value = captureTime === null ? '' : captureTime.toFixed(2);
+    }
+}
+
+/**
+ * Wire up the transport bar
+ * @param {Object} [options]
+ * @param {Function} [options.onReset] - Called when the clock is reset, to restart uFrame and the buffers
+ */
+function initPlayback({ onReset: resetHandler = null } = {}) {
+    onReset = resetHandler;
+
+    document.getElementById('playPauseBtn').addEventListener('click', () => setPlaying());
+    document.getElementById('stepFrameBtn').addEventListener('click', stepFrame);
+    document.getElementById('resetClockBtn').addEventListener('click', resetClock);
+
+    const scrubber = document.getElementById('timeScrubber');
+    scrubber.step = FRAME_SECONDS;
+    scrubber.addEventListener('input', () => {
+        scrubbing = true;
+        seek(Number(scrubber.value));
+    });
+    scrubber.addEventListener('change', () => {
+        scrubbing = false;
+    });
+
+    const speedSelect = document.getElementById('playbackSpeed');
+    SPEEDS.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = `${value}x`;
+        speedSelect.appendChild(option);
+    });
+    speed = SPEEDS.includes(Number(localStorage.getItem('playbackSpeed'))) ? Number(localStorage.getItem('playbackSpeed')) : 1;
+    speedSelect.value = speed;
+    speedSelect.addEventListener('change', () => {
+        speed = Number(speedSelect.value);
+        localStorage.setItem('playbackSpeed', speed);
+    });
+
+    // An empty capture time captures at whatever the clock shows
+    const captureInput = document.getElementById('captureTime');
+    captureInput.addEventListener('change', () => {
+        const value = parseFloat(captureInput.value);
+        captureTime = captureInput.value.trim() === '' || !Number.isFinite(value) ? null : Math.max(0, value);
+        updateCaptureStatus();
+    });
+    document.getElementById('captureNowBtn').addEventListener('click', () => {
+        captureTime = time;
+        updateCaptureStatus();
+    });
+
+    updateTransport();
+    updateCaptureStatus();
+}
+
+// Export as ES module
+export {
+    initPlayback,
+    tick,
+    getTime,
+    getCaptureTime,
+    getPinnedCaptureTime,
+    setPlaying,
+    stepFrame,
+    seek,
+    resetClock
+};
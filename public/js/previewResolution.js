@@ -0,0 +1,282 @@
+// previewResolution.js - Resolution, render scale, fullscreen and detached window for the preview canvas
+
+/**
+ * Preview Resolution - The preview renders at a preset or custom resolution, or fits the space it is
+ * shown in at the screen's pixel ratio. The render scale renders fewer pixels for heavy shaders; the
+ * browser stretches them to the same size on screen. The canvas's drawing buffer is the render
+ * size, so uResolution and uAspect follow it. The preview can go fullscreen, or be mirrored into a
+ * separate window.
+ */
+
+const RESOLUTION_PRESETS = {
+    fit: { label: 'Fit to view' },
+    square: { label: 'Square 512×512', width: 512, height: 512 },
+    square1024: { label: 'Square 1024×1024', width: 1024, height: 1024 },
+    landscape: { label: '16:9 1280×720', width: 1280, height: 720 },
+    landscape1080: { label: '16:9 1920×1080', width: 1920, height: 1080 },
+    portrait: { label: '9:16 720×1280 (mobile)', width: 720, height: 1280 },
+    uhd: { label: '4K 3840×2160', width: 3840, height: 2160 },
+    custom: { label: 'Custom' }
+};
+const RENDER_SCALES = [0.25, 0.5, 0.75, 1];
+const MAX_SIZE = 8192;
+// In the page, the preview is at most this share of the window's height
+const MAX_VIEW_HEIGHT = 0.7;
+
+// { preset, width, height, scale }: width and height are the custom resolution
+let settings = { preset: 'square', width: 512, height: 512, scale: 1 };
+let canvas = null;
+let stage = null; // Element around the canvas that goes fullscreen
+let onResize = null;
+let detachedWindow = null;
+let locked = false; // While an export renders on the canvas, the canvas keeps its size
+
+/**
+ * The resolution the settings ask for, before scaling
+ * @returns {{width: number, height: number}}
+ */
+function targetResolution() {
+    if (settings.preset === 'fit') {
+        // The space the canvas is shown in, in device pixels
+        const ratio = window.devicePixelRatio || 1;
+        return {
+            width: Math.max(1, Math.round(canvas.clientWidth * ratio)),
+            height: Math.max(1, Math.round(canvas.clientHeight * ratio))
+        };
+    }
+    const preset = RESOLUTION_PRESETS[settings.preset];
+    return preset.width ? { width: preset.width, height: preset.height } : { width: settings.width, height: settings.height };
+}
+
+/**
+ * Size the canvas on the page for its aspect ratio, then its drawing buffer for the resolution
+ */
+function applySize() {
+    if (!canvas || locked) return;
+    const fullscreen = document.fullscreenElement === stage;
+
+    if (settings.preset === 'fit') {
+        canvas.style.aspectRatio = fullscreen ? '' : '1 / 1';
+        canvas.style.width = '100%';
+        canvas.style.height = fullscreen ? '100%' : 'auto';
+    } else {
+        // As large as fits, without letterboxing, so mouse positions map straight onto the canvas
+        const { width, height } = targetResolution();
+        const aspect = width / height;
+        canvas.style.aspectRatio = `${width} / ${height}`;
+        canvas.style.width = fullscreen
+            ? `min(100vw, ${100 * aspect}vh)`
+            : `min(100%, ${MAX_VIEW_HEIGHT * 100 * aspect}vh)`;
+        canvas.style.height = 'auto';
+    }
+
+    const { width, height } = targetResolution();
+    const renderWidth = Math.min(MAX_SIZE, Math.max(1, Math.round(width * settings.scale)));
+    const renderHeight = Math.min(MAX_SIZE, Math.max(1, Math.round(height * settings.scale)));
+    if (canvas.width !== renderWidth || canvas.height !== renderHeight) {
+        canvas.width = renderWidth;
+        canvas.height = renderHeight;
+        if (onResize) {
+            onResize(renderWidth, renderHeight);
+        }
+    }
+    updateStatus();
+}
+
+/**
+ * Show the render size under the controls
+ */
+function updateStatus() {
+    const status = document.getElementById('resolutionStatus');
+    if (status && canvas) {
+        status.textContent = `Rendering ${canvas.width}×${canvas.height}`;
+    }
+}
+
+/**
+ * Get the resolution the preview renders at, e.g. to store with an iteration
+ * @returns {Object} - { preset, width, height, scale }, where width and height are the render size
+ */
+function getResolution() {
+    return { preset: settings.preset, width: canvas.width, height: canvas.height, scale: settings.scale };
+}
+
+/**
+ * Render at a stored resolution again. A fixed resolution is restored exactly, as a custom resolution
+ * when it does not match its preset any more; "fit" fits the current view.
+ * @param {Object} resolution - From getResolution
+ */
+function setResolution(resolution) {
+    if (!resolution || !RESOLUTION_PRESETS[resolution.preset]) return;
+    const scale = RENDER_SCALES.includes(resolution.scale) ? resolution.scale : 1;
+    if (resolution.preset === 'fit') {
+        settings = { ...settings, preset: 'fit', scale };
+    } else {
+        const preset = RESOLUTION_PRESETS[resolution.preset];
+        const width = Math.round(resolution.width / scale);
+        const height = Math.round(resolution.height / scale);
+        const matchesPreset = preset.width === width && preset.height === height;
+        settings = { preset: matchesPreset ? resolution.preset : 'custom', width, height, scale };
+    }
+    saveSettings();
+    renderControls();
+    applySize();
+}
+
+/**
+ * Keep the canvas at its size while something else renders on it, e.g. an export. The resolution
+ * controls are disabled meanwhile; once unlocked, the canvas follows the settings again.
+ * @param {boolean} shouldLock
+ */
+function lockResolution(shouldLock) {
+    locked = shouldLock;
+    ['resolutionPreset', 'renderScale', 'customWidth', 'customHeight', 'fullscreenBtn'].forEach(id => {
+        const control = document.getElementById(id);
+        if (control) control.disabled = shouldLock;
+    });
+    applySize();
+}
+
+/**
+ * Remember the settings in the browser
+ */
+function saveSettings() {
+    localStorage.setItem('previewResolution', JSON.stringify(settings));
+}
+
+/**
+ * Show the preview in fullscreen, or leave fullscreen
+ */
+function toggleFullscreen() {
+    if (document.fullscreenElement) {
+        document.exitFullscreen();
+    } else {
+        stage.requestFullscreen().catch(error => console.error('Could not enter fullscreen:', error));
+    }
+}
+
+/**
+ * Mirror the preview into a separate window, e.g. to watch it on another screen while editing.
+ * The window shows a live video of the canvas; interact with the canvas in the lab.
+ */
+function openDetachedWindow() {
+    if (detachedWindow && !detachedWindow.closed) {
+        detachedWindow.focus();
+        return;
+    }
+    detachedWindow = window.open('', 'shaderPreview', 'width=800,height=600');
+    if (!detachedWindow) {
+        alert('The preview window was blocked. Allow pop-ups for this page to detach the preview.');
+        return;
+    }
+    const doc = detachedWindow.document;
+    doc.title = 'Shader Preview - Iterative Shader Lab';
+    doc.body.style.cssText = 'margin: 0; background: #000; height: 100vh; display: flex; align-items: center; justify-content: center;';
+    const video = doc.createElement('video');
+    video.style.cssText = 'width: 100%; height: 100%; object-fit: contain;';
+    video.autoplay = true;
+    video.muted = true;
+    video.srcObject = canvas.captureStream();
+    doc.body.appendChild(video);
+    video.addEventListener('dblclick', () => doc.fullscreenElement ? doc.exitFullscreen() : video.requestFullscreen());
+}
+
+/**
+ * Show the settings in the resolution controls
+ */
+function renderControls() {
+    const presetSelect = document.getElementById('resolutionPreset');
+    const customInputs = document.getElementById('customResolution');
+    const scaleSelect = document.getElementById('renderScale');
+    if (!presetSelect || !customInputs || !scaleSelect) return;
+
+    presetSelect.value = settings.preset;
+    scaleSelect.value = settings.scale;
+    customInputs.classList.toggle('d-none', settings.preset !== 'custom');
+    document.getElementById('customWidth').value = settings.width;
+    document.getElementById('customHeight').value = settings.height;
+}
+
+/**
+ * Set up the resolution controls and keep the canvas sized
+ * @param {HTMLCanvasElement} canvasElement - The preview canvas
+ * @param {Object} [options]
+ * @param {Function} [options.onResize] - Called with the new render width and height when the drawing buffer changes size
+ */
+function initPreviewResolution(canvasElement, { onResize: resizeHandler = null } = {}) {
+    canvas = canvasElement;
+    stage = document.getElementById('previewStage') || canvas.parentElement;
+    onResize = resizeHandler;
+
+    try {
+        const saved = JSON.parse(localStorage.getItem('previewResolution') || 'null');
+        if (saved && RESOLUTION_PRESETS[saved.preset]) {
+            settings = { ...settings, ...saved, scale: RENDER_SCALES.includes(saved.scale) ? saved.scale : 1 };
+        }
+    } catch (error) {
+        console.warn('Ignoring saved preview resolution:', error);
+    }
+
+    const presetSelect = document.getElementById('resolutionPreset');
+    Object.entries(RESOLUTION_PRESETS).forEach(([key, preset]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = preset.label;
+        presetSelect.appendChild(option);
+    });
+    presetSelect.addEventListener('change', () => {
+        settings.preset = presetSelect.value;
+        saveSettings();
+        renderControls();
+        applySize();
+    });
+
+    const scaleSelect = document.getElementById('renderScale');
+    RENDER_SCALES.forEach(scale => {
+        const option = document.createElement('option');
+        option.value = scale;
+        option.textContent = `${scale * 100}%`;
+        scaleSelect.appendChild(option);
+    });
+    scaleSelect.addEventListener('change', () => {
+        settings.scale = Number(scaleSelect.value);
+        saveSettings();
+        applySize();
+    });
+
+    ['customWidth', 'customHeight'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            const width = parseInt(document.getElementById('customWidth').value, 10);
+            const height = parseInt(document.getElementById('customHeight').value, 10);
+            if ([width, height].every(size => Number.isInteger(size) && size >= 16 && size <= MAX_SIZE)) {
+                settings.width = width;
+                settings.height = height;
+                saveSettings();
+                applySize();
+            } else {
+                renderControls();
+            }
+        });
+    });
+
+    document.getElementById('fullscreenBtn').addEventListener('click', toggleFullscreen);
+    document.getElementById('detachPreviewBtn').addEventListener('click', openDetachedWindow);
+
+    // Fit follows the space the canvas gets, including fullscreen and pixel ratio changes
+    new ResizeObserver(() => {
+        if (settings.preset === 'fit') applySize();
+    }).observe(canvas);
+    document.addEventListener('fullscreenchange', applySize);
+    window.addEventListener('resize', applySize);
+
+    renderControls();
+    applySize();
+}
+
+// Export as ES module
+export {
+    initPreviewResolution,
+    getResolution,
+    setResolution,
+    lockResolution
+};
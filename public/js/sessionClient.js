@@ -0,0 +1,88 @@
+// sessionClient.js - Client for the server-side session API
+
+/**
+ * Send a JSON request and parse the JSON response
+ * @param {string} url - Endpoint URL
+ * @param {object} options - fetch options; a `body` object is serialized to JSON
+ * @returns {Promise<object|null>} - Parsed response, or null for empty responses
+ */
+async function requestJSON(url, options = {}) {
+    const fetchOptions = { method: options.method || 'GET', headers: {} };
+    if (options.body !== undefined) {
+        fetchOptions.headers['Content-Type'] = 'application/json';
+        fetchOptions.body = JSON.stringify(options.body);
+    }
+
+    const response = await fetch(url, fetchOptions);
+    if (!response.ok) {
+        let message = `Server responded with status: ${response.status}`;
+        try {
+            const errorData = await response.json();
+            message = errorData.error || message;
+        } catch (parseError) {
+            // Keep the status message
+        }
+        throw new Error(message);
+    }
+
+    return response.status === 204 ? null : response.json();
+}
+
+/**
+ * List saved sessions, most recent first
+ * @returns {Promise<Array<object>>} - Session summaries
+ */
+async function listSessions() {
+    const data = await requestJSON('/api/sessions');
+    return data.sessions || [];
+}
+
+/**
+ * Create a new session
+ * @param {string} prompt - The shader description the session starts from
+ * @returns {Promise<object>} - The new session
+ */
+function createSession(prompt) {
+    return requestJSON('/api/sessions', { method: 'POST', body: { prompt } });
+}
+
+/**
+ * Load a session with all of its iterations
+ * @param {string} id - Session id
+ * @returns {Promise<object>} - The session
+ */
+function getSession(id) {
+    return requestJSON(`/api/sessions/${encodeURIComponent(id)}`);
+}
+
+/**
+ * Update a session's prompt or title
+ * @param {string} id - Session id
+ * @param {object} changes - { prompt, title }
+ * @returns {Promise<object>} - The updated session
+ */
+function updateSession(id, changes) {
+    return requestJSON(`/api/sessions/${encodeURIComponent(id)}`, { method: 'PATCH', body: changes });
+}
+
+/**
+ * Delete a session
+ * @param {string} id - Session id
+ * @returns {Promise<null>}
+ */
+function deleteSession(id) {
+    return requestJSON(`/api/sessions/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+/**
+ * Append an iteration to a session
+ * @param {string} id - Session id
+ * @param {object} iteration - Iteration data; `thumbnail` may hold a base64 image data URL
+ * @returns {Promise<object>} - The stored iteration (with thumbnailUrl instead of image data)
+ */
+function addIteration(id, iteration) {
+    return requestJSON(`/api/sessions/${encodeURIComponent(id)}/iterations`, { method: 'POST', body: iteration });
+}
+
+// Export as ES module
+export { listSessions, createSession, getSession, updateSession, deleteSession, addIteration };
@@ -1,5 +1,11 @@
 // shaderEvaluator.js - Evaluate shader compilation, performance, and visual results
 
+import { isGlsl300, prepareFragmentShader, remapShadertoyLog, setShadertoyUniforms } from './shaderRenderer.js';
+import { bindTextureChannels } from './textureChannels.js';
+import { BUFFER_NAMES, BufferPasses } from './multipass.js';
+import { resolveUniformValues, setUniform } from './uniformControls.js';
+import { bindAudioInput } from './audioInput.js';
+
 /**
  * ShaderEvaluator - Evaluates shader code by compiling, rendering, and computing metrics
  * Based on the Reflexion approach (https://arxiv.org/abs/2303.11366)
@@ -13,10 +19,19 @@ class ShaderEvaluator {
             maxScreenshots: 5,
             timeJitterAmount: 2.0,
             baseTime: 0,
+            frameTimeBudgetMs: 1000 / 60,
+            thumbnailSize: 128,
         }, options);
         
         // Reference images for SSIM comparison (could be loaded externally)
         this.referenceImages = {};
+        
+        // Buffer passes of the multipass shader being evaluated, and the frames rendered with them
+        this.bufferPasses = new BufferPasses(gl);
+        this.bufferFrame = 0;
+        
+        // Values of the annotated custom uniforms of the shader being evaluated
+        this.customUniforms = {};
     }
 
     /**
@@ -50,6 +65,74 @@ class ShaderEvaluator {
         return { shader, success: true, log: '' };
     }
 
+    /**
+     * Compile a fragment shader, wrapping Shadertoy mainImage() shaders first. Line numbers in the
+     * log refer to the shader as written.
+     * @param {string} fragmentSource - Fragment shader source
+     * @returns {Object} - Like compileShader, plus the compiled source
+     */
+    compileFragmentShader(fragmentSource) {
+        const { source, wrapped } = prepareFragmentShader(fragmentSource, this.gl);
+        const result = this.compileShader(source, this.gl.FRAGMENT_SHADER);
+        if (wrapped && result.log) {
+            result.log = remapShadertoyLog(result.log, wrapped);
+        }
+        return { ...result, source };
+    }
+
+    /**
+     * Compile and link the buffer passes of a multipass shader
+     * @param {Object} buffers - Buffer pass sources by name, e.g. { A: '...' }
+     * @returns {Object} - { success, log, programs, shaders }: the linked programs by name, and every
+     *   shader and program created, to be freed with _releaseBufferPasses
+     */
+    compileBufferPasses(buffers = {}) {
+        const gl = this.gl;
+        const result = { success: true, log: '', programs: {}, shaders: [], failedPrograms: [] };
+        
+        for (const name of BUFFER_NAMES.filter(bufferName => buffers[bufferName])) {
+            const fragmentResult = this.compileFragmentShader(buffers[name]);
+            const vertexResult = this.compileShader(this._getFixedVertexShader(fragmentResult.source), gl.VERTEX_SHADER);
+            result.shaders.push(vertexResult.shader, fragmentResult.shader);
+            const programResult = vertexResult.success && fragmentResult.success
+                ? this.linkProgram(vertexResult.shader, fragmentResult.shader)
+                : null;
+            
+            if (!programResult || !programResult.success) {
+                if (programResult) result.failedPrograms.push(programResult.program);
+                result.success = false;
+                result.log = `Buffer ${name}: ${fragmentResult.log || vertexResult.log || (programResult ? programResult.log : '')}`;
+                return result;
+            }
+            result.programs[name] = programResult.program;
+        }
+        
+        return result;
+    }
+
+    /**
+     * Render the next frames with these buffer passes, starting from cleared buffers
+     * @private
+     * @param {Object} programs - Linked buffer pass programs by name
+     */
+    _useBufferPasses(programs) {
+        this.bufferPasses.setPasses(programs);
+        this.bufferFrame = 0;
+    }
+
+    /**
+     * Stop rendering buffer passes and free what compileBufferPasses created
+     * @private
+     * @param {Object} compiled - Result of compileBufferPasses
+     */
+    _releaseBufferPasses(compiled) {
+        const gl = this.gl;
+        this.bufferPasses.dispose();
+        Object.values(compiled.programs).forEach(program => gl.deleteProgram(program));
+        compiled.failedPrograms.forEach(program => gl.deleteProgram(program));
+        compiled.shaders.forEach(shader => gl.deleteShader(shader));
+    }
+
     /**
      * Link a shader program
      * @param {WebGLShader} vertexShader - Compiled vertex shader
@@ -80,12 +163,24 @@ class ShaderEvaluator {
      */
     renderScene(program, scene = 'quad', uniforms = {}) {
         const gl = this.gl;
+        uniforms = { ...this.customUniforms, ...uniforms };
+        
+        // Buffer passes render first and advance one frame per scene; their state depends on
+        // uFrame counting up from 1, whatever frame the caller asked for
+        if (this.bufferPasses.hasPasses()) {
+            uniforms = { ...uniforms, uFrame: ++this.bufferFrame };
+            this.bufferPasses.render(this.canvas.width, this.canvas.height, pass => {
+                this._setUniforms(pass, uniforms);
+                this._drawQuad(pass);
+            });
+        }
         
         // Use the program
         gl.useProgram(program);
         
         // Set uniforms
         this._setUniforms(program, uniforms);
+        this.bufferPasses.bindBuffers(program);
         
         // Draw the scene (simplified for now)
         // In a real implementation, you'd have different geometry for each scene
@@ -113,42 +208,33 @@ class ShaderEvaluator {
             uAspect: uniforms.uAspect !== undefined ? uniforms.uAspect : this.canvas.width / this.canvas.height
         };
         
-        // Set all standard uniforms
+        // Set all standard uniforms, with the setter of each uniform's declared type
         for (const [name, value] of Object.entries(standardUniforms)) {
-            const location = gl.getUniformLocation(program, name);
-            if (location) {
-                if (typeof value === 'number') {
-                    gl.uniform1f(location, value);
-                } else if (Array.isArray(value)) {
-                    switch (value.length) {
-                        case 2: gl.uniform2fv(location, value); break;
-                        case 3: gl.uniform3fv(location, value); break;
-                        case 4: gl.uniform4fv(location, value); break;
-                    }
-                }
-            }
+            setUniform(gl, program, name, value);
         }
         
-        // Set any additional custom uniforms
+        // Set any additional custom uniforms, such as the annotated ones of the shader
         for (const [name, value] of Object.entries(uniforms)) {
             // Skip standard uniforms already set
             if (standardUniforms.hasOwnProperty(name)) continue;
             
-            const location = gl.getUniformLocation(program, name);
-            if (location) {
-                // Detect type and set uniform accordingly
-                if (typeof value === 'number') {
-                    gl.uniform1f(location, value);
-                } else if (Array.isArray(value)) {
-                    switch (value.length) {
-                        case 2: gl.uniform2fv(location, value); break;
-                        case 3: gl.uniform3fv(location, value); break;
-                        case 4: gl.uniform4fv(location, value); break;
-                    }
-                }
-                // Add support for textures or other types as needed
-            }
+            setUniform(gl, program, name, value);
+            // Add support for textures or other types as needed
         }
+
+        // Shadertoy inputs, for wrapped mainImage() shaders
+        setShadertoyUniforms(gl, program, {
+            time: standardUniforms.uTime,
+            timeDelta: 1 / 60,
+            frame: standardUniforms.uFrame,
+            width: this.canvas.width,
+            height: this.canvas.height
+        });
+
+        // Texture channels; they only exist in the context they were created in, so an
+        // evaluator with its own context samples black
+        bindTextureChannels(gl, program);
+        bindAudioInput(gl, program);
     }
 
     /**
@@ -295,11 +381,174 @@ class ShaderEvaluator {
     }
 
     /**
-     * Fixed vertex shader for fragment-only workflow (like Shadertoy)
+     * Read the current frame's pixels
+     * @private
+     * @returns {Uint8Array} - RGBA pixels
+     */
+    _readPixels() {
+        const gl = this.gl;
+        const pixels = new Uint8Array(this.canvas.width * this.canvas.height * 4);
+        gl.readPixels(0, 0, this.canvas.width, this.canvas.height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        return pixels;
+    }
+
+    /**
+     * Check whether a frame is blank: every pixel has (nearly) the same color, black or not
+     * @param {Uint8Array} pixels - RGBA pixels from _readPixels
+     * @returns {boolean} - True if the frame is a single flat color
+     */
+    isBlank(pixels) {
+        const tolerance = 4;
+        for (let i = 4; i < pixels.length; i += 4) {
+            if (Math.abs(pixels[i] - pixels[0]) > tolerance ||
+                Math.abs(pixels[i + 1] - pixels[1]) > tolerance ||
+                Math.abs(pixels[i + 2] - pixels[2]) > tolerance) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Check whether the shader's output changes over time
+     * @param {WebGLProgram} program - Compiled shader program
+     * @returns {boolean} - True if more than 1% of the pixels change between two points in time
+     */
+    isAnimated(program) {
+        const frameAt = time => {
+            this.renderScene(program, 'quad', { uTime: time });
+            return this._readPixels();
+        };
+        const before = frameAt(this.options.baseTime);
+        const after = frameAt(this.options.baseTime + this.options.timeJitterAmount / 2);
+
+        let changed = 0;
+        for (let i = 0; i < before.length; i += 4) {
+            if (Math.abs(before[i] - after[i]) + Math.abs(before[i + 1] - after[i + 1]) + Math.abs(before[i + 2] - after[i + 2]) > 6) {
+                changed++;
+            }
+        }
+        return changed > (before.length / 4) * 0.01;
+    }
+
+    /**
+     * Measure the average time to render a frame. Unlike measureFPS, this waits for the GPU to
+     * finish, so slow shaders are not hidden by the driver queueing the draw calls.
+     * @param {WebGLProgram} program - Compiled shader program
+     * @param {number} frames - Number of frames to render
+     * @returns {number} - Milliseconds per frame
+     */
+    measureFrameTime(program, frames = 20) {
+        const gl = this.gl;
+        const pixel = new Uint8Array(4);
+        const start = performance.now();
+
+        for (let i = 0; i < frames; i++) {
+            this.renderScene(program, 'quad', {
+                uTime: this.options.baseTime + (i / frames) * this.options.timeJitterAmount,
+                uFrame: i
+            });
+        }
+        // Reading a pixel blocks until every queued frame has been drawn
+        gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+
+        return (performance.now() - start) / frames;
+    }
+
+    /**
+     * Copy the current frame into a small JPEG data URL
+     * @private
+     * @returns {string}
+     */
+    _captureThumbnail() {
+        const size = this.options.thumbnailSize;
+        const thumbnailCanvas = document.createElement('canvas');
+        thumbnailCanvas.width = size;
+        thumbnailCanvas.height = Math.round(size * this.canvas.height / this.canvas.width);
+        thumbnailCanvas.getContext('2d').drawImage(this.canvas, 0, 0, thumbnailCanvas.width, thumbnailCanvas.height);
+        return thumbnailCanvas.toDataURL('image/jpeg', 0.7);
+    }
+
+    /**
+     * Evaluate a candidate shader with the checks used to rank candidates: whether it compiles,
+     * whether its output is blank, whether it is animated and whether it renders within the
+     * frame-time budget. Renders into the shared canvas, so the caller redraws its own shader afterwards.
+     * @param {string} fragmentSource - Fragment shader source
+     * @param {Object} [buffers] - Buffer pass sources by name, rendered before the shader every frame
+     * @returns {Object} - { compiled, infoLog, blank, animated, frameTimeMs, withinFrameBudget, thumbnail }
+     */
+    async evaluateCandidate(fragmentSource, buffers = {}) {
+        const gl = this.gl;
+        const fragmentResult = this.compileFragmentShader(fragmentSource);
+        const vertexResult = this.compileShader(this._getFixedVertexShader(fragmentResult.source), gl.VERTEX_SHADER);
+        const programResult = vertexResult.success && fragmentResult.success
+            ? this.linkProgram(vertexResult.shader, fragmentResult.shader)
+            : null;
+        const bufferResult = this.compileBufferPasses(buffers);
+
+        if (!programResult || !programResult.success || !bufferResult.success) {
+            if (programResult) gl.deleteProgram(programResult.program);
+            gl.deleteShader(vertexResult.shader);
+            gl.deleteShader(fragmentResult.shader);
+            this._releaseBufferPasses(bufferResult);
+            return {
+                compiled: false,
+                infoLog: fragmentResult.log || vertexResult.log || (programResult ? programResult.log : '') || bufferResult.log,
+                blank: true,
+                animated: false,
+                frameTimeMs: null,
+                withinFrameBudget: false,
+                thumbnail: null
+            };
+        }
+
+        const program = programResult.program;
+        this._useBufferPasses(bufferResult.programs);
+        this.customUniforms = resolveUniformValues([fragmentSource, ...Object.values(buffers)]);
+        const frameTimeMs = this.measureFrameTime(program);
+        const animated = this.isAnimated(program);
+
+        // Judge and show a frame a little way into the animation, once most effects have started
+        this.renderScene(program, 'quad', { uTime: this.options.baseTime + this.options.timeJitterAmount / 2 });
+        const blank = this.isBlank(this._readPixels());
+        const thumbnail = this._captureThumbnail();
+
+        gl.deleteProgram(program);
+        gl.deleteShader(vertexResult.shader);
+        gl.deleteShader(fragmentResult.shader);
+        this._releaseBufferPasses(bufferResult);
+        this.customUniforms = {};
+
+        return {
+            compiled: true,
+            infoLog: '',
+            blank,
+            animated,
+            frameTimeMs,
+            withinFrameBudget: frameTimeMs <= this.options.frameTimeBudgetMs,
+            thumbnail
+        };
+    }
+
+    /**
+     * Fixed vertex shader for fragment-only workflow (like Shadertoy), in the fragment shader's GLSL version
      * @private
+     * @param {string} fragmentSource - Fragment shader source
      * @returns {string} - Fixed vertex shader source
      */
-    _getFixedVertexShader() {
+    _getFixedVertexShader(fragmentSource) {
+        // #version 300 es must be the very first line, so this one has no leading whitespace
+        if (isGlsl300(fragmentSource)) {
+            return `#version 300 es
+            in vec4 aPosition;
+            out vec2 vUv;
+
+            void main() {
+                vUv = aPosition.xy * 0.5 + 0.5;
+                gl_Position = aPosition;
+            }
+        `;
+        }
         return `
             attribute vec4 aPosition;
             varying vec2 vUv;
@@ -314,26 +563,27 @@ class ShaderEvaluator {
     /**
      * Fully evaluate a fragment shader and return detailed results
      * @param {string} fragmentSource - Fragment shader source
+     * @param {Object} [buffers] - Buffer pass sources by name, rendered before the shader every frame
      * @returns {Object} - Evaluation results
      */
-    async evaluateShader(fragmentSource) {
+    async evaluateShader(fragmentSource, buffers = {}) {
         const gl = this.gl;
         
-        // Use fixed vertex shader
-        const vertexSource = this._getFixedVertexShader();
-        
-        // Compile shaders
-        const vertexResult = this.compileShader(vertexSource, gl.VERTEX_SHADER);
-        const fragmentResult = this.compileShader(fragmentSource, gl.FRAGMENT_SHADER);
+        // Compile shaders, with the fixed vertex shader of the fragment shader's GLSL version
+        const fragmentResult = this.compileFragmentShader(fragmentSource);
+        const vertexResult = this.compileShader(this._getFixedVertexShader(fragmentResult.source), gl.VERTEX_SHADER);
+        const bufferResult = this.compileBufferPasses(buffers);
         
         // Combined info log
         const infoLog = [
             vertexResult.log ? `Vertex shader: ${vertexResult.log}` : '',
-            fragmentResult.log ? `Fragment shader: ${fragmentResult.log}` : ''
+            fragmentResult.log ? `Fragment shader: ${fragmentResult.log}` : '',
+            bufferResult.log
         ].filter(Boolean).join('\n');
         
         // If compilation failed, return early
-        if (!vertexResult.success || !fragmentResult.success) {
+        if (!vertexResult.success || !fragmentResult.success || !bufferResult.success) {
+            this._releaseBufferPasses(bufferResult);
             return {
                 compiled: false,
                 infoLog,
@@ -348,6 +598,7 @@ class ShaderEvaluator {
         
         // If linking failed, return early
         if (!programResult.success) {
+            this._releaseBufferPasses(bufferResult);
             return {
                 compiled: false,
                 infoLog: infoLog + '\n' + programResult.log,
@@ -359,6 +610,8 @@ class ShaderEvaluator {
         
         // Render and evaluate
         const program = programResult.program;
+        this._useBufferPasses(bufferResult.programs);
+        this.customUniforms = resolveUniformValues([fragmentSource, ...Object.values(buffers)]);
         this.renderScene(program, 'quad', {
             uTime: this.options.baseTime,
             uResolution: [this.canvas.width, this.canvas.height]
@@ -376,6 +629,8 @@ class ShaderEvaluator {
         gl.deleteProgram(program);
         gl.deleteShader(vertexResult.shader);
         gl.deleteShader(fragmentResult.shader);
+        this._releaseBufferPasses(bufferResult);
+        this.customUniforms = {};
         
         return {
             compiled: true,
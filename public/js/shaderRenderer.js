@@ -5,11 +5,18 @@
  * Following the Shadertoy model where only fragment shaders are editable
  */
 
+import { bindTextureChannels } from './textureChannels.js';
+import { BUFFER_NAMES, BufferPasses } from './multipass.js';
+import { setUniformControls, applyUniformValues } from './uniformControls.js';
+import { bindAudioInput } from './audioInput.js';
+
 // Global variables
 let gl;
 let canvas;
 let shaderProgram;
 let positionBuffer;
+let bufferPasses; // Buffer passes of the current shader, rendered before shaderProgram
+let shaderSource = null; // Fragment shader source of shaderProgram
 
 // Fixed vertex shader (not editable by users)
 const fixedVertexShader = `attribute vec2 position;
@@ -20,6 +27,37 @@ void main() {
     gl_Position = vec4(position, 0.0, 1.0);
 }`;
 
+// Fixed vertex shader for GLSL ES 3.00 fragment shaders, which WebGL 2 only links with a vertex shader of the same version
+const fixedVertexShader300 = `#version 300 es
+in vec2 position;
+out vec2 vUv;
+
+void main() {
+    vUv = position * 0.5 + 0.5; // Map from [-1,1] to [0,1]
+    gl_Position = vec4(position, 0.0, 1.0);
+}`;
+
+// Vertex shaders for rendering one tile of a larger image: vUv covers only the tile's part of 0-1.
+// uTileRect holds the tile's offset and size as shares of the image.
+const tiledVertexShader = `attribute vec2 position;
+varying vec2 vUv;
+uniform vec4 uTileRect;
+
+void main() {
+    vUv = uTileRect.xy + (position * 0.5 + 0.5) * uTileRect.zw;
+    gl_Position = vec4(position, 0.0, 1.0);
+}`;
+
+const tiledVertexShader300 = `#version 300 es
+in vec2 position;
+out vec2 vUv;
+uniform vec4 uTileRect;
+
+void main() {
+    vUv = uTileRect.xy + (position * 0.5 + 0.5) * uTileRect.zw;
+    gl_Position = vec4(position, 0.0, 1.0);
+}`;
+
 // Default fragment shader
 const defaultFragmentShader = `precision mediump float;
 varying vec2 vUv;
@@ -37,21 +75,219 @@ void main() {
     gl_FragColor = vec4(color, 1.0);
 }`;
 
+// Default fragment shader in GLSL ES 3.00
+const defaultFragmentShader300 = `#version 300 es
+precision mediump float;
+in vec2 vUv;
+uniform float uTime;
+uniform vec2 uResolution;
+uniform vec2 uMouse;
+uniform vec2 uMouseClick;
+uniform int uIsMouseDown;
+uniform int uFrame;
+uniform float uAspect;
+out vec4 fragColor;
+
+void main() {
+    vec2 uv = vUv;
+    vec3 color = 0.5 + 0.5 * cos(uTime + uv.xyx + vec3(0, 2, 4));
+    fragColor = vec4(color, 1.0);
+}`;
+
+/**
+ * Check whether a fragment shader is written in GLSL ES 3.00
+ * @param {string} source - Fragment shader source code
+ * @returns {boolean} - True if the shader starts with #version 300 es
+ */
+function isGlsl300(source) {
+    return /^\s*#\s*version\s+300\s+es\b/.test(source || '');
+}
+
+/**
+ * Get the fixed vertex shader matching a fragment shader's GLSL version
+ * @param {string} fsSource - Fragment shader source code
+ * @returns {string} - Vertex shader source code
+ */
+function getFixedVertexShader(fsSource) {
+    return isGlsl300(fsSource) ? fixedVertexShader300 : fixedVertexShader;
+}
+
+/**
+ * Make a fragment shader render one tile of a larger image: gl_FragCoord is moved by the tile's
+ * offset in pixels, uTileOffset, so it counts pixels of the whole image
+ * @param {string} source - Fragment shader source code, after prepareFragmentShader
+ * @returns {string} - Source code with uTileOffset declared after the leading directives
+ */
+function offsetFragCoord(source) {
+    const lines = source.replace(/\bgl_FragCoord\b/g, '(gl_FragCoord + vec4(uTileOffset, 0.0, 0.0))').split('\n');
+    // #version and #extension must come before any declaration
+    let insertAt = 0;
+    while (insertAt < lines.length && /^\s*((#\s*(version|extension)\b|\/\/).*)?$/.test(lines[insertAt])) {
+        insertAt++;
+    }
+    // Pixel offsets of large images need more precision than mediump has
+    lines.splice(insertAt, 0,
+        '#ifdef GL_FRAGMENT_PRECISION_HIGH',
+        'uniform highp vec2 uTileOffset;',
+        '#else',
+        'uniform mediump vec2 uTileOffset;',
+        '#endif');
+    return lines.join('\n');
+}
+
+/**
+ * Check whether a context is a WebGL 2 context
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} [context] - Context to check, the renderer's by default
+ * @returns {boolean} - True if GLSL ES 3.00 shaders can be compiled
+ */
+function isWebGL2(context = gl) {
+    return typeof WebGL2RenderingContext !== 'undefined' && context instanceof WebGL2RenderingContext;
+}
+
+// Inputs declared for Shadertoy shaders, which define mainImage() instead of main()
+const SHADERTOY_UNIFORMS = {
+    iResolution: 'vec3',
+    iTime: 'float',
+    iTimeDelta: 'float',
+    iFrame: 'int',
+    iMouse: 'vec4',
+    iDate: 'vec4',
+    iChannel0: 'sampler2D',
+    iChannel1: 'sampler2D',
+    iChannel2: 'sampler2D',
+    iChannel3: 'sampler2D'
+};
+
+/**
+ * Check whether a fragment shader is written for Shadertoy
+ * @param {string} source - Fragment shader source code
+ * @returns {boolean} - True if it defines mainImage(out vec4, in vec2) and no main()
+ */
+function isShadertoyShader(source) {
+    const code = (source || '').replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+    return /\bvoid\s+mainImage\s*\(\s*out\s+vec4\s+\w+\s*,\s*(?:in\s+)?vec2\s+\w+\s*\)/.test(code) &&
+        !/\bvoid\s+main\s*\(/.test(code);
+}
+
+/**
+ * Wrap a Shadertoy shader so it runs in the lab: a header declaring the Shadertoy inputs the shader
+ * does not declare itself, and a main() that calls mainImage() with gl_FragCoord. Shadertoy shaders
+ * are GLSL ES 3.00, so WebGL 2 runs them as such; on WebGL 1 they are compiled as GLSL ES 1.0 with
+ * texture() mapped to texture2D(). A #version line in the shader is blanked to keep line numbers.
+ * @param {string} source - Shadertoy shader source code
+ * @param {boolean} [glsl300] - Whether to wrap as GLSL ES 3.00, by default when the renderer has WebGL 2
+ * @returns {{source: string, lineOffset: number, lineCount: number}} - The wrapped source, the number of
+ *   header lines before the shader's first line, and the shader's own line count
+ */
+function wrapShadertoyShader(source, glsl300 = isWebGL2()) {
+    const body = source.replace(/^(\s*)#\s*version[^\n]*/, '$1');
+    const header = [
+        ...(glsl300 ? ['#version 300 es'] : []),
+        'precision highp float;',
+        'precision highp int;',
+        ...Object.entries(SHADERTOY_UNIFORMS)
+            .filter(([name]) => !new RegExp(`\\buniform\\s+(?:\\w+\\s+)?\\w+\\s+${name}\\b`).test(body))
+            .map(([name, type]) => `uniform ${type} ${name};`),
+        ...(glsl300 ? ['out vec4 shadertoyFragColor;'] : ['#define texture texture2D'])
+    ];
+    const output = glsl300 ? 'shadertoyFragColor' : 'gl_FragColor';
+    const footer = [
+        'void main() {',
+        `    mainImage(${output}, gl_FragCoord.xy);`,
+        `    ${output}.a = 1.0; // Shadertoy ignores alpha`,
+        '}'
+    ];
+
+    return {
+        source: `${header.join('\n')}\n${body}\n${footer.join('\n')}`,
+        lineOffset: header.length,
+        lineCount: body.split('\n').length
+    };
+}
+
+/**
+ * Move the line numbers in a compile log of a wrapped Shadertoy shader back onto the shader's own
+ * lines. Errors in the wrapper keep their line and say so.
+ * @param {string} log - Compile log, with lines like "ERROR: 0:12: message"
+ * @param {Object} wrapped - Result of wrapShadertoyShader
+ * @returns {string} - The log with the shader's line numbers
+ */
+function remapShadertoyLog(log, wrapped) {
+    return (log || '').replace(/(ERROR|WARNING): (\d+):(\d+):([^\n]*)/g, (match, severity, file, line, message) => {
+        const sourceLine = Number(line) - wrapped.lineOffset;
+        if (sourceLine >= 1 && sourceLine <= wrapped.lineCount) {
+            return `${severity}: ${file}:${sourceLine}:${message}`;
+        }
+        return `${severity}: ${file}:${Math.min(Math.max(sourceLine, 1), wrapped.lineCount)}:${message} (in the Shadertoy wrapper that calls mainImage)`;
+    });
+}
+
 /**
- * Initialize WebGL
+ * Prepare a fragment shader for compiling: Shadertoy shaders are wrapped, all others are used as they are
+ * @param {string} fsSource - Fragment shader source code
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} [context] - Context it will be compiled with
+ * @returns {{source: string, wrapped: Object|null}} - The source to compile, and the wrapping if any
+ */
+function prepareFragmentShader(fsSource, context = gl) {
+    if (!isShadertoyShader(fsSource)) {
+        return { source: fsSource, wrapped: null };
+    }
+    const wrapped = wrapShadertoyShader(fsSource, isWebGL2(context));
+    return { source: wrapped.source, wrapped };
+}
+
+// Uniform locations of the Shadertoy inputs, by program
+const shadertoyLocations = new WeakMap();
+
+/**
+ * Set the Shadertoy inputs of a program. Programs that are not wrapped Shadertoy shaders have none of them.
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} context - Context the program belongs to
+ * @param {WebGLProgram} program - Program in use
+ * @param {Object} values - { time, timeDelta, frame, width, height, mouse: [x, y, clickX, clickY] in pixels }
+ */
+function setShadertoyUniforms(context, program, { time = 0, timeDelta = 0, frame = 0, width, height, mouse = [0, 0, 0, 0] }) {
+    if (!program) {
+        return;
+    }
+    if (!shadertoyLocations.has(program)) {
+        const locations = {};
+        Object.keys(SHADERTOY_UNIFORMS).forEach(name => {
+            locations[name] = context.getUniformLocation(program, name);
+        });
+        shadertoyLocations.set(program, locations);
+    }
+    const locations = shadertoyLocations.get(program);
+
+    const now = new Date();
+    const secondsToday = now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds() + now.getMilliseconds() / 1000;
+    if (locations.iResolution) context.uniform3f(locations.iResolution, width, height, 1.0);
+    if (locations.iTime) context.uniform1f(locations.iTime, time);
+    if (locations.iTimeDelta) context.uniform1f(locations.iTimeDelta, timeDelta);
+    if (locations.iFrame) context.uniform1i(locations.iFrame, frame);
+    if (locations.iMouse) context.uniform4fv(locations.iMouse, mouse);
+    if (locations.iDate) context.uniform4f(locations.iDate, now.getFullYear(), now.getMonth(), now.getDate(), secondsToday);
+    for (let channel = 0; channel < 4; channel++) {
+        const location = locations[`iChannel${channel}`];
+        if (location) context.uniform1i(location, channel);
+    }
+}
+
+/**
+ * Initialize WebGL, preferring a WebGL 2 context so that GLSL ES 3.00 shaders can run
  * @param {HTMLCanvasElement} canvasElement - The canvas element to use
  * @param {Function} onShaderSetupComplete - Callback for when initial shader setup is complete
- * @returns {WebGLRenderingContext} - WebGL context
+ * @returns {WebGLRenderingContext|WebGL2RenderingContext} - WebGL context
  */
 function initWebGL(canvasElement, onShaderSetupComplete = null) {
     canvas = canvasElement;
-    gl = canvas.getContext('webgl');
+    gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
 
     if (!gl) {
         throw new Error('Unable to initialize WebGL. Your browser may not support it.');
     }
 
     // Set up initial program with default fragment shader and fixed vertex shader
+    bufferPasses = new BufferPasses(gl);
     setupShaderProgram(defaultFragmentShader);
     initBuffers();
 
@@ -71,6 +307,10 @@ let mousePosition = { x: 0, y: 0 };
 let lastClickPosition = { x: 0, y: 0 };
 let isMouseDown = false;
 let frameCount = 0;
+// Shadertoy's iMouse also needs where the button went down, and whether that happened since the last frame
+let mouseDownPosition = { x: 0, y: 0 };
+let mouseClickedThisFrame = false;
+let lastFrameTime = null;
 
 /**
  * Setup mouse tracking for interactive shaders
@@ -95,6 +335,8 @@ function setupMouseTracking(canvas) {
         const rect = canvas.getBoundingClientRect();
         lastClickPosition.x = (event.clientX - rect.left) / rect.width;
         lastClickPosition.y = 1.0 - (event.clientY - rect.top) / rect.height;
+        mouseDownPosition = { ...lastClickPosition };
+        mouseClickedThisFrame = true;
     });
     
     canvas.addEventListener('mouseup', () => {
@@ -107,43 +349,88 @@ function setupMouseTracking(canvas) {
 }
 
 /**
- * Set up shader program
+ * Compile and link the program of one pass, with the fixed vertex shader of the same GLSL version
  * @param {string} fsSource - Fragment shader source code
+ * @param {boolean} [tiled] - Whether the program renders tiles of a larger image, see drawTile
+ * @returns {WebGLProgram} - Linked program, with its vertex position and lab uniform locations
+ * @throws {Error} - When the shader does not compile or link
+ */
+function createPassProgram(fsSource, tiled = false) {
+    // Shadertoy shaders get a main() that calls their mainImage()
+    const { source, wrapped } = prepareFragmentShader(fsSource);
+    if (isGlsl300(source) && !isWebGL2()) {
+        throw new Error('This shader is written in GLSL ES 3.00 (#version 300 es), which needs WebGL 2, but this browser only supports WebGL 1.');
+    }
+
+    // Create shader program using the fixed vertex shader of the same GLSL version and provided fragment shader
+    const vertexShader = tiled
+        ? loadShader(gl.VERTEX_SHADER, isGlsl300(source) ? tiledVertexShader300 : tiledVertexShader)
+        : loadShader(gl.VERTEX_SHADER, getFixedVertexShader(source));
+    const fragmentShader = tiled
+        ? loadShader(gl.FRAGMENT_SHADER, offsetFragCoord(source), wrapped)
+        : loadShader(gl.FRAGMENT_SHADER, source, wrapped);
+    
+    // Create the shader program
+    const program = gl.createProgram();
+    gl.attachShader(program, vertexShader);
+    gl.attachShader(program, fragmentShader);
+    gl.linkProgram(program);
+    
+    // Check if shader program linked successfully
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        const errorLog = gl.getProgramInfoLog(program);
+        throw new Error(`Unable to initialize the shader program: ${errorLog}`);
+    }
+    
+    // Get position attribute location (from our fixed vertex shader)
+    program.vertexPosition = gl.getAttribLocation(program, 'position');
+    
+    if (program.vertexPosition === -1) {
+        console.warn('No valid vertex position attribute found in shader');
+    }
+    
+    // Get common uniform locations
+    program.timeUniform = gl.getUniformLocation(program, 'uTime');
+    program.resolutionUniform = gl.getUniformLocation(program, 'uResolution');
+    program.mouseUniform = gl.getUniformLocation(program, 'uMouse');
+    program.mouseClickUniform = gl.getUniformLocation(program, 'uMouseClick');
+    program.isMouseDownUniform = gl.getUniformLocation(program, 'uIsMouseDown');
+    program.frameUniform = gl.getUniformLocation(program, 'uFrame');
+    program.aspectUniform = gl.getUniformLocation(program, 'uAspect');
+    if (tiled) {
+        program.tileRectUniform = gl.getUniformLocation(program, 'uTileRect');
+        program.tileOffsetUniform = gl.getUniformLocation(program, 'uTileOffset');
+    }
+    return program;
+}
+
+/**
+ * Set up shader program
+ * @param {string} fsSource - Fragment shader source code of the image pass
+ * @param {Object} [buffers] - Buffer pass sources by name, e.g. { A: '...' }, rendered before the image pass
  * @returns {boolean} - True if setup was successful
  */
-function setupShaderProgram(fsSource) {
+function setupShaderProgram(fsSource, buffers = {}) {
     try {
-        // Create shader program using the fixed vertex shader and provided fragment shader
-        const vertexShader = loadShader(gl.VERTEX_SHADER, fixedVertexShader);
-        const fragmentShader = loadShader(gl.FRAGMENT_SHADER, fsSource);
-        
-        // Create the shader program
-        shaderProgram = gl.createProgram();
-        gl.attachShader(shaderProgram, vertexShader);
-        gl.attachShader(shaderProgram, fragmentShader);
-        gl.linkProgram(shaderProgram);
-        
-        // Check if shader program linked successfully
-        if (!gl.getProgramParameter(shaderProgram, gl.LINK_STATUS)) {
-            const errorLog = gl.getProgramInfoLog(shaderProgram);
-            throw new Error(`Unable to initialize the shader program: ${errorLog}`);
-        }
-        
-        // Get position attribute location (from our fixed vertex shader)
-        shaderProgram.vertexPosition = gl.getAttribLocation(shaderProgram, 'position');
-        
-        if (shaderProgram.vertexPosition === -1) {
-            console.warn('No valid vertex position attribute found in shader');
-        }
+        const program = createPassProgram(fsSource);
+        const bufferPrograms = {};
+        BUFFER_NAMES.filter(name => buffers[name]).forEach(name => {
+            try {
+                bufferPrograms[name] = createPassProgram(buffers[name]);
+            } catch (error) {
+                error.message = `Buffer ${name}: ${error.message}`;
+                throw error;
+            }
+        });
+
+        // Every pass compiled, so switch to the new shader and start its buffers and frame count afresh
+        shaderProgram = program;
+        shaderSource = fsSource;
+        bufferPasses.setPasses(bufferPrograms);
+        frameCount = 0;
         
-        // Get common uniform locations
-        shaderProgram.timeUniform = gl.getUniformLocation(shaderProgram, 'uTime');
-        shaderProgram.resolutionUniform = gl.getUniformLocation(shaderProgram, 'uResolution');
-        shaderProgram.mouseUniform = gl.getUniformLocation(shaderProgram, 'uMouse');
-        shaderProgram.mouseClickUniform = gl.getUniformLocation(shaderProgram, 'uMouseClick');
-        shaderProgram.isMouseDownUniform = gl.getUniformLocation(shaderProgram, 'uIsMouseDown');
-        shaderProgram.frameUniform = gl.getUniformLocation(shaderProgram, 'uFrame');
-        shaderProgram.aspectUniform = gl.getUniformLocation(shaderProgram, 'uAspect');
+        // Controls for the annotated custom uniforms of every pass
+        setUniformControls([fsSource, ...BUFFER_NAMES.filter(name => buffers[name]).map(name => buffers[name])]);
         
         // Clear any previous errors in UI if available
         const errorElement = document.getElementById('shaderError');
@@ -179,16 +466,18 @@ function setupShaderProgram(fsSource) {
  * Compile shader
  * @param {number} type - Shader type (gl.VERTEX_SHADER or gl.FRAGMENT_SHADER)
  * @param {string} source - Shader source code
+ * @param {Object|null} wrapped - Result of wrapShadertoyShader when the source is a wrapped Shadertoy shader,
+ *   so that error line numbers refer to the shader as written
  * @returns {WebGLShader} - Compiled shader
  */
-function loadShader(type, source) {
+function loadShader(type, source, wrapped = null) {
     const shader = gl.createShader(type);
     gl.shaderSource(shader, source);
     gl.compileShader(shader);
     
     // Check if compilation was successful
     if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-        const errorLog = gl.getShaderInfoLog(shader);
+        const errorLog = wrapped ? remapShadertoyLog(gl.getShaderInfoLog(shader), wrapped) : gl.getShaderInfoLog(shader);
         gl.deleteShader(shader);
         const shaderType = type === gl.VERTEX_SHADER ? 'VERTEX' : 'FRAGMENT';
         throw new Error(`An error occurred compiling the ${shaderType} shader: ${errorLog}`);
@@ -220,61 +509,83 @@ function initBuffers() {
 }
 
 /**
- * Draw the scene
+ * Set a pass's uniforms and draw the full-screen quad with it
+ * @param {WebGLProgram} program - Program in use, from createPassProgram
  * @param {number} time - Current time in seconds
+ * @param {number} timeDelta - Seconds since the previous frame
+ * @param {number} width - Width of the target in pixels
+ * @param {number} height - Height of the target in pixels
  */
-function drawScene(time) {
-    gl.clearColor(0.0, 0.0, 0.0, 1.0);
-    gl.clear(gl.COLOR_BUFFER_BIT);
-    
-    // Use shader program
-    gl.useProgram(shaderProgram);
-    
-    // Increment frame counter
-    frameCount++;
-    
+function drawPass(program, time, timeDelta, width, height) {
     // Set the shader uniforms if they exist
-    if (shaderProgram.timeUniform) {
-        gl.uniform1f(shaderProgram.timeUniform, time);
+    if (program.timeUniform) {
+        gl.uniform1f(program.timeUniform, time);
     }
     
-    if (shaderProgram.resolutionUniform) {
-        gl.uniform2f(shaderProgram.resolutionUniform, canvas.width, canvas.height);
+    if (program.resolutionUniform) {
+        gl.uniform2f(program.resolutionUniform, width, height);
     }
     
-    if (shaderProgram.mouseUniform) {
-        gl.uniform2f(shaderProgram.mouseUniform, mousePosition.x, mousePosition.y);
+    if (program.mouseUniform) {
+        gl.uniform2f(program.mouseUniform, mousePosition.x, mousePosition.y);
     }
     
-    if (shaderProgram.mouseClickUniform) {
-        gl.uniform2f(shaderProgram.mouseClickUniform, lastClickPosition.x, lastClickPosition.y);
+    if (program.mouseClickUniform) {
+        gl.uniform2f(program.mouseClickUniform, lastClickPosition.x, lastClickPosition.y);
     }
     
-    if (shaderProgram.isMouseDownUniform) {
-        gl.uniform1i(shaderProgram.isMouseDownUniform, isMouseDown ? 1 : 0);
+    if (program.isMouseDownUniform) {
+        gl.uniform1i(program.isMouseDownUniform, isMouseDown ? 1 : 0);
     }
     
-    if (shaderProgram.frameUniform) {
-        gl.uniform1i(shaderProgram.frameUniform, frameCount);
+    if (program.frameUniform) {
+        gl.uniform1i(program.frameUniform, frameCount);
     }
     
-    if (shaderProgram.aspectUniform) {
-        gl.uniform1f(shaderProgram.aspectUniform, canvas.width / canvas.height);
+    if (program.aspectUniform) {
+        gl.uniform1f(program.aspectUniform, width / height);
     }
     
+    // Annotated custom uniforms, from their controls
+    applyUniformValues(gl, program);
+    
+    // Shadertoy inputs: iMouse is in pixels, z is negative once the button is up and w only
+    // positive on the frame the button went down
+    const clickX = mouseDownPosition.x * width;
+    const clickY = mouseDownPosition.y * height;
+    setShadertoyUniforms(gl, program, {
+        time,
+        timeDelta,
+        frame: frameCount,
+        width,
+        height,
+        mouse: [
+            lastClickPosition.x * width,
+            lastClickPosition.y * height,
+            isMouseDown ? clickX : -clickX,
+            mouseClickedThisFrame ? clickY : -clickY
+        ]
+    });
+
+    // Texture channels on units 0-3
+    bindTextureChannels(gl, program);
+    
+    // uAudio and the audio levels
+    bindAudioInput(gl, program);
+    
     // Set up vertex attributes 
-    if (shaderProgram.vertexPosition !== -1) {
+    if (program.vertexPosition !== -1) {
         // Set up vertex attributes
         gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
         gl.vertexAttribPointer(
-            shaderProgram.vertexPosition,
+            program.vertexPosition,
             2,        // 2 components per vertex
             gl.FLOAT, // the data is 32bit floats
             false,    // don't normalize
             0,        // stride
             0         // offset
         );
-        gl.enableVertexAttribArray(shaderProgram.vertexPosition);
+        gl.enableVertexAttribArray(program.vertexPosition);
         
         // Draw the geometry
         gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
@@ -283,6 +594,103 @@ function drawScene(time) {
     }
 }
 
+/**
+ * Draw the scene: the buffer passes into their framebuffers, then the image pass to the canvas
+ * @param {number} time - Current time in seconds
+ * @param {boolean} [advance] - Whether this is a new frame. A redraw of a paused frame (false) keeps
+ *   the frame count and does not render the buffer passes, so their state stays as it was.
+ */
+function drawScene(time, advance = true) {
+    let timeDelta = 0;
+    if (advance) {
+        // Increment frame counter
+        frameCount++;
+        timeDelta = lastFrameTime === null ? 0 : Math.max(0, time - lastFrameTime);
+        
+        bufferPasses.render(canvas.width, canvas.height, program => {
+            drawPass(program, time, timeDelta, canvas.width, canvas.height);
+        });
+    }
+    
+    // The canvas may have been resized since the last frame
+    gl.viewport(0, 0, canvas.width, canvas.height);
+    gl.clearColor(0.0, 0.0, 0.0, 1.0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    
+    // Use shader program
+    gl.useProgram(shaderProgram);
+    bufferPasses.bindBuffers(shaderProgram);
+    drawPass(shaderProgram, time, timeDelta, canvas.width, canvas.height);
+    
+    if (advance) {
+        mouseClickedThisFrame = false;
+    }
+    lastFrameTime = time;
+}
+
+/**
+ * Compile the current shader's image pass again for rendering an image larger than the canvas in
+ * tiles, see drawTile
+ * @returns {WebGLProgram} - Delete it with gl.deleteProgram when done
+ * @throws {Error} - When no shader is compiled
+ */
+function createTileProgram() {
+    if (!shaderSource) {
+        throw new Error('No shader is compiled');
+    }
+    return createPassProgram(shaderSource, true);
+}
+
+/**
+ * Draw one tile of an image larger than the canvas to the bottom left of the canvas. The shader
+ * sees the whole image: uResolution is its size, and gl_FragCoord and vUv are positions in it.
+ * Buffer passes are not rendered; the image pass reads them as they are in the preview.
+ * @param {WebGLProgram} program - From createTileProgram
+ * @param {number} time - Time in seconds
+ * @param {Object} tile - { x, y, width, height }: the tile in pixels of the image, from its bottom left
+ * @param {number} imageWidth - Width of the whole image in pixels
+ * @param {number} imageHeight - Height of the whole image in pixels
+ */
+function drawTile(program, time, tile, imageWidth, imageHeight) {
+    gl.viewport(0, 0, tile.width, tile.height);
+    gl.clearColor(0.0, 0.0, 0.0, 1.0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    gl.useProgram(program);
+    if (program.tileRectUniform) {
+        gl.uniform4f(program.tileRectUniform, tile.x / imageWidth, tile.y / imageHeight, tile.width / imageWidth, tile.height / imageHeight);
+    }
+    if (program.tileOffsetUniform) {
+        gl.uniform2f(program.tileOffsetUniform, tile.x, tile.y);
+    }
+    bufferPasses.bindBuffers(program);
+    drawPass(program, time, 0, imageWidth, imageHeight);
+}
+
+/**
+ * Get the number of frames rendered since the shader was compiled, the value of uFrame
+ * @returns {number}
+ */
+function getFrameCount() {
+    return frameCount;
+}
+
+/**
+ * Restart the buffer passes of the current shader from cleared buffers and frame 1
+ */
+function resetBuffers() {
+    bufferPasses.reset();
+    frameCount = 0;
+}
+
+/**
+ * Get the names of the current shader's buffer passes
+ * @returns {Array<string>} - e.g. ['A', 'B']
+ */
+function getBufferNames() {
+    return bufferPasses ? bufferPasses.passes.map(pass => pass.name) : [];
+}
+
 /**
  * Get the current shader program
  * @returns {WebGLProgram} - Current shader program
@@ -321,7 +729,17 @@ function sanitizeShaderCode(code) {
  */
 function parseShaders(response) {
     const fragmentMarker = '#-- FRAGMENT SHADER --#';
-    
+
+    // Structured responses carry the shader in a JSON "shader" field
+    try {
+        const parsed = JSON.parse(response);
+        if (parsed && typeof parsed.shader === 'string') {
+            return sanitizeShaderCode(parsed.shader);
+        }
+    } catch (error) {
+        // Not JSON, fall through to the text formats
+    }
+
     // Check if response has fragment marker
     if (response.includes(fragmentMarker)) {
         // Extract fragment shader code
@@ -344,19 +762,18 @@ function isCompiled() {
 }
 
 /**
- * Manually trigger a frame render
+ * Manually trigger a frame render, e.g. right before capturing the canvas
+ * @param {number} [time] - Time in seconds to render at; defaults to the time of the last frame
  * @returns {boolean} - True if rendering was successful
  */
-function renderFrame() {
+function renderFrame(time = lastFrameTime === null ? 0 : lastFrameTime) {
     if (!isCompiled()) {
         return false;
     }
     
-    // Get current time
-    const currentTime = performance.now() / 1000.0;
-    
-    // Draw the scene with current time
-    drawScene(currentTime);
+    // Redraw without advancing, unless the shader has not rendered a frame yet and its
+    // buffer passes are still empty
+    drawScene(time, frameCount === 0);
     return true;
 }
 
@@ -373,6 +790,21 @@ export {
     getShaderProgram,
     isCompiled,
     renderFrame,
+    getFrameCount,
+    isGlsl300,
+    isWebGL2,
+    isShadertoyShader,
+    wrapShadertoyShader,
+    remapShadertoyLog,
+    prepareFragmentShader,
+    setShadertoyUniforms,
+    resetBuffers,
+    getBufferNames,
+    createTileProgram,
+    drawTile,
+    getFixedVertexShader,
     fixedVertexShader,
-    defaultFragmentShader
+    fixedVertexShader300,
+    defaultFragmentShader,
+    defaultFragmentShader300
 };
@@ -0,0 +1,553 @@
+// textureChannels.js - Texture input channels: uploaded images and built-in procedural textures
+
+/**
+ * Texture Channels - Four texture inputs bound to texture units 0-3 as uTexture0-uTexture3
+ * (and iChannel0-iChannel3 in Shadertoy shaders), with each channel's size in uTextureNResolution.
+ * A channel holds an uploaded image or a built-in texture, with its own filtering and wrapping.
+ */
+
+const CHANNEL_COUNT = 4;
+const BUILTIN_SIZE = 256;
+
+// Built-in procedural textures
+const BUILTIN_TEXTURES = {
+    noise: 'Noise',
+    checkerboard: 'Checkerboard',
+    gradient: 'Gradient'
+};
+
+const FILTERS = {
+    linear: 'Linear',
+    nearest: 'Nearest',
+    mipmap: 'Mipmap'
+};
+
+const WRAPS = {
+    repeat: 'Repeat',
+    clamp: 'Clamp',
+    mirror: 'Mirror'
+};
+
+// Channel settings: { source, name, url, width, height, filter, wrap }, with source null when unassigned
+let channels = Array.from({ length: CHANNEL_COUNT }, () => emptyChannel());
+// WebGL textures of the channels, created in channelContext
+let textures = new Array(CHANNEL_COUNT).fill(null);
+let channelContext = null;
+let blackTexture = null;
+
+// Uniform locations of the texture channels, by program
+const channelLocations = new WeakMap();
+
+/**
+ * @returns {Object} - Settings of an unassigned channel
+ */
+function emptyChannel() {
+    return { source: null, name: null, url: null, width: 0, height: 0, filter: 'linear', wrap: 'repeat' };
+}
+
+/**
+ * Small seeded random number generator, so built-in textures are the same on every load
+ * @param {number} seed
+ * @returns {Function} - Returns numbers in [0, 1)
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generate the pixels of a built-in texture. Row 0 is the bottom of the texture, as WebGL expects.
+ * @param {string} kind - A key of BUILTIN_TEXTURES
+ * @param {number} size - Width and height in pixels
+ * @returns {Uint8Array} - RGBA pixels
+ */
+function generateBuiltinTexture(kind, size = BUILTIN_SIZE) {
+    const pixels = new Uint8Array(size * size * 4);
+    const random = seededRandom(1337);
+    // Value noise lattices, one per octave, that wrap around so the texture tiles
+    const octaves = [8, 16, 32, 64].map(cells => ({
+        cells,
+        values: Array.from({ length: cells * cells }, random)
+    }));
+    const smooth = t => t * t * (3 - 2 * t);
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            let r;
+            let g;
+            let b;
+            if (kind === 'noise') {
+                let value = 0;
+                let amplitude = 0.5;
+                let total = 0;
+                octaves.forEach(({ cells, values }) => {
+                    const fx = x / size * cells;
+                    const fy = y / size * cells;
+                    const x0 = Math.floor(fx);
+                    const y0 = Math.floor(fy);
+                    const tx = smooth(fx - x0);
+                    const ty = smooth(fy - y0);
+                    const at = (i, j) => values[((j % cells) * cells) + (i % cells)];
+                    const top = at(x0, y0) * (1 - tx) + at(x0 + 1, y0) * tx;
+                    const bottom = at(x0, y0 + 1) * (1 - tx) + at(x0 + 1, y0 + 1) * tx;
+                    value += (top * (1 - ty) + bottom * ty) * amplitude;
+                    total += amplitude;
+                    amplitude *= 0.5;
+                });
+                r = g = b = Math.round(value / total * 255);
+            } else if (kind === 'checkerboard') {
+                const cell = size / 8;
+                r = g = b = (Math.floor(x / cell) + Math.floor(y / cell)) % 2 === 0 ? 255 : 0;
+            } else {
+                r = Math.round(x / (size - 1) * 255);
+                g = Math.round(y / (size - 1) * 255);
+                b = 128;
+            }
+            const index = (y * size + x) * 4;
+            pixels[index] = r;
+            pixels[index + 1] = g;
+            pixels[index + 2] = b;
+            pixels[index + 3] = 255;
+        }
+    }
+    return pixels;
+}
+
+/**
+ * Load an image
+ * @param {string} url - Image URL
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImage(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`Could not load the image ${url}`));
+        image.src = url;
+    });
+}
+
+/**
+ * Whether a number is a power of two
+ * @param {number} value
+ * @returns {boolean}
+ */
+function isPowerOfTwo(value) {
+    return value > 0 && (value & (value - 1)) === 0;
+}
+
+/**
+ * WebGL 1 can only repeat and mipmap textures whose sides are powers of two, so scale other
+ * images up to the next power of two in that case
+ * @param {WebGLRenderingContext} glContext
+ * @param {HTMLImageElement} image
+ * @param {Object} channel - Channel settings
+ * @returns {HTMLImageElement|HTMLCanvasElement} - What to upload
+ */
+function fitImageForContext(glContext, image, channel) {
+    const isWebGL2 = typeof WebGL2RenderingContext !== 'undefined' && glContext instanceof WebGL2RenderingContext;
+    const needsPowerOfTwo = channel.wrap !== 'clamp' || channel.filter === 'mipmap';
+    if (isWebGL2 || !needsPowerOfTwo || (isPowerOfTwo(image.width) && isPowerOfTwo(image.height))) {
+        return image;
+    }
+    const scaled = document.createElement('canvas');
+    scaled.width = 2 ** Math.ceil(Math.log2(image.width));
+    scaled.height = 2 ** Math.ceil(Math.log2(image.height));
+    scaled.getContext('2d').drawImage(image, 0, 0, scaled.width, scaled.height);
+    return scaled;
+}
+
+/**
+ * Apply a channel's filtering and wrapping to the bound texture
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} glContext
+ * @param {Object} channel - Channel settings
+ */
+function applySampling(glContext, channel) {
+    const wrap = { repeat: glContext.REPEAT, clamp: glContext.CLAMP_TO_EDGE, mirror: glContext.MIRRORED_REPEAT }[channel.wrap];
+    glContext.texParameteri(glContext.TEXTURE_2D, glContext.TEXTURE_WRAP_S, wrap);
+    glContext.texParameteri(glContext.TEXTURE_2D, glContext.TEXTURE_WRAP_T, wrap);
+
+    if (channel.filter === 'mipmap') {
+        glContext.generateMipmap(glContext.TEXTURE_2D);
+        glContext.texParameteri(glContext.TEXTURE_2D, glContext.TEXTURE_MIN_FILTER, glContext.LINEAR_MIPMAP_LINEAR);
+        glContext.texParameteri(glContext.TEXTURE_2D, glContext.TEXTURE_MAG_FILTER, glContext.LINEAR);
+    } else {
+        const filter = channel.filter === 'nearest' ? glContext.NEAREST : glContext.LINEAR;
+        glContext.texParameteri(glContext.TEXTURE_2D, glContext.TEXTURE_MIN_FILTER, filter);
+        glContext.texParameteri(glContext.TEXTURE_2D, glContext.TEXTURE_MAG_FILTER, filter);
+    }
+}
+
+/**
+ * Create the WebGL texture of a channel from its settings, replacing the previous one
+ * @param {number} index - Channel number
+ * @returns {Promise<void>}
+ */
+async function uploadChannel(index) {
+    const glContext = channelContext;
+    const channel = channels[index];
+    if (textures[index]) {
+        glContext.deleteTexture(textures[index]);
+        textures[index] = null;
+    }
+    if (!channel.source) {
+        return;
+    }
+
+    let source = null;
+    if (channel.source === 'image') {
+        const image = await loadImage(channel.url);
+        // The channel may have changed while the image loaded
+        if (channels[index] !== channel) {
+            return;
+        }
+        channel.width = image.width;
+        channel.height = image.height;
+        source = fitImageForContext(glContext, image, channel);
+    }
+
+    const texture = glContext.createTexture();
+    glContext.bindTexture(glContext.TEXTURE_2D, texture);
+    if (source) {
+        // Flip images so that texture coordinate (0, 0) is their bottom left corner, like vUv
+        glContext.pixelStorei(glContext.UNPACK_FLIP_Y_WEBGL, true);
+        glContext.texImage2D(glContext.TEXTURE_2D, 0, glContext.RGBA, glContext.RGBA, glContext.UNSIGNED_BYTE, source);
+        glContext.pixelStorei(glContext.UNPACK_FLIP_Y_WEBGL, false);
+    } else {
+        channel.width = BUILTIN_SIZE;
+        channel.height = BUILTIN_SIZE;
+        glContext.texImage2D(glContext.TEXTURE_2D, 0, glContext.RGBA, BUILTIN_SIZE, BUILTIN_SIZE, 0,
+            glContext.RGBA, glContext.UNSIGNED_BYTE, generateBuiltinTexture(channel.source));
+    }
+    applySampling(glContext, channel);
+    textures[index] = texture;
+}
+
+/**
+ * Bind the channel textures to texture units 0-3 and set the uTextureN and uTextureNResolution
+ * uniforms of a program. Unassigned channels, and every channel in a context other than the one
+ * the channels were created in, read as black.
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} glContext - Context the program belongs to
+ * @param {WebGLProgram} program - Program in use
+ */
+function bindTextureChannels(glContext, program) {
+    if (!program) {
+        return;
+    }
+    if (!channelLocations.has(program)) {
+        channelLocations.set(program, Array.from({ length: CHANNEL_COUNT }, (_, index) => ({
+            sampler: glContext.getUniformLocation(program, `uTexture${index}`),
+            resolution: glContext.getUniformLocation(program, `uTexture${index}Resolution`)
+        })));
+    }
+    const locations = channelLocations.get(program);
+    const ownContext = glContext === channelContext;
+
+    for (let index = 0; index < CHANNEL_COUNT; index++) {
+        const texture = ownContext ? textures[index] : null;
+        glContext.activeTexture(glContext.TEXTURE0 + index);
+        glContext.bindTexture(glContext.TEXTURE_2D, texture || (ownContext ? blackTexture : null));
+        if (locations[index].sampler) {
+            glContext.uniform1i(locations[index].sampler, index);
+        }
+        if (locations[index].resolution) {
+            const channel = channels[index];
+            glContext.uniform2f(locations[index].resolution, texture ? channel.width : 0, texture ? channel.height : 0);
+        }
+    }
+    glContext.activeTexture(glContext.TEXTURE0);
+}
+
+/**
+ * The assigned channels, as stored with each iteration and described to the LLM
+ * @returns {Array<Object>} - [{ channel, source, name, url, width, height, filter, wrap }]
+ */
+function getChannelAssignments() {
+    return channels
+        .map((channel, index) => ({ channel: index, ...channel }))
+        .filter(channel => channel.source && channel.width > 0)
+        .map(({ channel, source, name, url, width, height, filter, wrap }) => ({ channel, source, name, url, width, height, filter, wrap }));
+}
+
+/**
+ * Replace every channel, e.g. with the channels stored with an iteration
+ * @param {Array<Object>} assignments - From getChannelAssignments
+ * @returns {Promise<void>}
+ */
+async function setChannelAssignments(assignments = []) {
+    channels = Array.from({ length: CHANNEL_COUNT }, () => emptyChannel());
+    assignments.forEach(assignment => {
+        if (assignment.channel >= 0 && assignment.channel < CHANNEL_COUNT) {
+            channels[assignment.channel] = {
+                ...emptyChannel(),
+                source: assignment.source,
+                name: assignment.name || null,
+                url: assignment.url || null,
+                filter: FILTERS[assignment.filter] ? assignment.filter : 'linear',
+                wrap: WRAPS[assignment.wrap] ? assignment.wrap : 'repeat'
+            };
+        }
+    });
+    await refreshChannels();
+}
+
+/**
+ * Upload every channel, then save and show them
+ * @returns {Promise<void>}
+ */
+async function refreshChannels() {
+    const results = await Promise.allSettled(channels.map((_, index) => uploadChannel(index)));
+    const failures = [];
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            // Drop channels whose image is gone rather than describing them to the LLM
+            channels[index] = emptyChannel();
+            failures.push(`Channel ${index}: ${result.reason.message}`);
+        }
+    });
+    saveChannels();
+    renderChannels();
+    showChannelStatus(failures.join('\n'));
+}
+
+/**
+ * Change one channel's settings and upload it again
+ * @param {number} index - Channel number
+ * @param {Object} changes - Settings to change
+ * @returns {Promise<void>}
+ */
+async function updateChannel(index, changes) {
+    channels[index] = { ...channels[index], ...changes };
+    try {
+        await uploadChannel(index);
+        showChannelStatus('');
+    } catch (error) {
+        channels[index] = emptyChannel();
+        showChannelStatus(`Channel ${index}: ${error.message}`);
+    }
+    saveChannels();
+    renderChannels();
+}
+
+/**
+ * Upload an image file to the server, where it is kept for the iterations that use it
+ * @param {File} file - Image file
+ * @returns {Promise<string>} - URL of the stored image
+ */
+async function uploadImageFile(file) {
+    if (!file.type.startsWith('image/')) {
+        throw new Error(`${file.name} is not an image`);
+    }
+    const response = await fetch('/api/textures', {
+        method: 'POST',
+        headers: { 'Content-Type': file.type },
+        body: file
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `Server responded with status: ${response.status}`);
+    }
+    return data.url;
+}
+
+/**
+ * Put an image file into a channel
+ * @param {number} index - Channel number
+ * @param {File} file - Image file
+ * @returns {Promise<void>}
+ */
+async function assignImageFile(index, file) {
+    showChannelStatus(`Uploading ${file.name}...`);
+    try {
+        const url = await uploadImageFile(file);
+        await updateChannel(index, { source: 'image', name: file.name, url });
+    } catch (error) {
+        showChannelStatus(`Channel ${index}: ${error.message}`);
+    }
+}
+
+/**
+ * Remember the channels for the next visit
+ */
+function saveChannels() {
+    localStorage.setItem('textureChannels', JSON.stringify(getChannelAssignments()));
+}
+
+/**
+ * Show an error or progress message under the channels
+ * @param {string} message - Empty to hide it
+ */
+function showChannelStatus(message) {
+    const status = document.getElementById('textureChannelsStatus');
+    if (status) {
+        status.textContent = message;
+        status.classList.toggle('d-none', !message);
+    }
+}
+
+/**
+ * Build a select element
+ * @param {Object} options - { value: label }
+ * @param {string} value - Selected value
+ * @param {string} title - Tooltip
+ * @returns {HTMLSelectElement}
+ */
+function createSelect(options, value, title) {
+    const select = document.createElement('select');
+    select.className = 'form-select form-select-sm';
+    select.title = title;
+    Object.entries(options).forEach(([optionValue, label]) => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.value = value;
+    return select;
+}
+
+/**
+ * Draw a preview of a channel's texture
+ * @param {HTMLElement} preview - Preview element
+ * @param {Object} channel - Channel settings
+ */
+function renderPreview(preview, channel) {
+    preview.innerHTML = '';
+    if (channel.source === 'image' && channel.url) {
+        const image = document.createElement('img');
+        image.src = channel.url;
+        image.alt = channel.name || 'Texture';
+        preview.appendChild(image);
+    } else if (channel.source) {
+        const size = 64;
+        const previewCanvas = document.createElement('canvas');
+        previewCanvas.width = size;
+        previewCanvas.height = size;
+        const pixels = generateBuiltinTexture(channel.source, size);
+        // Canvas rows run top to bottom, texture rows bottom to top
+        const imageData = previewCanvas.getContext('2d').createImageData(size, size);
+        for (let row = 0; row < size; row++) {
+            imageData.data.set(pixels.subarray((size - 1 - row) * size * 4, (size - row) * size * 4), row * size * 4);
+        }
+        previewCanvas.getContext('2d').putImageData(imageData, 0, 0);
+        preview.appendChild(previewCanvas);
+    } else {
+        preview.innerHTML = '<i class="fas fa-image"></i><span>Drop image</span>';
+    }
+}
+
+/**
+ * Show the channel rows: preview and drop target, source, filter and wrap
+ */
+function renderChannels() {
+    const container = document.getElementById('textureChannels');
+    if (!container) {
+        return;
+    }
+    container.innerHTML = '';
+
+    channels.forEach((channel, index) => {
+        const row = document.createElement('div');
+        row.className = 'texture-channel';
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'image/*';
+        fileInput.className = 'd-none';
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) assignImageFile(index, fileInput.files[0]);
+        });
+
+        const preview = document.createElement('div');
+        preview.className = 'texture-channel-preview';
+        preview.title = 'Drop an image here or click to choose one';
+        renderPreview(preview, channel);
+        preview.addEventListener('click', () => fileInput.click());
+        preview.addEventListener('dragover', event => {
+            event.preventDefault();
+            preview.classList.add('drag-over');
+        });
+        preview.addEventListener('dragleave', () => preview.classList.remove('drag-over'));
+        preview.addEventListener('drop', event => {
+            event.preventDefault();
+            preview.classList.remove('drag-over');
+            const file = event.dataTransfer.files[0];
+            if (file) assignImageFile(index, file);
+        });
+
+        const settings = document.createElement('div');
+        settings.className = 'flex-grow-1';
+        const label = document.createElement('div');
+        label.className = 'small fw-bold mb-1';
+        label.textContent = `uTexture${index}`;
+        label.title = `iChannel${index} in Shadertoy shaders; size in uTexture${index}Resolution`;
+        if (channel.source === 'image' && channel.name) {
+            const name = document.createElement('span');
+            name.className = 'fw-normal text-muted ms-1';
+            name.textContent = `${channel.name} (${channel.width}x${channel.height})`;
+            label.appendChild(name);
+        }
+
+        const sourceOptions = { '': 'None', ...BUILTIN_TEXTURES, image: channel.source === 'image' ? 'Image' : 'Image...' };
+        const sourceSelect = createSelect(sourceOptions, channel.source || '', 'Texture');
+        sourceSelect.addEventListener('change', () => {
+            if (sourceSelect.value === 'image') {
+                // Keep the current texture until a file is chosen
+                sourceSelect.value = channel.source || '';
+                fileInput.click();
+            } else {
+                updateChannel(index, { source: sourceSelect.value || null, name: null, url: null });
+            }
+        });
+        const filterSelect = createSelect(FILTERS, channel.filter, 'Filtering');
+        filterSelect.addEventListener('change', () => updateChannel(index, { filter: filterSelect.value }));
+        const wrapSelect = createSelect(WRAPS, channel.wrap, 'Wrapping');
+        wrapSelect.addEventListener('change', () => updateChannel(index, { wrap: wrapSelect.value }));
+
+        const selects = document.createElement('div');
+        selects.className = 'd-flex gap-1';
+        selects.append(sourceSelect, filterSelect, wrapSelect);
+        settings.append(label, selects, fileInput);
+        row.append(preview, settings);
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Set up the texture channels for a WebGL context and restore the channels of the last visit
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} glContext - Context the shaders render with
+ * @returns {Promise<void>}
+ */
+async function initTextureChannels(glContext) {
+    channelContext = glContext;
+
+    // Unassigned channels sample a black texture rather than an incomplete one
+    blackTexture = glContext.createTexture();
+    glContext.bindTexture(glContext.TEXTURE_2D, blackTexture);
+    glContext.texImage2D(glContext.TEXTURE_2D, 0, glContext.RGBA, 1, 1, 0, glContext.RGBA, glContext.UNSIGNED_BYTE, new Uint8Array([0, 0, 0, 255]));
+
+    let saved = [];
+    try {
+        saved = JSON.parse(localStorage.getItem('textureChannels') || '[]');
+    } catch (error) {
+        console.warn('Ignoring invalid saved texture channels:', error);
+    }
+    await setChannelAssignments(Array.isArray(saved) ? saved : []);
+}
+
+// Export as ES module
+export {
+    CHANNEL_COUNT,
+    BUILTIN_TEXTURES,
+    initTextureChannels,
+    bindTextureChannels,
+    getChannelAssignments,
+    setChannelAssignments,
+    generateBuiltinTexture
+};
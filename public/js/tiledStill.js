@@ -0,0 +1,140 @@
+// tiledStill.js - Still images larger than WebGL can draw at once, rendered in tiles
+
+/**
+ * Tiled Still - Renders one frame of the shader at a resolution such as 7680×4320 by drawing it
+ * tile by tile on the preview canvas and stitching the tiles into one PNG. Each tile is drawn with
+ * the image pass compiled for tiles, so uResolution is the whole image's size and gl_FragCoord and
+ * vUv are positions in the whole image. With supersampling, every output pixel is the average of
+ * a grid of samples: the shader renders at a multiple of the resolution, which is scaled down.
+ *
+ * Buffer passes are not rendered again at the still's size; the image pass reads them as they
+ * are in the preview.
+ */
+
+import * as ShaderRenderer from './shaderRenderer.js';
+
+const SUPERSAMPLING_FACTORS = [1, 2, 3, 4];
+const MAX_SIZE = 16384;
+// Output pixels per tile side; with supersampling a tile renders at a multiple of this
+const TILE_SIZE = 512;
+// Largest tile drawn at once, in rendered pixels, within the GPU's viewport limit
+const MAX_RENDER_TILE = 2048;
+
+/**
+ * Average a drawn tile's samples down into output pixels
+ * @param {Uint8Array} samples - RGBA samples as read from WebGL, bottom row first
+ * @param {number} width - Tile width in output pixels
+ * @param {number} height - Tile height in output pixels
+ * @param {number} factor - Samples per output pixel along each side
+ * @param {ImageData} target - width x height output pixels, top row first
+ */
+function downsample(samples, width, height, factor, target) {
+    const sampleRowSize = width * factor * 4;
+    const count = factor * factor;
+    for (let y = 0; y < height; y++) {
+        // The top output row comes from the last sample rows
+        const firstSampleRow = (height - 1 - y) * factor;
+        for (let x = 0; x < width; x++) {
+            let r = 0;
+            let g = 0;
+            let b = 0;
+            for (let sy = 0; sy < factor; sy++) {
+                let offset = (firstSampleRow + sy) * sampleRowSize + x * factor * 4;
+                for (let sx = 0; sx < factor; sx++) {
+                    r += samples[offset];
+                    g += samples[offset + 1];
+                    b += samples[offset + 2];
+                    offset += 4;
+                }
+            }
+            const index = (y * width + x) * 4;
+            target.data[index] = Math.round(r / count);
+            target.data[index + 1] = Math.round(g / count);
+            target.data[index + 2] = Math.round(b / count);
+            // Opaque, as the canvas shows over black
+            target.data[index + 3] = 255;
+        }
+    }
+}
+
+/**
+ * Render a still of the current shader in tiles on a WebGL canvas. The canvas is left at the
+ * tile size; the caller puts it back.
+ * @param {HTMLCanvasElement} canvas - The preview canvas
+ * @param {Object} settings - { width, height, supersampling, time }: output size in pixels, samples
+ *   per pixel along each side and uTime in seconds
+ * @param {Function} onProgress - Called with the share of tiles done, from 0 to 1
+ * @param {Function} checkCancelled - Called before each tile; throws to stop rendering
+ * @returns {Promise<Blob>} - The PNG
+ */
+async function renderTiledStill(canvas, { width, height, supersampling, time }, onProgress, checkCancelled) {
+    const gl = ShaderRenderer.gl;
+    const factor = supersampling;
+    const [maxViewportWidth, maxViewportHeight] = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+    const maxRenderTile = Math.min(MAX_RENDER_TILE, maxViewportWidth, maxViewportHeight);
+    const tileSize = Math.min(TILE_SIZE, Math.floor(maxRenderTile / factor));
+    if (tileSize < 1) {
+        throw new Error(`This GPU cannot render ${factor}× supersampling`);
+    }
+
+    const output = document.createElement('canvas');
+    output.width = width;
+    output.height = height;
+    const context = output.getContext('2d');
+    if (!context) {
+        throw new Error(`This browser cannot hold a ${width}×${height} image`);
+    }
+
+    const columns = Math.ceil(width / tileSize);
+    const rows = Math.ceil(height / tileSize);
+    const renderWidth = width * factor;
+    const renderHeight = height * factor;
+    canvas.width = Math.min(width, tileSize) * factor;
+    canvas.height = Math.min(height, tileSize) * factor;
+
+    const program = ShaderRenderer.createTileProgram();
+    try {
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                checkCancelled();
+                // Output tiles count from the top left, rendered tiles from the bottom left
+                const x = column * tileSize;
+                const y = row * tileSize;
+                const tileWidth = Math.min(tileSize, width - x);
+                const tileHeight = Math.min(tileSize, height - y);
+                const tile = {
+                    x: x * factor,
+                    y: (height - y - tileHeight) * factor,
+                    width: tileWidth * factor,
+                    height: tileHeight * factor
+                };
+                ShaderRenderer.drawTile(program, time, tile, renderWidth, renderHeight);
+
+                const samples = new Uint8Array(tile.width * tile.height * 4);
+                gl.readPixels(0, 0, tile.width, tile.height, gl.RGBA, gl.UNSIGNED_BYTE, samples);
+                const pixels = context.createImageData(tileWidth, tileHeight);
+                downsample(samples, tileWidth, tileHeight, factor, pixels);
+                context.putImageData(pixels, x, y);
+
+                onProgress((row * columns + column + 1) / (rows * columns));
+                // Let the page update between tiles
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+    } finally {
+        gl.deleteProgram(program);
+    }
+
+    const blob = await new Promise(resolve => output.toBlob(resolve, 'image/png'));
+    if (!blob) {
+        throw new Error(`This browser cannot save a ${width}×${height} PNG`);
+    }
+    return blob;
+}
+
+// Export as ES module
+export {
+    SUPERSAMPLING_FACTORS,
+    MAX_SIZE,
+    renderTiledStill
+};
@@ -0,0 +1,427 @@
+// uniformControls.js - Controls beside the canvas for the shader's annotated custom uniforms
+
+/**
+ * Uniform Controls - A uniform declared with an annotation comment, such as
+ * `uniform float uSpeed; // @slider 0 5 1.0`, gets a control that sets it live: @slider for float
+ * and int uniforms, @color for vec3 and vec4, @checkbox for bool, int and float, and @pad, an xy pad,
+ * for vec2. The server parses the same syntax in lib/uniformAnnotations.js.
+ */
+
+// Controls, with the uniform types each can drive
+const UNIFORM_CONTROLS = {
+    slider: ['float', 'int'],
+    color: ['vec3', 'vec4'],
+    checkbox: ['bool', 'int', 'float'],
+    pad: ['vec2']
+};
+
+// Uniforms the lab sets itself, which cannot have controls
+const RESERVED_UNIFORM = /^(u(Time|Resolution|Mouse|MouseClick|IsMouseDown|Frame|Aspect|Audio|Bass|Mid|Treble|Volume)|uTexture\d(Resolution)?|uBuffer[A-D]|i(Resolution|Time|TimeDelta|Frame|Mouse|Date|Channel\d))$/;
+
+const MAX_CUSTOM_UNIFORMS = 32;
+
+const ANNOTATION_PATTERN = /^\s*uniform\s+(?:(?:lowp|mediump|highp)\s+)?(\w+)\s+(\w+)\s*;\s*\/\/\s*@(\w+)(.*)$/;
+
+// Annotated uniforms of the current shader: [{ name, type, control, min, max, default }]
+let controls = [];
+// Current values by uniform name: numbers, booleans, or arrays of numbers for vectors
+let values = {};
+
+// Active uniforms of each program: Map of name -> { location, type }
+const programUniforms = new WeakMap();
+
+/**
+ * Read the arguments of an annotation into its range and default value
+ * @param {string} control - A key of UNIFORM_CONTROLS
+ * @param {string} type - GLSL type of the uniform
+ * @param {Array<string>} args - The words after the control name
+ * @returns {Object|null} - { min, max, default }, or null when the arguments are malformed
+ */
+function readArguments(control, type, args) {
+    const numbers = args.map(Number);
+    const allNumbers = numbers.every(Number.isFinite);
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+    switch (control) {
+        case 'slider': {
+            if (args.length < 2 || args.length > 3 || !allNumbers || numbers[0] >= numbers[1]) return null;
+            const [min, max, value = min] = numbers;
+            const initial = clamp(value, min, max);
+            return { min, max, default: type === 'int' ? Math.round(initial) : initial };
+        }
+        case 'color': {
+            const size = type === 'vec4' ? 4 : 3;
+            if (args.length === 0) return { default: new Array(size).fill(1) };
+            const match = args.length === 1 ? /^#([0-9a-f]{6}|[0-9a-f]{8})$/i.exec(args[0]) : null;
+            if (!match) return null;
+            const components = match[1].match(/../g).map(pair => parseInt(pair, 16) / 255);
+            return { default: [...components, 1].slice(0, size) };
+        }
+        case 'checkbox': {
+            if (args.length > 1 || (args.length === 1 && !['true', 'false', '1', '0'].includes(args[0]))) return null;
+            return { default: args[0] === 'true' || args[0] === '1' };
+        }
+        case 'pad': {
+            if (![0, 2, 4].includes(args.length) || !allNumbers || (args.length > 0 && numbers[0] >= numbers[1])) return null;
+            const [min = 0, max = 1] = numbers;
+            const center = (min + max) / 2;
+            const [x = center, y = center] = numbers.slice(2).map(value => clamp(value, min, max));
+            return { min, max, default: [x, y] };
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Find the annotated uniforms of a shader's passes. Annotations that cannot be used are skipped;
+ * the server-side validator reports them.
+ * @param {Array<string>} sources - Fragment shader sources, e.g. the image pass and its buffer passes
+ * @returns {Array<Object>} - [{ name, type, control, min, max, default }], each name once
+ */
+function parseUniformAnnotations(sources) {
+    const annotations = [];
+    sources.forEach(source => {
+        (source || '').split('\n').forEach(line => {
+            const match = ANNOTATION_PATTERN.exec(line);
+            if (!match) return;
+            const [, type, name, control, rest] = match;
+            if (!(UNIFORM_CONTROLS[control] || []).includes(type) || RESERVED_UNIFORM.test(name) ||
+                annotations.some(annotation => annotation.name === name) || annotations.length >= MAX_CUSTOM_UNIFORMS) {
+                return;
+            }
+            const parsed = readArguments(control, type, rest.trim().split(/\s+/).filter(Boolean));
+            if (parsed) {
+                annotations.push({ name, type, control, ...parsed });
+            }
+        });
+    });
+    return annotations;
+}
+
+/**
+ * Copy a value, so arrays in the state are never shared
+ * @param {number|boolean|Array<number>} value
+ * @returns {number|boolean|Array<number>}
+ */
+function copyValue(value) {
+    return Array.isArray(value) ? [...value] : value;
+}
+
+/**
+ * Whether a value fits a control, e.g. a value restored from history for a uniform that changed type
+ * @param {Object} control - Annotated uniform
+ * @param {*} value
+ * @returns {boolean}
+ */
+function fitsControl(control, value) {
+    const size = { vec2: 2, vec3: 3, vec4: 4 }[control.type];
+    if (size) {
+        return Array.isArray(value) && value.length === size && value.every(Number.isFinite);
+    }
+    return control.control === 'checkbox' ? typeof value === 'boolean' : Number.isFinite(value);
+}
+
+/**
+ * The same control in another shader: a uniform of the same name, type and control keeps its value
+ * @param {Array<Object>} list - Annotated uniforms
+ * @param {Object} control - Annotated uniform
+ * @returns {Object|undefined}
+ */
+function findMatchingControl(list, control) {
+    return list.find(other => other.name === control.name && other.type === control.type && other.control === control.control);
+}
+
+/**
+ * Show the controls of a newly compiled shader. Uniforms it shares with the previous shader keep
+ * their values; the others start at their annotated defaults.
+ * @param {Array<string>} sources - Fragment shader sources of every pass
+ */
+function setUniformControls(sources) {
+    const previous = controls;
+    controls = parseUniformAnnotations(sources);
+    const nextValues = {};
+    controls.forEach(control => {
+        nextValues[control.name] = findMatchingControl(previous, control) && values[control.name] !== undefined
+            ? values[control.name]
+            : copyValue(control.default);
+    });
+    values = nextValues;
+    renderControls();
+}
+
+/**
+ * Get the current values, e.g. to store with an iteration or send with an iterate request
+ * @returns {Object} - { name: value }
+ */
+function getUniformValues() {
+    const copy = {};
+    Object.entries(values).forEach(([name, value]) => {
+        copy[name] = copyValue(value);
+    });
+    return copy;
+}
+
+/**
+ * Restore saved values onto the current controls; values of uniforms that have no control, or
+ * that do not fit it, are ignored
+ * @param {Object} saved - { name: value }
+ */
+function setUniformValues(saved = {}) {
+    controls.forEach(control => {
+        if (saved && fitsControl(control, saved[control.name])) {
+            values[control.name] = copyValue(saved[control.name]);
+        }
+    });
+    renderControls();
+}
+
+/**
+ * Put every control back to its annotated default
+ */
+function resetUniformValues() {
+    controls.forEach(control => {
+        values[control.name] = copyValue(control.default);
+    });
+    renderControls();
+}
+
+/**
+ * The values another shader would render with: its annotated defaults, with the current value of
+ * any control it shares with the current shader. Used to evaluate shaders that are not loaded.
+ * @param {Array<string>} sources - Fragment shader sources of every pass
+ * @returns {Object} - { name: value }
+ */
+function resolveUniformValues(sources) {
+    const resolved = {};
+    parseUniformAnnotations(sources).forEach(control => {
+        resolved[control.name] = copyValue(findMatchingControl(controls, control) ? values[control.name] : control.default);
+    });
+    return resolved;
+}
+
+/**
+ * Set a uniform with the setter that matches its declared type, so int and bool uniforms are set
+ * with uniform1i and vectors with their size. Uniforms the program does not use are skipped.
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} glContext
+ * @param {WebGLProgram} program - Program in use
+ * @param {string} name - Uniform name
+ * @param {number|boolean|Array<number>} value
+ * @returns {boolean} - Whether the program has the uniform
+ */
+function setUniform(glContext, program, name, value) {
+    if (!programUniforms.has(program)) {
+        const active = new Map();
+        const count = glContext.getProgramParameter(program, glContext.ACTIVE_UNIFORMS);
+        for (let index = 0; index < count; index++) {
+            const info = glContext.getActiveUniform(program, index);
+            active.set(info.name.replace(/\[0\]$/, ''), {
+                location: glContext.getUniformLocation(program, info.name),
+                type: info.type
+            });
+        }
+        programUniforms.set(program, active);
+    }
+    const uniform = programUniforms.get(program).get(name);
+    if (!uniform) {
+        return false;
+    }
+
+    const number = typeof value === 'boolean' ? (value ? 1 : 0) : value;
+    const { location, type } = uniform;
+    switch (type) {
+        case glContext.FLOAT: glContext.uniform1f(location, Number(number)); break;
+        case glContext.INT:
+        case glContext.BOOL: glContext.uniform1i(location, Math.round(Number(number))); break;
+        case glContext.FLOAT_VEC2: glContext.uniform2fv(location, [...number].slice(0, 2)); break;
+        case glContext.FLOAT_VEC3: glContext.uniform3fv(location, [...number].slice(0, 3)); break;
+        case glContext.FLOAT_VEC4: glContext.uniform4fv(location, [...number].slice(0, 4)); break;
+        case glContext.INT_VEC2:
+        case glContext.BOOL_VEC2: glContext.uniform2iv(location, [...number].slice(0, 2).map(Math.round)); break;
+        case glContext.INT_VEC3:
+        case glContext.BOOL_VEC3: glContext.uniform3iv(location, [...number].slice(0, 3).map(Math.round)); break;
+        case glContext.INT_VEC4:
+        case glContext.BOOL_VEC4: glContext.uniform4iv(location, [...number].slice(0, 4).map(Math.round)); break;
+        // Samplers and matrices are not set from values
+        default: return false;
+    }
+    return true;
+}
+
+/**
+ * Set the current values of the controls on a program
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} glContext
+ * @param {WebGLProgram} program - Program in use
+ */
+function applyUniformValues(glContext, program) {
+    Object.entries(values).forEach(([name, value]) => setUniform(glContext, program, name, value));
+}
+
+/**
+ * Format a number for a control's readout
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+/**
+ * Convert color components from 0-1 to #rrggbb
+ * @param {Array<number>} color
+ * @returns {string}
+ */
+function toHex(color) {
+    return '#' + color.slice(0, 3).map(component => Math.round(Math.min(1, Math.max(0, component)) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Build the input of one control
+ * @param {Object} control - Annotated uniform
+ * @returns {HTMLElement}
+ */
+function createControl(control) {
+    const { name, type } = control;
+    const row = document.createElement('div');
+    row.className = 'uniform-control';
+
+    const label = document.createElement('label');
+    label.className = 'form-label small mb-0';
+    label.textContent = name;
+    row.appendChild(label);
+
+    const readout = document.createElement('span');
+    readout.className = 'uniform-control-value small text-muted';
+
+    if (control.control === 'slider') {
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.className = 'form-range';
+        input.min = control.min;
+        input.max = control.max;
+        input.step = type === 'int' ? 1 : (control.max - control.min) / 200;
+        input.value = values[name];
+        readout.textContent = formatNumber(values[name]);
+        input.addEventListener('input', () => {
+            values[name] = type === 'int' ? Math.round(Number(input.value)) : Number(input.value);
+            readout.textContent = formatNumber(values[name]);
+        });
+        row.append(input, readout);
+    } else if (control.control === 'color') {
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.className = 'form-control form-control-color';
+        input.value = toHex(values[name]);
+        input.addEventListener('input', () => {
+            const rgb = input.value.slice(1).match(/../g).map(pair => parseInt(pair, 16) / 255);
+            values[name] = type === 'vec4' ? [...rgb, values[name][3]] : rgb;
+        });
+        row.appendChild(input);
+        if (type === 'vec4') {
+            const alpha = document.createElement('input');
+            alpha.type = 'range';
+            alpha.className = 'form-range';
+            alpha.min = 0;
+            alpha.max = 1;
+            alpha.step = 0.01;
+            alpha.value = values[name][3];
+            alpha.title = 'Alpha';
+            alpha.addEventListener('input', () => {
+                values[name] = [...values[name].slice(0, 3), Number(alpha.value)];
+            });
+            row.appendChild(alpha);
+        }
+    } else if (control.control === 'checkbox') {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'form-check form-switch mb-0';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.className = 'form-check-input';
+        input.checked = !!values[name];
+        input.addEventListener('change', () => {
+            values[name] = input.checked;
+        });
+        wrapper.appendChild(input);
+        row.appendChild(wrapper);
+    } else if (control.control === 'pad') {
+        row.append(createPad(control, readout), readout);
+    }
+
+    return row;
+}
+
+/**
+ * Build an xy pad: dragging sets both components, with y growing upwards like vUv
+ * @param {Object} control - Annotated vec2 uniform
+ * @param {HTMLElement} readout - Shows the value
+ * @returns {HTMLElement}
+ */
+function createPad(control, readout) {
+    const { name, min, max } = control;
+    const pad = document.createElement('div');
+    pad.className = 'uniform-pad';
+    const handle = document.createElement('div');
+    handle.className = 'uniform-pad-handle';
+    pad.appendChild(handle);
+
+    const show = () => {
+        const [x, y] = values[name];
+        handle.style.left = `${((x - min) / (max - min)) * 100}%`;
+        handle.style.top = `${(1 - (y - min) / (max - min)) * 100}%`;
+        readout.textContent = `${formatNumber(x)}, ${formatNumber(y)}`;
+    };
+    const moveTo = event => {
+        const rect = pad.getBoundingClientRect();
+        const fractionX = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+        const fractionY = Math.min(1, Math.max(0, 1 - (event.clientY - rect.top) / rect.height));
+        values[name] = [min + fractionX * (max - min), min + fractionY * (max - min)];
+        show();
+    };
+
+    pad.addEventListener('pointerdown', event => {
+        pad.setPointerCapture(event.pointerId);
+        moveTo(event);
+    });
+    pad.addEventListener('pointermove', event => {
+        if (pad.hasPointerCapture(event.pointerId)) {
+            moveTo(event);
+        }
+    });
+    show();
+    return pad;
+}
+
+/**
+ * Render the controls, hiding the panel when the shader has none
+ */
+function renderControls() {
+    const card = document.getElementById('uniformControlsCard');
+    const container = document.getElementById('uniformControls');
+    if (!card || !container) return;
+
+    container.innerHTML = '';
+    controls.forEach(control => container.appendChild(createControl(control)));
+    card.classList.toggle('d-none', controls.length === 0);
+}
+
+/**
+ * Wire up the panel's reset button
+ */
+function initUniformControls() {
+    const resetBtn = document.getElementById('resetUniformsBtn');
+    if (resetBtn) {
+        resetBtn.addEventListener('click', resetUniformValues);
+    }
+    renderControls();
+}
+
+// Export as ES module
+export {
+    initUniformControls,
+    setUniformControls,
+    getUniformValues,
+    setUniformValues,
+    resolveUniformValues,
+    setUniform,
+    applyUniformValues
+};
@@ -0,0 +1,131 @@
+// usageMeter.js - Token and cost meter for the current session and today, against the budgets
+
+// Returns the id of the session the UI is currently working on
+let getCurrentSessionId = () => null;
+
+/**
+ * Format an amount of money in the pricing table's currency
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency code
+ * @returns {string}
+ */
+function formatCost(amount, currency) {
+    return currency === 'USD' ? `$${amount.toFixed(4)}` : `${amount.toFixed(4)} ${currency}`;
+}
+
+/**
+ * Render the usage of a session or day, with a progress bar when it has a budget
+ * @param {string} label - 'Session' or 'Today'
+ * @param {object} totals - Totals from /api/usage
+ * @param {object} budget - { cost, tokens }, null meaning no limit
+ * @param {string} currency - Currency code
+ * @returns {HTMLElement}
+ */
+function renderMeter(label, totals, budget, currency) {
+    const meter = document.createElement('div');
+    meter.className = 'mb-2 small';
+
+    const parts = [`${totals.totalTokens.toLocaleString()} tokens`];
+    if (totals.imageTokens > 0) {
+        parts.push(`~${totals.imageTokens.toLocaleString()} for images`);
+    }
+    parts.push(budget.cost !== null
+        ? `${formatCost(totals.cost, currency)} of ${formatCost(budget.cost, currency)}`
+        : formatCost(totals.cost, currency));
+    if (budget.tokens !== null) {
+        parts.push(`budget ${budget.tokens.toLocaleString()} tokens`);
+    }
+
+    const text = document.createElement('div');
+    text.innerHTML = `<strong>${label}</strong> (${totals.calls} calls): `;
+    text.appendChild(document.createTextNode(parts.join(' · ')));
+    meter.appendChild(text);
+
+    if (totals.unpricedCalls > 0) {
+        const unpriced = document.createElement('div');
+        unpriced.className = 'text-muted';
+        unpriced.textContent = `${totals.unpricedCalls} call(s) to models without a price are not in the cost`;
+        meter.appendChild(unpriced);
+    }
+
+    // The bar follows whichever budget is closest to being used up
+    const fractions = [];
+    if (budget.cost !== null) fractions.push(totals.cost / budget.cost);
+    if (budget.tokens !== null) fractions.push(totals.totalTokens / budget.tokens);
+    if (fractions.length > 0) {
+        const fraction = Math.max(...fractions);
+        const progress = document.createElement('div');
+        progress.className = 'progress usage-progress mt-1';
+        const bar = document.createElement('div');
+        bar.className = `progress-bar ${fraction >= 1 ? 'bg-danger' : fraction >= 0.8 ? 'bg-warning' : 'bg-success'}`;
+        bar.style.width = `${Math.min(100, Math.round(fraction * 100))}%`;
+        progress.appendChild(bar);
+        meter.appendChild(progress);
+    }
+
+    return meter;
+}
+
+/**
+ * Reload usage for the current session and today
+ */
+async function refreshUsage() {
+    const meters = document.getElementById('usageMeters');
+    if (!meters) {
+        return;
+    }
+
+    const params = new URLSearchParams();
+    const sessionId = getCurrentSessionId();
+    if (sessionId) {
+        params.set('sessionId', sessionId);
+    }
+
+    try {
+        const response = await fetch(`/api/usage?${params.toString()}`);
+        if (!response.ok) {
+            throw new Error(`Server responded with status: ${response.status}`);
+        }
+        const usage = await response.json();
+
+        meters.innerHTML = '';
+        if (usage.session) {
+            meters.appendChild(renderMeter('Session', usage.session, usage.budgets.session, usage.currency));
+        }
+        meters.appendChild(renderMeter('Today', usage.today, usage.budgets.daily, usage.currency));
+
+        if (usage.exceeded) {
+            const warning = document.createElement('div');
+            warning.className = 'small text-danger';
+            warning.textContent = usage.exceeded.message;
+            meters.appendChild(warning);
+        }
+
+        const models = document.getElementById('usageModels');
+        models.textContent = Object.entries(usage.today.byModel)
+            .map(([model, totals]) => `${model}: ${totals.totalTokens.toLocaleString()} tokens, ${formatCost(totals.cost, usage.currency)}`)
+            .join('\n');
+    } catch (error) {
+        console.error('Error loading usage:', error);
+        meters.textContent = `Failed to load usage: ${error.message}`;
+    }
+}
+
+/**
+ * Initialize the usage meter
+ * @param {Function} sessionIdProvider - Returns the current session id (or null)
+ */
+function initUsageMeter(sessionIdProvider) {
+    getCurrentSessionId = sessionIdProvider;
+
+    const refreshBtn = document.getElementById('refreshUsageBtn');
+    if (!refreshBtn) {
+        return;
+    }
+
+    refreshBtn.addEventListener('click', refreshUsage);
+    refreshUsage();
+}
+
+// Export as ES module
+export { initUsageMeter, refreshUsage };
@@ -0,0 +1,116 @@
+// zipWriter.js - Minimal ZIP archive writer for exported frame sequences
+
+/**
+ * Zip Writer - Builds a ZIP archive of stored (uncompressed) files. Exported frames are PNGs,
+ * which are compressed already, so storing them keeps the archive small without a deflater.
+ */
+
+const CRC_TABLE = new Uint32Array(256).map((_, index) => {
+    let crc = index;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return crc;
+});
+
+/**
+ * CRC-32 of some bytes, as ZIP stores it
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 255] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * A date in MS-DOS format, as ZIP stores it
+ * @param {Date} date
+ * @returns {{time: number, day: number}}
+ */
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        day: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * ZIP archive, built file by file
+ */
+class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+        this.modified = dosDateTime(new Date());
+    }
+
+    /**
+     * Add a file
+     * @param {string} name - Path in the archive
+     * @param {Uint8Array} data - Contents
+     */
+    addFile(name, data) {
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = crc32(data);
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true); // Local file header signature
+        header.setUint16(4, 20, true); // Version needed to extract
+        header.setUint16(6, 0, true); // Flags
+        header.setUint16(8, 0, true); // Stored
+        header.setUint16(10, this.modified.time, true);
+        header.setUint16(12, this.modified.day, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true); // Compressed size
+        header.setUint32(22, data.length, true); // Uncompressed size
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true); // Extra field length
+
+        this.parts.push(header, nameBytes, data);
+        this.entries.push({ nameBytes, crc, size: data.length, offset: this.offset });
+        this.offset += 30 + nameBytes.length + data.length;
+    }
+
+    /**
+     * Write the central directory and finish the archive
+     * @returns {Blob}
+     */
+    finish() {
+        const directoryOffset = this.offset;
+        let directorySize = 0;
+        this.entries.forEach(({ nameBytes, crc, size, offset }) => {
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true); // Central directory header signature
+            entry.setUint16(4, 20, true); // Version made by
+            entry.setUint16(6, 20, true); // Version needed to extract
+            entry.setUint16(8, 0, true); // Flags
+            entry.setUint16(10, 0, true); // Stored
+            entry.setUint16(12, this.modified.time, true);
+            entry.setUint16(14, this.modified.day, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, size, true);
+            entry.setUint32(24, size, true);
+            entry.setUint16(28, nameBytes.length, true);
+            // Extra field, comment, disk number and attributes stay 0
+            entry.setUint32(42, offset, true);
+            this.parts.push(entry, nameBytes);
+            directorySize += 46 + nameBytes.length;
+        });
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true); // End of central directory signature
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, directoryOffset, true);
+        this.parts.push(end);
+        return new Blob(this.parts, { type: 'application/zip' });
+    }
+}
+
+// Export as ES module
+export { ZipWriter };
@@ -1,55 +1,32 @@
-// server.js - Express server for the Iterative Shader Lab using GPT-4.1-mini
+// server.js - Express server for the Iterative Shader Lab
 
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const OpenAI = require('openai');
-
-// Determine which model to use based on environment variables
-function getModelToUse() {
-  // Check if we should use the fine-tuned model
-  const useFinetuned = process.env.USE_FINETUNED_MODEL === 'true' || process.env.USE_FINETUNED_MODEL === true;
-  
-  let model;
-  if (useFinetuned && process.env.OPENAI_MODEL_NAME) {
-    // Use fine-tuned model if explicitly requested and available
-    model = process.env.OPENAI_MODEL_NAME;
-    console.log(`Using finetuned model: ${model}`);
-  } else if (process.env.OPENAI_BASE_MODEL) {
-    // Otherwise use the base model if available
-    model = process.env.OPENAI_BASE_MODEL;
-    console.log(`Using base model: ${model}`);
-  } else {
-    // Fall back to gpt-4.1-mini as default
-    model = "gpt-4.1-mini";
-    console.log(`Using default model: ${model}`);
-  }
-  
-  // Ensure we always return a valid model name
-  if (!model || model.trim() === '') {
-    console.log('No valid model found in environment, falling back to gpt-4.1-mini');
-    return "gpt-4.1-mini";
-  }
-  
-  return model;
-}
+const { StreamingResponseSplitter } = require('./lib/responseParser');
+const { RequestRegistry, cancelledError } = require('./lib/requestRegistry');
+const { createServices } = require('./lib/services');
+const { validateIterationBody, normalizeBufferPasses, normalizeCandidateCount, MAX_CANDIDATES } = require('./lib/shaderPipeline');
+const { autoRepairPasses } = require('./lib/shaderRepair');
+const { saveScreenshots } = require('./lib/screenshots');
+const { validateShaderPasses, formatDiagnostics } = require('./lib/glslValidator');
+const { summarizeRun, renderHtmlReport, METRICS } = require('./lib/benchmarkReport');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Read API key from env var
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-if (!OPENAI_API_KEY) {
-  console.error('ERROR: process.env.OPENAI_API_KEY is not set.');
+// The LLM provider selected by LLM_PROVIDER (openai, openai-compatible, anthropic or mock), the model
+// router, the log, usage and session stores, and the shader pipeline, all configured from the environment
+let services;
+try {
+  services = createServices({ rootDir: __dirname, env: process.env });
+} catch (error) {
+  console.error('ERROR:', error.message);
   process.exit(1);
 }
-
-// Initialize OpenAI client with API key
-const openai = new OpenAI({
-  apiKey: OPENAI_API_KEY
-});
+const { llmProvider, modelRouter, logStore, usageTracker, promptTemplates, sessionStore, pipeline, benchmarkStore, textureStore } = services;
 
 // Enable CORS and JSON parsing
 app.use(cors());
@@ -63,6 +40,8 @@ app.use('/js', express.static(path.join(__dirname, 'public/js')));
 app.use('/css', express.static(path.join(__dirname, 'public/css')));
 // Serve screenshots
 app.use('/screenshots', express.static(path.join(__dirname, 'screenshots')));
+// Serve uploaded texture images
+app.use('/textures', express.static(textureStore.texturesDir));
 
 // Ensure screenshots directory exists
 const screenshotsDir = path.join(__dirname, 'screenshots');
@@ -73,60 +52,372 @@ if (!fs.existsSync(screenshotsDir)) {
   console.log('Screenshots directory exists:', screenshotsDir);
 }
 
+// LLM requests in flight, cancellable through /api/requests/:id/cancel
+const requestRegistry = new RequestRegistry();
+
+// Iteration fields the client may store in a session
+const SESSION_ITERATION_FIELDS = [
+  'iteration', 'prompt', 'fragmentShader', 'success', 'metrics', 'reflection', 'userFeedback',
+  'isManualIteration', 'isLastAutoIteration', 'screenshots', 'logId', 'validation', 'repairs', 'compileLog',
+  'isCandidate', 'candidateIndex', 'candidateRank', 'candidateSignals', 'cancelled', 'promptVersion', 'promptHash', 'textureChannels', 'buffers',
+  'uniformValues', 'resolution'
+];
+
+// Candidate mode: how many shaders /api/generate-shader/candidates asks for by default
+const DEFAULT_CANDIDATE_COUNT = Math.min(MAX_CANDIDATES, Math.max(1, parseInt(process.env.CANDIDATE_COUNT || '4', 10) || 4));
+
+/**
+ * The stored session an iteration request belongs to, whose iterations become the conversation history
+ * @param {Object} body - Iteration request body
+ * @returns {Object|null}
+ */
+function sessionFor(body) {
+  return body.sessionId ? sessionStore.get(body.sessionId) : null;
+}
+
+/**
+ * Register a request so that it can be cancelled. The client picks the id (body.requestId) so it
+ * can cancel before any response arrives; closing the connection early cancels it as well.
+ * An id that another request in flight already has is answered with 409.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} type - 'generate', 'candidates', 'iterate' or 'benchmark'
+ * @returns {{id: string, signal: AbortSignal, finish: Function}|null} - Call finish() when the request is done;
+ *   null when the request has been answered with 409
+ */
+function trackRequest(req, res, type) {
+  let tracked;
+  try {
+    tracked = requestRegistry.start(req.body.requestId, type);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: error.code, requestId: req.body.requestId });
+    return null;
+  }
+  res.on('close', () => {
+    if (!res.writableFinished && requestRegistry.cancel(tracked.id)) {
+      console.log(`Client disconnected, cancelled request ${tracked.id}`);
+    }
+  });
+  return tracked;
+}
+
+/**
+ * JSON body for a request that was cancelled
+ * @param {Error} error - REQUEST_CANCELLED error
+ * @param {string} requestId - Id of the request
+ * @returns {Object}
+ */
+function cancelledErrorBody(error, requestId) {
+  return { error: error.message, message: error.message, code: error.code, requestId };
+}
+
+/**
+ * Switch a response into Server-Sent Events mode
+ * @param {Object} res - Express response
+ */
+function startEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+}
+
+/**
+ * Write a single Server-Sent Event
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON-serializable payload
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Stream a completion to the client as 'reflection' and 'code' events
+ * @param {Object} res - Express response already in event stream mode
+ * @param {string} phase - Routing phase that picks the models
+ * @param {Object} request - { model, messages, responseSchema }
+ * @param {AbortSignal} signal - Aborted when the request is cancelled
+ * @returns {Promise<{content: string, model: string, usage: Object, phase: string, fallbacks: Array<Object>}>} - The complete response
+ */
+async function streamCompletion(res, phase, request, signal) {
+  const splitter = new StreamingResponseSplitter();
+  let content = '';
+  let model = request.model;
+  let usage = null;
+  let fallbacks = [];
+  
+  for await (const event of modelRouter.stream(phase, { ...request, signal })) {
+    if (event.type === 'route') {
+      model = event.model;
+      fallbacks = event.fallbacks;
+    } else if (event.type === 'text') {
+      content += event.text;
+      splitter.push(event.text).forEach(delta => sendEvent(res, delta.section, { text: delta.text }));
+    } else if (event.type === 'usage') {
+      model = event.model || model;
+      usage = event.usage;
+    }
+  }
+  splitter.flush().forEach(delta => sendEvent(res, delta.section, { text: delta.text }));
+  
+  return { content, model, usage, phase, fallbacks };
+}
+
+/**
+ * JSON body for a request refused because a usage budget is used up
+ * @param {Error} error - Error thrown by usageTracker.checkBudget
+ * @returns {Object}
+ */
+function budgetErrorBody(error) {
+  const { message, ...budget } = error.budget;
+  return { error: message, message, code: error.code, budget };
+}
+
+/**
+ * Ask the vision critique models what is wrong with the rendered shader, so that iteration
+ * models that cannot read images still get visual feedback. Does nothing when no vision
+ * critique models are configured.
+ * @param {Object} body - Iteration request body
+ * @param {Array<string>} savedScreenshots - Filenames of the saved screenshots, for the log
+ * @param {AbortSignal} signal - Aborted when the request is cancelled
+ * @returns {Promise<string|null>} - The critique, or null when there is none
+ */
+async function critiqueScreenshots(body, savedScreenshots, signal) {
+  const { prompt, userFeedback, screenshots = [] } = body;
+  const screenshot = screenshots.find(item => typeof item === 'string' && item.startsWith('data:image'));
+  const models = modelRouter.modelsFor('visionCritique');
+  if (!screenshot || models.length === 0) {
+    return null;
+  }
+  
+  const request = {
+    model: models[0],
+    messages: [
+      {
+        "role": "system",
+        "content": "You review screenshots of WebGL fragment shaders. In 2-4 sentences, describe what the image shows and how it differs from what was asked for, naming concrete visual problems (colors, shapes, motion artifacts, noise, aliasing). Do not write code."
+      },
+      {
+        "role": "user",
+        "content": [
+          { "type": "text", "text": `Requested effect: ${prompt || 'not given'}\nLatest feedback: ${userFeedback || 'none'}\n\nCritique this render.` },
+          { "type": "image_url", "image_url": { "url": screenshot } }
+        ]
+      }
+    ]
+  };
+  
+  const startTime = Date.now();
+  try {
+    const completion = await modelRouter.complete('visionCritique', { ...request, signal });
+    pipeline.logInteraction('critique', body, request, { completion, startTime, savedScreenshots });
+    console.log('Vision critique:', completion.content);
+    return completion.content.trim() || null;
+  } catch (error) {
+    // Without a critique the screenshots go to the iteration model as before, unless the request was cancelled
+    console.error('Vision critique failed:', error.message);
+    pipeline.logInteraction('critique', body, request, { error, startTime, savedScreenshots });
+    if (error.code === 'REQUEST_CANCELLED') {
+      throw error;
+    }
+    return null;
+  }
+}
+
 // LLM-powered shader generation endpoint
 app.post('/api/generate-shader', async (req, res) => {
   const { prompt } = req.body;
+  const startTime = Date.now();
+  const tracked = trackRequest(req, res, 'generate');
+  if (!tracked) return;
+  let request = null;
   
   try {
-    // Call OpenAI API - for initial generation, use the finetuned model
-    // This is one of the two places where the finetuned model should be used
-    // (the other is the first manual iteration)
-    let modelToUse = getModelToUse();
+    // Refuse the request once the session or daily budget is used up
+    usageTracker.checkBudget(req.body.sessionId);
+    const { phase, model: modelToUse, messages, responseSchema, promptVersion, promptHash } = pipeline.buildGenerationRequest(prompt, null, req.body.promptVersion, req.body);
+    request = { model: modelToUse, messages, responseSchema, promptVersion, promptHash };
     
-    // Ensure we have a valid model to use
-    if (!modelToUse || modelToUse.trim() === '') {
-      console.log('modelToUse is empty or undefined in shader generation, falling back to gpt-4.1-mini');
-      modelToUse = 'gpt-4.1-mini';
+    const completion = await modelRouter.complete(phase, { ...request, signal: tracked.signal });
+    const logEntry = pipeline.logInteraction('generate', req.body, request, { completion, startTime });
+    const checked = await pipeline.validateCompletion(req.body, request, completion, tracked.signal);
+
+    // There are no screenshots in the initial generation request, but we'll add the field for consistency
+    res.json({ 
+      response: checked.response,
+      fragmentShader: checked.fragmentShader,
+      buffers: checked.buffers,
+      reflection: checked.reflection,
+      changes: checked.changes,
+      parse: checked.parse,
+      validation: checked.validation,
+      repairs: checked.repairs,
+      savedScreenshots: [],
+      promptVersion,
+      promptHash,
+      logId: logEntry.id,
+      requestId: tracked.id
+    });
+  } catch (error) {
+    console.error('Error calling LLM provider:', error);
+    if (request) pipeline.logInteraction('generate', req.body, request, { error, startTime });
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, code: error.code });
     }
+    if (error.status === 402) {
+      return res.status(402).json(budgetErrorBody(error));
+    }
+    if (error.code === 'REQUEST_CANCELLED') {
+      return res.status(499).json(cancelledErrorBody(error, tracked.id));
+    }
+    res.status(500).json({ error: 'Failed to generate shader', message: error.message, type: error.name });
+  } finally {
+    tracked.finish();
+  }
+});
+
+// Streaming variant of /api/generate-shader using Server-Sent Events
+app.post('/api/generate-shader/stream', async (req, res) => {
+  const { prompt } = req.body;
+  const startTime = Date.now();
+  const tracked = trackRequest(req, res, 'generate');
+  if (!tracked) return;
+  let request = null;
+  
+  try {
+    // Refuse the request once the session or daily budget is used up
+    usageTracker.checkBudget(req.body.sessionId);
+    const { phase, model: modelToUse, messages, responseSchema, promptVersion, promptHash } = pipeline.buildGenerationRequest(prompt, null, req.body.promptVersion, req.body);
+    request = { model: modelToUse, messages, responseSchema, promptVersion, promptHash };
     
-    console.log(`Using model for initial shader generation: ${modelToUse} (finetuned model if available)`);
-    
-    // Determine if we're using the finetuned model to include specific instructions
-    const usingFinetunedModel = process.env.USE_FINETUNED_MODEL === 'true';
+    startEventStream(res);
+    sendEvent(res, 'meta', { model: modelToUse, phase, promptVersion, promptHash, requestId: tracked.id });
     
-    // Base system content that's common to both models
-    let systemContent = "You are an expert GLSL shader programmer specializing in fragment shaders like those used in Shadertoy. You have been finetuned on a large collection of Shadertoy examples. Write high-quality, efficient WebGL fragment shaders based on descriptions.\n\nCRITICAL REQUIREMENT: YOUR RESPONSE MUST INCLUDE ACTUAL SHADER CODE. Do not just discuss techniques or examples without implementing them.\n\nIMPORTANT REFERENCE APPROACH:\n- Use your knowledge of Shadertoy examples as reference for the requested effect\n- Keep explanations brief (max 2-3 sentences) about what techniques you're using\n- DO NOT copy or paste descriptions from Shadertoy without implementation\n- Focus on implementing the shader rather than just discussing examples\n\nSTRICT OUTPUT FORMAT (YOU MUST FOLLOW THIS EXACTLY):\n1. Brief explanation (2-3 sentences maximum)\n2. The '#-- FRAGMENT SHADER --#' marker\n3. Your complete, working shader code\n\nEXACT FORMAT EXAMPLE:\nI'm implementing this effect using ray marching with soft shadows. I'm taking inspiration from volumetric lighting techniques commonly used in atmospheric shaders.\n\n#-- FRAGMENT SHADER --#\nprecision mediump float;\n\nvoid main() {\n  // shader code here\n}\n\nCODE REQUIREMENTS:\n- Your code MUST be compilable in WebGL (GLSL ES 1.0)\n- Your code will run in a fixed vertex shader environment that provides normalized UV coordinates in a varying called 'vUv'\n- You only need to write the fragment shader - DO NOT include any vertex shader code\n- Focus on implementing a working shader that matches the request\n\nAvailable uniforms:\n- uTime (float): Time in seconds for animations\n- uResolution (vec2): Canvas dimensions in pixels\n- uMouse (vec2): Normalized mouse position (0.0-1.0)\n- uMouseClick (vec2): Normalized position of the last mouse click\n- uIsMouseDown (int): Boolean flag for mouse button state\n- uFrame (int): Frame counter for animation control\n- uAspect (float): Canvas aspect ratio for proper proportions";
+    const completion = await streamCompletion(res, phase, request, tracked.signal);
+    const logEntry = pipeline.logInteraction('generate', req.body, request, { completion, startTime, streamed: true });
+    const checked = await pipeline.validateCompletion(req.body, request, completion, tracked.signal);
     
-    // Add special instructions for the finetuned model
-    if (usingFinetunedModel) {
-      systemContent += "\n\nSPECIAL INSTRUCTIONS FOR FINETUNED MODEL:\n- Use the training data ONLY as examples to reference concepts and techniques\n- DO NOT copy code directly from training examples\n- Instead, derive inspiration and apply similar techniques creatively\n- Your output MUST adhere exactly to the specified format with the '#-- FRAGMENT SHADER --#' separator\n- Ensure your shader code is original while building on concepts from the training data\n- Focus on producing high-quality, creative, and functional shader code that matches the requested description";
-    }
-    
-    const completion = await openai.chat.completions.create({
-      model: modelToUse,
-      messages: [
-        { "role": "system", "content": systemContent },
-        { "role": "user", "content": `Create a shader that produces: ${prompt}` }
-      ]
+    sendEvent(res, 'done', {
+      response: checked.response,
+      fragmentShader: checked.fragmentShader,
+      buffers: checked.buffers,
+      reflection: checked.reflection,
+      changes: checked.changes,
+      parse: checked.parse,
+      validation: checked.validation,
+      repairs: checked.repairs,
+      savedScreenshots: [],
+      promptVersion,
+      promptHash,
+      logId: logEntry.id
     });
+    res.end();
+  } catch (error) {
+    console.error('Error streaming from LLM provider:', error);
+    if (request) pipeline.logInteraction('generate', req.body, request, { error, startTime, streamed: true });
+    if (!res.headersSent) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+      if (error.status === 402) {
+        return res.status(402).json(budgetErrorBody(error));
+      }
+      if (error.code === 'REQUEST_CANCELLED') {
+        return res.status(499).json(cancelledErrorBody(error, tracked.id));
+      }
+      return res.status(500).json({ error: 'Failed to generate shader', message: error.message, type: error.name });
+    }
+    if (error.code === 'REQUEST_CANCELLED') {
+      sendEvent(res, 'error', cancelledErrorBody(error, tracked.id));
+    } else {
+      sendEvent(res, 'error', { error: 'Failed to generate shader', message: error.message });
+    }
+    res.end();
+  } finally {
+    tracked.finish();
+  }
+});
 
-    // There are no screenshots in the initial generation request, but we'll add the field for consistency
-    res.json({ 
-      response: completion.choices[0].message.content,
-      savedScreenshots: []
-    });
+// Generate several candidate shaders in parallel. Each one is validated and repaired like a single
+// generation; the browser ranks them by compiling and rendering them and the user picks one.
+app.post('/api/generate-shader/candidates', async (req, res) => {
+  const { prompt } = req.body;
+  let count;
+  try {
+    count = normalizeCandidateCount(req.body.count, DEFAULT_CANDIDATE_COUNT);
   } catch (error) {
-    console.error('Error calling OpenAI API:', error);
-    res.status(500).json({ error: 'Failed to generate shader' });
+    return res.status(400).json({ error: error.message, code: error.code });
   }
+  
+  try {
+    usageTracker.checkBudget(req.body.sessionId);
+  } catch (error) {
+    return res.status(402).json(budgetErrorBody(error));
+  }
+  
+  // Build every request first, so that an unknown prompt or GLSL version or an invalid texture channel fails the request as a whole
+  let built;
+  try {
+    built = Array.from({ length: count }, (_, index) => pipeline.buildGenerationRequest(prompt, { index, count }, req.body.promptVersion, req.body));
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+  
+  // Cancelling stops every candidate that is still being generated
+  const tracked = trackRequest(req, res, 'candidates');
+  if (!tracked) return;
+  console.log(`Generating ${count} candidate shaders`);
+  const candidates = await Promise.all(built.map(async ({ phase, model: modelToUse, messages, responseSchema, promptVersion, promptHash }, index) => {
+    const startTime = Date.now();
+    const request = { model: modelToUse, messages, responseSchema, promptVersion, promptHash };
+    
+    try {
+      const completion = await modelRouter.complete(phase, { ...request, signal: tracked.signal });
+      const logEntry = pipeline.logInteraction('generate', req.body, request, { completion, startTime });
+      const checked = await pipeline.validateCompletion(req.body, request, completion, tracked.signal);
+      return {
+        index,
+        model: completion.model,
+        response: checked.response,
+        fragmentShader: checked.fragmentShader,
+        buffers: checked.buffers,
+        reflection: checked.reflection,
+        changes: checked.changes,
+        parse: checked.parse,
+        validation: checked.validation,
+        repairs: checked.repairs,
+        promptVersion,
+        promptHash,
+        logId: logEntry.id
+      };
+    } catch (error) {
+      // One failed candidate does not fail the others
+      console.error(`Candidate ${index + 1} failed:`, error.message);
+      pipeline.logInteraction('generate', req.body, request, { error, startTime });
+      return { index, error: error.message };
+    }
+  }));
+  tracked.finish();
+  
+  if (tracked.signal.aborted) {
+    return res.status(499).json(cancelledErrorBody(cancelledError(tracked.id), tracked.id));
+  }
+  if (candidates.every(candidate => candidate.error)) {
+    return res.status(500).json({ error: 'Failed to generate shader', message: candidates[0].error, candidates });
+  }
+  res.json({ candidates });
 });
 
 // Reflexion-based shader iteration endpoint
 app.post('/api/iterate-shader', async (req, res) => {
   // Declare variables at the function scope so they're available throughout the function
-  let modelToUse;
-  let supportsImageInput = false;
   let savedScreenshots = [];
+  let request = null;
+  const startTime = Date.now();
+  const tracked = trackRequest(req, res, 'iterate');
+  if (!tracked) return;
   console.log('=== ITERATE ENDPOINT CALLED ===');
   console.log('Request body keys:', Object.keys(req.body));
   
@@ -142,245 +433,68 @@ app.post('/api/iterate-shader', async (req, res) => {
     console.log('Iteration:', iteration);
     console.log('Screenshots count:', screenshots.length);
     
-    // Process screenshots if available
-    savedScreenshots = [];
+    // Validate the request and check the budgets before saving anything
+    validateIterationBody(req.body);
+    usageTracker.checkBudget(req.body.sessionId);
     
     // Save screenshots to the screenshots directory
+    savedScreenshots = [];
     if (screenshots.length > 0) {
       console.log('First screenshot length:', screenshots[0].length);
       console.log('Screenshot type:', screenshots[0].substring(0, 30) + '...');
       
       // Save each screenshot to disk and get filenames
-      savedScreenshots = saveScreenshots(screenshots, iteration);
-    }
-    
-    const MAX_ITERATIONS = 5;
-    const TARGET_SSIM = 0.85;
-    
-    // Validate required inputs
-    if (!fragmentShader) {
-      console.log('ERROR: Missing fragment shader code');
-      return res.status(400).json({ error: 'Missing fragment shader code' });
+      savedScreenshots = saveScreenshots(screenshotsDir, screenshots, iteration);
     }
     
-    // Create messages array starting with the system prompt
-    console.log('Creating messages array for OpenAI API...');
-    // Determine if we're using the finetuned model to include specific instructions
-    const usingFinetunedModel = process.env.USE_FINETUNED_MODEL === 'true';
+    // Let the vision critique models look at the screenshots, then build the messages for the provider
+    const critique = await critiqueScreenshots(req.body, savedScreenshots, tracked.signal);
+    const { phase, model: modelToUse, messages, responseSchema, promptVersion, promptHash } = pipeline.buildIterationRequest(req.body, critique, sessionFor(req.body));
+    request = { model: modelToUse, messages, responseSchema, promptVersion, promptHash };
     
-    // Base system content that's common to both models
-    let systemContent = "You are an expert GLSL shader programmer specializing in fragment shaders like those used in Shadertoy. You have been finetuned on a large collection of Shadertoy examples. Implement Reflexion-style self-improvement to iteratively refine shader code based on feedback.\n\nCRITICAL REQUIREMENT: YOUR RESPONSE MUST INCLUDE ACTUAL IMPROVED SHADER CODE. Do not just discuss techniques or examples without implementing them.\n\nIMPORTANT REFERENCE APPROACH:\n- Use your knowledge of Shadertoy examples as reference for the requested fixes\n- Keep explanations brief (max 2-3 sentences) about what issues you're addressing\n- DO NOT copy or paste descriptions from Shadertoy without implementation\n- Focus on implementing the fixes rather than just discussing approaches\n\nSTRICT OUTPUT FORMAT (YOU MUST FOLLOW THIS EXACTLY):\n1. Brief reflection on issues (2-3 sentences maximum)\n2. The '#-- FRAGMENT SHADER --#' marker\n3. Your complete, working improved shader code\n\nEXACT FORMAT EXAMPLE:\nI've fixed the shadowing artifacts by adjusting the ray marching epsilon value and improving the normal calculation precision. I've also optimized the lighting calculations to reduce unnecessary iterations.\n\n#-- FRAGMENT SHADER --#\nprecision mediump float;\n\nvoid main() {\n  // improved shader code here\n}\n\nCODE REQUIREMENTS:\n- Your code MUST be compilable in WebGL (GLSL ES 1.0)\n- Your code will run in a fixed vertex shader environment that provides normalized UV coordinates in a varying called 'vUv'\n- You only need to write the fragment shader - DO NOT include any vertex shader code\n- Focus on implementing a working shader that addresses the feedback\n\nAvailable uniforms:\n- uTime (float): Time in seconds for animations\n- uResolution (vec2): Canvas dimensions in pixels\n- uMouse (vec2): Normalized mouse position (0.0-1.0)\n- uMouseClick (vec2): Normalized position of the last mouse click\n- uIsMouseDown (int): Boolean flag for mouse button state\n- uFrame (int): Frame counter for animation control\n- uAspect (float): Canvas aspect ratio for proper proportions\n\nIMPORTANT DEBUGGING APPROACH:\n- Analyze compilation errors and visual issues carefully\n- Ensure numerical stability in mathematical operations\n- Fix edge cases and potential divide-by-zero scenarios\n- Optimize for performance where possible\n- Verify your fixes with mental tracing of the shader execution";
-    
-    // Add special instructions for the finetuned model
-    if (usingFinetunedModel) {
-      systemContent += "\n\nSPECIAL INSTRUCTIONS FOR FINETUNED MODEL:\n- Use the training data ONLY as examples to reference concepts and techniques\n- DO NOT copy code directly from training examples\n- Instead, derive inspiration and apply similar techniques creatively\n- Your output MUST adhere exactly to the specified format with the '#-- FRAGMENT SHADER --#' separator\n- Ensure your shader code is original while building on concepts from the training data\n- Focus on producing high-quality, creative fixes that address the specific issues while maintaining the shader's intended functionality";
-    }
-    
-    const messages = [
-      {
-        "role": "system", 
-        "content": systemContent
-      }
-    ];
-    
-    // If this is an iteration (not the first generation)
-    if (iteration > 0) {
-      console.log(`Processing iteration ${iteration}`);
-      
-      // Add the previous code as an assistant message
-      console.log('Adding previous shader code as assistant message');
-      messages.push({
-        "role": "assistant",
-        "content": `${fragmentShader}`
-      });
-      
-      // Determine which model to use - MOVED UP BEFORE SCREENSHOT PROCESSING
-      // Following specific rules for model selection:
-      // 1. Only use finetuned model for initial generation and first manual iteration
-      // 2. Use gpt-4.1-mini for all auto-iterations and subsequent manual iterations
-      
-      if (isAutoIteration) {
-        // For auto-iteration, always use gpt-4.1-mini
-        modelToUse = "gpt-4.1-mini";
-        supportsImageInput = true; // gpt-4.1-mini supports image input
-        console.log(`Auto-iteration flag is true. Using model: ${modelToUse}`);
-      } else {
-        // For manual iterations, only use finetuned model for the first iteration (iteration = 0)
-        if (iteration === 0) {
-          // First manual iteration - use finetuned model if available
-          modelToUse = getModelToUse();
-          console.log(`First manual iteration. Using model from settings: ${modelToUse}`);
-        } else {
-          // Subsequent manual iterations - always use gpt-4.1-mini
-          modelToUse = "gpt-4.1-mini";
-          console.log(`Subsequent manual iteration (${iteration}). Using model: ${modelToUse}`);
-        }
-        
-        // Check if the model supports image input
-        // Currently only certain OpenAI models support image input
-        const imageCompatibleModels = [
-          'gpt-4-vision-preview', 'gpt-4-turbo', 'gpt-4-turbo-preview', 
-          'gpt-4-1106-vision-preview', 'gpt-4-0125-preview',
-          'gpt-4.1-preview', 'gpt-4.1-mini', 'gpt-4-1106-preview',
-          'gpt-4o', 'gpt-4o-mini'
-        ];
-        
-        supportsImageInput = imageCompatibleModels.includes(modelToUse);
-        console.log(`Manual iteration. Using model: ${modelToUse} (${supportsImageInput ? 'supports' : 'does not support'} image input)`);
-      }
-      
-      // Create a text feedback message based on the iteration number and user feedback
-      console.log('Creating feedback text based on iteration number and user feedback...');
-      let feedbackText = `Iteration ${iteration}: Evaluate and improve the previous shader `;
-      
-      // Add user's specific feedback if available
-      if (req.body.userFeedback) {
-        console.log('User provided specific feedback:', req.body.userFeedback);
-        feedbackText = `Iteration ${iteration}: ${req.body.userFeedback}\n\nEvaluate and improve the shader according to this user feedback. `;
-      } else {
-        // If no specific user feedback, use a default message
-        feedbackText += 'to make it more efficient and visually appealing.';
-      }
-      
-      feedbackText += '\n\nWrite a brief one-sentence reflection identifying the key issues. Then provide the complete improved shader code.';
-      
-      // Check if we can include images - only for models that support image input
-      if (screenshots && screenshots.length > 0 && supportsImageInput) {
-        // Process images only if the model supports image input
-        console.log('Processing screenshot for API request');
-        try {
-          // Try to create a message with images
-          const userMessage = {
-            "role": "user",
-            "content": [
-              { "type": "text", "text": feedbackText }
-            ]
-          };
-          
-          // Add up to 3 screenshots, but check size of each
-          // Process screenshots up to a maximum of 3
-          const MAX_SCREENSHOTS = 1;
-          let processedCount = 0;
-          let totalSize = 0;
-          
-          for (let i = 0; i < screenshots.length && i < MAX_SCREENSHOTS; i++) {
-            const screenshot = screenshots[i];
-            if (screenshot && screenshot.startsWith('data:image')) {
-              try {
-                // Check if the base64 data is valid and not too large
-                const base64Data = screenshot.split(',')[1];
-                const size = base64Data.length;
-                
-                // Keep track of total size to stay within reasonable limits
-                totalSize += size;
-                
-                // Validate base64 data and total size
-                if (base64Data && size < 1024 * 1024 && totalSize < 3 * 1024 * 1024) { // 1MB per image, 3MB total
-                  // Use image_url format with data URI
-                  userMessage.content.push({
-                    "type": "image_url",
-                    "image_url": {
-                      // Use the full data URI (including the prefix)
-                      "url": screenshot
-                    }
-                  });
-                  processedCount++;
-                  console.log(`Added screenshot ${i+1} (${Math.round(size/1024)}KB) to API request`);
-                } else {
-                  console.warn(`Screenshot ${i+1} too large (${Math.round(size/1024)}KB) or total size exceeds limit, skipping`);
-                  break; // Stop adding more if we hit the size limit
-                }
-              } catch (base64Error) {
-                console.error(`Error processing base64 image data for screenshot ${i+1}:`, base64Error);
-                // Continue without this image
-              }
-            }
-          }
-          
-          console.log(`Added ${processedCount} screenshots to API request (total size: ${Math.round(totalSize/1024)}KB)`);
-          
-          messages.push(userMessage);
-        } catch (imgError) {
-          console.error('Error processing image for API:', imgError);
-          // Fallback to text-only if image processing fails
-          messages.push({
-            "role": "user",
-            "content": feedbackText
-          });
-        }
-      } else {
-        // For models that don't support image input or if no screenshots are available
-        if (screenshots && screenshots.length > 0 && !supportsImageInput) {
-          console.log('Model does not support image input. Using text-only message.');
-        }
-        
-        // Text-only message
-        messages.push({
-          "role": "user",
-          "content": feedbackText
-        });
-      }
-    } else {
-      // First generation: just add the user prompt
-      messages.push({
-        "role": "user",
-        "content": `Create a shader that produces: ${prompt}`
-      });
-    }
-    
-    // Call OpenAI API with the constructed messages
-    console.log('Preparing to call OpenAI API...');
+    // Call the LLM provider with the constructed messages
+    console.log(`Preparing to call LLM provider (${llmProvider.name})...`);
     console.log('Messages count:', messages.length);
     try {
       
       // Call the API with detailed error handling
       console.log('Making API call...');
       
-      // Ensure we have a valid model to use
-      if (!modelToUse || modelToUse.trim() === '') {
-        console.log('modelToUse is empty or undefined, falling back to gpt-4.1-mini');
-        modelToUse = 'gpt-4.1-mini';
-      }
-      
       console.log(`Using model for API call: ${modelToUse}`);
-      const completion = await openai.chat.completions.create({
-        model: modelToUse,
-        messages: messages
-      });
+      const completion = await modelRouter.complete(phase, { ...request, signal: tracked.signal });
       
       console.log('API call successful!');
+      const logEntry = pipeline.logInteraction('iterate', req.body, request, { completion, startTime, savedScreenshots });
       
-      if (!completion || !completion.choices || !completion.choices[0]) {
-        console.error('Unexpected API response structure:', JSON.stringify(completion));
-        throw new Error('Invalid API response structure');
-      }
-      
-      const responseContent = completion.choices[0].message.content;
+      // Validate the new shader and repair it before the browser tries to compile it
+      const checked = await pipeline.validateCompletion(req.body, request, completion, tracked.signal);
+      const responseContent = checked.response;
       console.log('Response content length:', responseContent.length);
       console.log('Response preview:', responseContent.substring(0, 100) + '...');
-      
-      let reflection = "";
-      
-      // Extract reflection if this is an iteration
-      if (iteration > 0) {
-        console.log('Extracting reflection from response...');
-        const reflectionMatch = responseContent.match(/Reflection:\s*(.*?)\n/i);
-        if (reflectionMatch && reflectionMatch[1]) {
-          reflection = reflectionMatch[1].trim();
-          console.log('Extracted reflection:', reflection);
-        } else {
-          console.log('No reflection found in response');
-        }
+      console.log(`Parsed ${checked.parse.format} response (confidence ${checked.parse.confidence})`);
+      if (checked.reflection) {
+        console.log('Reflection:', checked.reflection);
       }
       
       res.json({
         response: responseContent,
-        reflection: reflection,
+        fragmentShader: checked.fragmentShader,
+        buffers: checked.buffers,
+        reflection: checked.reflection,
+        changes: checked.changes,
+        critique,
+        parse: checked.parse,
+        validation: checked.validation,
+        repairs: checked.repairs,
         iteration: iteration,
-        savedScreenshots: savedScreenshots || []
+        savedScreenshots: savedScreenshots || [],
+        promptVersion,
+        promptHash,
+        logId: logEntry.id,
+        requestId: tracked.id
       });
     } catch (apiError) {
-      console.error('OpenAI API call failed:', apiError);
+      console.error('LLM provider call failed:', apiError);
       throw apiError; // Re-throw to be caught by the outer try-catch
     }
   } catch (error) {
@@ -389,71 +503,522 @@ app.post('/api/iterate-shader', async (req, res) => {
     console.error('Error name:', error.name);
     console.error('Error stack:', error.stack);
     
+    if (request) {
+      pipeline.logInteraction('iterate', req.body, request, { error, startTime, savedScreenshots });
+    }
+    
     // Check for specific error types to provide better diagnostics
     if (error.response) {
-      // OpenAI API error with response
-      console.error('OpenAI API error response:', error.response.status);
-      console.error('OpenAI API error data:', JSON.stringify(error.response.data));
+      // Provider API error with response
+      console.error('LLM API error response:', error.response.status);
+      console.error('LLM API error data:', JSON.stringify(error.response.data));
     } else if (error.request) {
       // Network error or no response
       console.error('Network error or no response from API');
       console.error('Request details:', error.request);
     }
     
+    // Invalid requests and used-up budgets are reported as such
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    if (error.status === 402) {
+      return res.status(402).json(budgetErrorBody(error));
+    }
+    if (error.code === 'REQUEST_CANCELLED') {
+      return res.status(499).json(cancelledErrorBody(error, tracked.id));
+    }
+    
     // Send a more detailed error response to the client
     res.status(500).json({ 
       error: 'Failed to iterate on shader', 
       message: error.message,
       type: error.name
     });
+  } finally {
+    tracked.finish();
   }
 });
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).send('404: Page not found');
+// Streaming variant of /api/iterate-shader using Server-Sent Events
+app.post('/api/iterate-shader/stream', async (req, res) => {
+  console.log('=== ITERATE STREAM ENDPOINT CALLED ===');
+  const startTime = Date.now();
+  const tracked = trackRequest(req, res, 'iterate');
+  if (!tracked) return;
+  let request = null;
+  let savedScreenshots = [];
+  
+  try {
+    const { screenshots = [], iteration = 0 } = req.body;
+    
+    // Validate the request and check the budgets before saving anything
+    validateIterationBody(req.body);
+    usageTracker.checkBudget(req.body.sessionId);
+    savedScreenshots = screenshots.length > 0 ? saveScreenshots(screenshotsDir, screenshots, iteration) : [];
+    
+    const critique = await critiqueScreenshots(req.body, savedScreenshots, tracked.signal);
+    const { phase, model: modelToUse, messages, responseSchema, promptVersion, promptHash } = pipeline.buildIterationRequest(req.body, critique, sessionFor(req.body));
+    request = { model: modelToUse, messages, responseSchema, promptVersion, promptHash };
+    
+    startEventStream(res);
+    sendEvent(res, 'meta', { model: modelToUse, phase, iteration, promptVersion, promptHash, requestId: tracked.id });
+    
+    const completion = await streamCompletion(res, phase, request, tracked.signal);
+    console.log('Streamed response length:', completion.content.length);
+    const logEntry = pipeline.logInteraction('iterate', req.body, request, { completion, startTime, savedScreenshots, streamed: true });
+    const checked = await pipeline.validateCompletion(req.body, request, completion, tracked.signal);
+    
+    sendEvent(res, 'done', {
+      response: checked.response,
+      fragmentShader: checked.fragmentShader,
+      buffers: checked.buffers,
+      reflection: checked.reflection,
+      changes: checked.changes,
+      critique,
+      parse: checked.parse,
+      validation: checked.validation,
+      repairs: checked.repairs,
+      iteration,
+      savedScreenshots,
+      promptVersion,
+      promptHash,
+      logId: logEntry.id
+    });
+    res.end();
+  } catch (error) {
+    console.error('Error streaming shader iteration:', error.message);
+    if (request) {
+      pipeline.logInteraction('iterate', req.body, request, { error, startTime, savedScreenshots, streamed: true });
+    }
+    if (!res.headersSent) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+      if (error.status === 402) {
+        return res.status(402).json(budgetErrorBody(error));
+      }
+      if (error.code === 'REQUEST_CANCELLED') {
+        return res.status(499).json(cancelledErrorBody(error, tracked.id));
+      }
+      return res.status(500).json({ error: 'Failed to iterate on shader', message: error.message, type: error.name });
+    }
+    if (error.code === 'REQUEST_CANCELLED') {
+      sendEvent(res, 'error', cancelledErrorBody(error, tracked.id));
+    } else {
+      sendEvent(res, 'error', { error: 'Failed to iterate on shader', message: error.message, type: error.name });
+    }
+    res.end();
+  } finally {
+    tracked.finish();
+  }
 });
 
-/**
- * Save screenshots to the screenshots directory
- * @param {Array<string>} screenshots - Array of base64 encoded screenshots
- * @param {number} iteration - Current iteration number
- * @returns {Array<string>} - Array of saved screenshot filenames
- */
-function saveScreenshots(screenshots, iteration) {
-  const savedScreenshots = [];
+// Cancel an LLM request that is still in flight. The request's provider call is aborted and it
+// answers with status 499 (or an 'error' event when streaming) and code REQUEST_CANCELLED.
+app.post('/api/requests/:id/cancel', (req, res) => {
+  if (!requestRegistry.cancel(req.params.id)) {
+    return res.status(404).json({ error: 'No request in flight with this id' });
+  }
+  console.log(`Cancelled request ${req.params.id}`);
+  res.json({ id: req.params.id, cancelled: true });
+});
+
+// Check a fragment shader and its buffer passes with the server-side GLSL ES validator
+app.post('/api/validate-shader', (req, res) => {
+  const { fragmentShader, repair = false } = req.body;
+  
+  if (typeof fragmentShader !== 'string' || !fragmentShader.trim()) {
+    return res.status(400).json({ error: 'fragmentShader is required' });
+  }
+  
+  try {
+    const buffers = normalizeBufferPasses(req.body.buffers);
+    const result = validateShaderPasses(fragmentShader, buffers);
+    const response = {
+      valid: result.valid,
+      errors: result.errors,
+      warnings: result.warnings,
+      uniforms: result.uniforms,
+      usesVUv: result.usesVUv,
+      version: result.version,
+      shadertoy: result.shadertoy,
+      log: formatDiagnostics(result, true)
+    };
+    
+    // Optionally apply the same mechanical fixes used on LLM output
+    if (repair && !result.valid) {
+      const repaired = autoRepairPasses(fragmentShader, buffers);
+      response.repairedShader = repaired.source;
+      if (Object.keys(buffers).length > 0) {
+        response.repairedBuffers = repaired.buffers;
+      }
+      response.repairs = repaired.applied;
+      response.repairedValid = repaired.validation.valid;
+    }
+    
+    res.json(response);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('Error validating shader:', error);
+    res.status(500).json({ error: 'Failed to validate shader', message: error.message, type: error.name });
+  }
+});
+
+// Model routing policy: the models tried for each phase, in order
+app.get('/api/config/models', (req, res) => {
+  res.json(modelRouter.describe());
+});
+
+// Replace the model routing policy; it is saved to the policy file and used immediately
+app.put('/api/config/models', (req, res) => {
+  try {
+    modelRouter.save(req.body);
+    console.log('Saved model routing policy:', JSON.stringify(modelRouter.policy.phases));
+    res.json(modelRouter.describe());
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('Error saving model routing policy:', error);
+    res.status(500).json({ error: 'Failed to save model routing policy', message: error.message, type: error.name });
+  }
+});
+
+// Delete the policy file and go back to the routing built from the environment
+app.delete('/api/config/models', (req, res) => {
+  try {
+    modelRouter.reset();
+    res.json(modelRouter.describe());
+  } catch (error) {
+    console.error('Error resetting model routing policy:', error);
+    res.status(500).json({ error: 'Failed to reset model routing policy', message: error.message, type: error.name });
+  }
+});
+
+// Token usage and cost for today, the last few days and optionally a session, with the budgets
+app.get('/api/usage', (req, res) => {
+  try {
+    const days = Math.max(1, Math.min(parseInt(req.query.days, 10) || 7, 90));
+    res.json(usageTracker.describe({ sessionId: req.query.sessionId || null, days }));
+  } catch (error) {
+    console.error('Error reading usage:', error);
+    res.status(500).json({ error: 'Failed to read usage', message: error.message, type: error.name });
+  }
+});
+
+// Upload an image for a texture channel. The body is the image itself with its Content-Type;
+// the response has the URL it is served from.
+app.post('/api/textures', express.raw({ type: 'image/*', limit: '10mb' }), (req, res) => {
+  try {
+    res.status(201).json(textureStore.save(req.body, req.get('Content-Type')));
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('Error saving texture:', error);
+    res.status(500).json({ error: 'Failed to save texture', message: error.message, type: error.name });
+  }
+});
+
+// Prompt templates with their versions and the active version of each
+app.get('/api/prompts', (req, res) => {
+  try {
+    res.json({ templates: promptTemplates.describe() });
+  } catch (error) {
+    console.error('Error reading prompt templates:', error);
+    res.status(500).json({ error: 'Failed to read prompt templates', message: error.message, type: error.name });
+  }
+});
+
+// Benchmark prompt suites
+app.get('/api/benchmarks/suites', (req, res) => {
+  try {
+    res.json({ suites: benchmarkStore.listSuites() });
+  } catch (error) {
+    console.error('Error reading benchmark suites:', error);
+    res.status(500).json({ error: 'Failed to read benchmark suites', message: error.message, type: error.name });
+  }
+});
+
+// List benchmark runs, most recent first
+app.get('/api/benchmarks/runs', (req, res) => {
+  res.json({ runs: benchmarkStore.list() });
+});
+
+// Create a benchmark run: every configuration ({ label, model, promptVersion }) against every prompt
+// of a suite. Judging uses judgeModel, else the vision critique models, else the provider's default model.
+app.post('/api/benchmarks/runs', (req, res) => {
+  const { suite, configurations, judge = true } = req.body;
+  const fixAttempts = req.body.fixAttempts === undefined ? 10 : parseInt(req.body.fixAttempts, 10);
+  let judgeModels = [];
+  if (judge) {
+    const critiqueModels = modelRouter.modelsFor('visionCritique');
+    judgeModels = req.body.judgeModel ? [req.body.judgeModel] : (critiqueModels.length > 0 ? critiqueModels : [llmProvider.defaultModel]);
+  }
+
+  try {
+    const run = benchmarkStore.createRun({ suite, configurations, fixAttempts, judgeModels, provider: llmProvider.name });
+    console.log(`Created benchmark run ${run.id}: ${run.cases.length} cases`);
+    res.status(201).json({ run, summary: summarizeRun(run), metrics: METRICS });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// A benchmark run with the metrics of each configuration: the JSON comparison report
+app.get('/api/benchmarks/runs/:id', (req, res) => {
+  const run = benchmarkStore.get(req.params.id);
+  if (!run) {
+    return res.status(404).json({ error: 'Benchmark run not found' });
+  }
+  res.json({ run, summary: summarizeRun(run), metrics: METRICS });
+});
+
+// The HTML comparison report of a benchmark run
+app.get('/api/benchmarks/runs/:id/report.html', (req, res) => {
+  const run = benchmarkStore.get(req.params.id);
+  if (!run) {
+    return res.status(404).json({ error: 'Benchmark run not found' });
+  }
+  res.type('html').send(renderHtmlReport(run));
+});
+
+// Delete a benchmark run
+app.delete('/api/benchmarks/runs/:id', (req, res) => {
+  if (!benchmarkStore.delete(req.params.id)) {
+    return res.status(404).json({ error: 'Benchmark run not found' });
+  }
+  res.status(204).end();
+});
+
+// Generate one benchmark case with its configuration's model and prompt version, auto-fixing it
+// until it passes validation. The browser then renders it and posts the result to /evaluate.
+app.post('/api/benchmarks/runs/:id/cases/:caseId/generate', async (req, res) => {
+  const run = benchmarkStore.get(req.params.id);
+  const item = run && run.cases.find(entry => entry.id === req.params.caseId);
+  if (!item) {
+    return res.status(404).json({ error: 'Benchmark case not found' });
+  }
+
+  const configuration = run.configurations[item.configIndex];
+  const startTime = Date.now();
+  const tracked = trackRequest(req, res, 'benchmark');
+  if (!tracked) return;
   try {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const result = await pipeline.generate(item.prompt, {
+      fixAttempts: run.fixAttempts,
+      promptVersion: configuration.promptVersion,
+      models: configuration.model ? [configuration.model] : null,
+      signal: tracked.signal
+    });
+    const generation = {
+      model: result.model,
+      promptVersion: result.promptVersion,
+      promptHash: result.promptHash,
+      fragmentShader: result.fragmentShader,
+      buffers: result.buffers,
+      valid: !!(result.validation && result.validation.valid),
+      firstTryValid: !!(result.attempts[0] && result.attempts[0].validBeforeRepair),
+      fixIterations: result.attempts.filter(attempt => attempt.type === 'iterate').length,
+      errors: result.validation ? result.validation.errors : [],
+      error: result.error,
+      attempts: result.attempts,
+      latencyMs: Date.now() - startTime
+    };
+    // Without a shader there is nothing to render or judge
+    const status = result.fragmentShader ? 'generated' : 'done';
+    res.json({ case: benchmarkStore.updateCase(run.id, item.id, { status, generation, render: null, judge: null }), requestId: tracked.id });
+  } catch (error) {
+    console.error(`Benchmark case ${item.id} failed:`, error.message);
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    if (error.status === 402) {
+      return res.status(402).json(budgetErrorBody(error));
+    }
+    if (error.code === 'REQUEST_CANCELLED') {
+      return res.status(499).json(cancelledErrorBody(error, tracked.id));
+    }
+    res.status(500).json({ error: 'Failed to generate benchmark shader', message: error.message, type: error.name });
+  } finally {
+    tracked.finish();
+  }
+});
+
+// Record the browser's render checks for a generated benchmark case ({ compiled, infoLog, blank,
+// animated, frameTimeMs, thumbnail }) and have the judge score it. A shader that does not compile
+// scores 1 without asking the judge.
+app.post('/api/benchmarks/runs/:id/cases/:caseId/evaluate', async (req, res) => {
+  const run = benchmarkStore.get(req.params.id);
+  const item = run && run.cases.find(entry => entry.id === req.params.caseId);
+  if (!item) {
+    return res.status(404).json({ error: 'Benchmark case not found' });
+  }
+  if (!item.generation || !item.generation.fragmentShader) {
+    return res.status(400).json({ error: 'Benchmark case has no generated shader to evaluate' });
+  }
+
+  const { compiled, infoLog, blank, animated, frameTimeMs, thumbnail } = req.body;
+  const render = {
+    compiled: !!compiled,
+    infoLog: typeof infoLog === 'string' ? infoLog : '',
+    blank: !!blank,
+    animated: !!animated,
+    frameTimeMs: Number.isFinite(frameTimeMs) ? frameTimeMs : null,
+    thumbnail: typeof thumbnail === 'string' && thumbnail.startsWith('data:image') ? thumbnail : null
+  };
+
+  let judge = null;
+  if (run.judgeModels.length > 0 && !render.compiled) {
+    judge = { score: 1, reason: 'The shader does not compile', model: null, promptVersion: null, promptHash: null, logId: null };
+  } else if (run.judgeModels.length > 0) {
+    const tracked = trackRequest(req, res, 'benchmark');
+    if (!tracked) return;
+    try {
+      judge = await pipeline.judge({
+        prompt: item.prompt,
+        fragmentShader: item.generation.fragmentShader,
+        buffers: item.generation.buffers || {},
+        screenshot: render.thumbnail,
+        models: run.judgeModels,
+        signal: tracked.signal
+      });
+    } catch (error) {
+      // The case stays unevaluated when the budget is used up or the run is stopped, so a resumed run judges it
+      if (error.status === 402) {
+        return res.status(402).json(budgetErrorBody(error));
+      }
+      if (error.code === 'REQUEST_CANCELLED') {
+        return res.status(499).json(cancelledErrorBody(error, tracked.id));
+      }
+      console.error(`Judging benchmark case ${item.id} failed:`, error.message);
+      judge = { score: null, error: error.message };
+    } finally {
+      tracked.finish();
+    }
+  }
+
+  res.json({ case: benchmarkStore.updateCase(run.id, item.id, { status: 'done', render, judge }) });
+});
+
+// List logged LLM interactions, optionally filtered by session, date (YYYY-MM-DD), type or prompt version
+app.get('/api/logs', (req, res) => {
+  try {
+    const { sessionId, date, type, promptVersion, limit } = req.query;
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'date must be formatted as YYYY-MM-DD' });
+    }
+    res.json({ logs: logStore.list({ sessionId, date, type, promptVersion, limit }) });
+  } catch (error) {
+    console.error('Error listing logs:', error);
+    res.status(500).json({ error: 'Failed to list logs' });
+  }
+});
+
+// Fetch a single logged LLM interaction
+app.get('/api/logs/:id', (req, res) => {
+  const entry = logStore.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Log entry not found' });
+  }
+  res.json(entry);
+});
+
+// List saved sessions, most recent first
+app.get('/api/sessions', (req, res) => {
+  try {
+    res.json({ sessions: sessionStore.list() });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+// Create a session for a new shader prompt
+app.post('/api/sessions', (req, res) => {
+  try {
+    const { prompt, title } = req.body;
+    res.status(201).json(sessionStore.create({ prompt, title }));
+  } catch (error) {
+    console.error('Error creating session:', error);
+    res.status(500).json({ error: 'Failed to create session' });
+  }
+});
+
+// Fetch a session with all of its iterations
+app.get('/api/sessions/:id', (req, res) => {
+  const session = sessionStore.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  res.json(session);
+});
+
+// Update a session's prompt or title
+app.patch('/api/sessions/:id', (req, res) => {
+  try {
+    const session = sessionStore.update(req.params.id, req.body);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(session);
+  } catch (error) {
+    console.error('Error updating session:', error);
+    res.status(500).json({ error: 'Failed to update session' });
+  }
+});
+
+// Delete a session
+app.delete('/api/sessions/:id', (req, res) => {
+  try {
+    if (!sessionStore.delete(req.params.id)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting session:', error);
+    res.status(500).json({ error: 'Failed to delete session' });
+  }
+});
+
+// Append an iteration to a session. A base64 thumbnail is saved to the screenshots directory
+// and stored as a URL so sessions stay small.
+app.post('/api/sessions/:id/iterations', (req, res) => {
+  try {
+    if (!sessionStore.get(req.params.id)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    // The iteration number goes into the thumbnail's file name
+    if (req.body.iteration !== undefined && !(Number.isInteger(req.body.iteration) && req.body.iteration >= 0)) {
+      return res.status(400).json({ error: 'Invalid iteration: must be an integer of 0 or more' });
+    }
     
-    screenshots.forEach((screenshot, index) => {
-      // Only process if it's a valid data URL
-      if (screenshot && screenshot.startsWith('data:image')) {
-        // Extract the base64 data and image type
-        const matches = screenshot.match(/^data:([A-Za-z-+\/]+);base64,(.+)$/);
-        
-        if (matches && matches.length === 3) {
-          const imageType = matches[1];
-          const base64Data = matches[2];
-          const extension = imageType.split('/')[1] || 'png';
-          
-          // Create filename with iteration, timestamp, and index
-          const filename = `screenshot_iter${iteration}_${timestamp}_${index}.${extension}`;
-          const filePath = path.join(screenshotsDir, filename);
-          
-          // Write the file to disk
-          fs.writeFileSync(filePath, base64Data, 'base64');
-          console.log(`Saved screenshot to ${filePath}`);
-          
-          // Add the filename to the return array
-          savedScreenshots.push(filename);
-        }
+    const iteration = {};
+    SESSION_ITERATION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        iteration[field] = req.body[field];
       }
     });
+    
+    if (req.body.thumbnail) {
+      const [thumbnailFile] = saveScreenshots(screenshotsDir, [req.body.thumbnail], req.body.iteration || 0);
+      iteration.thumbnailUrl = thumbnailFile ? `/screenshots/${thumbnailFile}` : null;
+    }
+    
+    res.status(201).json(sessionStore.addIteration(req.params.id, iteration));
   } catch (error) {
-    console.error('Error saving screenshots:', error);
+    console.error('Error saving session iteration:', error);
+    res.status(500).json({ error: 'Failed to save iteration' });
   }
-  return savedScreenshots;
-}
+});
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).send('404: Page not found');
+});
 
 // Start server
 app.listen(PORT, () => {
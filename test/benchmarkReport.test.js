@@ -0,0 +1,114 @@
+// benchmarkReport.test.js - Tests for scoring benchmark runs and judging shaders
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { summarizeRun, renderHtmlReport, METRICS } = require('../lib/benchmarkReport');
+const { createServices } = require('../lib/services');
+
+const SHADER = 'precision mediump float;\nvoid main() { gl_FragColor = vec4(1.0); }';
+
+/**
+ * A finished case
+ * @param {number} configIndex - Configuration it belongs to
+ * @param {string} promptId - Suite prompt id
+ * @param {Object} generation - { valid, firstTryValid, fixIterations, error }
+ * @param {Object|null} render - { compiled, blank, frameTimeMs }
+ * @param {number|null} score - Judge score
+ * @returns {Object}
+ */
+function doneCase(configIndex, promptId, generation, render, score) {
+  return {
+    id: `${configIndex}-${promptId}`,
+    configIndex,
+    promptId,
+    prompt: `Prompt <${promptId}>`,
+    status: 'done',
+    generation: { fixIterations: 0, ...generation },
+    render,
+    judge: score === null ? null : { score, reason: 'Looks right' }
+  };
+}
+
+const RUN = {
+  id: 'run-1',
+  suite: { name: 'basics', description: 'Basic effects' },
+  provider: 'mock',
+  fixAttempts: 3,
+  judgeModels: ['judge-model'],
+  createdAt: '2026-01-01T00:00:00.000Z',
+  configurations: [
+    { index: 0, label: 'Model A', model: 'model-a', promptVersion: null },
+    { index: 1, label: 'Model B <v2>', model: 'model-b', promptVersion: 'v2' }
+  ],
+  cases: [
+    doneCase(0, 'sunset', { valid: true, firstTryValid: true }, { compiled: true, blank: false, frameTimeMs: 4 }, 8),
+    doneCase(0, 'rain', { valid: true, firstTryValid: false, fixIterations: 2 }, { compiled: true, blank: true, frameTimeMs: 10 }, 4),
+    doneCase(0, 'stars', { valid: false, firstTryValid: false, fixIterations: 3 }, { compiled: false }, null),
+    doneCase(1, 'sunset', { valid: true, firstTryValid: true }, { compiled: true, blank: false, frameTimeMs: 2 }, 9),
+    doneCase(1, 'rain', { valid: false, error: 'Mock model mock-error always fails' }, null, null),
+    { id: '1-stars', configIndex: 1, promptId: 'stars', prompt: 'Prompt <stars>', status: 'pending', generation: null, render: null, judge: null }
+  ]
+};
+
+test('each configuration is scored over its finished cases', () => {
+  const [first, second] = summarizeRun(RUN);
+  assert.deepStrictEqual(first, {
+    index: 0,
+    label: 'Model A',
+    model: 'model-a',
+    promptVersion: null,
+    cases: 3,
+    completed: 3,
+    judged: 2,
+    firstTryCompileRate: 1 / 3,
+    successRate: 2 / 3,
+    meanFixIterations: 1,
+    blankFrameRate: 0.5,
+    medianFrameTimeMs: 7,
+    meanJudgeScore: 6
+  });
+
+  // The pending case is not counted, and the failed generation has no fixes to average
+  assert.strictEqual(second.cases, 3);
+  assert.strictEqual(second.completed, 2);
+  assert.strictEqual(second.firstTryCompileRate, 0.5);
+  assert.strictEqual(second.successRate, 0.5);
+  assert.strictEqual(second.meanFixIterations, 0);
+  assert.strictEqual(second.medianFrameTimeMs, 2);
+  assert.strictEqual(second.meanJudgeScore, 9);
+});
+
+test('a configuration without finished cases has no metrics', () => {
+  const [summary] = summarizeRun({ ...RUN, cases: RUN.cases.filter(item => item.configIndex === 1) });
+  assert.strictEqual(summary.cases, 0);
+  METRICS.forEach(metric => assert.strictEqual(summary[metric.key], null));
+});
+
+test('the report marks the best value of each metric and escapes text', () => {
+  const html = renderHtmlReport(RUN);
+  // Median frame time: lower is better; mean judge score: higher is better
+  assert.match(html, /<tr><th>Median frame time \(ms\)<\/th><td>7\.00<\/td><td><strong>2\.00<\/strong><\/td><\/tr>/);
+  assert.match(html, /<tr><th>Mean judge score \(1-10\)<\/th><td>6\.00<\/td><td><strong>9\.00<\/strong><\/td><\/tr>/);
+  assert.match(html, /<tr><th>Finished cases<\/th><td>3\/3<\/td><td>2\/3<\/td><\/tr>/);
+  assert.match(html, /Model B &lt;v2&gt;/);
+  assert.match(html, /Prompt &lt;sunset&gt;/);
+  assert.doesNotMatch(html, /<v2>|<sunset>/);
+  assert.match(html, /Failed: Mock model mock-error always fails/);
+  assert.match(html, /<td class="pending">pending<\/td>/);
+});
+
+test('the judge gives a score from 1 to 10 and logs the call', async (t) => {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shader-lab-test-'));
+  t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+  const { pipeline, logStore } = createServices({ rootDir, env: { LLM_PROVIDER: 'mock', PROMPTS_DIR: path.join(__dirname, '..', 'prompts') } });
+
+  const judgement = await pipeline.judge({ prompt: 'A white screen', fragmentShader: SHADER, models: ['judge-model'] });
+  assert.ok(Number.isInteger(judgement.score) && judgement.score >= 1 && judgement.score <= 10);
+  assert.match(judgement.reason, /Mock judgement/);
+  assert.strictEqual(judgement.model, 'judge-model');
+  assert.strictEqual(judgement.promptVersion, 'judge/v1');
+  assert.ok(logStore.get(judgement.logId));
+});
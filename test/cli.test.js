@@ -0,0 +1,95 @@
+// cli.test.js - Tests for the command-line tool's exit codes and output files
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main, readPromptsFile, toFileName } = require('../cli');
+
+/**
+ * A scratch project directory for the run's logs and data, removed after the test
+ * @param {Object} t - Test context
+ * @param {Object} [env] - Extra environment variables
+ * @returns {{rootDir: string, outDir: string, run: Function}} - `run(argv)` resolves to the exit code
+ */
+function createProject(t, env = {}) {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shader-lab-cli-'));
+  t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+  const outDir = path.join(rootDir, 'generated');
+  const options = { rootDir, env: { LLM_PROVIDER: 'mock', PROMPTS_DIR: path.join(__dirname, '..', 'prompts'), ...env } };
+  return { rootDir, outDir, run: argv => main(['-o', outDir, ...argv], options) };
+}
+
+test('invalid arguments exit with 2 before anything is generated', async (t) => {
+  const { rootDir, outDir, run } = createProject(t);
+  const promptsFile = path.join(rootDir, 'prompts.txt');
+  fs.writeFileSync(promptsFile, 'A sunset\n{"name": "noPrompt"}\n');
+
+  assert.strictEqual(await run(['--unknown', 'A sunset']), 2);
+  assert.strictEqual(await run(['--fix-attempts=-1', 'A sunset']), 2);
+  assert.strictEqual(await run(['--glsl-version', '200', 'A sunset']), 2);
+  assert.strictEqual(await run([]), 2);
+  assert.strictEqual(await run(['--file', promptsFile]), 2);
+  assert.strictEqual(fs.existsSync(outDir), false);
+});
+
+test('help exits with 0', async (t) => {
+  const { run } = createProject(t);
+  assert.strictEqual(await run(['--help']), 0);
+});
+
+test('a shader that passes validation exits with 0 and writes its shader and report', async (t) => {
+  const { outDir, run } = createProject(t);
+  assert.strictEqual(await run(['water ripple with refraction']), 0);
+
+  const report = JSON.parse(fs.readFileSync(path.join(outDir, 'waterRippleWithRefraction.json'), 'utf8'));
+  assert.strictEqual(report.valid, true);
+  assert.strictEqual(report.provider, 'mock');
+  assert.strictEqual(report.shaderFile, 'waterRippleWithRefraction.glsl');
+  assert.match(fs.readFileSync(path.join(outDir, report.shaderFile), 'utf8'), /void main/);
+
+  // A second run does not overwrite the first one's files
+  assert.strictEqual(await run(['water ripple with refraction']), 0);
+  assert.ok(fs.existsSync(path.join(outDir, 'waterRippleWithRefraction2.glsl')));
+});
+
+test('a failed generation exits with 1', async (t) => {
+  const { outDir, run } = createProject(t, { LLM_MODEL: 'mock-error' });
+  assert.strictEqual(await run(['A sunset']), 1);
+
+  // The report says why; there is no shader to write
+  assert.deepStrictEqual(fs.readdirSync(outDir), ['aSunset.json']);
+  const report = JSON.parse(fs.readFileSync(path.join(outDir, 'aSunset.json'), 'utf8'));
+  assert.strictEqual(report.valid, false);
+  assert.strictEqual(report.shaderFile, null);
+  assert.match(report.error, /mock-error always fails/);
+});
+
+test('a used-up budget ends the batch and exits with 1', async (t) => {
+  const { rootDir, outDir, run } = createProject(t, { USAGE_DAILY_TOKEN_BUDGET: '1' });
+  const promptsFile = path.join(rootDir, 'prompts.txt');
+  fs.writeFileSync(promptsFile, '# Descriptions\nA sunset\n{"prompt": "Rain on glass", "name": "rain"}\nStars\n');
+
+  assert.strictEqual(await run(['--file', promptsFile]), 1);
+  assert.deepStrictEqual(fs.readdirSync(outDir).sort(), ['aSunset.glsl', 'aSunset.json']);
+});
+
+test('prompts files mix plain lines and JSON entries', (t) => {
+  const { rootDir } = createProject(t);
+  const promptsFile = path.join(rootDir, 'prompts.txt');
+  fs.writeFileSync(promptsFile, '# Comment\n\nA sunset\n{"prompt": " Rain ", "name": "rain", "glslVersion": "300 es"}\n');
+  assert.deepStrictEqual(readPromptsFile(promptsFile), [
+    { prompt: 'A sunset', name: null, promptVersion: null, glslVersion: null },
+    { prompt: 'Rain', name: 'rain', promptVersion: null, glslVersion: '300 es' }
+  ]);
+
+  fs.writeFileSync(promptsFile, '{"prompt": "Rain", "glslVersion": "200"}\n');
+  assert.throws(() => readPromptsFile(promptsFile), /prompts.txt:1: unknown glslVersion "200"/);
+});
+
+test('file names are camelCase words of the description', () => {
+  assert.strictEqual(toFileName('Water ripple, with refraction!'), 'waterRippleWithRefraction');
+  assert.strictEqual(toFileName('plasma.glsl'), 'plasma');
+  assert.strictEqual(toFileName('***'), 'shader');
+});
@@ -0,0 +1,89 @@
+// conversationManager.test.js - Tests for fitting the session history into an iteration request's token budget
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConversationManager, estimateTokens, IMAGE_TOKENS } = require('../lib/conversationManager');
+
+const CURRENT_SHADER = 'void main() { /* current */ }';
+
+// Six earlier shaders, each with a long reflection and feedback
+const ITERATIONS = Array.from({ length: 6 }, (_, index) => ({
+  iteration: index,
+  fragmentShader: `void main() { /* v${index} */ }`,
+  reflection: `Reflection ${index} `.repeat(20),
+  userFeedback: `Feedback ${index} `.repeat(20)
+}));
+
+/**
+ * Build the messages for an iteration on CURRENT_SHADER
+ * @param {number} tokenBudget - Budget for the whole request
+ * @param {Array<Object>} [iterations] - Stored session iterations
+ * @returns {{messages: Array<Object>, stats: Object}}
+ */
+function build(tokenBudget, iterations = ITERATIONS) {
+  return new ConversationManager({ tokenBudget }).buildMessages({
+    systemContent: 'S'.repeat(400),
+    prompt: 'Waves',
+    iterations,
+    fragmentShader: CURRENT_SHADER,
+    feedbackContent: 'More blue'
+  });
+}
+
+test('every earlier shader is a full turn when the budget allows', () => {
+  const { messages, stats } = build(100000);
+  assert.strictEqual(stats.fullTurns, 6);
+  assert.strictEqual(stats.summarizedTurns, 0);
+  assert.strictEqual(stats.droppedTurns, 0);
+  assert.strictEqual(messages[0].role, 'system');
+  assert.strictEqual(messages[1].content, 'Create a shader that produces: Waves');
+  // Earlier shaders are represented by their reflections, the current one is sent in full
+  assert.match(messages[2].content, /^Reflection 0/);
+  assert.match(messages[2].content, /not repeated here/);
+  assert.match(messages[3].content, /^Feedback: Feedback 0/);
+  assert.deepStrictEqual(messages.slice(-2), [
+    { role: 'assistant', content: CURRENT_SHADER },
+    { role: 'user', content: 'More blue' }
+  ]);
+});
+
+test('older turns are summarized first, keeping the newest turns in full', () => {
+  const { messages, stats } = build(900);
+  assert.strictEqual(stats.fullTurns, 2);
+  assert.strictEqual(stats.summarizedTurns, 4);
+  assert.strictEqual(stats.droppedTurns, 0);
+  assert.ok(stats.estimatedTokens <= 900);
+  assert.match(messages[1].content, /Summary of earlier iterations:\n- Initial generation; you said "Reflection 0/);
+  assert.match(messages[2].content, /^Reflection 4/);
+  assert.match(messages[4].content, /^Reflection 5/);
+});
+
+test('the oldest summaries are dropped when even the summaries do not fit', () => {
+  const { messages, stats } = build(400);
+  assert.strictEqual(stats.fullTurns, 0);
+  assert.strictEqual(stats.summarizedTurns + stats.droppedTurns, 6);
+  assert.ok(stats.droppedTurns > 0);
+  assert.ok(stats.estimatedTokens <= 400);
+  assert.match(messages[1].content, new RegExp(`- \\(${stats.droppedTurns} earlier version\\(s\\) not shown\\)`));
+  assert.strictEqual(messages.length, 4);
+});
+
+test('repeated entries, candidates and the current shader are not separate turns', () => {
+  const { messages, stats } = build(100000, [
+    { iteration: 0, fragmentShader: 'void main() { /* a */ }', reflection: 'First' },
+    { iteration: 0, fragmentShader: 'void main() { /* a */ }', userFeedback: 'Brighter' },
+    { iteration: 1, fragmentShader: 'void main() { /* b */ }', isCandidate: true },
+    { iteration: 1, fragmentShader: CURRENT_SHADER, reflection: 'Current' }
+  ]);
+  assert.strictEqual(stats.fullTurns, 1);
+  assert.deepStrictEqual(messages.slice(2, 4), [
+    { role: 'assistant', content: 'First\n\n(The shader code from the initial generation is not repeated here.)' },
+    { role: 'user', content: 'Feedback: Brighter' }
+  ]);
+});
+
+test('images count as a fixed number of tokens', () => {
+  const text = { role: 'user', content: 'abcd' };
+  const withImage = { role: 'user', content: [{ type: 'text', text: 'abcd' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }] };
+  assert.strictEqual(estimateTokens([withImage]) - estimateTokens([text]), IMAGE_TOKENS);
+});
@@ -0,0 +1,92 @@
+// glslValidator.test.js - Tests for the server-side GLSL validation and local repairs
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  validateShader,
+  validateShaderPasses,
+  formatDiagnostics,
+  autoRepairShader
+} = require('../lib/glslValidator');
+
+const VALID_SHADER = `precision mediump float;
+varying vec2 vUv;
+uniform float uTime;
+void main() {
+  gl_FragColor = vec4(vUv, sin(uTime), 1.0);
+}`;
+
+test('a valid GLSL ES 1.00 shader has no errors', () => {
+  const result = validateShader(VALID_SHADER);
+  assert.strictEqual(result.valid, true);
+  assert.deepStrictEqual(result.errors, []);
+  assert.strictEqual(result.version, 100);
+  assert.strictEqual(result.usesVUv, true);
+});
+
+test('an undeclared identifier is an error on its line', () => {
+  const result = validateShader(VALID_SHADER.replace('sin(uTime)', 'sin(uTme)'));
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.errors.length, 1);
+  assert.strictEqual(result.errors[0].line, 5);
+  assert.match(result.errors[0].message, /'uTme' : undeclared identifier/);
+});
+
+test('a missing semicolon is a syntax error', () => {
+  const result = validateShader('precision mediump float;\nvoid main() { gl_FragColor = vec4(1.0) }');
+  assert.strictEqual(result.valid, false);
+  assert.match(result.errors[0].message, /syntax error/);
+});
+
+test('a lab uniform declared with the wrong type is an error', () => {
+  const result = validateShader('precision mediump float;\nuniform vec2 uTime;\nvoid main() { gl_FragColor = vec4(1.0); }');
+  assert.strictEqual(result.valid, false);
+  assert.match(result.errors[0].message, /'uTime' : the lab sets 'uTime' as 'float'/);
+});
+
+test('a GLSL ES 3.00 shader reports its version', () => {
+  const result = validateShader(`#version 300 es
+precision highp float;
+in vec2 vUv;
+out vec4 fragColor;
+void main() { fragColor = vec4(vUv, 0.0, 1.0); }`);
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.version, 300);
+});
+
+test('a Shadertoy mainImage shader is recognized', () => {
+  const result = validateShader('void mainImage(out vec4 fragColor, in vec2 fragCoord) { fragColor = vec4(fragCoord / iResolution.xy, 0.0, 1.0); }');
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.shadertoy, true);
+});
+
+test('buffer pass errors name their pass', () => {
+  const valid = validateShaderPasses(VALID_SHADER, {
+    A: 'precision mediump float;\nuniform sampler2D uBufferA;\nvoid main() { gl_FragColor = texture2D(uBufferA, vec2(0.5)); }'
+  });
+  assert.strictEqual(valid.valid, true);
+
+  const invalid = validateShaderPasses(VALID_SHADER, { A: 'void main() { gl_FragColor = vec4(x); }' });
+  assert.strictEqual(invalid.valid, false);
+  assert.strictEqual(invalid.errors[0].pass, 'A');
+  assert.match(invalid.errors[0].message, /'x' : undeclared identifier/);
+});
+
+test('diagnostics are formatted like a WebGL info log', () => {
+  const result = validateShader(VALID_SHADER.replace('sin(uTime)', 'sin(uTme)'));
+  assert.strictEqual(formatDiagnostics(result), "ERROR: 0:5: 'uTme' : undeclared identifier");
+});
+
+test('local repairs add a missing precision and vUv declaration', () => {
+  const repaired = autoRepairShader('void main() {\n  gl_FragColor = vec4(vUv, 0.0, 1.0);\n}');
+  assert.deepStrictEqual(repaired.applied, ['Declared missing varying vUv', 'Added missing float precision']);
+  assert.strictEqual(repaired.validation.valid, true);
+  assert.match(repaired.source, /^precision mediump float;\nvarying vec2 vUv;\n/);
+});
+
+test('a source that is not a string is rejected as an invalid request', () => {
+  [null, 1, { main: 'void main() {}' }].forEach(source => {
+    assert.throws(() => validateShader(source), error => error.status === 400 && error.code === 'INVALID_REQUEST');
+  });
+  assert.throws(() => validateShaderPasses(VALID_SHADER, { A: 1 }), /the source must be a string/);
+});
@@ -0,0 +1,139 @@
+// modelRouter.test.js - Tests for routing phases to models with fallbacks and timeouts
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ModelRouter, validatePolicy } = require('../lib/modelRouter');
+const { MockProvider } = require('../lib/llmProviders');
+
+const MESSAGES = [{ role: 'user', content: 'A sunset' }];
+
+/**
+ * Mock provider whose 'slow' model only answers once its signal is aborted, and whose 'text-only'
+ * model cannot read images. The requests it receives are kept in `requests`.
+ */
+class TestProvider extends MockProvider {
+  constructor() {
+    super();
+    this.requests = [];
+  }
+
+  supportsImageInput(model) {
+    return model !== 'text-only';
+  }
+
+  async complete(request) {
+    this.requests.push(request);
+    if (request.model === 'slow') {
+      await new Promise((resolve, reject) => {
+        request.signal.addEventListener('abort', () => reject(new Error('Request aborted')));
+      });
+    }
+    return super.complete(request);
+  }
+}
+
+/**
+ * A router whose policy file is in a scratch directory, removed after the test
+ * @param {Object} t - Test context
+ * @param {Object} phases - Models for each phase
+ * @param {number} [timeoutMs] - Time each model gets to answer
+ * @returns {{router: ModelRouter, provider: TestProvider}}
+ */
+function createRouter(t, phases, timeoutMs = 1000) {
+  const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shader-lab-routing-'));
+  t.after(() => fs.rmSync(configDir, { recursive: true, force: true }));
+  const provider = new TestProvider();
+  const router = new ModelRouter({
+    provider,
+    policyFile: path.join(configDir, 'model-routing.json'),
+    defaultPolicy: {
+      timeoutMs,
+      phases: { generation: ['mock-a'], compileFix: ['mock-a'], manualIteration: ['mock-a'], visionCritique: [], ...phases }
+    }
+  });
+  return { router, provider };
+}
+
+test('a failed model falls back to the next one', async (t) => {
+  const { router } = createRouter(t, { generation: ['mock-error', 'mock-b'] });
+  const completion = await router.complete('generation', { messages: MESSAGES });
+  assert.strictEqual(completion.model, 'mock-b');
+  assert.strictEqual(completion.phase, 'generation');
+  assert.deepStrictEqual(completion.fallbacks, [{ model: 'mock-error', error: 'Mock model mock-error always fails' }]);
+});
+
+test('a model that does not answer in time falls back to the next one', async (t) => {
+  const { router } = createRouter(t, { generation: ['slow', 'mock-b'] }, 50);
+  const completion = await router.complete('generation', { messages: MESSAGES });
+  assert.strictEqual(completion.model, 'mock-b');
+  assert.deepStrictEqual(completion.fallbacks, [{ model: 'slow', error: 'timed out after 50 ms' }]);
+});
+
+test('the last error is thrown with every failed attempt when all models fail', async (t) => {
+  const { router } = createRouter(t, { generation: ['slow', 'mock-error'] }, 50);
+  await assert.rejects(router.complete('generation', { messages: MESSAGES }), error => {
+    assert.strictEqual(error.message, 'Mock model mock-error always fails');
+    assert.strictEqual(error.phase, 'generation');
+    assert.deepStrictEqual(error.fallbacks.map(fallback => fallback.model), ['slow', 'mock-error']);
+    return true;
+  });
+});
+
+test('pinned models are tried instead of the phase models', async (t) => {
+  const { router } = createRouter(t, {});
+  const completion = await router.complete('generation', { messages: MESSAGES, models: ['pinned'] });
+  assert.strictEqual(completion.model, 'pinned');
+});
+
+test('a cancelled request does not fall back', async (t) => {
+  const { router, provider } = createRouter(t, { generation: ['slow', 'mock-b'] });
+  const controller = new AbortController();
+  const pending = router.complete('generation', { messages: MESSAGES, signal: controller.signal });
+  controller.abort();
+  await assert.rejects(pending, error => error.code === 'REQUEST_CANCELLED' && error.status === 499);
+  assert.deepStrictEqual(provider.requests.map(request => request.model), ['slow']);
+});
+
+test('images are removed for models that cannot read them', async (t) => {
+  const { router, provider } = createRouter(t, { manualIteration: ['text-only'] });
+  const messages = [{ role: 'user', content: [{ type: 'text', text: 'Brighter' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }] }];
+  await router.complete('manualIteration', { messages });
+  assert.deepStrictEqual(provider.requests[0].messages, [{ role: 'user', content: 'Brighter' }]);
+});
+
+test('a stream falls back before its first chunk', async (t) => {
+  const { router } = createRouter(t, { generation: ['mock-error', 'mock-b'] });
+  const events = [];
+  for await (const event of router.stream('generation', { messages: MESSAGES })) {
+    events.push(event);
+  }
+  assert.deepStrictEqual(events[0], { type: 'route', phase: 'generation', model: 'mock-b', fallbacks: [{ model: 'mock-error', error: 'Mock model mock-error always fails' }] });
+  assert.strictEqual(events[events.length - 1].type, 'usage');
+});
+
+test('a saved policy is used until it is reset', (t) => {
+  const { router } = createRouter(t, {});
+  router.save({ timeoutMs: 5000, phases: { generation: ['mock-b', 'mock-b'], compileFix: ['mock-c'], manualIteration: ['mock-c'] } });
+  assert.deepStrictEqual(router.modelsFor('generation'), ['mock-b']);
+  assert.strictEqual(router.describe().source, 'file');
+
+  router.reset();
+  assert.deepStrictEqual(router.modelsFor('generation'), ['mock-a']);
+  assert.strictEqual(router.describe().source, 'default');
+});
+
+test('invalid policies are rejected with status 400', () => {
+  const phases = { generation: ['a'], compileFix: ['a'], manualIteration: ['a'] };
+  [
+    [null, /expected an object/],
+    [{ timeoutMs: 0, phases }, /timeoutMs must be a positive integer/],
+    [{ phases: { ...phases, judging: ['a'] } }, /unknown phase "judging"/],
+    [{ phases: { ...phases, generation: [] } }, /phases.generation needs at least one model/],
+    [{ phases: { ...phases, compileFix: [''] } }, /phases.compileFix must be a list of model names/]
+  ].forEach(([policy, message]) => {
+    assert.throws(() => validatePolicy(policy), error => error.status === 400 && message.test(error.message));
+  });
+});
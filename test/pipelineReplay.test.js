@@ -0,0 +1,97 @@
+// pipelineReplay.test.js - Records a shader generation with a scripted provider, then replays it offline
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServices } = require('../lib/services');
+const { MockProvider } = require('../lib/llmProviders');
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+const PROMPT = 'A slowly pulsing cosine palette';
+
+// The first answer does not validate, so the pipeline asks for a repair
+const BROKEN_RESPONSE = JSON.stringify({
+  reflection: 'A pulsing palette',
+  changes: ['Cosine palette'],
+  shader: 'precision mediump float;\nvarying vec2 vUv;\nvoid main() {\n  gl_FragColor = vec4(vUv, pulse, 1.0);\n}',
+  uniforms: []
+});
+
+/**
+ * Mock provider whose first completion is a broken shader
+ */
+class ScriptedProvider extends MockProvider {
+  constructor() {
+    super();
+    this.calls = 0;
+  }
+
+  async complete(request) {
+    this.calls++;
+    if (this.calls === 1) {
+      return { content: BROKEN_RESPONSE, model: request.model || this.defaultModel, usage: null };
+    }
+    return super.complete(request);
+  }
+}
+
+/**
+ * Create services in a scratch project directory, so logs and usage stay out of the repository
+ * @param {string} rootDir - Scratch directory
+ * @param {Object} env - Fixture settings
+ * @param {Function} [createProvider] - Creates the provider to record
+ * @returns {Object} - The services
+ */
+function createTestServices(rootDir, env, createProvider) {
+  return createServices({
+    rootDir,
+    env: { PROMPTS_DIR, SHADER_REPAIR_ATTEMPTS: '1', ...env },
+    createProvider: createProvider || (() => {
+      throw new Error('Replay must not create a provider');
+    })
+  });
+}
+
+test('a recorded generation replays to the same shader without a provider', async (t) => {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shader-lab-test-'));
+  t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+  const fixtureDir = path.join(rootDir, 'fixtures');
+
+  const provider = new ScriptedProvider();
+  const recording = createTestServices(rootDir, { LLM_FIXTURE_MODE: 'record', LLM_FIXTURE_DIR: fixtureDir }, () => provider);
+  const recorded = await recording.pipeline.generate(PROMPT, { fixAttempts: 2 });
+
+  assert.strictEqual(recorded.error, null);
+  assert.strictEqual(recorded.validation.valid, true);
+  assert.strictEqual(recorded.attempts.length, 1);
+  assert.strictEqual(recorded.attempts[0].validBeforeRepair, false);
+  assert.strictEqual(recorded.attempts[0].repairs.length, 1);
+  assert.match(recorded.promptHash, /^[0-9a-f]{12}$/);
+  // The generation and its repair
+  assert.strictEqual(provider.calls, 2);
+  assert.strictEqual(fs.readdirSync(fixtureDir).length, 2);
+
+  const replay = createTestServices(rootDir, { LLM_FIXTURE_MODE: 'replay', LLM_FIXTURE_DIR: fixtureDir });
+  const replayed = await replay.pipeline.generate(PROMPT, { fixAttempts: 2 });
+
+  assert.strictEqual(replay.llmProvider.name, 'replay');
+  assert.strictEqual(replayed.error, null);
+  assert.strictEqual(replayed.fragmentShader, recorded.fragmentShader);
+  assert.strictEqual(replayed.reflection, recorded.reflection);
+  assert.strictEqual(replayed.promptHash, recorded.promptHash);
+  assert.deepStrictEqual(replayed.attempts.map(attempt => attempt.repairs), recorded.attempts.map(attempt => attempt.repairs));
+});
+
+test('replaying a request that was never recorded fails with FIXTURE_NOT_FOUND', async (t) => {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shader-lab-test-'));
+  t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+  const replay = createTestServices(rootDir, { LLM_FIXTURE_MODE: 'replay', LLM_FIXTURE_DIR: path.join(rootDir, 'fixtures') });
+  const result = await replay.pipeline.generate(PROMPT, { fixAttempts: 2 });
+
+  assert.strictEqual(result.fragmentShader, '');
+  assert.strictEqual(result.attempts.length, 1);
+  assert.match(result.error, /No recorded LLM fixture for this request/);
+});
@@ -0,0 +1,91 @@
+// promptTemplates.test.js - Tests for versioned prompt templates and their reloading
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PromptTemplates, renderTemplate, hashPrompt } = require('../lib/promptTemplates');
+
+/**
+ * A prompts directory with two versions of a 'greeting' template, removed after the test
+ * @param {Object} t - Test context
+ * @returns {string} - The directory
+ */
+function createPromptsDir(t) {
+  const promptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shader-lab-prompts-'));
+  t.after(() => fs.rmSync(promptsDir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(promptsDir, 'greeting'));
+  fs.writeFileSync(path.join(promptsDir, 'greeting', 'v1.md'), '---\ndescription: First greeting\n---\nHello {{name}}\n');
+  fs.writeFileSync(path.join(promptsDir, 'greeting', 'v2.md'), 'Welcome {{name}}\n{{#formal}}\nIt is an honour.\n{{/formal}}\n');
+  return promptsDir;
+}
+
+test('the latest version is rendered when active.json names none', (t) => {
+  const templates = new PromptTemplates({ promptsDir: createPromptsDir(t) });
+  const rendered = templates.render('greeting', { name: 'Ada', formal: false });
+  assert.strictEqual(rendered.id, 'greeting/v2');
+  assert.strictEqual(rendered.content, 'Welcome Ada');
+  assert.strictEqual(rendered.hash, hashPrompt('Welcome Ada'));
+});
+
+test('active.json picks the version, and a request can ask for another', (t) => {
+  const promptsDir = createPromptsDir(t);
+  fs.writeFileSync(path.join(promptsDir, 'active.json'), JSON.stringify({ greeting: 'v1' }));
+  const templates = new PromptTemplates({ promptsDir });
+  assert.strictEqual(templates.render('greeting', { name: 'Ada' }).content, 'Hello Ada');
+  assert.strictEqual(templates.render('greeting', { name: 'Ada', formal: true }, 'v2').content, 'Welcome Ada\nIt is an honour.');
+  assert.deepStrictEqual(templates.describe(), [{
+    name: 'greeting',
+    active: 'v1',
+    versions: [
+      { version: 'v1', id: 'greeting/v1', description: 'First greeting' },
+      { version: 'v2', id: 'greeting/v2', description: '' }
+    ]
+  }]);
+});
+
+test('an unknown version is refused with status 400', (t) => {
+  const templates = new PromptTemplates({ promptsDir: createPromptsDir(t) });
+  ['v9', '../greeting/v1'].forEach(version => {
+    assert.throws(() => templates.render('greeting', { name: 'Ada' }, version), error => {
+      assert.strictEqual(error.status, 400);
+      assert.match(error.message, /Available versions: v1, v2/);
+      return true;
+    });
+  });
+});
+
+test('an edited template file is read again', (t) => {
+  const promptsDir = createPromptsDir(t);
+  const templates = new PromptTemplates({ promptsDir });
+  const before = templates.render('greeting', { name: 'Ada' }, 'v1');
+
+  fs.writeFileSync(path.join(promptsDir, 'greeting', 'v1.md'), 'Good morning {{name}}\n');
+  const after = templates.render('greeting', { name: 'Ada' }, 'v1');
+  assert.strictEqual(after.content, 'Good morning Ada');
+  assert.strictEqual(after.id, before.id);
+  assert.notStrictEqual(after.hash, before.hash);
+
+  fs.writeFileSync(path.join(promptsDir, 'active.json'), JSON.stringify({ greeting: 'v1' }));
+  assert.strictEqual(templates.activeVersion('greeting'), 'v1');
+});
+
+test('unknown variables are an error', () => {
+  assert.throws(() => renderTemplate('Hello {{nmae}}', { name: 'Ada' }, 'greeting/v1'), /Unknown variable "nmae" in prompt template greeting\/v1/);
+});
+
+test('the hash is the first 12 hex digits of the SHA-256 of the prompt', () => {
+  assert.strictEqual(hashPrompt(''), 'e3b0c44298fc');
+  assert.match(hashPrompt('Hello Ada'), /^[0-9a-f]{12}$/);
+  assert.notStrictEqual(hashPrompt('Hello Ada'), hashPrompt('Hello Ada.'));
+});
+
+test('the shipped templates render with the active versions', () => {
+  const templates = new PromptTemplates({ promptsDir: path.join(__dirname, '..', 'prompts') });
+  const active = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'prompts', 'active.json'), 'utf8'));
+  templates.describe().forEach(({ name, active: version, versions }) => {
+    assert.strictEqual(version, active[name]);
+    assert.ok(versions.some(entry => entry.version === version));
+  });
+});
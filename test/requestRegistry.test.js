@@ -0,0 +1,84 @@
+// requestRegistry.test.js - Tests for cancelling LLM requests in flight by id
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RequestRegistry, throwIfCancelled } = require('../lib/requestRegistry');
+const { createServices } = require('../lib/services');
+const { MockProvider } = require('../lib/llmProviders');
+
+test('a request is registered under the id the client chose', () => {
+  const registry = new RequestRegistry();
+  const tracked = registry.start('client-request-1', 'generate');
+  assert.strictEqual(tracked.id, 'client-request-1');
+  assert.strictEqual(tracked.signal.aborted, false);
+});
+
+test('a missing or malformed id is replaced by a generated one', () => {
+  const registry = new RequestRegistry();
+  [undefined, 'short', '../../request-id', 42].forEach(requestId => {
+    const tracked = registry.start(requestId, 'generate');
+    assert.notStrictEqual(tracked.id, requestId);
+    assert.match(tracked.id, /^[0-9a-f-]{36}$/);
+  });
+});
+
+test('an id still in flight is refused with status 409', () => {
+  const registry = new RequestRegistry();
+  const first = registry.start('client-request-1', 'generate');
+  assert.throws(() => registry.start('client-request-1', 'iterate'), error => {
+    assert.strictEqual(error.status, 409);
+    assert.strictEqual(error.code, 'REQUEST_ID_IN_USE');
+    return true;
+  });
+
+  // Cancelling by the id still reaches the first request
+  assert.strictEqual(registry.cancel('client-request-1'), true);
+  assert.strictEqual(first.signal.aborted, true);
+});
+
+test('an id can be used again once its request is done', () => {
+  const registry = new RequestRegistry();
+  registry.start('client-request-1', 'generate').finish();
+  assert.strictEqual(registry.cancel('client-request-1'), false);
+
+  const again = registry.start('client-request-1', 'generate');
+  assert.strictEqual(again.id, 'client-request-1');
+});
+
+test('a cancelled signal throws a 499 REQUEST_CANCELLED error', () => {
+  const controller = new AbortController();
+  throwIfCancelled(controller.signal, 'client-request-1');
+  controller.abort();
+  assert.throws(() => throwIfCancelled(controller.signal, 'client-request-1'), error => {
+    return error.status === 499 && error.code === 'REQUEST_CANCELLED' && error.requestId === 'client-request-1';
+  });
+});
+
+test('cancelling a generation in flight ends it with status 499', async (t) => {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shader-lab-test-'));
+  t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+  // A provider that only answers once the request is aborted
+  const provider = new MockProvider();
+  let called;
+  const answered = new Promise(resolve => {
+    called = resolve;
+  });
+  provider.complete = request => new Promise((resolve, reject) => {
+    called();
+    request.signal.addEventListener('abort', () => reject(new Error('Request aborted')));
+  });
+  const { pipeline } = createServices({ rootDir, env: { PROMPTS_DIR: path.join(__dirname, '..', 'prompts') }, createProvider: () => provider });
+
+  const registry = new RequestRegistry();
+  const tracked = registry.start('client-request-1', 'generate');
+  const pending = pipeline.generate('A sunset', { signal: tracked.signal });
+  await answered;
+  assert.strictEqual(registry.cancel(tracked.id), true);
+
+  await assert.rejects(pending, error => error.status === 499 && error.code === 'REQUEST_CANCELLED');
+  tracked.finish();
+});
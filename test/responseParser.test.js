@@ -0,0 +1,71 @@
+// responseParser.test.js - Tests for parsing shader and judge responses from the model
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  FRAGMENT_MARKER,
+  sanitizeShaderCode,
+  parseShaderResponse,
+  parseJudgeResponse
+} = require('../lib/responseParser');
+
+const SHADER = `precision mediump float;
+varying vec2 vUv;
+uniform float uTime;
+void main() {
+  gl_FragColor = vec4(vUv, sin(uTime), 1.0);
+}`;
+
+test('a structured JSON response is parsed with its buffers and uniforms', () => {
+  const parsed = parseShaderResponse(JSON.stringify({
+    reflection: 'A gradient',
+    changes: ['Added a gradient'],
+    shader: SHADER,
+    buffers: [{ name: 'A', source: SHADER }],
+    uniforms: [{ name: 'uTime', type: 'float' }]
+  }));
+  assert.strictEqual(parsed.format, 'json');
+  assert.strictEqual(parsed.reflection, 'A gradient');
+  assert.deepStrictEqual(parsed.changes, ['Added a gradient']);
+  assert.strictEqual(parsed.fragmentShader, SHADER);
+  assert.deepStrictEqual(parsed.buffers, { A: SHADER });
+  assert.deepStrictEqual(parsed.warnings, []);
+});
+
+test('a response with the fragment shader marker is split at the marker', () => {
+  const parsed = parseShaderResponse(`A gradient\n\n${FRAGMENT_MARKER}\n${SHADER}`);
+  assert.strictEqual(parsed.format, 'marker');
+  assert.strictEqual(parsed.reflection, 'A gradient');
+  assert.strictEqual(parsed.fragmentShader, SHADER);
+});
+
+test('a shader in a fenced code block is found', () => {
+  const parsed = parseShaderResponse('Here it is\n```glsl\n' + SHADER + '\n```');
+  assert.strictEqual(parsed.format, 'code-block');
+  assert.strictEqual(parsed.reflection, 'Here it is');
+  assert.strictEqual(parsed.fragmentShader, SHADER);
+});
+
+test('code fences are stripped from shader code', () => {
+  assert.strictEqual(sanitizeShaderCode('```glsl\n' + SHADER + '\n```'), SHADER);
+});
+
+test('a buffer pass without a valid name is skipped with a warning', () => {
+  const parsed = parseShaderResponse(JSON.stringify({
+    reflection: '',
+    changes: [],
+    shader: SHADER,
+    buffers: [{ name: 'E', source: SHADER }],
+    uniforms: [{ name: 'uTime', type: 'float' }]
+  }));
+  assert.deepStrictEqual(parsed.buffers, {});
+  assert.strictEqual(parsed.warnings.length, 1);
+  assert.match(parsed.warnings[0], /Skipped a buffer pass/);
+});
+
+test('judge scores are read from JSON or text and clamped to 1-10', () => {
+  assert.deepStrictEqual(parseJudgeResponse('{"score": 7, "reason": "Close"}'), { score: 7, reason: 'Close' });
+  assert.strictEqual(parseJudgeResponse('{"score": 14, "reason": "Great"}').score, 10);
+  assert.strictEqual(parseJudgeResponse('Score: 6/10, the colors are off').score, 6);
+  assert.strictEqual(parseJudgeResponse('No score here').score, null);
+});
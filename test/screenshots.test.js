@@ -0,0 +1,33 @@
+// screenshots.test.js - Tests for saving screenshots sent by the browser
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { saveScreenshots } = require('../lib/screenshots');
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+
+test('screenshots are saved under the screenshots directory', (t) => {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shader-lab-screenshots-'));
+  t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+  const saved = saveScreenshots(rootDir, [PNG, 'not an image', PNG], 2);
+  assert.strictEqual(saved.length, 2);
+  saved.forEach(filename => {
+    assert.match(filename, /^screenshot_iter2_.+\.png$/);
+    assert.ok(fs.existsSync(path.join(rootDir, filename)));
+  });
+});
+
+test('a file name that would leave the screenshots directory is skipped', (t) => {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shader-lab-screenshots-'));
+  t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+  const screenshotsDir = path.join(rootDir, 'screenshots');
+  fs.mkdirSync(screenshotsDir);
+
+  assert.deepStrictEqual(saveScreenshots(screenshotsDir, [PNG], '/../../escaped'), []);
+  assert.deepStrictEqual(fs.readdirSync(screenshotsDir), []);
+  assert.deepStrictEqual(fs.readdirSync(rootDir), ['screenshots']);
+});
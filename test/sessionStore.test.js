@@ -0,0 +1,63 @@
+// sessionStore.test.js - Tests for the server-side session files
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SessionStore } = require('../lib/sessionStore');
+
+/**
+ * A session store in a scratch directory, removed after the test
+ * @param {Object} t - Test context
+ * @returns {SessionStore}
+ */
+function createStore(t) {
+  const sessionsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shader-lab-sessions-'));
+  t.after(() => fs.rmSync(sessionsDir, { recursive: true, force: true }));
+  return new SessionStore(sessionsDir);
+}
+
+test('a session keeps its iterations in order', (t) => {
+  const store = createStore(t);
+  const session = store.create({ prompt: 'A rippling pond' });
+  assert.strictEqual(session.title, 'A rippling pond');
+
+  store.addIteration(session.id, { iteration: 0, fragmentShader: 'first' });
+  store.addIteration(session.id, { iteration: 1, fragmentShader: 'second', thumbnailUrl: '/screenshots/a.png' });
+
+  const loaded = store.get(session.id);
+  assert.deepStrictEqual(loaded.iterations.map(iteration => iteration.fragmentShader), ['first', 'second']);
+  assert.ok(loaded.iterations.every(iteration => iteration.id && iteration.createdAt));
+
+  const [summary] = store.list();
+  assert.strictEqual(summary.iterationCount, 2);
+  assert.strictEqual(summary.thumbnailUrl, '/screenshots/a.png');
+  assert.strictEqual(summary.iterations, undefined);
+});
+
+test('only the prompt and title of a session can be updated', (t) => {
+  const store = createStore(t);
+  const session = store.create({ prompt: 'Stars' });
+  const updated = store.update(session.id, { title: 'Night sky', id: 'other', iterations: null });
+  assert.strictEqual(updated.title, 'Night sky');
+  assert.strictEqual(updated.id, session.id);
+  assert.deepStrictEqual(updated.iterations, []);
+});
+
+test('ids that are not session UUIDs never reach the filesystem', (t) => {
+  const store = createStore(t);
+  ['../../package', 'x', '', null].forEach(id => {
+    assert.strictEqual(store.get(id), null);
+    assert.strictEqual(store.addIteration(id, { iteration: 0 }), null);
+    assert.strictEqual(store.delete(id), false);
+  });
+});
+
+test('a deleted session is gone', (t) => {
+  const store = createStore(t);
+  const session = store.create({ prompt: 'Fire' });
+  assert.strictEqual(store.delete(session.id), true);
+  assert.strictEqual(store.get(session.id), null);
+  assert.deepStrictEqual(store.list(), []);
+});
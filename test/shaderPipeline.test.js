@@ -0,0 +1,68 @@
+// shaderPipeline.test.js - Tests for the request checks shared by the server's endpoints
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateIterationBody, normalizeCandidateCount, MAX_CANDIDATES } = require('../lib/shaderPipeline');
+
+const SHADER = 'precision mediump float;\nvoid main() { gl_FragColor = vec4(1.0); }';
+
+/**
+ * Assert that an iteration body is rejected as an invalid request
+ * @param {Object} body - Iteration request body
+ * @param {RegExp} message - Expected error message
+ */
+function assertInvalid(body, message) {
+  assert.throws(() => validateIterationBody(body), error => {
+    assert.strictEqual(error.status, 400);
+    assert.strictEqual(error.code, 'INVALID_REQUEST');
+    assert.match(error.message, message);
+    return true;
+  });
+}
+
+test('a well-formed iteration body is accepted', () => {
+  validateIterationBody({ fragmentShader: SHADER });
+  validateIterationBody({ fragmentShader: SHADER, screenshots: ['data:image/png;base64,AAAA'], iteration: 3, buffers: { A: SHADER } });
+});
+
+test('an iteration body without a string shader is rejected', () => {
+  assertInvalid({}, /Missing fragment shader code/);
+  assertInvalid({ fragmentShader: 1 }, /fragmentShader: must be a string/);
+  assertInvalid({ fragmentShader: { source: SHADER } }, /fragmentShader: must be a string/);
+});
+
+test('screenshots must be an array of strings', () => {
+  assertInvalid({ fragmentShader: SHADER, screenshots: 'x' }, /Invalid screenshots/);
+  assertInvalid({ fragmentShader: SHADER, screenshots: null }, /Invalid screenshots/);
+  assertInvalid({ fragmentShader: SHADER, screenshots: [1] }, /Invalid screenshots/);
+});
+
+test('the iteration number must be a whole number of 0 or more', () => {
+  assertInvalid({ fragmentShader: SHADER, iteration: -1 }, /Invalid iteration/);
+  assertInvalid({ fragmentShader: SHADER, iteration: 1.5 }, /Invalid iteration/);
+  assertInvalid({ fragmentShader: SHADER, iteration: '../../x' }, /Invalid iteration/);
+});
+
+test('buffer passes must have known names and string sources', () => {
+  assertInvalid({ fragmentShader: SHADER, buffers: { A: 1 } }, /the source of buffer A must be a string/);
+  assertInvalid({ fragmentShader: SHADER, buffers: { E: SHADER } }, /unknown pass "E"/);
+  assertInvalid({ fragmentShader: SHADER, buffers: [SHADER] }, /Invalid buffer passes/);
+});
+
+test('a missing candidate count asks for the default', () => {
+  assert.strictEqual(normalizeCandidateCount(undefined, 4), 4);
+  assert.strictEqual(normalizeCandidateCount(null, 4), 4);
+  assert.strictEqual(normalizeCandidateCount(1, 4), 1);
+  assert.strictEqual(normalizeCandidateCount(MAX_CANDIDATES, 4), MAX_CANDIDATES);
+});
+
+test('a candidate count that is not a whole number in range is rejected', () => {
+  [0, -1, 2.5, MAX_CANDIDATES + 1, '3', 'abc', NaN, [2]].forEach(count => {
+    assert.throws(() => normalizeCandidateCount(count, 4), error => {
+      assert.strictEqual(error.status, 400);
+      assert.strictEqual(error.code, 'INVALID_REQUEST');
+      assert.strictEqual(error.message, `count must be an integer between 1 and ${MAX_CANDIDATES}`);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,108 @@
+// usageTracker.test.js - Tests for token and cost accounting and budgets
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UsageTracker } = require('../lib/usageTracker');
+const { IMAGE_TOKENS } = require('../lib/conversationManager');
+
+const PRICING = {
+  currency: 'USD',
+  models: {
+    'model-a': { prompt: 2, completion: 8 },
+    'family-*': { prompt: 1, completion: 1 },
+    'family-large-*': { prompt: 10, completion: 30 }
+  }
+};
+
+/**
+ * A scratch directory with a price table, removed after the test
+ * @param {Object} t - Test context
+ * @returns {{usageDir: string, pricingFile: string}}
+ */
+function createDirs(t) {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shader-lab-usage-'));
+  t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+  const pricingFile = path.join(rootDir, 'model-pricing.json');
+  fs.writeFileSync(pricingFile, JSON.stringify(PRICING));
+  return { usageDir: path.join(rootDir, 'usage'), pricingFile };
+}
+
+/**
+ * Measure and record a call of 1000 prompt and 500 completion tokens
+ * @param {UsageTracker} tracker - Tracker to record in
+ * @param {string} model - Model that answered
+ * @param {string|null} sessionId - Session the call belongs to
+ * @returns {Object} - The ledger entry
+ */
+function recordCall(tracker, model, sessionId) {
+  const usage = tracker.measure({ model, usage: { promptTokens: 1000, completionTokens: 500, totalTokens: 1500 }, messages: [] });
+  return tracker.record({ ...usage, model, type: 'generate', phase: 'generation', sessionId });
+}
+
+test('costs follow the price table, with the longest wildcard match winning', (t) => {
+  const tracker = new UsageTracker(createDirs(t));
+  const usage = { promptTokens: 1000000, completionTokens: 1000000, totalTokens: 2000000 };
+  assert.strictEqual(tracker.measure({ model: 'model-a', usage, messages: [] }).cost, 10);
+  assert.strictEqual(tracker.measure({ model: 'family-small', usage, messages: [] }).cost, 2);
+  assert.strictEqual(tracker.measure({ model: 'family-large-2', usage, messages: [] }).cost, 40);
+  assert.strictEqual(tracker.measure({ model: 'unknown', usage, messages: [] }).cost, null);
+});
+
+test('usage is estimated when the provider reports none', (t) => {
+  const tracker = new UsageTracker(createDirs(t));
+  const messages = [{ role: 'user', content: [{ type: 'text', text: 'x'.repeat(4000) }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }] }];
+  const measured = tracker.measure({ model: 'model-a', usage: null, messages, content: 'y'.repeat(400) });
+  assert.strictEqual(measured.estimated, true);
+  assert.strictEqual(measured.completionTokens, 100);
+  assert.strictEqual(measured.imageTokens, IMAGE_TOKENS);
+  assert.ok(measured.promptTokens > 1000 + IMAGE_TOKENS);
+
+  const withoutImages = tracker.measure({ model: 'model-a', usage: null, messages, content: '', imageInput: false });
+  assert.strictEqual(withoutImages.imageTokens, 0);
+});
+
+test('the ledger is written per day and read back on start', (t) => {
+  const dirs = createDirs(t);
+  const tracker = new UsageTracker(dirs);
+  recordCall(tracker, 'model-a', 'session-1');
+  recordCall(tracker, 'unknown', 'session-1');
+
+  const reloaded = new UsageTracker(dirs);
+  const today = reloaded.dayTotals();
+  assert.strictEqual(today.calls, 2);
+  assert.strictEqual(today.totalTokens, 3000);
+  assert.strictEqual(today.cost, 0.006);
+  assert.strictEqual(today.unpricedCalls, 1);
+  assert.strictEqual(today.byModel['model-a'].calls, 1);
+  assert.strictEqual(reloaded.sessionTotals('session-1').calls, 2);
+  assert.strictEqual(fs.readdirSync(dirs.usageDir).length, 1);
+});
+
+test('a used-up session budget refuses that session with status 402', (t) => {
+  const tracker = new UsageTracker({ ...createDirs(t), budgets: { session: { cost: 0.005 } } });
+  tracker.checkBudget('session-1');
+  recordCall(tracker, 'model-a', 'session-1');
+
+  assert.throws(() => tracker.checkBudget('session-1'), error => {
+    assert.strictEqual(error.status, 402);
+    assert.strictEqual(error.code, 'BUDGET_EXCEEDED');
+    assert.deepStrictEqual({ scope: error.budget.scope, limit: error.budget.limit }, { scope: 'session', limit: 'cost' });
+    assert.match(error.message, /USAGE_SESSION_BUDGET/);
+    return true;
+  });
+  // Other sessions have their own budget
+  tracker.checkBudget('session-2');
+});
+
+test('a used-up daily token budget refuses every request', (t) => {
+  const tracker = new UsageTracker({ ...createDirs(t), budgets: { daily: { tokens: 2000 } } });
+  recordCall(tracker, 'model-a', 'session-1');
+  tracker.checkBudget(null);
+  recordCall(tracker, 'model-a', 'session-2');
+
+  assert.throws(() => tracker.checkBudget(null), error => error.status === 402 && error.budget.scope === 'daily' && error.budget.limit === 'tokens');
+  assert.throws(() => tracker.checkBudget('session-3'), /Daily token budget reached: 3000 of 2000 tokens/);
+});